@@ -6,15 +6,20 @@ const adminRoutes = require('./routes/adminRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const userRoutes = require('./routes/userRoutes');
 const errorHandler = require('./middleware/errorHandler');
+const { trackImpersonation } = require('./middleware/impersonation');
+const { csrfProtection } = require('./middleware/csrf');
 
 const app = express();
 
 app.use(
   cors({
     origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+    credentials: true,
   })
 );
 app.use(express.json());
+app.use(csrfProtection);
+app.use(trackImpersonation);
 
 app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
@@ -2,6 +2,27 @@ const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
 const Movie = require('../models/Movie');
 const User = require('../models/User');
+const AdminInvite = require('../models/AdminInvite');
+const AuditLog = require('../models/AuditLog');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const { listActiveSessions, revokeSessions } = require('../utils/sessions');
+const { clearFailedAttempts } = require('../utils/loginSecurity');
+const { clearRateLimit } = require('../middleware/rateLimit');
+const { sendMail, appUrl } = require('../mail');
+const { createAccessToken, createOneTimeToken, hashToken } = require('../utils/tokenService');
+const { ADMIN_INVITE_TTL_HOURS, sanitizeInvite } = require('../utils/adminInvites');
+const { setAudit } = require('../utils/audit');
+const { toCsv } = require('../utils/csv');
+const { listSigningKeys, loadSigningKeys, addSigningKey, retireSigningKey } = require('../utils/keyRing');
+const { clampImpersonationMinutes } = require('../utils/impersonation');
+const { hasCap } = require('../utils/capabilities');
+const { tmdbCache } = require('../utils/tmdbCache');
+const { TMDB_IMPORT_LISTS } = require('../utils/tmdbImport');
+const { sanitizeUser: sanitizeAccountUser } = require('../utils/users');
+const { startTmdbImport, isTmdbImportRunning } = require('../jobs/tmdbImport');
+const TmdbImportRun = require('../models/TmdbImportRun');
+
+const ADMIN_SCOPES = ['content_manager', 'analytics_viewer', 'support', 'full_access'];
 
 const billingStore = {
   plans: [
@@ -56,6 +77,7 @@ function sanitizeUser(u) {
     adminScope: u.adminScope || 'content_manager',
     isSuspended: Boolean(u.isSuspended),
     terminatedAt: u.terminatedAt || null,
+    lockedUntil: u.loginSecurity?.lockedUntil && u.loginSecurity.lockedUntil > new Date() ? u.loginSecurity.lockedUntil : null,
     subscription: {
       plan: u.subscription?.plan || 'basic',
       status: u.subscription?.status || 'active',
@@ -71,6 +93,11 @@ function sanitizeUser(u) {
   };
 }
 
+function auditUser(u) {
+  const { name, email, role, adminScope, isSuspended, terminatedAt, lockedUntil, subscription } = sanitizeUser(u);
+  return { name, email, role, adminScope, isSuspended, terminatedAt, lockedUntil, subscription };
+}
+
 function sanitizeMovie(m) {
   const movie = m.toObject ? m.toObject() : m;
   return {
@@ -147,20 +174,14 @@ function buildContentPayload(payload = {}) {
   };
 }
 
-async function getActor(req) {
-  const actorId = String(req.query.actorId || req.body?.actorId || '').trim();
-  if (!actorId) {
-    const e = new Error('actorId is required for admin actions.');
-    e.status = 400;
-    throw e;
-  }
-  const actor = await User.findById(actorId);
-  if (!actor) {
-    const e = new Error('Admin actor not found.');
-    e.status = 404;
+function getActor(req) {
+  const actor = req.userDoc;
+  if (!actor || !req.auth?.userId) {
+    const e = new Error('Authentication required for admin actions.');
+    e.status = 401;
     throw e;
   }
-  if (!['admin', 'superadmin'].includes(actor.role)) {
+  if (!['admin', 'superadmin'].includes(req.auth.role)) {
     const e = new Error('Not authorized for admin actions.');
     e.status = 403;
     throw e;
@@ -168,16 +189,8 @@ async function getActor(req) {
   return actor;
 }
 
-function hasCap(actor, cap) {
-  if (actor.role === 'superadmin') return true;
-  const scope = actor.adminScope || 'content_manager';
-  if (scope === 'full_access') return true;
-  if (scope === 'analytics_viewer') return ['dashboard', 'analytics'].includes(cap);
-  return ['dashboard', 'analytics', 'content', 'video', 'users', 'billing'].includes(cap);
-}
-
-function ensureCap(actor, cap) {
-  if (!hasCap(actor, cap)) {
+function ensureCap(auth, cap) {
+  if (!hasCap(auth, cap)) {
     const e = new Error(`Not authorized for ${cap}.`);
     e.status = 403;
     throw e;
@@ -187,8 +200,8 @@ function ensureCap(actor, cap) {
 async function withActor(req, res, next, cap, fn) {
   try {
     assertDbConnected();
-    const actor = await getActor(req);
-    ensureCap(actor, cap);
+    const actor = getActor(req);
+    ensureCap(req.auth, cap);
     return await fn(actor);
   } catch (error) {
     return next(error);
@@ -226,14 +239,18 @@ async function listContent(req, res, next) {
 async function createContent(req, res, next) {
   return withActor(req, res, next, 'content', async () => {
     const doc = await Movie.create(buildContentPayload(req.body || {}));
+    setAudit(req, { action: 'content.create', targetType: 'content', targetId: doc._id, after: sanitizeMovie(doc) });
     return res.status(201).json({ message: 'Content created.', data: sanitizeMovie(doc) });
   });
 }
 
 async function updateContent(req, res, next) {
   return withActor(req, res, next, 'content', async () => {
+    const previous = await Movie.findById(req.params.id);
+    if (!previous) return res.status(404).json({ message: 'Content not found.' });
     const doc = await Movie.findByIdAndUpdate(req.params.id, buildContentPayload(req.body || {}), { new: true, runValidators: true });
     if (!doc) return res.status(404).json({ message: 'Content not found.' });
+    setAudit(req, { action: 'content.update', targetType: 'content', targetId: doc._id, before: sanitizeMovie(previous), after: sanitizeMovie(doc) });
     return res.status(200).json({ message: 'Content updated.', data: sanitizeMovie(doc) });
   });
 }
@@ -242,6 +259,7 @@ async function deleteContent(req, res, next) {
   return withActor(req, res, next, 'content', async () => {
     const doc = await Movie.findByIdAndDelete(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Content not found.' });
+    setAudit(req, { action: 'content.delete', targetType: 'content', targetId: doc._id, before: sanitizeMovie(doc) });
     return res.status(200).json({ message: 'Content deleted.' });
   });
 }
@@ -265,6 +283,7 @@ async function bulkUploadContent(req, res, next) {
     }
     if (!parsed.length) return res.status(400).json({ message: 'Provide rows[] or csvText.' });
     const inserted = await Movie.insertMany(parsed.map(buildContentPayload), { ordered: false });
+    setAudit(req, { action: 'content.bulk_upload', targetType: 'content', after: { count: inserted.length, ids: inserted.map((d) => d._id.toString()) } });
     return res.status(201).json({ message: 'Bulk upload done.', count: inserted.length, data: inserted.map(sanitizeMovie) });
   });
 }
@@ -273,6 +292,7 @@ async function addSeason(req, res, next) {
   return withActor(req, res, next, 'content', async () => {
     const doc = await Movie.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Content not found.' });
+    const before = sanitizeMovie(doc);
     if (doc.type !== 'series') return res.status(400).json({ message: 'Seasons only apply to series.' });
     const seasonNumber = Number(req.body?.seasonNumber);
     if (!Number.isInteger(seasonNumber) || seasonNumber <= 0) return res.status(400).json({ message: 'seasonNumber required.' });
@@ -280,6 +300,7 @@ async function addSeason(req, res, next) {
     doc.seasons.push({ seasonNumber, title: String(req.body?.title || `Season ${seasonNumber}`), episodes: [] });
     doc.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
     await doc.save();
+    setAudit(req, { action: 'content.season_add', targetType: 'content', targetId: doc._id, before, after: sanitizeMovie(doc) });
     return res.status(201).json({ message: 'Season added.', data: sanitizeMovie(doc) });
   });
 }
@@ -288,6 +309,7 @@ async function addEpisode(req, res, next) {
   return withActor(req, res, next, 'content', async () => {
     const doc = await Movie.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Content not found.' });
+    const before = sanitizeMovie(doc);
     const season = doc.seasons.find((s) => s.seasonNumber === Number(req.params.seasonNumber));
     if (!season) return res.status(404).json({ message: 'Season not found.' });
     const episodeNumber = Number(req.body?.episodeNumber);
@@ -296,6 +318,7 @@ async function addEpisode(req, res, next) {
     season.episodes.push({ episodeNumber, title: String(req.body?.title || `Episode ${episodeNumber}`), description: String(req.body?.description || ''), airDate: req.body?.airDate ? new Date(req.body.airDate) : null, durationMinutes: Number(req.body?.durationMinutes) || null, videoUrl: String(req.body?.videoUrl || '') });
     season.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
     await doc.save();
+    setAudit(req, { action: 'content.episode_add', targetType: 'content', targetId: doc._id, before, after: sanitizeMovie(doc) });
     return res.status(201).json({ message: 'Episode added.', data: sanitizeMovie(doc) });
   });
 }
@@ -304,6 +327,7 @@ async function updateEpisode(req, res, next) {
   return withActor(req, res, next, 'content', async () => {
     const doc = await Movie.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Content not found.' });
+    const before = sanitizeMovie(doc);
     const season = doc.seasons.find((s) => s.seasonNumber === Number(req.params.seasonNumber));
     if (!season) return res.status(404).json({ message: 'Season not found.' });
     const episode = season.episodes.find((e) => e.episodeNumber === Number(req.params.episodeNumber));
@@ -315,6 +339,7 @@ async function updateEpisode(req, res, next) {
     if (body.durationMinutes !== undefined) episode.durationMinutes = Number(body.durationMinutes) || episode.durationMinutes;
     if (typeof body.videoUrl === 'string') episode.videoUrl = body.videoUrl.trim();
     await doc.save();
+    setAudit(req, { action: 'content.episode_update', targetType: 'content', targetId: doc._id, before, after: sanitizeMovie(doc) });
     return res.status(200).json({ message: 'Episode updated.', data: sanitizeMovie(doc) });
   });
 }
@@ -323,11 +348,13 @@ async function updateContentOrganization(req, res, next) {
   return withActor(req, res, next, 'content', async () => {
     const doc = await Movie.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Content not found.' });
+    const before = sanitizeMovie(doc);
     if (req.body?.collections !== undefined) doc.collections = parseListValue(req.body.collections);
     if (req.body?.categoryOverrides !== undefined) doc.categoryOverrides = parseListValue(req.body.categoryOverrides);
     if (req.body?.featured !== undefined) doc.featured = Boolean(req.body.featured);
     if (req.body?.featuredRank !== undefined) doc.featuredRank = Number(req.body.featuredRank) || null;
     await doc.save();
+    setAudit(req, { action: 'content.organization_update', targetType: 'content', targetId: doc._id, before, after: sanitizeMovie(doc) });
     return res.status(200).json({ message: 'Organization updated.', data: sanitizeMovie(doc) });
   });
 }
@@ -336,6 +363,7 @@ async function updateVideoAssets(req, res, next) {
   return withActor(req, res, next, 'video', async () => {
     const doc = await Movie.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Content not found.' });
+    const before = sanitizeMovie(doc);
     doc.videoAssets = {
       sourceUrl: String(req.body?.sourceUrl || doc.videoAssets?.sourceUrl || ''),
       formats: parseListValue(req.body?.formats).length ? parseListValue(req.body?.formats) : doc.videoAssets?.formats || [],
@@ -345,10 +373,85 @@ async function updateVideoAssets(req, res, next) {
     };
     if (typeof req.body?.trailerFileUrl === 'string') doc.trailerFileUrl = req.body.trailerFileUrl.trim();
     await doc.save();
+    setAudit(req, { action: 'content.video_assets_update', targetType: 'content', targetId: doc._id, before, after: sanitizeMovie(doc) });
     return res.status(200).json({ message: 'Video assets updated.', data: sanitizeMovie(doc) });
   });
 }
 
+async function getTmdbCacheStats(req, res, next) {
+  return withActor(req, res, next, 'content', async () => res.status(200).json({ data: await tmdbCache.stats() }));
+}
+
+// An optional path prefix (for example /trending/) purges just that part of the cache.
+async function purgeTmdbCache(req, res, next) {
+  return withActor(req, res, next, 'content', async () => {
+    const prefix = String(req.query.prefix || req.body?.prefix || '').trim();
+    if (prefix && !prefix.startsWith('/')) return res.status(400).json({ message: 'prefix must be a TMDB path starting with /.' });
+    const removed = await tmdbCache.purge(prefix);
+    setAudit(req, { action: 'tmdb_cache.purge', targetType: 'tmdb_cache', targetId: prefix || '*', after: { removed } });
+    return res.status(200).json({ message: prefix ? `Purged cached TMDB responses under ${prefix}.` : 'Purged all cached TMDB responses.', data: { removed } });
+  });
+}
+
+function sanitizeImportItem(item) {
+  return {
+    tmdbId: item.tmdbId,
+    type: item.type,
+    title: item.title,
+    action: item.action,
+    reason: item.reason || '',
+    changedFields: item.changedFields || [],
+    movieId: item.movieId ? item.movieId.toString() : '',
+  };
+}
+
+function sanitizeImportRun(run, { withItems = false } = {}) {
+  const summary = {
+    id: run._id.toString(),
+    trigger: run.trigger,
+    startedBy: run.startedBy ? run.startedBy.toString() : '',
+    status: run.status,
+    options: run.options,
+    counts: run.counts,
+    error: run.error || '',
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+  };
+  return withItems ? { ...summary, items: (run.items || []).map(sanitizeImportItem) } : summary;
+}
+
+async function listTmdbImports(req, res, next) {
+  return withActor(req, res, next, 'content', async () => {
+    const runs = await TmdbImportRun.find({}).select('-items').sort({ startedAt: -1 }).limit(20).lean();
+    return res.status(200).json({
+      count: runs.length,
+      running: isTmdbImportRunning(),
+      lists: Object.entries(TMDB_IMPORT_LISTS).map(([id, list]) => ({ id, label: list.label, type: list.type })),
+      data: runs.map((run) => sanitizeImportRun(run)),
+    });
+  });
+}
+
+async function getTmdbImport(req, res, next) {
+  return withActor(req, res, next, 'content', async () => {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Import run not found.' });
+    const run = await TmdbImportRun.findById(req.params.id).lean();
+    if (!run) return res.status(404).json({ message: 'Import run not found.' });
+    return res.status(200).json({ data: sanitizeImportRun(run, { withItems: true }) });
+  });
+}
+
+// Starts in the background and answers 202; poll the run for its report.
+async function startTmdbImportRun(req, res, next) {
+  return withActor(req, res, next, 'content', async (actor) => {
+    if (!process.env.TMDB_API_KEY) return res.status(503).json({ message: 'TMDB is not configured on this server.' });
+    const { run } = await startTmdbImport({ trigger: 'manual', startedBy: actor._id, body: req.body || {} });
+    const started = run.toObject();
+    setAudit(req, { action: 'tmdb_import.start', targetType: 'tmdb_import', targetId: run._id, after: started.options });
+    return res.status(202).json({ message: 'TMDB import started.', data: sanitizeImportRun(started) });
+  });
+}
+
 async function listUsers(req, res, next) {
   return withActor(req, res, next, 'users', async () => {
     const search = String(req.query.search || '').trim();
@@ -373,27 +476,31 @@ async function updateUserSubscription(req, res, next) {
   return withActor(req, res, next, 'users', async () => {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found.' });
+    const before = auditUser(user);
     const { plan = '', status = '', services = null, renewalDate = null } = req.body || {};
     if (['mobile', 'basic', 'standard', 'premium'].includes(plan)) user.subscription.plan = plan;
     if (['active', 'paused', 'cancelled'].includes(status)) user.subscription.status = status;
     if (Array.isArray(services)) user.subscription.services = services.filter((x) => typeof x === 'string');
     if (renewalDate) user.subscription.renewalDate = new Date(renewalDate);
     await user.save();
+    setAudit(req, { action: 'user.subscription_update', targetType: 'user', targetId: user._id, before, after: auditUser(user) });
     return res.status(200).json({ message: 'User subscription updated.', data: sanitizeUser(user) });
   });
 }
 
 async function updateUserRole(req, res, next) {
   return withActor(req, res, next, 'users', async (actor) => {
-    if (actor.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can update roles.' });
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can update roles.' });
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found.' });
+    const before = auditUser(user);
     const role = String(req.body?.role || '').trim();
     const adminScope = String(req.body?.adminScope || '').trim();
     if (!['user', 'admin', 'superadmin'].includes(role)) return res.status(400).json({ message: 'Invalid role value.' });
     user.role = role;
-    user.adminScope = role === 'superadmin' ? 'full_access' : ['content_manager', 'analytics_viewer', 'full_access'].includes(adminScope) ? adminScope : 'content_manager';
+    user.adminScope = role === 'superadmin' ? 'full_access' : ADMIN_SCOPES.includes(adminScope) ? adminScope : 'content_manager';
     await user.save();
+    setAudit(req, { action: 'user.role_update', targetType: 'user', targetId: user._id, before, after: auditUser(user) });
     return res.status(200).json({ message: 'User role updated.', data: sanitizeUser(user) });
   });
 }
@@ -402,21 +509,25 @@ async function setUserSuspension(req, res, next) {
   return withActor(req, res, next, 'users', async () => {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found.' });
+    const before = auditUser(user);
     user.isSuspended = Boolean(req.body?.isSuspended);
     await user.save();
+    setAudit(req, { action: user.isSuspended ? 'user.suspend' : 'user.reactivate', targetType: 'user', targetId: user._id, before, after: auditUser(user) });
     return res.status(200).json({ message: user.isSuspended ? 'User suspended.' : 'User reactivated.', data: sanitizeUser(user) });
   });
 }
 
 async function terminateUser(req, res, next) {
   return withActor(req, res, next, 'users', async (actor) => {
-    if (actor.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can terminate accounts.' });
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can terminate accounts.' });
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found.' });
+    const before = auditUser(user);
     if (user._id.toString() === actor._id.toString()) return res.status(400).json({ message: 'Super admin cannot terminate own account.' });
     user.terminatedAt = new Date();
     user.subscription.status = 'cancelled';
     await user.save();
+    setAudit(req, { action: 'user.terminate', targetType: 'user', targetId: user._id, before, after: auditUser(user) });
     return res.status(200).json({ message: 'User account terminated.', data: sanitizeUser(user) });
   });
 }
@@ -428,20 +539,232 @@ async function resetUserPassword(req, res, next) {
     const temporaryPassword = `Reset@${Math.random().toString(36).slice(-6)}1`;
     user.passwordHash = await bcrypt.hash(temporaryPassword, 10);
     await user.save();
+    setAudit(req, { action: 'user.password_reset', targetType: 'user', targetId: user._id });
     return res.status(200).json({ message: 'Password reset successful.', data: { userId: user._id.toString(), temporaryPassword } });
   });
 }
 
+async function unlockUser(req, res, next) {
+  return withActor(req, res, next, 'users', async () => {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    const before = auditUser(user);
+    clearFailedAttempts(user);
+    await user.save();
+    setAudit(req, { action: 'user.unlock', targetType: 'user', targetId: user._id, before, after: auditUser(user) });
+    await clearRateLimit('login-account', user.email);
+    return res.status(200).json({ message: 'Account unlocked.', data: sanitizeUser(user) });
+  });
+}
+
+async function listUserSessions(req, res, next) {
+  return withActor(req, res, next, 'users', async () => {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    const rows = listActiveSessions(user, req.auth.userId === user._id.toString() ? req.auth.sessionId : '');
+    return res.status(200).json({ count: rows.length, data: rows });
+  });
+}
+
+async function revokeUserSession(req, res, next) {
+  return withActor(req, res, next, 'users', async () => {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    const revoked = revokeSessions(user, (sessionId) => sessionId === req.params.sessionId, 'admin_revoked');
+    if (!revoked) return res.status(404).json({ message: 'Session not found.' });
+    await user.save();
+    setAudit(req, { action: 'user.session_revoke', targetType: 'user', targetId: user._id, after: { sessionId: req.params.sessionId } });
+    return res.status(200).json({ message: 'Session revoked.', data: { revoked } });
+  });
+}
+
+async function revokeAllUserSessions(req, res, next) {
+  return withActor(req, res, next, 'users', async () => {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    const revoked = revokeSessions(user, () => true, 'admin_revoked');
+    await user.save();
+    setAudit(req, { action: 'user.sessions_revoke_all', targetType: 'user', targetId: user._id, after: { revoked } });
+    return res.status(200).json({ message: 'All sessions revoked.', data: { revoked } });
+  });
+}
+
 async function deleteUser(req, res, next) {
   return withActor(req, res, next, 'users', async (actor) => {
-    if (actor.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can delete users.' });
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can delete users.' });
     if (actor._id.toString() === req.params.id) return res.status(400).json({ message: 'Super admin cannot delete own account.' });
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found.' });
+    setAudit(req, { action: 'user.delete', targetType: 'user', targetId: user._id, before: auditUser(user) });
     return res.status(200).json({ message: 'User deleted.' });
   });
 }
 
+async function startImpersonation(req, res, next) {
+  return withActor(req, res, next, 'support', async (actor) => {
+    if (req.auth.impersonatedBy) return res.status(403).json({ message: 'Impersonation sessions cannot be nested.' });
+    const reason = String(req.body?.reason || '').trim().slice(0, 500);
+    if (!reason) return res.status(400).json({ message: 'A reason is required to impersonate a user.' });
+    const target = await User.findById(req.params.id);
+    if (!target) return res.status(404).json({ message: 'User not found.' });
+    if (target._id.equals(actor._id)) return res.status(400).json({ message: 'You cannot impersonate yourself.' });
+    if (target.role !== 'user') return res.status(403).json({ message: 'Only subscriber accounts can be impersonated.' });
+    if (target.terminatedAt) return res.status(409).json({ message: 'Terminated accounts cannot be impersonated.' });
+
+    const minutes = clampImpersonationMinutes(req.body?.minutes);
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    const session = await ImpersonationSession.create({ actor: actor._id, actorEmail: actor.email, actorRole: req.auth.role, target: target._id, targetEmail: target.email, reason, expiresAt, ipAddress: String(req.ip || '') });
+    const accessToken = createAccessToken({ userId: target._id.toString(), role: target.role, email: target.email, isEmailVerified: Boolean(target.isEmailVerified), impersonatedBy: actor._id.toString(), imp: session._id.toString() }, minutes * 60);
+    setAudit(req, { action: 'user.impersonation_start', targetType: 'user', targetId: target._id, after: { reason, expiresAt, impersonationId: session._id.toString() } });
+    return res.status(201).json({ message: `Now viewing the app as ${target.email}.`, data: { accessToken, tokenType: 'Bearer', expiresIn: minutes * 60, expiresAt, impersonationId: session._id.toString(), user: sanitizeAccountUser(target) } });
+  });
+}
+
+async function listAdminInvites(req, res, next) {
+  return withActor(req, res, next, 'users', async () => {
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can manage invitations.' });
+    const invites = await AdminInvite.find({}).sort({ createdAt: -1 }).limit(200).populate('invitedBy', 'name email');
+    return res.status(200).json({ count: invites.length, data: invites.map(sanitizeInvite) });
+  });
+}
+
+async function createAdminInvite(req, res, next) {
+  return withActor(req, res, next, 'users', async (actor) => {
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can manage invitations.' });
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const role = String(req.body?.role || 'admin').trim();
+    const adminScope = role === 'superadmin' ? 'full_access' : String(req.body?.adminScope || 'content_manager').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ message: 'A valid email is required.' });
+    if (!['admin', 'superadmin'].includes(role)) return res.status(400).json({ message: 'Invalid role value.' });
+    if (!ADMIN_SCOPES.includes(adminScope)) return res.status(400).json({ message: 'Invalid admin scope.' });
+
+    await AdminInvite.updateMany({ email, acceptedAt: null, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    const { token, expiresAt } = createOneTimeToken(ADMIN_INVITE_TTL_HOURS * 60);
+    const invite = await AdminInvite.create({ email, role, adminScope, tokenHash: hashToken(token), expiresAt, invitedBy: actor._id });
+    const delivery = await sendMail({ to: email, template: 'adminInvite', data: { inviterName: actor.name, role, adminScope, expiresAt, link: appUrl('/accept-invite', { token }) } });
+    await invite.populate('invitedBy', 'name email');
+    setAudit(req, { action: 'invite.create', targetType: 'invite', targetId: invite._id, after: { email, role, adminScope, expiresAt } });
+    return res.status(201).json({ message: delivery.delivered ? 'Invitation sent.' : 'Invitation created, but the email could not be sent.', data: sanitizeInvite(invite) });
+  });
+}
+
+async function revokeAdminInvite(req, res, next) {
+  return withActor(req, res, next, 'users', async () => {
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can manage invitations.' });
+    const invite = await AdminInvite.findById(req.params.id).populate('invitedBy', 'name email');
+    if (!invite) return res.status(404).json({ message: 'Invitation not found.' });
+    if (invite.acceptedAt) return res.status(400).json({ message: 'Invitation was already accepted.' });
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+    setAudit(req, { action: 'invite.revoke', targetType: 'invite', targetId: invite._id, after: { email: invite.email, revokedAt: invite.revokedAt } });
+    return res.status(200).json({ message: 'Invitation revoked.', data: sanitizeInvite(invite) });
+  });
+}
+
+async function getSigningKeys(req, res, next) {
+  return withActor(req, res, next, 'security', async () => {
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can manage signing keys.' });
+    await loadSigningKeys();
+    return res.status(200).json({ data: listSigningKeys() });
+  });
+}
+
+async function createSigningKey(req, res, next) {
+  return withActor(req, res, next, 'security', async (actor) => {
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can manage signing keys.' });
+    const key = await addSigningKey({ createdBy: actor._id.toString() });
+    setAudit(req, { action: 'signing_key.add', targetType: 'signing_key', targetId: key.kid, after: { status: key.status } });
+    return res.status(201).json({ message: 'Signing key added. It starts signing new access tokens after the next key ring refresh.', data: key });
+  });
+}
+
+async function retireSigningKeyById(req, res, next) {
+  return withActor(req, res, next, 'security', async () => {
+    if (req.auth.role !== 'superadmin') return res.status(403).json({ message: 'Only super admin can manage signing keys.' });
+    await loadSigningKeys();
+    const key = await retireSigningKey(req.params.kid);
+    setAudit(req, { action: 'signing_key.retire', targetType: 'signing_key', targetId: key.kid, before: { status: 'active' }, after: { status: key.status } });
+    return res.status(200).json({ message: 'Signing key retired. Tokens signed with it are no longer accepted.', data: key });
+  });
+}
+
+const AUDIT_CSV_COLUMNS = [
+  { label: 'timestamp', value: (row) => row.createdAt },
+  { label: 'actor_id', value: (row) => row.actorId },
+  { label: 'actor_email', value: (row) => row.actorEmail },
+  { label: 'actor_role', value: (row) => row.actorRole },
+  { label: 'action', value: (row) => row.action },
+  { label: 'target_type', value: (row) => row.targetType },
+  { label: 'target_id', value: (row) => row.targetId },
+  { label: 'impersonation_id', value: (row) => row.impersonationId },
+  { label: 'status_code', value: (row) => row.statusCode },
+  { label: 'method', value: (row) => row.method },
+  { label: 'path', value: (row) => row.path },
+  { label: 'ip_address', value: (row) => row.ipAddress },
+  { label: 'diff', value: (row) => row.diff },
+];
+
+function sanitizeAuditEntry(entry) {
+  return {
+    id: entry._id.toString(),
+    actorId: entry.actor ? entry.actor.toString() : '',
+    actorEmail: entry.actorEmail || '',
+    actorRole: entry.actorRole || '',
+    action: entry.action,
+    targetType: entry.targetType || '',
+    targetId: entry.targetId || '',
+    diff: entry.diff || [],
+    impersonationId: entry.impersonation ? entry.impersonation.toString() : '',
+    statusCode: entry.statusCode ?? null,
+    method: entry.method || '',
+    path: entry.path || '',
+    ipAddress: entry.ipAddress || '',
+    createdAt: entry.createdAt,
+  };
+}
+
+function buildAuditFilter(query) {
+  const filter = {};
+  const actor = String(query.actor || '').trim();
+  if (actor) filter.$or = mongoose.isValidObjectId(actor) ? [{ actor }, { actorEmail: actor.toLowerCase() }] : [{ actorEmail: actor.toLowerCase() }];
+  ['targetType', 'targetId', 'action'].forEach((key) => {
+    const value = String(query[key] || '').trim();
+    if (value) filter[key] = value;
+  });
+  const impersonation = String(query.impersonation || '').trim();
+  if (impersonation && mongoose.isValidObjectId(impersonation)) filter.impersonation = impersonation;
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    const error = new Error('from and to must be valid dates.');
+    error.status = 400;
+    throw error;
+  }
+  if (from || to) filter.createdAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+  return filter;
+}
+
+async function listAuditLog(req, res, next) {
+  return withActor(req, res, next, 'audit', async () => {
+    const filter = buildAuditFilter(req.query);
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      const rows = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(10000).lean();
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(toCsv(AUDIT_CSV_COLUMNS, rows.map(sanitizeAuditEntry)));
+    }
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const [total, rows] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ]);
+    return res.status(200).json({ count: rows.length, total, page, limit, data: rows.map(sanitizeAuditEntry) });
+  });
+}
+
 async function getSubscriptionPlans(req, res, next) {
   return withActor(req, res, next, 'billing', async () => res.status(200).json({ count: billingStore.plans.length, data: billingStore.plans }));
 }
@@ -452,6 +775,7 @@ async function upsertSubscriptionPlan(req, res, next) {
     if (!id) return res.status(400).json({ message: 'Plan id is required.' });
     const payload = { id, name: String(req.body?.name || id).trim(), price: Number(req.body?.price || 0), currency: String(req.body?.currency || 'INR').trim(), features: parseListValue(req.body?.features) };
     const idx = billingStore.plans.findIndex((p) => p.id === id);
+    setAudit(req, { action: idx >= 0 ? 'plan.update' : 'plan.create', targetType: 'plan', targetId: id, before: idx >= 0 ? billingStore.plans[idx] : null, after: payload });
     if (idx >= 0) billingStore.plans[idx] = payload; else billingStore.plans.push(payload);
     return res.status(200).json({ message: 'Plan saved.', data: payload });
   });
@@ -467,6 +791,7 @@ async function upsertPromotion(req, res, next) {
     if (!code) return res.status(400).json({ message: 'Promotion code is required.' });
     const payload = { code, discountPercent: Math.max(0, Math.min(100, Number(req.body?.discountPercent || 0))), freeTrialDays: Math.max(0, Number(req.body?.freeTrialDays || 0)), startsAt: req.body?.startsAt ? new Date(req.body.startsAt) : null, endsAt: req.body?.endsAt ? new Date(req.body.endsAt) : null, partner: String(req.body?.partner || '').trim(), season: String(req.body?.season || '').trim() };
     const idx = billingStore.promotions.findIndex((p) => p.code === code);
+    setAudit(req, { action: idx >= 0 ? 'promotion.update' : 'promotion.create', targetType: 'promotion', targetId: code, before: idx >= 0 ? billingStore.promotions[idx] : null, after: payload });
     if (idx >= 0) billingStore.promotions[idx] = payload; else billingStore.promotions.push(payload);
     return res.status(200).json({ message: 'Promotion saved.', data: payload });
   });
@@ -479,6 +804,8 @@ async function generateInvoice(req, res, next) {
     const invoice = { invoiceId: `INV-${Date.now()}`, amount: Number(req.body?.amount || 0), currency: String(req.body?.currency || 'INR').trim(), status: String(req.body?.status || 'paid').trim(), paidAt: new Date(), plan: String(req.body?.plan || user.subscription?.plan || 'basic').trim() };
     user.paymentHistory.push(invoice);
     await user.save();
+    setAudit(req, { action: 'invoice.create', targetType: 'user', targetId: user._id, after: invoice });
+    if (invoice.status === 'paid') await sendMail({ to: user.email, template: 'receipt', data: { name: user.name, ...invoice } });
     return res.status(201).json({ message: 'Invoice generated.', data: invoice });
   });
 }
@@ -524,6 +851,11 @@ module.exports = {
   updateEpisode,
   updateContentOrganization,
   updateVideoAssets,
+  getTmdbCacheStats,
+  purgeTmdbCache,
+  listTmdbImports,
+  getTmdbImport,
+  startTmdbImportRun,
   listUsers,
   getUserBehavior,
   updateUserSubscription,
@@ -531,7 +863,19 @@ module.exports = {
   setUserSuspension,
   terminateUser,
   resetUserPassword,
+  unlockUser,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
   deleteUser,
+  listAdminInvites,
+  createAdminInvite,
+  revokeAdminInvite,
+  getSigningKeys,
+  createSigningKey,
+  retireSigningKeyById,
+  listAuditLog,
+  startImpersonation,
   getSubscriptionPlans,
   upsertSubscriptionPlan,
   getPromotions,
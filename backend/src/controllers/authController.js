@@ -1,35 +1,90 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const RotatedRefreshToken = require('../models/RotatedRefreshToken');
 const {
   hashToken,
   createAccessToken,
   verifyAccessToken,
   createRefreshToken,
   createOneTimeToken,
+  createSessionId,
+  classifyRefreshToken,
+  revokeTokenFamily,
+  pruneRefreshTokens,
   ACCESS_TOKEN_TTL_SECONDS,
 } = require('../utils/tokenService');
+const { recordSecurityEvent, sendLoginAlert } = require('../utils/securityAlerts');
+const { sendMail, appUrl } = require('../mail');
+const { sanitizeInvite, findPendingInvite, applyClaimedInvite, inviteDowngradeReason } = require('../utils/adminInvites');
+const {
+  lockRemainingMs,
+  registerFailedAttempt,
+  clearFailedAttempts,
+  lockoutError,
+} = require('../utils/loginSecurity');
+const {
+  sessionIdOf,
+  hasActiveSession,
+  listActiveSessions,
+  sessionProfileId,
+  revokeSessions,
+} = require('../utils/sessions');
+const { readRefreshToken, clearSessionCookies, withSessionCookie } = require('../utils/sessionCookies');
+const { clearRateLimit } = require('../middleware/rateLimit');
+const {
+  MAX_API_TOKENS_PER_USER,
+  API_TOKEN_MAX_TTL_DAYS,
+  createApiToken,
+  isActiveApiToken,
+  grantableScopes,
+  normalizeScopes,
+  clampTtlDays,
+  sanitizeApiToken,
+  listActiveApiTokens,
+  pruneApiTokens,
+} = require('../utils/apiTokens');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  isDeletionPending,
+  scheduleDeletion,
+  cancelDeletion,
+} = require('../utils/accountDeletion');
+const { sanitizeUser } = require('../utils/users');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('../utils/totp');
+const {
+  OIDC_LOGIN_TTL_MINUTES,
+  loadOidcProviders,
+  getOidcProvider,
+  createPkcePair,
+  createLoginBinding,
+  loginBindingMatches,
+  discoverProvider,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  isEmailClaimVerified,
+} = require('../utils/oidc');
 
 const MAX_REFRESH_TOKENS_PER_USER = Number(process.env.MAX_REFRESH_TOKENS_PER_USER || 5);
-
-function sanitizeUser(userDoc) {
-  return {
-    id: userDoc._id.toString(),
-    name: userDoc.name,
-    email: userDoc.email,
-    avatar: userDoc.avatar,
-    profileId: userDoc.profileId || '',
-    role: userDoc.role || 'user',
-    isEmailVerified: Boolean(userDoc.isEmailVerified),
-    subscription: {
-      plan: userDoc.subscription?.plan || 'basic',
-      status: userDoc.subscription?.status || 'active',
-      services: Array.isArray(userDoc.subscription?.services) ? userDoc.subscription.services : [],
-      renewalDate: userDoc.subscription?.renewalDate || null,
-    },
-    createdAt: userDoc.createdAt,
-  };
-}
+const MAX_REVOKED_REFRESH_TOKENS = 20;
+const LOGIN_CHALLENGE_TTL_SECONDS = Number(process.env.LOGIN_CHALLENGE_TTL_SECONDS || 5 * 60);
+const TWO_FACTOR_ENROLLMENT_TTL_MS = 15 * 60 * 1000;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Netflix Clone';
+const EMAIL_VERIFICATION_TTL_MINUTES = 60;
+const PASSWORD_RESET_TTL_MINUTES = 30;
+const MAGIC_LINK_TTL_MINUTES = Number(process.env.MAGIC_LINK_TTL_MINUTES || 15);
+const EMAIL_CHANGE_TTL_MINUTES = 60;
+const EMAIL_CHANGE_REVERT_TTL_HOURS = Number(process.env.EMAIL_CHANGE_REVERT_TTL_HOURS || 72);
 
 function assertDbConnected() {
   if (mongoose.connection.readyState !== 1) {
@@ -47,34 +102,62 @@ function pickActorUser(req, fallbackUserId = '') {
   return tokenPayload?.userId || String(fallbackUserId || '').trim();
 }
 
-function issueAccessToken(user) {
+function issueAccessToken(user, sessionId = '') {
   return createAccessToken({
     userId: user._id.toString(),
     role: user.role,
     email: user.email,
     isEmailVerified: Boolean(user.isEmailVerified),
+    sid: sessionId || undefined,
   });
 }
 
-function registerRefreshToken(user, req) {
+function registerRefreshToken(user, req, { sessionId = '', signedInAt = null, profileId = '' } = {}) {
   const { token, expiresAt } = createRefreshToken();
   const tokenHash = hashToken(token);
+  const now = new Date();
+  const nextSessionId = sessionId || createSessionId();
 
   user.refreshTokens = Array.isArray(user.refreshTokens) ? user.refreshTokens : [];
   user.refreshTokens.push({
     tokenHash,
+    sessionId: nextSessionId,
     expiresAt,
-    createdAt: new Date(),
+    createdAt: now,
+    signedInAt: signedInAt || now,
+    lastUsedAt: now,
     revokedAt: null,
     userAgent: String(req.headers['user-agent'] || '').slice(0, 255),
     ipAddress: String(req.ip || ''),
+    profileId,
   });
 
-  user.refreshTokens = user.refreshTokens
-    .filter((entry) => !entry.revokedAt && new Date(entry.expiresAt).getTime() > Date.now())
-    .slice(-MAX_REFRESH_TOKENS_PER_USER);
+  user.refreshTokens = pruneRefreshTokens(user.refreshTokens, {
+    maxActive: MAX_REFRESH_TOKENS_PER_USER,
+    maxRevoked: MAX_REVOKED_REFRESH_TOKENS,
+  });
+
+  return { refreshToken: token, sessionId: nextSessionId, expiresAt };
+}
+
+// Rotated hashes outlive the user document's pruned entries; every rotation moves the whole
+// session's expiry out with the new token.
+async function recordRotation(user, entry, sessionExpiresAt) {
+  const sessionId = sessionIdOf(entry);
+  await RotatedRefreshToken.updateMany({ user: user._id, sessionId }, { $set: { expiresAt: sessionExpiresAt } });
+  await RotatedRefreshToken.updateOne(
+    { tokenHash: entry.tokenHash },
+    {
+      $setOnInsert: { user: user._id, sessionId, rotatedAt: entry.revokedAt },
+      $set: { expiresAt: sessionExpiresAt },
+    },
+    { upsert: true }
+  );
+}
 
-  return token;
+function startSession(user, req) {
+  const { refreshToken, sessionId } = registerRefreshToken(user, req);
+  return { accessToken: issueAccessToken(user, sessionId), refreshToken };
 }
 
 function authPayload(user, accessToken, refreshToken, extras = {}) {
@@ -88,10 +171,165 @@ function authPayload(user, accessToken, refreshToken, extras = {}) {
   };
 }
 
+function issueRecoveryCodes(user) {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map((code) => ({
+    codeHash: hashToken(normalizeRecoveryCode(code)),
+    usedAt: null,
+  }));
+  return codes;
+}
+
+function countRecoveryCodes(user) {
+  return (user.twoFactor?.recoveryCodes || []).filter((entry) => !entry.usedAt).length;
+}
+
+// Codes are claimed with a conditional update, so two requests racing with the same code cannot both pass.
+async function verifySecondFactor(user, { code = '', recoveryCode = '' }) {
+  if (String(code).trim()) {
+    const step = verifyTotp(user.twoFactor.secret, String(code));
+    if (step === null) {
+      return false;
+    }
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } },
+      { projection: { _id: 1 } }
+    );
+    if (!claimed) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const normalized = normalizeRecoveryCode(recoveryCode);
+  if (!normalized) {
+    return false;
+  }
+  const codeHash = hashToken(normalized);
+  const entry = (user.twoFactor.recoveryCodes || []).find((item) => item.codeHash === codeHash && !item.usedAt);
+  if (!entry) {
+    return false;
+  }
+  const usedAt = new Date();
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': usedAt } },
+    { projection: { _id: 1 } }
+  );
+  if (!claimed) {
+    return false;
+  }
+  entry.usedAt = usedAt;
+  return true;
+}
+
+async function startEmailVerification(user) {
+  const tokenRecord = createOneTimeToken(EMAIL_VERIFICATION_TTL_MINUTES);
+  user.emailVerification = {
+    tokenHash: hashToken(tokenRecord.token),
+    expiresAt: tokenRecord.expiresAt,
+    requestedAt: new Date(),
+    verifiedAt: null,
+  };
+  await user.save();
+
+  return sendMail({
+    to: user.email,
+    template: 'verifyEmail',
+    data: {
+      name: user.name,
+      link: appUrl('/verify-email', { token: tokenRecord.token }),
+      expiresInMinutes: EMAIL_VERIFICATION_TTL_MINUTES,
+    },
+  });
+}
+
+async function startEmailChange(user, newEmail) {
+  const confirmRecord = createOneTimeToken(EMAIL_CHANGE_TTL_MINUTES);
+  const revertRecord = createOneTimeToken(EMAIL_CHANGE_REVERT_TTL_HOURS * 60);
+  user.emailChange = {
+    newEmail,
+    previousEmail: user.email,
+    tokenHash: hashToken(confirmRecord.token),
+    expiresAt: confirmRecord.expiresAt,
+    revertTokenHash: hashToken(revertRecord.token),
+    revertExpiresAt: revertRecord.expiresAt,
+    requestedAt: new Date(),
+    confirmedAt: null,
+  };
+  await user.save();
+
+  await Promise.all([
+    sendMail({
+      to: newEmail,
+      template: 'emailChangeConfirm',
+      data: {
+        name: user.name,
+        newEmail,
+        link: appUrl('/confirm-email-change', { token: confirmRecord.token }),
+        expiresInMinutes: EMAIL_CHANGE_TTL_MINUTES,
+      },
+    }),
+    sendMail({
+      to: user.email,
+      template: 'emailChangeNotice',
+      data: {
+        name: user.name,
+        newEmail,
+        link: appUrl('/revert-email-change', { token: revertRecord.token }),
+        expiresInHours: EMAIL_CHANGE_REVERT_TTL_HOURS,
+      },
+    }),
+  ]);
+}
+
+function assertNotLocked(user) {
+  const remainingMs = lockRemainingMs(user);
+  if (remainingMs > 0) {
+    throw lockoutError(remainingMs);
+  }
+}
+
+async function recordFailedAttempt(user) {
+  const remainingMs = registerFailedAttempt(user);
+  await user.save();
+  if (remainingMs > 0) {
+    throw lockoutError(remainingMs);
+  }
+}
+
+async function notifyDeletionCancelled(user) {
+  await sendMail({ to: user.email, template: 'accountDeletionCancelled', data: { name: user.name } });
+}
+
+function newAccountFields(displayName) {
+  return {
+    avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(displayName)}`,
+    role: 'user',
+    profileId: `user-${Date.now().toString(36).slice(-6)}`,
+    profiles: [{ name: displayName.slice(0, 40) }],
+    subscription: {
+      plan: 'basic',
+      status: 'active',
+      services: ['streaming-hd'],
+      renewalDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    },
+  };
+}
+
+function issueLoginChallenge(user) {
+  return createAccessToken(
+    { userId: user._id.toString(), purpose: 'login_2fa' },
+    LOGIN_CHALLENGE_TTL_SECONDS
+  );
+}
+
 async function register(req, res, next) {
   try {
     assertDbConnected();
-    const { name = '', email = '', password = '', role = 'user' } = req.body || {};
+    const { name = '', email = '', password = '' } = req.body || {};
 
     if (!name.trim() || !email.trim() || !password.trim()) {
       return res.status(400).json({ message: 'Name, email, and password are required.' });
@@ -108,45 +346,26 @@ async function register(req, res, next) {
 
     const displayName = name.trim();
     const passwordHash = await bcrypt.hash(password.trim(), 10);
-    const avatar = `https://ui-avatars.com/api/?name=${encodeURIComponent(displayName)}`;
-    const allowedRoles = new Set(['user', 'admin', 'superadmin']);
-    const safeRole = allowedRoles.has(String(role).toLowerCase()) ? String(role).toLowerCase() : 'user';
-    const profileId = `user-${Date.now().toString(36).slice(-6)}`;
 
     const user = await User.create({
+      ...newAccountFields(displayName),
       name: displayName,
       email: normalizedEmail,
       passwordHash,
-      avatar,
-      role: safeRole,
-      profileId,
       isEmailVerified: false,
-      subscription: {
-        plan: 'basic',
-        status: 'active',
-        services: ['streaming-hd'],
-        renewalDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-      },
     });
 
-    const verificationTokenRecord = createOneTimeToken(60);
-    user.emailVerification = {
-      tokenHash: hashToken(verificationTokenRecord.token),
-      expiresAt: verificationTokenRecord.expiresAt,
-      requestedAt: new Date(),
-      verifiedAt: null,
-    };
-
-    const accessToken = issueAccessToken(user);
-    const refreshToken = registerRefreshToken(user, req);
-    await user.save();
+    const { accessToken, refreshToken } = startSession(user, req);
+    const delivery = await startEmailVerification(user);
+    if (!delivery.delivered) {
+      console.warn(`Verification email for new account ${user._id} was not sent.`);
+    }
 
     return res.status(201).json({
-      message: 'Account created',
-      data: authPayload(user, accessToken, refreshToken, {
-        emailVerificationToken:
-          process.env.NODE_ENV !== 'production' ? verificationTokenRecord.token : undefined,
-      }),
+      message: delivery.delivered
+        ? 'Account created. Check your inbox to verify your email.'
+        : 'Account created, but the verification email could not be sent. You can request another from Settings.',
+      data: withSessionCookie(req, res, authPayload(user, accessToken, refreshToken)),
     });
   } catch (error) {
     return next(error);
@@ -172,58 +391,266 @@ async function login(req, res, next) {
     if (user.isSuspended) {
       return res.status(403).json({ message: 'Account is suspended.' });
     }
+    assertNotLocked(user);
 
     const isValid = await bcrypt.compare(password.trim(), user.passwordHash);
     if (!isValid) {
+      await recordFailedAttempt(user);
       return res.status(401).json({ message: 'Invalid email or password.' });
     }
+    // The per-account limiter is there for password guesses, not for people who know theirs.
+    await clearRateLimit('login-account', normalizedEmail);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: 'Two-factor verification required.',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueLoginChallenge(user),
+          expiresIn: LOGIN_CHALLENGE_TTL_SECONDS,
+        },
+      });
+    }
 
-    const accessToken = issueAccessToken(user);
-    const refreshToken = registerRefreshToken(user, req);
+    clearFailedAttempts(user);
+    const deletionCancelled = cancelDeletion(user);
+    const { accessToken, refreshToken } = startSession(user, req);
     await user.save();
+    if (deletionCancelled) await notifyDeletionCancelled(user);
 
     return res.status(200).json({
-      message: 'Login successful',
-      data: authPayload(user, accessToken, refreshToken),
+      message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+      data: withSessionCookie(req, res, authPayload(user, accessToken, refreshToken, { deletionCancelled })),
     });
   } catch (error) {
     return next(error);
   }
 }
 
-async function refreshSession(req, res, next) {
+async function loginWithTwoFactor(req, res, next) {
   try {
     assertDbConnected();
-    const { refreshToken = '' } = req.body || {};
-    if (!refreshToken.trim()) {
-      return res.status(400).json({ message: 'refreshToken is required.' });
+    const { challengeToken = '', code = '', recoveryCode = '' } = req.body || {};
+    if (!String(challengeToken).trim() || (!String(code).trim() && !String(recoveryCode).trim())) {
+      return res.status(400).json({ message: 'Challenge token and a verification code are required.' });
     }
 
-    const tokenHash = hashToken(refreshToken.trim());
-    const user = await User.findOne({
-      refreshTokens: {
-        $elemMatch: {
-          tokenHash,
-          revokedAt: null,
-          expiresAt: { $gt: new Date() },
-        },
+    const payload = verifyAccessToken(String(challengeToken).trim(), { purpose: 'login_2fa' });
+    const user = payload?.userId ? await User.findById(payload.userId) : null;
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Sign-in challenge is invalid or expired. Please sign in again.' });
+    }
+    if (user.terminatedAt) {
+      return res.status(403).json({ message: 'Account is terminated.' });
+    }
+    if (user.isSuspended) {
+      return res.status(403).json({ message: 'Account is suspended.' });
+    }
+
+    assertNotLocked(user);
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailedAttempt(user);
+      return res.status(401).json({ message: 'Invalid verification code.' });
+    }
+
+    clearFailedAttempts(user);
+    const deletionCancelled = cancelDeletion(user);
+    const { accessToken, refreshToken } = startSession(user, req);
+    await user.save();
+    if (deletionCancelled) await notifyDeletionCancelled(user);
+
+    return res.status(200).json({
+      message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+      data: withSessionCookie(req, res, authPayload(user, accessToken, refreshToken, {
+        recoveryCodesRemaining: countRecoveryCodes(user),
+        deletionCancelled,
+      })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function enrollTwoFactor(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    user.twoFactor.pendingCreatedAt = new Date();
+    await user.save();
+
+    return res.status(200).json({
+      message: 'Scan the code with your authenticator app, then confirm with a 6-digit code.',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER }),
       },
     });
-    if (!user) {
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function confirmTwoFactor(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const { code = '' } = req.body || {};
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret || '';
+    const startedAt = new Date(user.twoFactor?.pendingCreatedAt || 0).getTime();
+    if (!pendingSecret || startedAt + TWO_FACTOR_ENROLLMENT_TTL_MS < Date.now()) {
+      return res.status(400).json({ message: 'Enrollment expired or not started. Start two-factor setup again.' });
+    }
+
+    const step = verifyTotp(pendingSecret, String(code));
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code.' });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = '';
+    user.twoFactor.pendingCreatedAt = null;
+    user.twoFactor.confirmedAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { user: sanitizeUser(user), recoveryCodes },
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function disableTwoFactor(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const { password = '', code = '', recoveryCode = '' } = req.body || {};
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+    }
+    if (!String(password).trim()) {
+      return res.status(400).json({ message: 'Password is required.' });
+    }
+
+    const isValid = await bcrypt.compare(String(password).trim(), user.passwordHash);
+    if (!isValid) {
+      return res.status(401).json({ message: 'Current password is incorrect.' });
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid verification code.' });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: '',
+      pendingSecret: '',
+      pendingCreatedAt: null,
+      confirmedAt: null,
+      lastUsedStep: 0,
+      recoveryCodes: [],
+    };
+    await user.save();
+
+    return res.status(200).json({ message: 'Two-factor authentication disabled.', data: sanitizeUser(user) });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function regenerateRecoveryCodes(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const { code = '' } = req.body || {};
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+    }
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({ message: 'Invalid verification code.' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    return res.status(200).json({ message: 'Recovery codes regenerated.', data: { recoveryCodes } });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function refreshSession(req, res, next) {
+  try {
+    assertDbConnected();
+    const { token: refreshToken, fromCookie } = readRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required.' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    let user = await User.findOne({ 'refreshTokens.tokenHash': tokenHash });
+    const currentEntry = user?.refreshTokens.find((entry) => entry.tokenHash === tokenHash);
+    let tokenState = classifyRefreshToken(currentEntry);
+    let sessionId = sessionIdOf(currentEntry);
+
+    // Tokens rotated long ago are no longer on the user document, but their hashes are kept.
+    if (tokenState === 'unknown') {
+      const rotated = await RotatedRefreshToken.findOne({ tokenHash });
+      user = rotated ? await User.findById(rotated.user) : null;
+      if (user) {
+        tokenState = 'reused';
+        sessionId = rotated.sessionId;
+      }
+    }
+    if (tokenState === 'grace' && !hasActiveSession(user, sessionId)) {
+      tokenState = 'revoked';
+    }
+
+    if (tokenState === 'reused') {
+      revokeTokenFamily(user.refreshTokens, sessionId, { reason: 'reuse_detected' });
+      const event = recordSecurityEvent(user, { type: 'refresh_token_reuse', sessionId, req });
+      await user.save();
+      await sendLoginAlert(user, event);
+      if (fromCookie) clearSessionCookies(res);
+      return res.status(401).json({ message: 'Refresh token has already been used. Please sign in again.' });
+    }
+    if (tokenState !== 'active' && tokenState !== 'grace') {
+      if (fromCookie) clearSessionCookies(res);
       return res.status(401).json({ message: 'Invalid refresh token.' });
     }
 
-    user.refreshTokens = (user.refreshTokens || []).map((entry) => (
-      entry.tokenHash === tokenHash ? { ...entry.toObject(), revokedAt: new Date() } : entry
-    ));
+    const signedInAt = currentEntry.signedInAt || currentEntry.createdAt;
+    const profileId = sessionProfileId(user, sessionId) || currentEntry.profileId || '';
+    if (tokenState === 'grace') {
+      // Another tab rotated this token a moment ago; this one gets its own token in the same session.
+      currentEntry.revokedReason = 'rotated_grace';
+    } else {
+      currentEntry.revokedAt = new Date();
+      currentEntry.revokedReason = 'rotated';
+    }
 
-    const accessToken = issueAccessToken(user);
-    const nextRefreshToken = registerRefreshToken(user, req);
+    const { refreshToken: nextRefreshToken, expiresAt } = registerRefreshToken(user, req, { sessionId, signedInAt, profileId });
+    const accessToken = issueAccessToken(user, sessionId);
     await user.save();
+    await recordRotation(user, currentEntry, expiresAt);
 
     return res.status(200).json({
       message: 'Session refreshed',
-      data: authPayload(user, accessToken, nextRefreshToken),
+      data: withSessionCookie(req, res, authPayload(user, accessToken, nextRefreshToken)),
     });
   } catch (error) {
     return next(error);
@@ -233,15 +660,16 @@ async function refreshSession(req, res, next) {
 async function logout(req, res, next) {
   try {
     assertDbConnected();
-    const { refreshToken = '' } = req.body || {};
-    if (!refreshToken.trim()) {
+    const { token: refreshToken, fromCookie } = readRefreshToken(req);
+    if (fromCookie) clearSessionCookies(res);
+    if (!refreshToken) {
       return res.status(400).json({ message: 'refreshToken is required.' });
     }
 
-    const tokenHash = hashToken(refreshToken.trim());
+    const tokenHash = hashToken(refreshToken);
     await User.updateOne(
       { 'refreshTokens.tokenHash': tokenHash },
-      { $set: { 'refreshTokens.$.revokedAt': new Date() } }
+      { $set: { 'refreshTokens.$.revokedAt': new Date(), 'refreshTokens.$.revokedReason': 'logout' } }
     );
 
     return res.status(200).json({ message: 'Logged out successfully.' });
@@ -250,6 +678,124 @@ async function logout(req, res, next) {
   }
 }
 
+async function listSessions(req, res, next) {
+  try {
+    assertDbConnected();
+    const rows = listActiveSessions(req.userDoc, req.auth.sessionId);
+    return res.status(200).json({ count: rows.length, data: rows });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function revokeSession(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const targetId = String(req.params.sessionId || '').trim();
+    const revoked = revokeSessions(user, (sessionId) => sessionId === targetId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found.' });
+    }
+    await user.save();
+
+    return res.status(200).json({
+      message: targetId === req.auth.sessionId ? 'Signed out of this device.' : 'Device signed out.',
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function revokeOtherSessions(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const currentSessionId = req.auth.sessionId;
+    const revoked = revokeSessions(user, (sessionId) => sessionId !== currentSessionId);
+    await user.save();
+
+    return res.status(200).json({ message: 'Signed out of all other devices.', data: { revoked } });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function listApiTokens(req, res, next) {
+  try {
+    assertDbConnected();
+    const rows = listActiveApiTokens(req.userDoc);
+    return res.status(200).json({
+      count: rows.length,
+      data: rows,
+      availableScopes: grantableScopes(req.auth),
+      maxTtlDays: API_TOKEN_MAX_TTL_DAYS,
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function createPersonalApiToken(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const name = String(req.body?.name || '').trim();
+    if (!name || name.length > 60) {
+      return res.status(400).json({ message: 'Token name is required and must be 60 characters or fewer.' });
+    }
+
+    const scopes = normalizeScopes(req.body?.scopes, req.auth);
+    pruneApiTokens(user);
+    if (listActiveApiTokens(user).length >= MAX_API_TOKENS_PER_USER) {
+      return res.status(409).json({
+        message: `You can have up to ${MAX_API_TOKENS_PER_USER} active tokens. Revoke one before creating another.`,
+      });
+    }
+
+    const { token, tokenHash, hint } = createApiToken();
+    const ttlDays = clampTtlDays(req.body?.expiresInDays);
+    user.apiTokens.push({
+      name,
+      tokenHash,
+      hint,
+      scopes,
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    });
+    const event = recordSecurityEvent(user, { type: 'api_token_created', sessionId: req.auth.sessionId, req });
+    await user.save();
+    sendLoginAlert(user, event).catch(() => {});
+
+    const entry = user.apiTokens[user.apiTokens.length - 1];
+    return res.status(201).json({
+      message: 'Token created. Copy it now, it will not be shown again.',
+      data: { ...sanitizeApiToken(entry), token },
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function revokeApiToken(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const entry = (user.apiTokens || []).find((item) => (
+      item._id.toString() === String(req.params.tokenId || '') && isActiveApiToken(item)
+    ));
+    if (!entry) {
+      return res.status(404).json({ message: 'Token not found.' });
+    }
+
+    entry.revokedAt = new Date();
+    recordSecurityEvent(user, { type: 'api_token_revoked', sessionId: req.auth.sessionId, req });
+    await user.save();
+    return res.status(200).json({ message: 'Token revoked.' });
+  } catch (error) {
+    return next(error);
+  }
+}
+
 async function requestEmailVerification(req, res, next) {
   try {
     assertDbConnected();
@@ -265,22 +811,12 @@ async function requestEmailVerification(req, res, next) {
       return res.status(200).json({ message: 'Email is already verified.' });
     }
 
-    const tokenRecord = createOneTimeToken(60);
-    user.emailVerification = {
-      tokenHash: hashToken(tokenRecord.token),
-      expiresAt: tokenRecord.expiresAt,
-      requestedAt: new Date(),
-      verifiedAt: null,
-    };
-    await user.save();
+    const delivery = await startEmailVerification(user);
+    if (!delivery.delivered) {
+      return res.status(502).json({ message: 'Verification email could not be sent. Please try again later.' });
+    }
 
-    return res.status(200).json({
-      message: 'Verification email queued.',
-      data: {
-        verificationToken:
-          process.env.NODE_ENV !== 'production' ? tokenRecord.token : undefined,
-      },
-    });
+    return res.status(200).json({ message: 'Verification email sent.' });
   } catch (error) {
     return next(error);
   }
@@ -314,6 +850,337 @@ async function confirmEmailVerification(req, res, next) {
   }
 }
 
+async function confirmEmailChange(req, res, next) {
+  try {
+    assertDbConnected();
+    const { token = '' } = req.body || {};
+    if (!token.trim()) {
+      return res.status(400).json({ message: 'Confirmation token is required.' });
+    }
+
+    const user = await User.findOne({
+      'emailChange.tokenHash': hashToken(token.trim()),
+      'emailChange.expiresAt': { $gt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'Confirmation link is invalid or expired.' });
+    }
+
+    const { newEmail } = user.emailChange;
+    if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+      return res.status(409).json({ message: 'Email is already in use.' });
+    }
+
+    const now = new Date();
+    user.emailChange.previousEmail = user.email;
+    user.emailChange.tokenHash = '';
+    user.emailChange.expiresAt = null;
+    user.emailChange.confirmedAt = now;
+    user.email = newEmail;
+    user.isEmailVerified = true;
+    user.emailVerification.tokenHash = '';
+    user.emailVerification.verifiedAt = now;
+    await user.save();
+
+    return res.status(200).json({ message: 'Your email address has been changed.', data: sanitizeUser(user) });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function revertEmailChange(req, res, next) {
+  try {
+    assertDbConnected();
+    const { token = '' } = req.body || {};
+    if (!token.trim()) {
+      return res.status(400).json({ message: 'Revert token is required.' });
+    }
+
+    const user = await User.findOne({
+      'emailChange.revertTokenHash': hashToken(token.trim()),
+      'emailChange.revertExpiresAt': { $gt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'Revert link is invalid or expired.' });
+    }
+
+    const { previousEmail, confirmedAt } = user.emailChange;
+    if (confirmedAt) {
+      if (await User.exists({ email: previousEmail, _id: { $ne: user._id } })) {
+        return res.status(409).json({ message: 'The original email is now used by another account. Contact support.' });
+      }
+      user.email = previousEmail;
+      user.isEmailVerified = true;
+    }
+
+    user.emailChange = {
+      newEmail: '',
+      previousEmail: '',
+      tokenHash: '',
+      expiresAt: null,
+      revertTokenHash: '',
+      revertExpiresAt: null,
+      requestedAt: null,
+      confirmedAt: null,
+    };
+    revokeSessions(user, () => true, 'email_change_reverted');
+    recordSecurityEvent(user, { type: 'email_change_reverted', req });
+    await user.save();
+
+    return res.status(200).json({
+      message: confirmedAt
+        ? `Your email has been restored to ${user.email} and every device was signed out. Please sign in and change your password.`
+        : 'The email change was cancelled and every device was signed out. Please sign in and change your password.',
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function requestMagicLink(req, res, next) {
+  try {
+    assertDbConnected();
+    const { email = '' } = req.body || {};
+    if (!email.trim()) {
+      return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    const genericResponse = { message: 'If this email has an account, a sign-in link is on its way.' };
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user || user.terminatedAt || user.isSuspended) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const linkToken = createOneTimeToken(MAGIC_LINK_TTL_MINUTES);
+    user.magicLink = {
+      tokenHash: hashToken(linkToken.token),
+      expiresAt: linkToken.expiresAt,
+      requestedAt: new Date(),
+    };
+    await user.save();
+
+    await sendMail({
+      to: user.email,
+      template: 'magicLink',
+      data: {
+        name: user.name,
+        link: appUrl('/magic-link', { token: linkToken.token }),
+        expiresInMinutes: MAGIC_LINK_TTL_MINUTES,
+      },
+    });
+
+    return res.status(200).json(genericResponse);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function consumeMagicLink(req, res, next) {
+  try {
+    assertDbConnected();
+    const { token = '' } = req.body || {};
+    if (!token.trim()) {
+      return res.status(400).json({ message: 'Sign-in token is required.' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { 'magicLink.tokenHash': hashToken(token.trim()), 'magicLink.expiresAt': { $gt: new Date() } },
+      { $set: { 'magicLink.tokenHash': '', 'magicLink.expiresAt': null } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(401).json({ message: 'Sign-in link is invalid, expired, or already used.' });
+    }
+    if (user.terminatedAt) {
+      return res.status(403).json({ message: 'Account is terminated.' });
+    }
+    if (user.isSuspended) {
+      return res.status(403).json({ message: 'Account is suspended.' });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerification.verifiedAt = new Date();
+    }
+
+    if (user.twoFactor?.enabled) {
+      await user.save();
+      return res.status(200).json({
+        message: 'Two-factor verification required.',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueLoginChallenge(user),
+          expiresIn: LOGIN_CHALLENGE_TTL_SECONDS,
+        },
+      });
+    }
+
+    const deletionCancelled = cancelDeletion(user);
+    const { accessToken, refreshToken } = startSession(user, req);
+    await user.save();
+    if (deletionCancelled) await notifyDeletionCancelled(user);
+
+    return res.status(200).json({
+      message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+      data: withSessionCookie(req, res, authPayload(user, accessToken, refreshToken, { deletionCancelled })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+function oidcRedirectUri() {
+  return appUrl('/auth/callback');
+}
+
+async function resolveOidcUser(provider, claims, req) {
+  const subject = String(claims.sub);
+  const now = new Date();
+  const linked = await User.findOne({ identities: { $elemMatch: { provider: provider.id, subject } } });
+  if (linked) {
+    linked.identities.find((identity) => identity.provider === provider.id && identity.subject === subject).lastUsedAt = now;
+    return { user: linked, accountCreated: false };
+  }
+
+  const email = String(claims.email || '').trim().toLowerCase();
+  if (!email || !isEmailClaimVerified(claims)) {
+    const error = new Error(`Your ${provider.label} account has no verified email address to sign in with.`);
+    error.status = 403;
+    throw error;
+  }
+
+  const identity = { provider: provider.id, subject, email, linkedAt: now, lastUsedAt: now };
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (!existing.isEmailVerified) {
+      const error = new Error('An account with this email already exists but is not verified. Sign in with your password and verify your email first.');
+      error.status = 409;
+      throw error;
+    }
+    existing.identities.push(identity);
+    recordSecurityEvent(existing, { type: 'identity_linked', req });
+    return { user: existing, accountCreated: false };
+  }
+
+  const displayName = String(claims.name || '').trim().slice(0, 80) || email.split('@')[0];
+  const user = new User({
+    ...newAccountFields(displayName),
+    name: displayName,
+    email,
+    passwordHash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    isEmailVerified: true,
+    emailVerification: { verifiedAt: now },
+    identities: [identity],
+  });
+  if (claims.picture) user.avatar = String(claims.picture);
+  return { user, accountCreated: true };
+}
+
+async function listIdentityProviders(req, res, next) {
+  try {
+    return res.status(200).json({
+      data: loadOidcProviders().map((provider) => ({ id: provider.id, label: provider.label })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function startOidcLogin(req, res, next) {
+  try {
+    assertDbConnected();
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Sign-in provider not found.' });
+    }
+
+    const metadata = await discoverProvider(provider);
+    const state = crypto.randomBytes(24).toString('base64url');
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const { binding, bindingHash } = createLoginBinding();
+    const redirectUri = oidcRedirectUri();
+
+    await OidcLoginState.create({
+      stateHash: hashToken(state),
+      provider: provider.id,
+      bindingHash,
+      codeVerifier,
+      nonce,
+      redirectUri,
+      expiresAt: new Date(Date.now() + OIDC_LOGIN_TTL_MINUTES * 60 * 1000),
+    });
+
+    return res.status(200).json({
+      data: {
+        authorizationUrl: buildAuthorizationUrl(provider, metadata, { state, nonce, codeChallenge, redirectUri }),
+        binding,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function completeOidcLogin(req, res, next) {
+  try {
+    assertDbConnected();
+    const { state = '', code = '', binding = '' } = req.body || {};
+    if (!state.trim() || !code.trim()) {
+      return res.status(400).json({ message: 'Sign-in response is incomplete.' });
+    }
+
+    const pending = await OidcLoginState.findOneAndDelete({
+      stateHash: hashToken(state.trim()),
+      expiresAt: { $gt: new Date() },
+    });
+    const provider = pending && loginBindingMatches(pending.bindingHash, binding) ? getOidcProvider(pending.provider) : null;
+    if (!provider) {
+      return res.status(400).json({ message: 'Sign-in request is invalid or expired. Please try again.' });
+    }
+
+    const metadata = await discoverProvider(provider);
+    const tokens = await exchangeCode(provider, metadata, {
+      code: code.trim(),
+      codeVerifier: pending.codeVerifier,
+      redirectUri: pending.redirectUri,
+    });
+    const claims = await verifyIdToken(tokens.id_token, { provider, metadata, nonce: pending.nonce });
+
+    const { user, accountCreated } = await resolveOidcUser(provider, claims, req);
+    if (user.terminatedAt) {
+      return res.status(403).json({ message: 'Account is terminated.' });
+    }
+    if (user.isSuspended) {
+      return res.status(403).json({ message: 'Account is suspended.' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      await user.save();
+      return res.status(200).json({
+        message: 'Two-factor verification required.',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueLoginChallenge(user),
+          expiresIn: LOGIN_CHALLENGE_TTL_SECONDS,
+        },
+      });
+    }
+
+    const deletionCancelled = cancelDeletion(user);
+    const { accessToken, refreshToken } = startSession(user, req);
+    await user.save();
+    if (deletionCancelled) await notifyDeletionCancelled(user);
+
+    return res.status(accountCreated ? 201 : 200).json({
+      message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+      data: withSessionCookie(req, res, authPayload(user, accessToken, refreshToken, { deletionCancelled, accountCreated })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
 async function forgotPassword(req, res, next) {
   try {
     assertDbConnected();
@@ -328,7 +1195,7 @@ async function forgotPassword(req, res, next) {
       return res.status(200).json({ message: 'If this email exists, a reset link has been sent.' });
     }
 
-    const resetToken = createOneTimeToken(30);
+    const resetToken = createOneTimeToken(PASSWORD_RESET_TTL_MINUTES);
     user.passwordReset = {
       tokenHash: hashToken(resetToken.token),
       expiresAt: resetToken.expiresAt,
@@ -337,12 +1204,17 @@ async function forgotPassword(req, res, next) {
     };
     await user.save();
 
-    return res.status(200).json({
-      message: 'Password reset link generated.',
+    await sendMail({
+      to: user.email,
+      template: 'passwordReset',
       data: {
-        resetToken: process.env.NODE_ENV !== 'production' ? resetToken.token : undefined,
+        name: user.name,
+        link: appUrl('/reset-password', { token: resetToken.token }),
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
       },
     });
+
+    return res.status(200).json({ message: 'If this email exists, a reset link has been sent.' });
   } catch (error) {
     return next(error);
   }
@@ -373,6 +1245,7 @@ async function resetPassword(req, res, next) {
     user.passwordReset.usedAt = new Date();
     user.passwordReset.tokenHash = '';
     user.refreshTokens = [];
+    clearFailedAttempts(user);
     await user.save();
 
     return res.status(200).json({ message: 'Password reset successful. Please sign in again.' });
@@ -384,34 +1257,40 @@ async function resetPassword(req, res, next) {
 async function updateProfile(req, res, next) {
   try {
     assertDbConnected();
-    const actorUserId = pickActorUser(req, req.body?.userId);
-    const { name = '', email = '', avatar = '' } = req.body || {};
-    if (!actorUserId) {
-      return res.status(400).json({ message: 'User id is required.' });
-    }
+    const user = req.userDoc;
+    const { name = '', email = '', avatar = '', loginAlerts, currentPassword = '', code = '', recoveryCode = '' } = req.body || {};
 
-    const user = await User.findById(actorUserId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found.' });
-    }
-
-    if (name.trim()) {
-      user.name = name.trim();
-      if (!user.profileId) {
-        user.profileId = `user-${Date.now().toString(36).slice(-6)}`;
+    const normalizedEmail = email.trim().toLowerCase();
+    const emailChanged = Boolean(normalizedEmail) && normalizedEmail !== user.email;
+    if (emailChanged) {
+      // Moving the sign-in email is as sensitive as a password change, so a live session alone is not enough.
+      const hasCode = Boolean(String(code).trim() || String(recoveryCode).trim());
+      if (!currentPassword.trim() && !(hasCode && user.twoFactor?.enabled)) {
+        return res.status(400).json({ message: 'Enter your current password to change your email.' });
+      }
+      assertNotLocked(user);
+      if (currentPassword.trim()) {
+        const isValid = await bcrypt.compare(currentPassword.trim(), user.passwordHash);
+        if (!isValid) {
+          await recordFailedAttempt(user);
+          return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+      } else if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+        await recordFailedAttempt(user);
+        return res.status(401).json({ message: 'Invalid verification code.' });
       }
-    }
 
-    if (email.trim()) {
-      const normalizedEmail = email.trim().toLowerCase();
       const existing = await User.findOne({ email: normalizedEmail, _id: { $ne: user._id } });
       if (existing) {
         return res.status(409).json({ message: 'Email is already in use.' });
       }
-      if (normalizedEmail !== user.email) {
-        user.isEmailVerified = false;
+    }
+
+    if (name.trim()) {
+      user.name = name.trim();
+      if (!user.profileId) {
+        user.profileId = `user-${Date.now().toString(36).slice(-6)}`;
       }
-      user.email = normalizedEmail;
     }
 
     if (avatar.trim()) {
@@ -420,9 +1299,19 @@ async function updateProfile(req, res, next) {
       user.avatar = `https://ui-avatars.com/api/?name=${encodeURIComponent(name.trim())}`;
     }
 
+    if (typeof loginAlerts === 'boolean') {
+      user.notificationPreferences = { ...(user.notificationPreferences?.toObject?.() || {}), loginAlerts };
+    }
+
     await user.save();
+    if (emailChanged) {
+      await startEmailChange(user, normalizedEmail);
+    }
+
     return res.status(200).json({
-      message: 'Profile updated',
+      message: emailChanged
+        ? `Profile updated. Check ${normalizedEmail} to confirm your new email.`
+        : 'Profile updated',
       data: sanitizeUser(user),
     });
   } catch (error) {
@@ -433,22 +1322,20 @@ async function updateProfile(req, res, next) {
 async function updatePassword(req, res, next) {
   try {
     assertDbConnected();
-    const actorUserId = pickActorUser(req, req.body?.userId);
+    const user = req.userDoc;
     const { currentPassword = '', newPassword = '' } = req.body || {};
-    if (!actorUserId || !currentPassword.trim() || !newPassword.trim()) {
-      return res.status(400).json({ message: 'User, current password, and new password are required.' });
+    if (!currentPassword.trim() || !newPassword.trim()) {
+      return res.status(400).json({ message: 'Current password and new password are required.' });
     }
     if (newPassword.trim().length < 6) {
       return res.status(400).json({ message: 'New password must be at least 6 characters.' });
     }
 
-    const user = await User.findById(actorUserId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found.' });
-    }
+    assertNotLocked(user);
 
     const isValid = await bcrypt.compare(currentPassword.trim(), user.passwordHash);
     if (!isValid) {
+      await recordFailedAttempt(user);
       return res.status(401).json({ message: 'Current password is incorrect.' });
     }
 
@@ -462,16 +1349,187 @@ async function updatePassword(req, res, next) {
   }
 }
 
+async function requestAccountDeletion(req, res, next) {
+  try {
+    assertDbConnected();
+    const user = req.userDoc;
+    const { password = '' } = req.body || {};
+    if (!password.trim()) {
+      return res.status(400).json({ message: 'Enter your password to delete your account.' });
+    }
+    if (user.role === 'superadmin') {
+      return res.status(400).json({ message: 'Super admin accounts cannot be deleted from Settings.' });
+    }
+    if (isDeletionPending(user)) {
+      return res.status(409).json({ message: 'Account deletion is already scheduled.' });
+    }
+
+    assertNotLocked(user);
+
+    const isValid = await bcrypt.compare(password.trim(), user.passwordHash);
+    if (!isValid) {
+      await recordFailedAttempt(user);
+      return res.status(401).json({ message: 'Password is incorrect.' });
+    }
+
+    clearFailedAttempts(user);
+    const scheduledFor = scheduleDeletion(user);
+    revokeSessions(user, () => true, 'account_deletion_requested');
+    await user.save();
+    await sendMail({
+      to: user.email,
+      template: 'accountDeletionScheduled',
+      data: { name: user.name, scheduledFor, link: appUrl('/login') },
+    });
+
+    return res.status(202).json({
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Sign in before then to cancel.`,
+      data: { scheduledFor, graceDays: ACCOUNT_DELETION_GRACE_DAYS },
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function getInvite(req, res, next) {
+  try {
+    assertDbConnected();
+    const invite = await findPendingInvite(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation is invalid, expired, or already used.' });
+    }
+
+    const accountExists = Boolean(await User.exists({ email: invite.email }));
+    const { email, role, adminScope, expiresAt } = sanitizeInvite(invite);
+    return res.status(200).json({ data: { email, role, adminScope, expiresAt, accountExists } });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function acceptInvite(req, res, next) {
+  try {
+    assertDbConnected();
+    const { token = '', name = '', password = '' } = req.body || {};
+    const invite = await findPendingInvite(token);
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation is invalid, expired, or already used.' });
+    }
+
+    const existing = await User.findOne({ email: invite.email });
+    if (existing) {
+      if (!req.userDoc || req.userDoc._id.toString() !== existing._id.toString()) {
+        return res.status(401).json({ message: `Sign in as ${invite.email} to accept this invitation.` });
+      }
+      const downgradeReason = inviteDowngradeReason(existing, invite);
+      if (downgradeReason) {
+        return res.status(409).json({ message: downgradeReason });
+      }
+      const accepted = await applyClaimedInvite(token, existing._id, async () => {
+        existing.role = invite.role;
+        existing.adminScope = invite.adminScope;
+        existing.isEmailVerified = true;
+        await existing.save();
+      });
+      if (!accepted) {
+        return res.status(409).json({ message: 'Invitation was already used.' });
+      }
+      return res.status(200).json({ message: 'Invitation accepted.', data: { user: sanitizeUser(existing) } });
+    }
+
+    if (!name.trim() || !password.trim()) {
+      return res.status(400).json({ message: 'Name and password are required.' });
+    }
+    if (password.trim().length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters.' });
+    }
+
+    const displayName = name.trim();
+    const user = new User({
+      ...newAccountFields(displayName),
+      name: displayName,
+      email: invite.email,
+      passwordHash: await bcrypt.hash(password.trim(), 10),
+      role: invite.role,
+      adminScope: invite.adminScope,
+      isEmailVerified: true,
+    });
+    let session;
+    let accepted;
+    try {
+      accepted = await applyClaimedInvite(token, user._id, async () => {
+        session = startSession(user, req);
+        await user.save();
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'User already exists. Please sign in.' });
+      }
+      throw error;
+    }
+    if (!accepted) {
+      return res.status(409).json({ message: 'Invitation was already used.' });
+    }
+    const { accessToken, refreshToken } = session;
+
+    return res.status(201).json({
+      message: 'Invitation accepted. Welcome aboard!',
+      data: withSessionCookie(req, res, authPayload(user, accessToken, refreshToken)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function endImpersonation(req, res, next) {
+  try {
+    assertDbConnected();
+    if (!req.impersonation) {
+      return res.status(400).json({ message: 'No impersonation session is active.' });
+    }
+
+    await ImpersonationSession.updateOne(
+      { _id: req.impersonation.sessionId, endedAt: null },
+      { $set: { endedAt: new Date() } }
+    );
+    return res.status(200).json({ message: 'Impersonation ended.' });
+  } catch (error) {
+    return next(error);
+  }
+}
+
 module.exports = {
   register,
   login,
+  loginWithTwoFactor,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   refreshSession,
   logout,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  listApiTokens,
+  createPersonalApiToken,
+  revokeApiToken,
   requestEmailVerification,
   confirmEmailVerification,
+  confirmEmailChange,
+  revertEmailChange,
+  requestMagicLink,
+  consumeMagicLink,
+  listIdentityProviders,
+  startOidcLogin,
+  completeOidcLogin,
   forgotPassword,
   resetPassword,
   updateProfile,
   updatePassword,
+  requestAccountDeletion,
+  getInvite,
+  acceptInvite,
+  endImpersonation,
 };
 
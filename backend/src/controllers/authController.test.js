@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { generateTotpSecret, generateTotp } = require('../utils/totp');
+const { login, loginWithTwoFactor } = require('./authController');
+const { fakeResponse } = require('../testing/fakeResponse');
+
+async function call(handler, body) {
+  const res = fakeResponse();
+  await handler({ body, headers: {}, ip: '10.0.0.1' }, res, (error) => assert.fail(error));
+  return res;
+}
+
+test('two-step login accepts a TOTP code once, even when the same code races in twice', async (t) => {
+  const secret = generateTotpSecret();
+  const user = new User({
+    name: 'Ada',
+    email: 'ada@example.com',
+    passwordHash: await bcrypt.hash('correct-horse', 4),
+    twoFactor: { enabled: true, secret, lastUsedStep: 0 },
+  });
+  // The stored step the conditional update checks, standing in for the database copy.
+  let storedStep = 0;
+
+  // Shadow the connection's prototype getter so the controller sees a live database.
+  Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+  t.after(() => delete mongoose.connection.readyState);
+  t.mock.method(User, 'findOne', async () => user);
+  // Each request loads its own copy, as two requests hitting the database would.
+  t.mock.method(User, 'findById', async () => {
+    const copy = User.hydrate(user.toObject());
+    t.mock.method(copy, 'save', async () => copy);
+    return copy;
+  });
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    const step = filter['twoFactor.lastUsedStep']?.$lt;
+    if (step === undefined || storedStep >= step) return null;
+    storedStep = update.$set['twoFactor.lastUsedStep'];
+    return { _id: user._id };
+  });
+  t.mock.method(user, 'save', async () => user);
+
+  const first = await call(login, { email: 'ada@example.com', password: 'correct-horse' });
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.data.twoFactorRequired, true);
+  assert.equal(first.body.data.accessToken, undefined);
+
+  const { challengeToken } = first.body.data;
+  const code = generateTotp(secret);
+  const [a, b] = await Promise.all([
+    call(loginWithTwoFactor, { challengeToken, code }),
+    call(loginWithTwoFactor, { challengeToken, code }),
+  ]);
+  const statuses = [a.statusCode, b.statusCode].sort();
+  assert.deepEqual(statuses, [200, 401]);
+  assert.ok([a, b].find((res) => res.statusCode === 200).body.data.accessToken);
+
+  const wrong = await call(loginWithTwoFactor, { challengeToken, code: code === '000000' ? '111111' : '000000' });
+  assert.equal(wrong.statusCode, 401);
+});
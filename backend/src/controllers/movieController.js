@@ -1,76 +1,33 @@
 const Movie = require('../models/Movie');
 const mongoose = require('mongoose');
-const fetch = require('node-fetch');
 const seedMovies = require('../data/seedMovies');
+const {
+  UNRATED_AGE,
+  UNRATED_LABEL,
+  isAllowedForProfile,
+  profileMaturityCeiling,
+  maturityCondition,
+  withCondition,
+} = require('../utils/maturity');
+const {
+  parseCatalogPaging,
+  pagingMeta,
+  paginateList,
+  catalogPipeline,
+  pageFromRows,
+} = require('../utils/catalogPaging');
+const { parseSearchFilters, searchPipeline, readSearchResult, searchList } = require('../utils/catalogSearch');
+const { getSuggestIndex, querySuggestIndex } = require('../utils/suggestIndex');
+const { TMDB_IMAGE_BASE, tmdbFetch } = require('../utils/tmdbClient');
+const { parseTmdbRef } = require('../utils/tmdbImport');
 
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
-const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p';
-const TMDB_TIMEOUT_MS = Number(process.env.TMDB_TIMEOUT_MS || 15000);
 const TMDB_COOLDOWN_MS = Number(process.env.TMDB_COOLDOWN_MS || 5 * 60 * 1000);
 let tmdbDisabledUntil = 0;
 let tmdbFailureStreak = 0;
 
-function buildTmdbUrl(path, params = {}) {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey) {
-    throw new Error('TMDB_API_KEY is missing in server/.env');
-  }
-
-  const url = new URL(`${TMDB_BASE_URL}${path}`);
-  url.searchParams.set('api_key', apiKey);
-
-  const language = process.env.TMDB_LANGUAGE || 'en-US';
-  const region = process.env.TMDB_REGION || 'US';
-
-  if (language) {
-    url.searchParams.set('language', language);
-  }
-  if (region) {
-    url.searchParams.set('region', region);
-  }
-
-  Object.entries(params).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== '') {
-      url.searchParams.set(key, value);
-    }
-  });
-
-  return url.toString();
-}
-
-async function tmdbFetch(path, params, attempts = 2) {
-  const url = buildTmdbUrl(path, params);
-  let lastError;
-
-  for (let attempt = 0; attempt < attempts; attempt += 1) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), TMDB_TIMEOUT_MS);
-    try {
-      const response = await fetch(url, { signal: controller.signal });
-      const payload = await response.json().catch(() => ({}));
-      if (!response.ok) {
-        const message = payload?.status_message || payload?.message || 'TMDB request failed';
-        throw new Error(message);
-      }
-      return payload;
-    } catch (error) {
-      lastError = error;
-      const cause = error?.cause?.message || error?.cause || error?.message;
-      console.warn('TMDB fetch failed:', cause);
-      if (attempt < attempts - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 400 * (attempt + 1)));
-      }
-    } finally {
-      clearTimeout(timeoutId);
-    }
-  }
-
-  throw lastError;
-}
-
-async function fetchTrailerUrl(id, type) {
+async function fetchTrailerUrl(id, type, { upstream = true } = {}) {
   const path = type === 'series' ? `/tv/${id}/videos` : `/movie/${id}/videos`;
-  const payload = await tmdbFetch(path);
+  const payload = await tmdbFetch(path, {}, { upstream });
   const results = payload?.results || [];
   const preferred = ['Trailer', 'Teaser', 'Clip'];
   const video = preferred
@@ -79,9 +36,9 @@ async function fetchTrailerUrl(id, type) {
   return video ? `https://www.youtube.com/embed/${video.key}` : '';
 }
 
-async function fetchGenreMap(type) {
+async function fetchGenreMap(type, { upstream = true } = {}) {
   const path = type === 'series' ? '/genre/tv/list' : '/genre/movie/list';
-  const payload = await tmdbFetch(path);
+  const payload = await tmdbFetch(path, {}, { upstream });
   const map = new Map();
   (payload?.genres || []).forEach((genre) => {
     if (genre?.name && genre?.id) {
@@ -112,20 +69,24 @@ function mapTmdbItem(item, category, type, trailerMap, isFeatured) {
     category,
     type,
     year,
-    rating: item.adult ? '18+' : '13+',
+    // List results carry no certification, so these titles are unrated and count as adult.
+    rating: item.adult ? '18+' : UNRATED_LABEL,
     duration: type === 'series' ? 'Series' : 'Movie',
     image: poster,
     backdrop,
     trailerUrl: trailerMap.get(key) || '',
     featured: isFeatured,
+    featuredRank: isFeatured ? 1 : null,
   };
 }
 
-async function getMoviesFromTmdb(req, res, next) {
+// `upstream: false` builds the rows from cached TMDB responses only and throws if one is missing.
+async function getMoviesFromTmdb(req, res, next, { upstream = true } = {}) {
   try {
+    const paging = parseCatalogPaging(req.query, 'tmdb');
     const perCategory = Math.min(Math.max(Number(req.query.perCategory) || 16, 6), 40);
-    const genreMapMovie = await fetchGenreMap('movie');
-    const genreMapTv = await fetchGenreMap('series');
+    const genreMapMovie = await fetchGenreMap('movie', { upstream });
+    const genreMapTv = await fetchGenreMap('series', { upstream });
 
     const categories = [
       { title: 'Trending Movies', path: '/trending/movie/week', type: 'movie' },
@@ -195,7 +156,7 @@ async function getMoviesFromTmdb(req, res, next) {
 
     const categoryResults = await Promise.all(
       [...categories, ...genreCategories].map(async (category) => {
-        const payload = await tmdbFetch(category.path, category.params);
+        const payload = await tmdbFetch(category.path, category.params, { upstream });
         const results = payload?.results || [];
         return { ...category, results: results.slice(0, perCategory) };
       })
@@ -210,7 +171,7 @@ async function getMoviesFromTmdb(req, res, next) {
 
     const trailerResults = await Promise.allSettled(
       trailerTargets.map(async (target) => {
-        const trailerUrl = await fetchTrailerUrl(target.id, target.type);
+        const trailerUrl = await fetchTrailerUrl(target.id, target.type, { upstream });
         return [`${target.type}:${target.id}`, trailerUrl];
       })
     );
@@ -228,9 +189,13 @@ async function getMoviesFromTmdb(req, res, next) {
       });
     });
 
-    tmdbFailureStreak = 0;
-    tmdbDisabledUntil = 0;
-    return res.status(200).json({ count: data.length, data });
+    if (upstream) {
+      tmdbFailureStreak = 0;
+      tmdbDisabledUntil = 0;
+    }
+    const visible = data.filter((movie) => isAllowedForProfile(movie, req.profile));
+    const page = paginateList(visible, paging, 'tmdb');
+    return res.status(200).json({ count: page.data.length, ...pagingMeta(paging), ...page });
   } catch (error) {
     throw error;
   }
@@ -246,11 +211,17 @@ function normalizeMovie(movieDoc) {
     type: movie.type,
     year: movie.year,
     rating: movie.rating,
+    maturityRating: movie.maturityRating || '',
+    genres: movie.genres || [],
+    languages: movie.languages || [],
+    tags: movie.tags || [],
     duration: movie.duration,
     image: movie.imageUrl,
     backdrop: movie.backdropUrl,
     trailerUrl: movie.trailerUrl,
     featured: movie.featured,
+    featuredRank: movie.featuredRank ?? null,
+    tmdbId: movie.externalIds?.tmdb ?? null,
     createdAt: movie.createdAt,
     updatedAt: movie.updatedAt,
   };
@@ -265,41 +236,64 @@ function normalizeSeedMovie(movie) {
     type: movie.type,
     year: movie.year,
     rating: movie.rating,
+    maturityRating: movie.maturityRating || '',
+    genres: movie.genres || [],
+    languages: movie.languages || [],
+    tags: movie.tags || [],
     duration: movie.duration,
     image: movie.imageUrl,
     backdrop: movie.backdropUrl,
     trailerUrl: movie.trailerUrl,
     featured: movie.featured,
+    featuredRank: movie.featuredRank ?? null,
     createdAt: undefined,
     updatedAt: undefined,
   };
 }
 
+function withMaturityFilter(filter, profile) {
+  return withCondition(filter, maturityCondition(profile));
+}
+
+function blockedTitleResponse(res) {
+  return res.status(403).json({ message: 'This title is not available on this profile.' });
+}
+
 async function getMovies(req, res, next) {
   try {
     const now = Date.now();
     const tmdbDisabled = tmdbDisabledUntil > now;
-    if (process.env.TMDB_API_KEY && req.query.source !== 'db' && !tmdbDisabled) {
+    // Live TMDB titles are all unrated, so restricted profiles get the stored catalog, where imported
+    // titles carry real certifications.
+    const canUseLiveTmdb = !req.profile || profileMaturityCeiling(req.profile) >= UNRATED_AGE;
+    if (process.env.TMDB_API_KEY && req.query.source !== 'db' && canUseLiveTmdb) {
+      // The cooldown only stops requests to TMDB; cached responses are still served while it runs.
       try {
-        return await getMoviesFromTmdb(req, res, next);
+        return await getMoviesFromTmdb(req, res, next, { upstream: !tmdbDisabled });
       } catch (error) {
-        tmdbFailureStreak += 1;
-        if (tmdbFailureStreak >= 1) {
-          tmdbDisabledUntil = now + TMDB_COOLDOWN_MS;
-          console.warn(
-            `TMDB unavailable, falling back to database/seed. Disabled for ${Math.round(
-              TMDB_COOLDOWN_MS / 1000
-            )}s.`
-          );
+        // Bad paging input is the caller's problem, not a sign that TMDB is down.
+        if (error.status) {
+          return next(error);
+        }
+        if (error.cacheOnly) {
+          console.warn('TMDB temporarily disabled, serving database/seed data.');
         } else {
-          console.warn('TMDB unavailable, falling back to database/seed.');
+          tmdbFailureStreak += 1;
+          if (tmdbFailureStreak >= 1) {
+            tmdbDisabledUntil = now + TMDB_COOLDOWN_MS;
+            console.warn(
+              `TMDB unavailable, falling back to database/seed. Disabled for ${Math.round(
+                TMDB_COOLDOWN_MS / 1000
+              )}s.`
+            );
+          } else {
+            console.warn('TMDB unavailable, falling back to database/seed.');
+          }
         }
       }
-    } else if (tmdbDisabled) {
-      console.warn('TMDB temporarily disabled, serving database/seed data.');
     }
 
-    const { search = '', category = '', type = '', featured = '', limit = '200' } = req.query;
+    const { search = '', category = '', type = '', featured = '' } = req.query;
     const filter = {};
 
     if (search.trim()) {
@@ -318,30 +312,100 @@ async function getMovies(req, res, next) {
       filter.featured = featured === 'true';
     }
 
-    const cappedLimit = Math.min(Math.max(Number(limit) || 50, 1), 500);
     const isDbReady = mongoose.connection.readyState === 1;
 
     if (isDbReady) {
-      const movies = await Movie.find(filter).sort({ createdAt: -1 }).limit(cappedLimit);
-      tmdbFailureStreak = 0;
-      tmdbDisabledUntil = 0;
+      const paging = parseCatalogPaging(req.query, 'db');
+      const match = req.profile ? withMaturityFilter(filter, req.profile) : filter;
+      const rows = await Movie.aggregate(catalogPipeline(match, paging));
+      const page = pageFromRows(rows, paging, 'db');
       return res.status(200).json({
-        count: movies.length,
-        data: movies.map(normalizeMovie),
+        count: page.data.length,
+        ...pagingMeta(paging),
+        data: page.data.map(normalizeMovie),
+        nextCursor: page.nextCursor,
       });
     }
 
+    const paging = parseCatalogPaging(req.query, 'seed');
     const filteredSeed = seedMovies
       .filter((movie) => !type || movie.type === type)
       .filter((movie) => !category || movie.category === category)
       .filter((movie) => !search || movie.title.toLowerCase().includes(search.toLowerCase()))
       .filter((movie) => (featured === 'true' ? movie.featured : true))
-      .slice(0, cappedLimit);
+      .filter((movie) => isAllowedForProfile(movie, req.profile))
+      .map(normalizeSeedMovie);
+    const page = paginateList(filteredSeed, paging, 'seed');
 
-    return res.status(200).json({
-      count: filteredSeed.length,
-      data: filteredSeed.map(normalizeSeedMovie),
+    return res.status(200).json({ count: page.data.length, ...pagingMeta(paging), ...page });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+// Faceted search: results page plus per-facet counts, each counted with the other selected facets applied.
+async function searchMovies(req, res, next) {
+  try {
+    const filters = parseSearchFilters(req.query);
+
+    if (mongoose.connection.readyState === 1) {
+      const paging = parseCatalogPaging(req.query, 'db');
+      const textMatch = filters.q ? { $text: { $search: filters.q } } : {};
+      const baseMatch = req.profile ? withMaturityFilter(textMatch, req.profile) : textMatch;
+      const [result] = await Movie.aggregate(searchPipeline(baseMatch, filters, paging));
+      const { data, ...rest } = readSearchResult(result, paging);
+      return res.status(200).json({
+        count: data.length,
+        ...pagingMeta(paging),
+        data: data.map(normalizeMovie),
+        ...rest,
+      });
+    }
+
+    const paging = parseCatalogPaging(req.query, 'seed');
+    const catalog = seedMovies
+      .filter((movie) => isAllowedForProfile(movie, req.profile))
+      .map((movie) => ({ ...normalizeSeedMovie(movie), cast: movie.cast || [] }));
+    const page = searchList(catalog, filters, paging, 'seed');
+    return res.status(200).json({ count: page.data.length, ...pagingMeta(paging), ...page });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+// Suggestions cover the stored catalog (or the seed list while Mongo is down), not live TMDB results.
+async function loadSuggestMovies(source) {
+  if (source === 'seed') {
+    return seedMovies.map((movie) => ({ ...normalizeSeedMovie(movie), cast: movie.cast || [] }));
+  }
+  const rows = await Movie.find({}, 'title cast genres year type imageUrl rating maturityRating').lean();
+  return rows.map((movie) => ({
+    id: movie._id.toString(),
+    title: movie.title,
+    cast: movie.cast || [],
+    genres: movie.genres || [],
+    year: movie.year,
+    type: movie.type,
+    image: movie.imageUrl,
+    rating: movie.rating,
+    maturityRating: movie.maturityRating || '',
+  }));
+}
+
+async function suggestMovies(req, res, next) {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, 80);
+    if (!q) {
+      return res.status(200).json({ count: 0, data: [] });
+    }
+
+    const source = mongoose.connection.readyState === 1 ? 'db' : 'seed';
+    const index = await getSuggestIndex(source, () => loadSuggestMovies(source));
+    const data = querySuggestIndex(index, q, {
+      limit: req.query.limit,
+      isAllowed: (movie) => isAllowedForProfile(movie, req.profile),
     });
+    return res.status(200).json({ count: data.length, data });
   } catch (error) {
     return next(error);
   }
@@ -349,10 +413,17 @@ async function getMovies(req, res, next) {
 
 async function getMovieById(req, res, next) {
   try {
-    const movie = await Movie.findById(req.params.id);
+    // Lists and history saved from the live TMDB catalog keep tmdb-* ids; they resolve once imported.
+    const tmdbRef = String(req.params.id).startsWith('tmdb-') ? parseTmdbRef(req.params.id) : null;
+    const movie = tmdbRef
+      ? await Movie.findOne({ type: tmdbRef.type, 'externalIds.tmdb': tmdbRef.tmdbId })
+      : await Movie.findById(req.params.id);
     if (!movie) {
       return res.status(404).json({ message: 'Movie not found' });
     }
+    if (!isAllowedForProfile(movie, req.profile)) {
+      return blockedTitleResponse(res);
+    }
     return res.status(200).json({ data: normalizeMovie(movie) });
   } catch (error) {
     return next(error);
@@ -428,6 +499,8 @@ async function deleteMovie(req, res, next) {
 
 module.exports = {
   getMovies,
+  searchMovies,
+  suggestMovies,
   getMovieById,
   getTmdbTrailer,
   createMovie,
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { tmdbCache } = require('../utils/tmdbCache');
+const { getMovies } = require('./movieController');
+const { encodeCursor } = require('../utils/catalogPaging');
+const { fakeResponse } = require('../testing/fakeResponse');
+
+function useTmdbKey(t) {
+  const originalKey = process.env.TMDB_API_KEY;
+  process.env.TMDB_API_KEY = 'test-key';
+  t.after(() => {
+    if (originalKey === undefined) delete process.env.TMDB_API_KEY;
+    else process.env.TMDB_API_KEY = originalKey;
+  });
+}
+
+test('a signed-in account on its default profile still gets the live TMDB catalog', async (t) => {
+  useTmdbKey(t);
+  t.mock.method(tmdbCache, 'get', async (key) => {
+    if (key.startsWith('/genre/')) return { genres: [] };
+    if (key.includes('/videos')) return { results: [] };
+    return { results: [{ id: 603, title: 'The Matrix', poster_path: '/poster.jpg' }] };
+  });
+
+  const user = new User({ name: 'Ada', email: 'ada@example.com', profiles: [{ name: 'Ada' }] });
+  const res = fakeResponse();
+  await getMovies({ query: {}, profile: user.profiles[0] }, res, (error) => assert.fail(error));
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.data.length > 0);
+  assert.ok(res.body.data.every((movie) => movie.id.startsWith('tmdb-')));
+});
+
+test('a TMDB cursor restarts the seed catalog from its first page when TMDB falls over', async (t) => {
+  useTmdbKey(t);
+  t.mock.method(tmdbCache, 'get', async () => {
+    throw new Error('getaddrinfo ENOTFOUND api.themoviedb.org');
+  });
+  t.mock.method(console, 'warn', () => {});
+
+  const cursor = encodeCursor({ sort: 'newest', source: 'tmdb', value: 0, id: 'tmdb-movie-603' });
+  const res = fakeResponse();
+  await getMovies({ query: { cursor, limit: '5' } }, res, (error) => assert.fail(error));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.cursorReset, true);
+  assert.equal(res.body.data.length, 5);
+  assert.ok(res.body.data.every((movie) => movie.id.startsWith('seed-')));
+});
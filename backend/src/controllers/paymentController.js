@@ -2,6 +2,7 @@ const crypto = require('crypto');
 const mongoose = require('mongoose');
 const fetch = require('node-fetch');
 const User = require('../models/User');
+const { sendMail } = require('../mail');
 
 const PLAN_PRICES_INR = {
   mobile: 199,
@@ -196,6 +197,19 @@ async function verifyPayment(req, res, next) {
     };
     await user.save();
 
+    await sendMail({
+      to: user.email,
+      template: 'receipt',
+      data: {
+        name: user.name,
+        invoiceId: String(paymentId).trim(),
+        plan: safePlan,
+        amount: computeAmountPaise(safePlan, safeServices) / 100,
+        currency: 'INR',
+        paidAt: new Date(),
+      },
+    });
+
     return res.status(200).json({
       message: 'Payment verified and subscription updated.',
       data: {
@@ -1,4 +1,40 @@
+const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
+const Movie = require('../models/Movie');
+const { buildAccountExport } = require('../utils/accountExport');
+const { recordSecurityEvent } = require('../utils/securityAlerts');
+const { createZip } = require('../utils/zip');
+const { isAllowedForProfile } = require('../utils/maturity');
+const {
+  lockRemainingMs,
+  registerFailedAttempt,
+  lockoutError,
+} = require('../utils/loginSecurity');
+const {
+  PROFILE_PIN_PATTERN,
+  PROFILE_TOKEN_TTL_SECONDS,
+  isPinProtected,
+  pinLockRemainingMs,
+  registerFailedPin,
+  clearFailedPins,
+  pinLockoutError,
+  issueProfileToken,
+  isProfileTokenValid,
+} = require('../utils/profilePins');
+const { sessionProfileId, setSessionProfile } = require('../utils/sessions');
+const {
+  MAX_MY_LIST_ITEMS,
+  profileLimitFor,
+  profileIdOf,
+  isDefaultProfile,
+  findProfile,
+  belongsToProfile,
+  kidsSessionProfile,
+  isKidsRestrictedChange,
+  normalizeProfileInput,
+  applyProfileFields,
+  sanitizeProfile,
+} = require('../utils/profiles');
 
 function toObjectIdOrNull(rawId) {
   if (!rawId || !mongoose.Types.ObjectId.isValid(String(rawId))) {
@@ -20,10 +56,41 @@ function normalizeProgressEntry(entry) {
   };
 }
 
+// PIN changes, and profile changes once any PIN is set, need the account password rather than a PIN.
+async function assertAccountPassword(user, password) {
+  const remaining = lockRemainingMs(user);
+  if (remaining > 0) {
+    throw lockoutError(remaining);
+  }
+  const isValid = Boolean(password) && await bcrypt.compare(String(password).trim(), user.passwordHash);
+  if (!isValid) {
+    registerFailedAttempt(user);
+    await user.save();
+    const error = new Error(password ? 'Account password is incorrect.' : 'Enter your account password to continue.');
+    error.status = 401;
+    throw error;
+  }
+}
+
+function kidsProfileOf(req) {
+  return kidsSessionProfile(req.userDoc, sessionProfileId(req.userDoc, req.auth?.sessionId));
+}
+
+// `target` is the profile being edited, or null when one is created or deleted.
+async function assertProfileChangesAllowed(req, { target = null, fields = {} } = {}) {
+  const user = req.userDoc;
+  if ((user.profiles || []).some(isPinProtected) || isKidsRestrictedChange(kidsProfileOf(req), target, fields)) {
+    await assertAccountPassword(user, req.body?.password);
+  }
+}
+
+function profileRows(req, rows) {
+  return (rows || []).filter((entry) => belongsToProfile(req.userDoc, req.profile, entry));
+}
+
 async function getWatchProgress(req, res, next) {
   try {
-    const user = req.userDoc;
-    const rows = (user.watchProgress || [])
+    const rows = profileRows(req, req.userDoc.watchProgress)
       .sort((a, b) => new Date(b.updatedAt || 0).getTime() - new Date(a.updatedAt || 0).getTime())
       .map(normalizeProgressEntry);
 
@@ -52,11 +119,20 @@ async function upsertWatchProgress(req, res, next) {
     }
 
     const movieObjectId = toObjectIdOrNull(movieIdParam);
+    if (movieObjectId && mongoose.connection.readyState === 1) {
+      const movie = await Movie.findById(movieObjectId).select('rating maturityRating').lean();
+      if (movie && !isAllowedForProfile(movie, req.profile)) {
+        return res.status(403).json({ message: 'This title is not available on this profile.' });
+      }
+    }
+
+    const profileId = profileIdOf(req.profile);
     const index = (user.watchProgress || []).findIndex((entry) => (
-      entry.movieId ? entry.movieId.toString() === movieIdParam : false
+      entry.movieId && belongsToProfile(user, req.profile, entry) ? entry.movieId.toString() === movieIdParam : false
     ));
 
     const payload = {
+      profileId,
       movieId: movieObjectId,
       title: String(title || '').trim(),
       progressPercent: safeProgress,
@@ -77,12 +153,18 @@ async function upsertWatchProgress(req, res, next) {
     if (safeProgress >= 1) {
       user.watchHistory = Array.isArray(user.watchHistory) ? user.watchHistory : [];
       user.watchHistory.unshift({
+        profileId,
         movieId: movieObjectId,
         title: payload.title,
         watchedAt: new Date(),
         progressMinutes: Math.round(payload.lastPositionSeconds / 60),
       });
-      user.watchHistory = user.watchHistory.slice(0, 80);
+      const perProfile = new Map();
+      user.watchHistory = user.watchHistory.filter((entry) => {
+        const count = (perProfile.get(entry.profileId || '') || 0) + 1;
+        perProfile.set(entry.profileId || '', count);
+        return count <= 80;
+      });
     }
 
     await user.save();
@@ -94,8 +176,7 @@ async function upsertWatchProgress(req, res, next) {
 
 async function getContinueWatching(req, res, next) {
   try {
-    const user = req.userDoc;
-    const rows = (user.watchProgress || [])
+    const rows = profileRows(req, req.userDoc.watchProgress)
       .filter((entry) => Number(entry.progressPercent || 0) > 0 && Number(entry.progressPercent || 0) < 99)
       .sort((a, b) => new Date(b.updatedAt || 0).getTime() - new Date(a.updatedAt || 0).getTime())
       .map(normalizeProgressEntry);
@@ -108,8 +189,7 @@ async function getContinueWatching(req, res, next) {
 
 async function getWatchHistory(req, res, next) {
   try {
-    const user = req.userDoc;
-    const rows = (user.watchHistory || [])
+    const rows = profileRows(req, req.userDoc.watchHistory)
       .sort((a, b) => new Date(b.watchedAt || 0).getTime() - new Date(a.watchedAt || 0).getTime())
       .slice(0, 100)
       .map((entry) => ({
@@ -125,10 +205,286 @@ async function getWatchHistory(req, res, next) {
   }
 }
 
+async function listProfiles(req, res, next) {
+  try {
+    const user = req.userDoc;
+    return res.status(200).json({
+      count: user.profiles.length,
+      limit: profileLimitFor(user),
+      data: user.profiles.map((profile) => sanitizeProfile(user, profile)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function createProfile(req, res, next) {
+  try {
+    const user = req.userDoc;
+    await assertProfileChangesAllowed(req);
+    const limit = profileLimitFor(user);
+    if (user.profiles.length >= limit) {
+      return res.status(409).json({
+        message: `Your ${user.subscription?.plan || 'basic'} plan allows ${limit} profile(s). Upgrade your plan to add more.`,
+      });
+    }
+
+    user.profiles.push(applyProfileFields({}, normalizeProfileInput(req.body)));
+    await user.save();
+    const profile = user.profiles[user.profiles.length - 1];
+    return res.status(201).json({ message: 'Profile created.', data: sanitizeProfile(user, profile) });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function updateProfile(req, res, next) {
+  try {
+    const user = req.userDoc;
+    const profile = findProfile(user, req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found.' });
+    }
+
+    const fields = normalizeProfileInput(req.body, { partial: true });
+    await assertProfileChangesAllowed(req, { target: profile, fields });
+    applyProfileFields(profile, fields);
+    await user.save();
+    return res.status(200).json({ message: 'Profile updated.', data: sanitizeProfile(user, profile) });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function deleteProfile(req, res, next) {
+  try {
+    const user = req.userDoc;
+    const profile = findProfile(user, req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found.' });
+    }
+    if (isDefaultProfile(user, profile)) {
+      return res.status(400).json({ message: 'The main profile cannot be deleted.' });
+    }
+    await assertProfileChangesAllowed(req);
+
+    const profileId = profileIdOf(profile);
+    user.profiles = user.profiles.filter((entry) => profileIdOf(entry) !== profileId);
+    user.watchProgress = (user.watchProgress || []).filter((entry) => entry.profileId !== profileId);
+    user.watchHistory = (user.watchHistory || []).filter((entry) => entry.profileId !== profileId);
+    await user.save();
+    return res.status(200).json({ message: 'Profile deleted.' });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function setProfilePin(req, res, next) {
+  try {
+    const user = req.userDoc;
+    const profile = findProfile(user, req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found.' });
+    }
+
+    const pin = String(req.body?.pin || '').trim();
+    if (!PROFILE_PIN_PATTERN.test(pin)) {
+      return res.status(400).json({ message: 'PIN must be exactly 4 digits.' });
+    }
+    await assertAccountPassword(user, req.body?.password);
+
+    profile.pin = {
+      hash: await bcrypt.hash(pin, 10),
+      updatedAt: new Date(),
+      failedAttempts: 0,
+      lockedUntil: null,
+    };
+    recordSecurityEvent(user, { type: 'profile_pin_set', sessionId: req.auth?.sessionId || '', req });
+    await user.save();
+    return res.status(200).json({ message: 'Profile PIN saved.', data: sanitizeProfile(user, profile) });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function removeProfilePin(req, res, next) {
+  try {
+    const user = req.userDoc;
+    const profile = findProfile(user, req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found.' });
+    }
+    await assertAccountPassword(user, req.body?.password);
+
+    profile.pin = { hash: '', updatedAt: new Date(), failedAttempts: 0, lockedUntil: null };
+    recordSecurityEvent(user, { type: 'profile_pin_removed', sessionId: req.auth?.sessionId || '', req });
+    await user.save();
+    return res.status(200).json({ message: 'Profile PIN removed.', data: sanitizeProfile(user, profile) });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function unlockProfile(req, res, next) {
+  try {
+    const user = req.userDoc;
+    const profile = findProfile(user, req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found.' });
+    }
+    if (!isPinProtected(profile)) {
+      return res.status(400).json({ message: 'This profile does not have a PIN.' });
+    }
+
+    const remaining = pinLockRemainingMs(profile);
+    if (remaining > 0) {
+      throw pinLockoutError(remaining);
+    }
+
+    const isValid = await bcrypt.compare(String(req.body?.pin || '').trim(), profile.pin.hash);
+    if (!isValid) {
+      const lockedFor = registerFailedPin(profile);
+      await user.save();
+      if (lockedFor > 0) {
+        throw pinLockoutError(lockedFor);
+      }
+      return res.status(401).json({ message: 'Incorrect PIN.' });
+    }
+
+    clearFailedPins(profile);
+    await user.save();
+    return res.status(200).json({
+      message: 'Profile unlocked.',
+      data: { profileToken: issueProfileToken(user, profile), expiresIn: PROFILE_TOKEN_TTL_SECONDS },
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+// Records which profile this session is watching as. Leaving a kids profile needs the account
+// password, and a PIN-locked profile needs the unlock token from its PIN prompt.
+async function selectActiveProfile(req, res, next) {
+  try {
+    const user = req.userDoc;
+    const profile = findProfile(user, req.body?.profileId);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found.' });
+    }
+
+    const kidsProfile = kidsProfileOf(req);
+    if (kidsProfile && profileIdOf(kidsProfile) !== profileIdOf(profile)) {
+      if (!req.body?.password) {
+        return res.status(401).json({
+          message: 'Enter the account password to leave the kids profile.',
+          passwordRequired: true,
+        });
+      }
+      await assertAccountPassword(user, req.body.password);
+    }
+    if (isPinProtected(profile) && !isProfileTokenValid(req.body?.profileToken, user, profile)) {
+      return res.status(403).json({ message: 'This profile is locked. Enter its PIN to continue.', profileLocked: true });
+    }
+
+    if (req.auth?.sessionId) {
+      setSessionProfile(user, req.auth.sessionId, profileIdOf(profile));
+      await user.save();
+    }
+    return res.status(200).json({ message: 'Profile selected.', data: sanitizeProfile(user, profile) });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+function sanitizeListItem(entry) {
+  return {
+    movieId: entry.movieId,
+    title: entry.title || '',
+    addedAt: entry.addedAt || null,
+  };
+}
+
+async function getMyList(req, res, next) {
+  try {
+    const rows = (req.profile.myList || []).map(sanitizeListItem);
+    return res.status(200).json({ count: rows.length, data: rows });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function addToMyList(req, res, next) {
+  try {
+    const movieId = String(req.params.movieId || '').trim();
+    if (!movieId) {
+      return res.status(400).json({ message: 'movieId is required.' });
+    }
+
+    const profile = req.profile;
+    const existing = profile.myList.find((entry) => entry.movieId === movieId);
+    if (existing) {
+      return res.status(200).json({ message: 'Already in My List.', data: sanitizeListItem(existing) });
+    }
+    if (profile.myList.length >= MAX_MY_LIST_ITEMS) {
+      return res.status(409).json({ message: `My List can hold up to ${MAX_MY_LIST_ITEMS} titles.` });
+    }
+
+    profile.myList.push({ movieId, title: String(req.body?.title || '').trim().slice(0, 200) });
+    await req.userDoc.save();
+    return res.status(201).json({
+      message: 'Added to My List.',
+      data: sanitizeListItem(profile.myList[profile.myList.length - 1]),
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function removeFromMyList(req, res, next) {
+  try {
+    const movieId = String(req.params.movieId || '').trim();
+    req.profile.myList = req.profile.myList.filter((entry) => entry.movieId !== movieId);
+    await req.userDoc.save();
+    return res.status(200).json({ message: 'Removed from My List.' });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+async function exportAccountData(req, res, next) {
+  try {
+    const user = req.userDoc;
+    const now = new Date();
+    const files = buildAccountExport(user, req.body?.clientData, { now });
+    const archive = createZip(files, { now });
+
+    recordSecurityEvent(user, { type: 'data_export', sessionId: req.auth?.sessionId || '', req });
+    await user.save();
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="account-export-${now.toISOString().slice(0, 10)}.zip"`);
+    return res.status(200).send(archive);
+  } catch (error) {
+    return next(error);
+  }
+}
+
 module.exports = {
   getWatchProgress,
   upsertWatchProgress,
   getContinueWatching,
   getWatchHistory,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  setProfilePin,
+  removeProfilePin,
+  unlockProfile,
+  selectActiveProfile,
+  getMyList,
+  addToMyList,
+  removeFromMyList,
+  exportAccountData,
 };
 
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const AdminInvite = require('../models/AdminInvite');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const { clearRateLimit } = require('../middleware/rateLimit');
+const { anonymizeUser, scrubAuditDiff } = require('../utils/accountDeletion');
+
+const ACCOUNT_DELETION_SWEEP_MS = Number(process.env.ACCOUNT_DELETION_SWEEP_MINUTES || 60) * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+let sweepTimer = null;
+
+// Audit rows about the account, or about invites sent to it, carry its name and email in their diffs.
+async function scrubAuditLogs(user, original, replacement) {
+  const invites = await AdminInvite.find({ email: original.email }).select('_id').lean();
+  const rows = await AuditLog.find({
+    $or: [
+      { actor: user._id },
+      { targetType: 'user', targetId: user._id.toString() },
+      { targetType: 'invite', targetId: { $in: invites.map((invite) => invite._id.toString()) } },
+      { 'diff.before': original.email },
+      { 'diff.after': original.email },
+    ],
+  }).select('diff').lean();
+
+  const updates = rows
+    .map((row) => ({ row, diff: scrubAuditDiff(row.diff, original, replacement) }))
+    .filter(({ row, diff }) => JSON.stringify(diff) !== JSON.stringify(row.diff))
+    .map(({ row, diff }) => ({ updateOne: { filter: { _id: row._id }, update: { $set: { diff } } } }));
+  if (updates.length) await AuditLog.bulkWrite(updates);
+}
+
+async function purgeAccount(user, now = new Date()) {
+  const original = { name: user.name, email: user.email };
+  anonymizeUser(user, now);
+  await user.save();
+  const replacement = { name: user.name, email: user.email };
+
+  await scrubAuditLogs(user, original, replacement);
+  await AdminInvite.updateMany({ email: original.email, acceptedAt: null, revokedAt: null }, { $set: { revokedAt: now } });
+  await Promise.all([
+    AuditLog.updateMany({ actor: user._id }, { $set: { actorEmail: replacement.email, ipAddress: '', userAgent: '' } }),
+    AdminInvite.updateMany({ email: original.email }, { $set: { email: replacement.email } }),
+    ImpersonationSession.updateMany({ target: user._id }, { $set: { targetEmail: replacement.email } }),
+    ImpersonationSession.updateMany({ actor: user._id }, { $set: { actorEmail: replacement.email } }),
+    clearRateLimit('login-account', original.email),
+    clearRateLimit('password-reset-account', original.email),
+    clearRateLimit('magic-link-account', original.email),
+  ]);
+}
+
+async function purgeDueAccounts({ now = new Date() } = {}) {
+  const due = await User.find({
+    'deletionRequest.scheduledFor': { $ne: null, $lte: now },
+    'deletionRequest.completedAt': null,
+  }).limit(PURGE_BATCH_SIZE);
+
+  let purged = 0;
+  for (const user of due) {
+    try {
+      await purgeAccount(user, now);
+      purged += 1;
+    } catch (error) {
+      console.error(`Account deletion failed for ${user._id}:`, error.message);
+    }
+  }
+  return purged;
+}
+
+function startAccountDeletionJob() {
+  if (sweepTimer) return;
+  const run = () => {
+    if (mongoose.connection.readyState !== 1) return;
+    purgeDueAccounts()
+      .then((purged) => {
+        if (purged) console.log(`Account deletion job purged ${purged} account(s).`);
+      })
+      .catch((error) => console.warn('Account deletion job failed:', error.message));
+  };
+  run();
+  sweepTimer = setInterval(run, ACCOUNT_DELETION_SWEEP_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  purgeAccount,
+  purgeDueAccounts,
+  startAccountDeletionJob,
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AdminInvite = require('../models/AdminInvite');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const { purgeAccount } = require('./accountDeletion');
+
+const EMAIL = 'ada@example.com';
+
+// Just enough of a collection to run purgeAccount against: finds return every document and
+// updateMany applies $set where each filter field is equal.
+function fakeCollection(docs) {
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key] ?? null) === String(value ?? null));
+  return {
+    docs,
+    find: () => ({ select: () => ({ lean: async () => docs }) }),
+    updateMany: async (filter, update) => {
+      docs.filter((doc) => matches(doc, filter)).forEach((doc) => Object.assign(doc, update.$set));
+    },
+    bulkWrite: async (operations) => {
+      operations.forEach(({ updateOne }) => {
+        Object.assign(docs.find((doc) => doc._id === updateOne.filter._id), updateOne.update.$set);
+      });
+    },
+  };
+}
+
+function mockModel(t, model, collection) {
+  ['find', 'updateMany', 'bulkWrite'].forEach((method) => t.mock.method(model, method, collection[method]));
+}
+
+test('purging an account leaves no copy of its email in audit logs, invites or impersonation sessions', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+  const inviteId = new mongoose.Types.ObjectId();
+  const user = {
+    _id: userId,
+    name: 'Ada Lovelace',
+    email: EMAIL,
+    refreshTokens: [],
+    subscription: { plan: 'basic' },
+    save: async () => {},
+  };
+
+  const auditLogs = fakeCollection([
+    { _id: 'a1', actor: adminId, targetType: 'user', targetId: userId.toString(), diff: [
+      { path: 'email', before: EMAIL, after: null },
+      { path: 'name', before: 'Ada Lovelace', after: null },
+    ] },
+    { _id: 'a2', actor: adminId, targetType: 'invite', targetId: inviteId.toString(), diff: [{ path: 'email', before: null, after: EMAIL }] },
+    { _id: 'a3', actor: userId, actorEmail: EMAIL, targetType: 'user', targetId: userId.toString(), diff: [
+      { path: 'invoiceId', before: null, after: 'INV-1' },
+    ] },
+  ]);
+  const invites = fakeCollection([{ _id: inviteId, email: EMAIL, acceptedAt: new Date(), revokedAt: null }]);
+  const sessions = fakeCollection([
+    { _id: 's1', actor: adminId, actorEmail: 'support@example.com', target: userId, targetEmail: EMAIL },
+    { _id: 's2', actor: userId, actorEmail: EMAIL, target: adminId, targetEmail: 'other@example.com' },
+  ]);
+  mockModel(t, AuditLog, auditLogs);
+  mockModel(t, AdminInvite, invites);
+  mockModel(t, ImpersonationSession, sessions);
+
+  await purgeAccount(user);
+
+  const stored = JSON.stringify([user, auditLogs.docs, invites.docs, sessions.docs]);
+  assert.doesNotMatch(stored, /ada@example\.com/i);
+  assert.doesNotMatch(stored, /Ada Lovelace/);
+  assert.equal(auditLogs.docs[0].diff[0].before, `deleted-${userId}@deleted.invalid`);
+  assert.equal(sessions.docs[1].actorEmail, `deleted-${userId}@deleted.invalid`);
+  assert.equal(sessions.docs[0].actorEmail, 'support@example.com');
+});
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Movie = require('../models/Movie');
+const { movieMaturityAge } = require('../utils/maturity');
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Titles written before maturityAge existed have none, and profile filters would hide them until they get one.
+async function backfillMaturityAges() {
+  if (mongoose.connection.readyState !== 1) return 0;
+  let updated = 0;
+  for (;;) {
+    const batch = await Movie.find({ maturityAge: null })
+      .select('rating maturityRating')
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (!batch.length) break;
+    await Movie.bulkWrite(batch.map((movie) => ({
+      updateOne: { filter: { _id: movie._id }, update: { $set: { maturityAge: movieMaturityAge(movie) } } },
+    })));
+    updated += batch.length;
+    if (batch.length < BACKFILL_BATCH_SIZE) break;
+  }
+  if (updated) console.log(`Stored maturity ages for ${updated} catalog titles.`);
+  return updated;
+}
+
+module.exports = {
+  backfillMaturityAges,
+};
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Movie = require('../models/Movie');
+const TmdbImportRun = require('../models/TmdbImportRun');
+const { tmdbFetch } = require('../utils/tmdbClient');
+const {
+  TMDB_IMPORT_LISTS,
+  parseTmdbImportOptions,
+  detailsRequest,
+  importSkipReason,
+  mapTmdbDetails,
+  planTmdbUpdate,
+} = require('../utils/tmdbImport');
+
+// 0 turns the schedule off; imports then only run when an admin starts one.
+const TMDB_IMPORT_INTERVAL_MS = Number(process.env.TMDB_IMPORT_INTERVAL_HOURS || 0) * 60 * 60 * 1000;
+const TMDB_IMPORT_SCHEDULE_LISTS = String(process.env.TMDB_IMPORT_SCHEDULE_LISTS || 'trending_movies,trending_tv');
+const MAX_SEASONS = 30;
+const MAX_REPORT_ITEMS = 500;
+const PROGRESS_SAVE_EVERY = 10;
+
+let activeRunId = null;
+let importTimer = null;
+
+function importConflict() {
+  const error = new Error('A TMDB import is already running. Wait for it to finish.');
+  error.status = 409;
+  return error;
+}
+
+function targetKey({ type, tmdbId }) {
+  return `${type}:${tmdbId}`;
+}
+
+// Explicit ids first, then list entries, then the least recently synced imports, capped at maxTitles.
+async function collectTargets(options) {
+  const targets = new Map();
+  const add = (target) => {
+    if (targets.size < options.maxTitles && !targets.has(targetKey(target))) {
+      targets.set(targetKey(target), target);
+    }
+  };
+
+  options.refs.forEach(add);
+  for (const name of options.lists) {
+    if (targets.size >= options.maxTitles) break;
+    const list = TMDB_IMPORT_LISTS[name];
+    const payload = await tmdbFetch(list.path);
+    (payload?.results || []).forEach((item) => add({ type: list.type, tmdbId: item.id }));
+  }
+  if (options.refreshExisting && targets.size < options.maxTitles) {
+    const existing = await Movie.find({ source: 'tmdb', 'externalIds.tmdb': { $type: 'number' } })
+      .sort({ syncedAt: 1 })
+      .limit(options.maxTitles)
+      .select('type externalIds.tmdb')
+      .lean();
+    existing.forEach((movie) => add({ type: movie.type, tmdbId: movie.externalIds.tmdb }));
+  }
+  return [...targets.values()];
+}
+
+async function fetchSeasons(details) {
+  const numbers = (details.seasons || [])
+    .map((season) => season.season_number)
+    .filter((number) => number > 0)
+    .slice(0, MAX_SEASONS);
+  const seasons = [];
+  for (const number of numbers) {
+    seasons.push(await tmdbFetch(`/tv/${details.id}/season/${number}`, {}, { cached: false }));
+  }
+  return seasons;
+}
+
+async function importTarget(target, now) {
+  const request = detailsRequest(target);
+  const details = await tmdbFetch(request.path, request.params, { cached: false });
+  const title = details?.title || details?.name || '';
+  const skipReason = importSkipReason(details);
+  if (skipReason) {
+    return { ...target, title, action: 'skipped', reason: skipReason };
+  }
+
+  const seasons = target.type === 'series' ? await fetchSeasons(details) : [];
+  const fields = mapTmdbDetails(details, target.type, seasons);
+  const existing = await Movie.findOne({ type: target.type, 'externalIds.tmdb': target.tmdbId });
+
+  if (!existing) {
+    const movie = await Movie.create({ ...fields, source: 'tmdb', syncedAt: now });
+    return { ...target, title: fields.title, action: 'created', movieId: movie._id };
+  }
+
+  const { update, changedFields } = planTmdbUpdate(existing.toObject(), fields);
+  if (!changedFields.length) {
+    await Movie.updateOne({ _id: existing._id }, { $set: { syncedAt: now } });
+    return { ...target, title: fields.title, action: 'skipped', reason: 'Already up to date.', movieId: existing._id };
+  }
+  existing.set({ ...update, source: 'tmdb', syncedAt: now });
+  await existing.save();
+  return { ...target, title: fields.title, action: 'updated', changedFields, movieId: existing._id };
+}
+
+async function processRun(run, options) {
+  try {
+    const targets = await collectTargets(options);
+    for (const [index, target] of targets.entries()) {
+      let item;
+      try {
+        item = await importTarget(target, new Date());
+      } catch (error) {
+        item = { ...target, action: 'failed', reason: error.message || 'Import failed.' };
+      }
+      run.counts[item.action] += 1;
+      if (run.items.length < MAX_REPORT_ITEMS) run.items.push(item);
+      if ((index + 1) % PROGRESS_SAVE_EVERY === 0) await run.save();
+    }
+    run.status = 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message || 'Import failed.';
+  } finally {
+    run.finishedAt = new Date();
+    activeRunId = null;
+  }
+  await run.save();
+  const { created, updated, skipped, failed } = run.counts;
+  console.log(`TMDB import ${run._id} ${run.status}: ${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed.`);
+  return run;
+}
+
+// Records the run and returns it straight away; the titles are imported in the background.
+async function startTmdbImport({ trigger, startedBy = null, body }) {
+  const options = parseTmdbImportOptions(body);
+  if (activeRunId) throw importConflict();
+  activeRunId = 'starting';
+  let run;
+  try {
+    run = await TmdbImportRun.create({
+      trigger,
+      startedBy,
+      options: { lists: options.lists, ids: options.ids, refreshExisting: options.refreshExisting, maxTitles: options.maxTitles },
+    });
+  } catch (error) {
+    activeRunId = null;
+    throw error;
+  }
+  activeRunId = run._id.toString();
+  const done = processRun(run, options).catch((error) => {
+    console.error(`TMDB import ${run._id} could not save its report:`, error.message);
+  });
+  return { run, done };
+}
+
+function startTmdbImportJob() {
+  if (importTimer) return;
+  // Runs a previous process left as running will never finish.
+  if (mongoose.connection.readyState === 1) {
+    TmdbImportRun.updateMany(
+      { status: 'running' },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart.', finishedAt: new Date() } }
+    ).catch((error) => console.warn('TMDB import cleanup failed:', error.message));
+  }
+
+  if (!TMDB_IMPORT_INTERVAL_MS) return;
+  const run = () => {
+    if (mongoose.connection.readyState !== 1 || !process.env.TMDB_API_KEY || activeRunId) return;
+    startTmdbImport({ trigger: 'schedule', body: { lists: TMDB_IMPORT_SCHEDULE_LISTS, refreshExisting: true } })
+      .catch((error) => console.warn('Scheduled TMDB import failed to start:', error.message));
+  };
+  importTimer = setInterval(run, TMDB_IMPORT_INTERVAL_MS);
+  importTimer.unref();
+}
+
+function isTmdbImportRunning() {
+  return Boolean(activeRunId);
+}
+
+module.exports = {
+  collectTargets,
+  importTarget,
+  startTmdbImport,
+  startTmdbImportJob,
+  isTmdbImportRunning,
+};
@@ -0,0 +1,65 @@
+const { renderTemplate } = require('./templates');
+const { createSmtpTransport } = require('./transports/smtp');
+const { createOutboxTransport } = require('./transports/outbox');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Netflix Clone <no-reply@localhost>';
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+let activeTransport = null;
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+};
+
+// Outside production a missing MAIL_TRANSPORT means the local outbox; production has to name one.
+function assertMailConfig(env = process.env) {
+  if (env.NODE_ENV === 'production' && !env.MAIL_TRANSPORT) {
+    throw new Error('MAIL_TRANSPORT must be set explicitly when NODE_ENV=production.');
+  }
+  const name = String(env.MAIL_TRANSPORT || 'outbox').toLowerCase();
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+  return name;
+}
+
+function createTransportFromEnv(env = process.env) {
+  return TRANSPORTS[assertMailConfig(env)]();
+}
+
+function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransportFromEnv();
+  }
+  return activeTransport;
+}
+
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+function appUrl(pathname, query = {}) {
+  const url = new URL(`${APP_BASE_URL}${pathname}`);
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+async function sendMail({ to, template, data = {} }) {
+  try {
+    const { subject, html, text } = renderTemplate(template, data);
+    const result = await getTransport().send({ from: MAIL_FROM, to, subject, html, text });
+    return { delivered: true, ...result };
+  } catch (error) {
+    console.error(`Email "${template}" to ${to} failed:`, error.message);
+    return { delivered: false, error: error.message };
+  }
+}
+
+module.exports = {
+  sendMail,
+  appUrl,
+  setTransport,
+  createTransportFromEnv,
+  assertMailConfig,
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { renderTemplate } = require('./templates');
+const { createOutboxTransport } = require('./transports/outbox');
+const { sendMail, setTransport, appUrl, assertMailConfig } = require('./index');
+
+test('templates render html and text bodies with escaped values', () => {
+  const message = renderTemplate('verifyEmail', {
+    name: '<script>',
+    link: 'http://localhost:3000/verify-email?token=abc',
+    expiresInMinutes: 60,
+  });
+
+  assert.match(message.subject, /Verify your email/);
+  assert.ok(message.html.includes('&lt;script&gt;'));
+  assert.ok(!message.html.includes('<script>'));
+  assert.ok(message.text.includes('http://localhost:3000/verify-email?token=abc'));
+  assert.throws(() => renderTemplate('missing'), /Unknown email template/);
+});
+
+test('appUrl builds links from APP_BASE_URL with encoded query values', () => {
+  assert.equal(appUrl('/reset-password', { token: 'a b' }), 'http://localhost:3000/reset-password?token=a+b');
+});
+
+test('outbox transport writes an .eml file per message', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+  try {
+    setTransport(createOutboxTransport({ directory }));
+    const result = await sendMail({
+      to: 'viewer@example.com',
+      template: 'receipt',
+      data: { name: 'Viewer', invoiceId: 'INV-1', plan: 'premium', amount: 649, currency: 'INR' },
+    });
+
+    assert.equal(result.delivered, true);
+    const files = await fs.readdir(directory);
+    assert.equal(files.length, 1);
+    assert.ok(files[0].endsWith('.eml'));
+
+    const raw = await fs.readFile(path.join(directory, files[0]), 'utf8');
+    assert.match(raw, /To: viewer@example\.com/);
+    assert.match(raw, /Subject: Your Netflix Clone receipt INV-1/);
+    assert.match(raw, /multipart\/alternative/);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('outbox transport keeps messages with the same subject sent together', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+  try {
+    const transport = createOutboxTransport({ directory });
+    const message = { from: 'a@example.com', to: 'b@example.com', subject: 'Same', text: 'Hi' };
+    await Promise.all([transport.send(message), transport.send(message), transport.send(message)]);
+    assert.equal((await fs.readdir(directory)).length, 3);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('sendMail reports transport failures instead of throwing', async () => {
+  setTransport({
+    name: 'broken',
+    async send() {
+      throw new Error('connection refused');
+    },
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const result = await sendMail({ to: 'x@example.com', template: 'verifyEmail', data: {} });
+    assert.deepEqual(result, { delivered: false, error: 'connection refused' });
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('assertMailConfig requires an explicit transport in production', () => {
+  assert.throws(() => assertMailConfig({ NODE_ENV: 'production' }), /MAIL_TRANSPORT/);
+  assert.throws(() => assertMailConfig({ NODE_ENV: 'production', MAIL_TRANSPORT: 'pigeon' }), /Unknown MAIL_TRANSPORT/);
+  assert.equal(assertMailConfig({ NODE_ENV: 'production', MAIL_TRANSPORT: 'SMTP' }), 'smtp');
+  assert.equal(assertMailConfig({ NODE_ENV: 'development' }), 'outbox');
+});
@@ -0,0 +1,190 @@
+const APP_NAME = process.env.MAIL_APP_NAME || 'Netflix Clone';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout({ heading, paragraphs, action = null, footer = '' }) {
+  const htmlParagraphs = paragraphs
+    .map((line) => `<p style="margin:0 0 16px;color:#d4d4d4;font-size:15px;line-height:22px;">${escapeHtml(line)}</p>`)
+    .join('');
+  const htmlAction = action
+    ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#e50914;color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>`
+    : '';
+  const htmlFooter = footer
+    ? `<p style="margin:24px 0 0;color:#737373;font-size:12px;">${escapeHtml(footer)}</p>`
+    : '';
+
+  const html = [
+    '<!doctype html>',
+    '<html><body style="margin:0;padding:24px;background:#000000;font-family:Arial,Helvetica,sans-serif;">',
+    '<div style="max-width:560px;margin:0 auto;background:#141414;border-radius:8px;padding:32px;">',
+    `<p style="margin:0 0 24px;color:#e50914;font-size:22px;font-weight:bold;">${escapeHtml(APP_NAME)}</p>`,
+    `<h1 style="margin:0 0 16px;color:#ffffff;font-size:22px;">${escapeHtml(heading)}</h1>`,
+    htmlParagraphs,
+    htmlAction,
+    htmlFooter,
+    '</div></body></html>',
+  ].join('');
+
+  const text = [
+    heading,
+    '',
+    ...paragraphs,
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    ...(footer ? ['', footer] : []),
+    '',
+    `- ${APP_NAME}`,
+  ].join('\n');
+
+  return { html, text };
+}
+
+function formatAmount(amount, currency) {
+  return `${String(currency || 'INR').toUpperCase()} ${Number(amount || 0).toFixed(2)}`;
+}
+
+const templates = {
+  verifyEmail: ({ name, link, expiresInMinutes }) => ({
+    subject: `Verify your email for ${APP_NAME}`,
+    ...layout({
+      heading: 'Confirm your email address',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        'Please confirm this email address so we can keep your account secure.',
+      ],
+      action: { label: 'Verify email', url: link },
+      footer: `This link expires in ${expiresInMinutes} minutes. If you did not create an account, you can ignore this email.`,
+    }),
+  }),
+  magicLink: ({ name, link, expiresInMinutes }) => ({
+    subject: `Your ${APP_NAME} sign-in link`,
+    ...layout({
+      heading: 'Sign in with one click',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        'Use the button below to sign in. No password needed.',
+      ],
+      action: { label: 'Sign in', url: link },
+      footer: `This link works once and expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.`,
+    }),
+  }),
+  passwordReset: ({ name, link, expiresInMinutes }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    ...layout({
+      heading: 'Reset your password',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        'We received a request to reset your password. Use the button below to choose a new one.',
+      ],
+      action: { label: 'Reset password', url: link },
+      footer: `This link expires in ${expiresInMinutes} minutes. If you did not ask for a reset, your password has not been changed.`,
+    }),
+  }),
+  emailChangeConfirm: ({ name, newEmail, link, expiresInMinutes }) => ({
+    subject: `Confirm your new ${APP_NAME} email`,
+    ...layout({
+      heading: 'Confirm your new email address',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        `You asked to change the email on your account to ${newEmail}. Confirm below to finish the change.`,
+      ],
+      action: { label: 'Confirm new email', url: link },
+      footer: `This link expires in ${expiresInMinutes} minutes. Until you confirm, your account keeps its current email.`,
+    }),
+  }),
+  emailChangeNotice: ({ name, newEmail, link, expiresInHours }) => ({
+    subject: `Your ${APP_NAME} email is being changed`,
+    ...layout({
+      heading: 'Email change requested',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        `Someone asked to change the email on your account to ${newEmail}. The change only happens once that address is confirmed.`,
+        'If this was not you, use the button below. It cancels the change, or restores this address if it already went through, and signs out every device.',
+      ],
+      action: { label: 'This was not me', url: link },
+      footer: `This link works for ${expiresInHours} hours.`,
+    }),
+  }),
+  loginAlert: ({ name, message, ipAddress, device, occurredAt, link }) => ({
+    subject: `Security alert for your ${APP_NAME} account`,
+    ...layout({
+      heading: 'New security activity',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        message,
+        `Device: ${device || 'Unknown device'}`,
+        `IP address: ${ipAddress || 'unknown'}`,
+        `Time: ${new Date(occurredAt || Date.now()).toUTCString()}`,
+      ],
+      action: link ? { label: 'Review signed-in devices', url: link } : null,
+      footer: 'If this was not you, change your password and sign out of other devices.',
+    }),
+  }),
+  adminInvite: ({ inviterName, role, adminScope, link, expiresAt }) => ({
+    subject: `You're invited to help run ${APP_NAME}`,
+    ...layout({
+      heading: 'You have an admin invitation',
+      paragraphs: [
+        `${inviterName || 'A super admin'} invited you to join ${APP_NAME} as ${role === 'superadmin' ? 'a super admin' : 'an admin'}.`,
+        `Access level: ${String(adminScope || '').replace(/_/g, ' ')}`,
+      ],
+      action: { label: 'Accept invitation', url: link },
+      footer: `This invitation works once and expires on ${new Date(expiresAt).toUTCString()}.`,
+    }),
+  }),
+  accountDeletionScheduled: ({ name, scheduledFor, link }) => ({
+    subject: `Your ${APP_NAME} account is scheduled for deletion`,
+    ...layout({
+      heading: 'Account deletion requested',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        `Your account and its data will be permanently deleted on ${new Date(scheduledFor).toUTCString()}.`,
+        'You have been signed out on every device. Changed your mind? Sign in again before that date and the deletion is cancelled.',
+      ],
+      action: link ? { label: 'Sign in to keep my account', url: link } : null,
+      footer: 'If you did not ask for this, sign in now and change your password.',
+    }),
+  }),
+  accountDeletionCancelled: ({ name }) => ({
+    subject: `Your ${APP_NAME} account will not be deleted`,
+    ...layout({
+      heading: 'Account deletion cancelled',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        'You signed in during the grace period, so we cancelled the deletion of your account. Nothing else has changed.',
+      ],
+    }),
+  }),
+  receipt: ({ name, invoiceId, plan, amount, currency, paidAt }) => ({
+    subject: `Your ${APP_NAME} receipt ${invoiceId}`,
+    ...layout({
+      heading: 'Thanks for your payment',
+      paragraphs: [
+        `Hi ${name || 'there'},`,
+        `Receipt: ${invoiceId}`,
+        `Plan: ${plan}`,
+        `Amount: ${formatAmount(amount, currency)}`,
+        `Paid on: ${new Date(paidAt || Date.now()).toUTCString()}`,
+      ],
+    }),
+  }),
+};
+
+function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate,
+  escapeHtml,
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', '..', '..', 'mail-outbox');
+
+function fileNameFor(message) {
+  const slug = String(message.subject || 'message')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 40);
+  // Mails sent in the same millisecond share a timestamp; the suffix keeps them from overwriting each other.
+  const suffix = crypto.randomBytes(4).toString('hex');
+  return `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug || 'message'}-${suffix}.eml`;
+}
+
+function createOutboxTransport({ directory = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR } = {}) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'outbox',
+    directory,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(directory, { recursive: true });
+      const filePath = path.join(directory, fileNameFor(message));
+      await fs.writeFile(filePath, info.message);
+      return { messageId: info.messageId, filePath };
+    },
+  };
+}
+
+module.exports = {
+  createOutboxTransport,
+};
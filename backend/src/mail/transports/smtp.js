@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  secure = String(process.env.SMTP_SECURE || '').toLowerCase() === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport.');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+};
@@ -0,0 +1,42 @@
+const AuditLog = require('../models/AuditLog');
+const { diffSnapshots } = require('../utils/audit');
+
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function buildAuditEntry(req) {
+  const details = req.audit || {};
+  const routePath = req.route?.path ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+
+  return {
+    actor: req.userDoc?._id || null,
+    actorEmail: req.userDoc?.email || '',
+    actorRole: req.auth?.role || '',
+    action: details.action || `${req.method} ${routePath}`,
+    targetType: details.targetType || '',
+    targetId: String(details.targetId || req.params?.id || ''),
+    diff: diffSnapshots(details.before, details.after),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ipAddress: String(req.ip || ''),
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 255),
+  };
+}
+
+function auditAdminMutations(req, res, next) {
+  if (READ_ONLY_METHODS.has(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || !req.userDoc) return;
+    AuditLog.create(buildAuditEntry(req)).catch((error) => {
+      console.error('Audit log write failed:', error.message);
+    });
+  });
+  return next();
+}
+
+module.exports = {
+  auditAdminMutations,
+  buildAuditEntry,
+};
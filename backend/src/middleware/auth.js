@@ -1,21 +1,67 @@
 const User = require('../models/User');
-const { verifyAccessToken } = require('../utils/tokenService');
+const { verifyAccessToken, hashToken } = require('../utils/tokenService');
+const { sessionIdOf, hasActiveSession } = require('../utils/sessions');
+const { isApiToken, findActiveApiToken } = require('../utils/apiTokens');
+
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function touchSession(user, sessionId) {
+  const entry = (user.refreshTokens || []).find((item) => !item.revokedAt && sessionIdOf(item) === sessionId);
+  if (!entry) return;
+
+  const lastUsedAt = new Date(entry.lastUsedAt || entry.createdAt || 0).getTime();
+  if (Date.now() - lastUsedAt < SESSION_TOUCH_INTERVAL_MS) return;
+
+  const now = new Date();
+  entry.lastUsedAt = now;
+  User.updateOne(
+    { _id: user._id, 'refreshTokens.tokenHash': entry.tokenHash },
+    { $set: { 'refreshTokens.$.lastUsedAt': now } }
+  ).catch(() => {});
+}
+
+function touchApiToken(user, entry, req) {
+  const lastUsedAt = new Date(entry.lastUsedAt || 0).getTime();
+  if (Date.now() - lastUsedAt < SESSION_TOUCH_INTERVAL_MS) return;
+
+  const now = new Date();
+  entry.lastUsedAt = now;
+  User.updateOne(
+    { _id: user._id, 'apiTokens.tokenHash': entry.tokenHash },
+    { $set: { 'apiTokens.$.lastUsedAt': now, 'apiTokens.$.lastUsedIp': req.ip || '' } }
+  ).catch(() => {});
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
 
 async function requireAuth(req, res, next) {
   try {
-    const header = req.headers.authorization || '';
-    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    const token = bearerToken(req);
 
     if (!token) {
       return res.status(401).json({ message: 'Missing access token.' });
     }
 
-    const payload = verifyAccessToken(token);
-    if (!payload?.userId) {
-      return res.status(401).json({ message: 'Invalid or expired access token.' });
+    let payload = {};
+    let apiToken = null;
+    let user;
+    if (isApiToken(token)) {
+      user = await User.findOne({ 'apiTokens.tokenHash': hashToken(token) });
+      apiToken = user ? findActiveApiToken(user, token) : null;
+      if (!apiToken) {
+        return res.status(401).json({ message: 'API token is invalid, expired or revoked.' });
+      }
+    } else {
+      payload = verifyAccessToken(token);
+      if (!payload?.userId) {
+        return res.status(401).json({ message: 'Invalid or expired access token.' });
+      }
+      user = await User.findById(payload.userId);
     }
 
-    const user = await User.findById(payload.userId);
     if (!user || user.terminatedAt) {
       return res.status(401).json({ message: 'User account is unavailable.' });
     }
@@ -24,10 +70,25 @@ async function requireAuth(req, res, next) {
       return res.status(403).json({ message: 'Account is suspended.' });
     }
 
+    const sessionId = payload.sid || '';
+    if (sessionId && !hasActiveSession(user, sessionId)) {
+      return res.status(401).json({ message: 'Session has been signed out.' });
+    }
+    if (sessionId) {
+      touchSession(user, sessionId);
+    }
+    if (apiToken) {
+      touchApiToken(user, apiToken, req);
+    }
+
     req.auth = {
       userId: user._id.toString(),
       role: user.role,
+      adminScope: user.adminScope || 'content_manager',
       emailVerified: Boolean(user.isEmailVerified),
+      sessionId,
+      impersonatedBy: payload.impersonatedBy || '',
+      ...(apiToken ? { apiTokenId: apiToken._id.toString(), tokenScopes: [...apiToken.scopes] } : {}),
     };
     req.userDoc = user;
     return next();
@@ -36,7 +97,47 @@ async function requireAuth(req, res, next) {
   }
 }
 
+function optionalAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+}
+
+function requireTokenScope(scope) {
+  return (req, res, next) => {
+    if (Array.isArray(req.auth?.tokenScopes) && !req.auth.tokenScopes.includes(scope)) {
+      return res.status(403).json({ message: `This API token does not have the "${scope}" scope.` });
+    }
+    return next();
+  };
+}
+
+// Account security stays behind an interactive sign-in even for tokens that hold every scope.
+function rejectApiTokens(req, res, next) {
+  if (isApiToken(bearerToken(req))) {
+    return res.status(403).json({ message: 'API tokens cannot be used for this action. Sign in to continue.' });
+  }
+  return next();
+}
+
+function rejectLegacyActorId(req, res, next) {
+  const header = req.headers.authorization || '';
+  const actorId = String(req.query.actorId || req.body?.actorId || '').trim();
+  if (actorId && !header.startsWith('Bearer ')) {
+    return res.status(401).json({
+      message: 'actorId is no longer accepted for admin actions. Sign in and send the access token as a Bearer Authorization header.',
+    });
+  }
+  return next();
+}
+
 module.exports = {
   requireAuth,
+  optionalAuth,
+  requireTokenScope,
+  rejectApiTokens,
+  rejectLegacyActorId,
 };
 
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const { REFRESH_COOKIE, CSRF_COOKIE, CSRF_HEADER, readCookies } = require('../utils/sessionCookies');
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function tokensMatch(received, expected) {
+  const receivedBuffer = Buffer.from(String(received || ''));
+  const expectedBuffer = Buffer.from(String(expected || ''));
+  return expectedBuffer.length > 0
+    && receivedBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+// Double-submit check for requests the browser authenticates with the session cookie.
+// Bearer-token clients never send that cookie, so they pass straight through.
+function csrfProtection(req, res, next) {
+  if (SAFE_METHODS.has(req.method)) {
+    return next();
+  }
+  const cookies = readCookies(req);
+  if (!cookies[REFRESH_COOKIE]) {
+    return next();
+  }
+  if (!tokensMatch(req.headers[CSRF_HEADER], cookies[CSRF_COOKIE])) {
+    return res.status(403).json({ message: 'CSRF token missing or invalid.' });
+  }
+  return next();
+}
+
+module.exports = {
+  csrfProtection,
+};
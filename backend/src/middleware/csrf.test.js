@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csrfProtection } = require('./csrf');
+const { fakeResponse } = require('../testing/fakeResponse');
+
+test('csrfProtection requires a matching header only for cookie-authenticated mutations', () => {
+  let passed = 0;
+  const next = () => {
+    passed += 1;
+  };
+
+  csrfProtection({ method: 'POST', headers: { authorization: 'Bearer x' } }, fakeResponse(), next);
+  csrfProtection({ method: 'GET', headers: { cookie: 'nf_refresh=r; nf_csrf=t' } }, fakeResponse(), next);
+  csrfProtection({ method: 'POST', headers: { cookie: 'nf_refresh=r; nf_csrf=t', 'x-csrf-token': 't' } }, fakeResponse(), next);
+  assert.equal(passed, 3);
+
+  const res = fakeResponse();
+  csrfProtection({ method: 'POST', headers: { cookie: 'nf_refresh=r; nf_csrf=t', 'x-csrf-token': 'other' } }, res, next);
+  assert.equal(res.statusCode, 403);
+  assert.equal(passed, 3);
+});
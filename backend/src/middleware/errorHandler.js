@@ -7,6 +7,10 @@ function errorHandler(err, req, res, next) {
   const isCastError = err.name === 'CastError';
   const status = err.status || (isValidationError || isCastError ? 400 : 500);
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   if (status === 500) {
     console.error('Server error:', err.message);
   }
@@ -0,0 +1,48 @@
+const AuditLog = require('../models/AuditLog');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const { verifyAccessToken } = require('../utils/tokenService');
+const { isImpersonationActive, buildImpersonationEntry } = require('../utils/impersonation');
+
+async function trackImpersonation(req, res, next) {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    const payload = token ? verifyAccessToken(token) : null;
+    if (!payload?.impersonatedBy) {
+      return next();
+    }
+
+    const session = await ImpersonationSession.findById(payload.imp).lean();
+    if (!isImpersonationActive(session, payload)) {
+      return res.status(401).json({ message: 'Impersonation session has ended.' });
+    }
+
+    req.impersonation = {
+      sessionId: session._id.toString(),
+      actorId: session.actor.toString(),
+      actorEmail: session.actorEmail,
+      actorRole: session.actorRole,
+      targetId: session.target.toString(),
+    };
+    res.on('finish', () => {
+      AuditLog.create(buildImpersonationEntry(req, res)).catch((error) => {
+        console.error('Impersonation audit write failed:', error.message);
+      });
+    });
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+function denyDuringImpersonation(req, res, next) {
+  if (req.impersonation) {
+    return res.status(403).json({ message: 'This action is not available while impersonating a user.' });
+  }
+  return next();
+}
+
+module.exports = {
+  trackImpersonation,
+  denyDuringImpersonation,
+};
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { denyDuringImpersonation } = require('./impersonation');
+const { fakeResponse } = require('../testing/fakeResponse');
+
+test('denyDuringImpersonation blocks only impersonated requests', () => {
+  let called = 0;
+  const next = () => {
+    called += 1;
+  };
+
+  denyDuringImpersonation({}, fakeResponse(), next);
+  assert.equal(called, 1);
+
+  const res = fakeResponse();
+  denyDuringImpersonation({ impersonation: { sessionId: 'imp-1' } }, res, next);
+  assert.equal(called, 1);
+  assert.equal(res.statusCode, 403);
+});
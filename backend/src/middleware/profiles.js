@@ -0,0 +1,57 @@
+const { ensureDefaultProfile, findProfile, profileIdOf, kidsSessionProfile } = require('../utils/profiles');
+const { isPinProtected, isProfileTokenValid } = require('../utils/profilePins');
+const { sessionProfileId } = require('../utils/sessions');
+
+const PROFILE_HEADER = 'x-profile-id';
+const PROFILE_TOKEN_HEADER = 'x-profile-token';
+
+async function withDefaultProfile(req, res, next) {
+  try {
+    if (ensureDefaultProfile(req.userDoc)) {
+      await req.userDoc.save();
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+// Picks the viewer profile for per-profile data. Requests without the header use the default profile,
+// unless the session is on a kids profile: then it is the only profile the session can use.
+function resolveProfile(req, res, next) {
+  const user = req.userDoc;
+  const requestedId = String(req.headers[PROFILE_HEADER] || '').trim();
+  const kidsProfile = kidsSessionProfile(user, sessionProfileId(user, req.auth?.sessionId));
+  if (kidsProfile && requestedId && requestedId !== profileIdOf(kidsProfile)) {
+    return res.status(403).json({
+      message: 'This device is on a kids profile. Enter the account password to switch profiles.',
+      kidsLocked: true,
+    });
+  }
+  const profile = requestedId ? findProfile(user, requestedId) : kidsProfile || user.profiles[0];
+  if (!profile) {
+    return res.status(404).json({ message: 'Profile not found. Choose a profile and try again.' });
+  }
+  if (isPinProtected(profile) && !isProfileTokenValid(req.headers[PROFILE_TOKEN_HEADER], user, profile)) {
+    return res.status(403).json({ message: 'This profile is locked. Enter its PIN to continue.', profileLocked: true });
+  }
+
+  req.profile = profile;
+  return next();
+}
+
+// Public routes resolve a profile only when the caller is signed in.
+function optionalProfile(req, res, next) {
+  if (!req.userDoc) {
+    return next();
+  }
+  return withDefaultProfile(req, res, (error) => (error ? next(error) : resolveProfile(req, res, next)));
+}
+
+module.exports = {
+  PROFILE_HEADER,
+  PROFILE_TOKEN_HEADER,
+  withDefaultProfile,
+  resolveProfile,
+  optionalProfile,
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { resolveProfile } = require('./profiles');
+const { sessionProfileId, setSessionProfile } = require('../utils/sessions');
+const { fakeResponse } = require('../testing/fakeResponse');
+
+function profile(name) {
+  return { _id: new mongoose.Types.ObjectId(), name, myList: [] };
+}
+
+test('resolveProfile uses the header and falls back to the default profile', () => {
+  const main = profile('Ada');
+  const kids = profile('Kids');
+  const userDoc = { profiles: [main, kids] };
+
+  const withHeader = { userDoc, headers: { 'x-profile-id': kids._id.toString() } };
+  resolveProfile(withHeader, fakeResponse(), () => {});
+  assert.equal(withHeader.profile, kids);
+
+  const withoutHeader = { userDoc, headers: {} };
+  resolveProfile(withoutHeader, fakeResponse(), () => {});
+  assert.equal(withoutHeader.profile, main);
+
+  const res = fakeResponse();
+  resolveProfile({ userDoc, headers: { 'x-profile-id': 'missing' } }, res, () => assert.fail('should not continue'));
+  assert.equal(res.statusCode, 404);
+});
+
+test('resolveProfile keeps a kids session on its kids profile', () => {
+  const main = profile('Ada');
+  const kids = { ...profile('Kids'), kids: true };
+  const userDoc = {
+    profiles: [main, kids],
+    refreshTokens: [{ sessionId: 'family-1', expiresAt: new Date(Date.now() + 60000), revokedAt: null }],
+  };
+  setSessionProfile(userDoc, 'family-1', kids._id.toString());
+  assert.equal(sessionProfileId(userDoc, 'family-1'), kids._id.toString());
+  const auth = { sessionId: 'family-1' };
+
+  const withoutHeader = { userDoc, auth, headers: {} };
+  resolveProfile(withoutHeader, fakeResponse(), () => {});
+  assert.equal(withoutHeader.profile, kids);
+
+  const res = fakeResponse();
+  resolveProfile({ userDoc, auth, headers: { 'x-profile-id': main._id.toString() } }, res, () => assert.fail('should not continue'));
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.kidsLocked, true);
+
+  const otherSession = { userDoc, auth: { sessionId: 'family-2' }, headers: {} };
+  resolveProfile(otherSession, fakeResponse(), () => {});
+  assert.equal(otherSession.profile, main);
+});
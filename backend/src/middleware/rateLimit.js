@@ -0,0 +1,50 @@
+const { createStoreFromEnv } = require('../utils/rateLimitStore');
+
+const defaultStore = createStoreFromEnv();
+
+function clientIp(req) {
+  return String(req.ip || req.socket?.remoteAddress || 'unknown');
+}
+
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function createRateLimiter({
+  name,
+  windowMs,
+  max,
+  keyGenerator = clientIp,
+  store = defaultStore,
+  message = 'Too many requests. Please try again later.',
+}) {
+  async function limiter(req, res, next) {
+    try {
+      const id = String(keyGenerator(req) || '').trim().toLowerCase();
+      if (!id) return next();
+
+      const { count, resetAt } = await store.increment(`${name}:${id}`, windowMs);
+      if (count > max) {
+        const retryAfter = retryAfterSeconds(resetAt);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message, retryAfter });
+      }
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  limiter.reset = (id) => store.reset(`${name}:${String(id || '').trim().toLowerCase()}`);
+  return limiter;
+}
+
+function clearRateLimit(name, id, store = defaultStore) {
+  return store.reset(`${name}:${String(id || '').trim().toLowerCase()}`);
+}
+
+module.exports = {
+  createRateLimiter,
+  clearRateLimit,
+  clientIp,
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('./rateLimit');
+const { createMemoryStore } = require('../utils/rateLimitStore');
+const { fakeResponse } = require('../testing/fakeResponse');
+
+async function run(limiter, req) {
+  const res = fakeResponse();
+  let passed = false;
+  await limiter(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test('rate limiter blocks after max requests and sets Retry-After', async () => {
+  const limiter = createRateLimiter({ name: 'test', windowMs: 60000, max: 2, store: createMemoryStore() });
+  const req = { ip: '10.0.0.1', body: {} };
+
+  assert.equal((await run(limiter, req)).passed, true);
+  assert.equal((await run(limiter, req)).passed, true);
+
+  const blocked = await run(limiter, req);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.ok(Number(blocked.res.headers['Retry-After']) > 0);
+
+  assert.equal((await run(limiter, { ip: '10.0.0.2', body: {} })).passed, true);
+});
+
+test('rate limiter keys by account and can be reset', async () => {
+  const limiter = createRateLimiter({
+    name: 'account',
+    windowMs: 60000,
+    max: 1,
+    keyGenerator: (req) => req.body.email,
+    store: createMemoryStore(),
+  });
+
+  assert.equal((await run(limiter, { ip: '1', body: { email: 'A@x.com' } })).passed, true);
+  assert.equal((await run(limiter, { ip: '2', body: { email: 'a@x.com' } })).passed, false);
+
+  await limiter.reset('a@x.com');
+  assert.equal((await run(limiter, { ip: '3', body: { email: 'a@x.com' } })).passed, true);
+});
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function signJwt(payload, { privateKey, kid }) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), privateKey).toString('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+function renderLoginForm(params) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}" />`)
+    .join('');
+  return `<!doctype html>
+<html>
+  <body style="font-family:Arial,sans-serif;background:#141414;color:#fff;display:flex;justify-content:center;padding-top:80px">
+    <form method="post" action="authorize" style="background:#1f1f1f;padding:32px;border-radius:8px;width:320px">
+      <h2 style="margin-top:0">Mock OIDC sign-in</h2>
+      <p style="color:#aaa;font-size:13px">Local stand-in provider. Any email signs in as a verified user.</p>
+      ${hidden}
+      <label style="display:block;margin-top:12px;font-size:13px">Email<input name="email" type="email" required value="${escapeHtml(params.login_hint)}" style="display:block;width:100%;margin-top:4px;padding:8px" /></label>
+      <label style="display:block;margin-top:12px;font-size:13px">Name<input name="name" style="display:block;width:100%;margin-top:4px;padding:8px" /></label>
+      <label style="display:block;margin-top:12px;font-size:13px"><input name="email_verified" type="checkbox" value="true" checked /> Email is verified</label>
+      <button type="submit" style="margin-top:16px;width:100%;padding:10px;background:#e50914;color:#fff;border:0;border-radius:4px">Continue</button>
+    </form>
+  </body>
+</html>`;
+}
+
+function createMockOidcProvider({ issuer, clientId, clientSecret }) {
+  const app = express();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  const rejectAuthorize = (res, params) => {
+    if (params.client_id !== clientId) {
+      return res.status(400).send('Unknown client_id.');
+    }
+    if (!params.redirect_uri || !params.state || !params.code_challenge) {
+      return res.status(400).send('redirect_uri, state and code_challenge are required.');
+    }
+    return null;
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+      scopes_supported: ['openid', 'email', 'profile'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    if (rejectAuthorize(res, req.query)) return;
+    if (req.query.response_type !== 'code' || req.query.code_challenge_method !== 'S256') {
+      res.status(400).send('Only response_type=code with code_challenge_method=S256 is supported.');
+      return;
+    }
+    res.type('html').send(renderLoginForm(req.query));
+  });
+
+  app.post('/authorize', (req, res) => {
+    if (rejectAuthorize(res, req.body)) return;
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      res.status(400).send('Email is required.');
+      return;
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      clientId,
+      redirectUri: req.body.redirect_uri,
+      codeChallenge: req.body.code_challenge,
+      nonce: req.body.nonce || '',
+      email,
+      name: String(req.body.name || '').trim(),
+      emailVerified: req.body.email_verified === 'true',
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+
+    const target = new URL(req.body.redirect_uri);
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', req.body.state);
+    res.redirect(302, target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const basic = String(req.headers.authorization || '').startsWith('Basic ')
+      ? Buffer.from(req.headers.authorization.slice(6), 'base64').toString('utf8').split(':')
+      : [];
+    const requestClientId = basic[0] || req.body.client_id;
+    const requestSecret = basic[1] || req.body.client_secret;
+    if (requestClientId !== clientId || requestSecret !== clientSecret) {
+      res.status(401).json({ error: 'invalid_client' });
+      return;
+    }
+
+    const grant = codes.get(String(req.body.code || ''));
+    codes.delete(String(req.body.code || ''));
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (
+      req.body.grant_type !== 'authorization_code'
+      || !grant
+      || grant.expiresAt <= Date.now()
+      || grant.redirectUri !== req.body.redirect_uri
+      || grant.codeChallenge !== challenge
+    ) {
+      res.status(400).json({ error: 'invalid_grant' });
+      return;
+    }
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const idToken = signJwt({
+      iss: issuer,
+      aud: clientId,
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: grant.emailVerified,
+      name: grant.name || grant.email.split('@')[0],
+      nonce: grant.nonce || undefined,
+      iat: nowSeconds,
+      exp: nowSeconds + ID_TOKEN_TTL_SECONDS,
+    }, { privateKey, kid });
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: ID_TOKEN_TTL_SECONDS,
+      id_token: idToken,
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.MOCK_OIDC_PORT || 5055);
+  const app = createMockOidcProvider({
+    issuer: process.env.OIDC_MOCK_ISSUER || `http://localhost:${port}`,
+    clientId: process.env.OIDC_MOCK_CLIENT_ID || 'netflix-clone-local',
+    clientSecret: process.env.OIDC_MOCK_CLIENT_SECRET || 'local-dev-secret',
+  });
+  app.listen(port, () => {
+    console.log(`Mock OIDC provider listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createMockOidcProvider,
+};
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    actorEmail: {
+      type: String,
+      default: '',
+    },
+    actorRole: {
+      type: String,
+      default: '',
+    },
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      default: '',
+    },
+    targetId: {
+      type: String,
+      default: '',
+    },
+    diff: {
+      type: [
+        {
+          _id: false,
+          path: { type: String, required: true },
+          before: { type: mongoose.Schema.Types.Mixed, default: null },
+          after: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+      ],
+      default: [],
+    },
+    impersonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImpersonationSession',
+      default: null,
+      index: true,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    method: {
+      type: String,
+      default: '',
+    },
+    path: {
+      type: String,
+      default: '',
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
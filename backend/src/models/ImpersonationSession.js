@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const impersonationSessionSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    actorEmail: {
+      type: String,
+      default: '',
+    },
+    actorRole: {
+      type: String,
+      default: '',
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    targetEmail: {
+      type: String,
+      default: '',
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 500,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('ImpersonationSession', impersonationSessionSchema);
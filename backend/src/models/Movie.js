@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { invalidateSuggestIndex } = require('../utils/suggestIndex');
+const { movieMaturityAge } = require('../utils/maturity');
 
 const movieSchema = new mongoose.Schema(
   {
@@ -49,7 +51,11 @@ const movieSchema = new mongoose.Schema(
     },
     trailerUrl: {
       type: String,
-      required: true,
+      // TMDB has no trailer for some titles; the player looks one up by TMDB id instead.
+      required() {
+        return this.source !== 'tmdb';
+      },
+      default: '',
     },
     synopsis: {
       type: String,
@@ -75,6 +81,12 @@ const movieSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Derived from maturityRating/rating on every write, so profile filters are a range match.
+    maturityAge: {
+      type: Number,
+      default: null,
+      index: true,
+    },
     releaseDate: {
       type: Date,
       default: null,
@@ -144,10 +156,57 @@ const movieSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    source: {
+      type: String,
+      enum: ['manual', 'tmdb'],
+      default: 'manual',
+    },
+    externalIds: {
+      tmdb: { type: Number, default: null },
+      imdb: { type: String, default: '' },
+    },
+    syncedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
 movieSchema.index({ title: 'text', description: 'text', category: 'text' });
+// TMDB numbers movies and TV shows separately, so the same id can exist once per type.
+movieSchema.index(
+  { 'externalIds.tmdb': 1, type: 1 },
+  { unique: true, partialFilterExpression: { 'externalIds.tmdb': { $type: 'number' } } }
+);
+
+movieSchema.pre('validate', function setMaturityAge() {
+  this.maturityAge = movieMaturityAge(this);
+});
+
+// Updates that touch either rating recompute the age, reading the stored value of the other one when needed.
+async function syncMaturityAge() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+  const fields = { ...update, ...(update.$set || {}) };
+  if (fields.rating === undefined && fields.maturityRating === undefined) return;
+  const current = fields.rating === undefined || fields.maturityRating === undefined
+    ? await this.model.findOne(this.getFilter()).select('rating maturityRating').lean()
+    : null;
+  this.set('maturityAge', movieMaturityAge({
+    rating: fields.rating ?? current?.rating,
+    maturityRating: fields.maturityRating ?? current?.maturityRating,
+  }));
+}
+movieSchema.pre(['findOneAndUpdate', 'updateOne'], syncMaturityAge);
+
+// Any catalog write makes the search suggestion index stale, whichever controller or script made it.
+movieSchema.post('save', invalidateSuggestIndex);
+movieSchema.post('insertMany', invalidateSuggestIndex);
+movieSchema.post('bulkWrite', invalidateSuggestIndex);
+movieSchema.post(
+  ['findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'],
+  invalidateSuggestIndex
+);
 
 module.exports = mongoose.model('Movie', movieSchema);
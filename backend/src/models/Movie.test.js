@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Movie = require('./Movie');
+
+const baseFields = {
+  title: 'Aurora',
+  description: 'A test title.',
+  category: 'Drama',
+  year: 2024,
+  duration: '1h 40m',
+  imageUrl: 'https://img/poster.jpg',
+  backdropUrl: 'https://img/backdrop.jpg',
+  trailerUrl: 'https://video/trailer',
+};
+
+test('titles store the age their rating maps to whenever they are validated', async () => {
+  const rated = new Movie({ ...baseFields, rating: 'U/A 13+', maturityRating: 'TV-14' });
+  await rated.validate();
+  assert.equal(rated.maturityAge, 16);
+
+  const unrated = new Movie({ ...baseFields, rating: 'NR' });
+  await unrated.validate();
+  assert.equal(unrated.maturityAge, 18);
+
+  unrated.maturityRating = 'PG';
+  await unrated.validate();
+  assert.equal(unrated.maturityAge, 7);
+});
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Hashes of refresh tokens that were rotated away, kept until their session expires so a
+// replay is still recognised after the user document has pruned the entry.
+const rotatedRefreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    rotatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: false }
+);
+
+rotatedRefreshTokenSchema.index({ user: 1, sessionId: 1 });
+rotatedRefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RotatedRefreshToken', rotatedRefreshTokenSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    secret: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'retired'],
+      default: 'active',
+    },
+    retiredAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
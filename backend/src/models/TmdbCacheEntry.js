@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const tmdbCacheEntrySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    fetchedAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    staleUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+tmdbCacheEntrySchema.index({ staleUntil: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TmdbCacheEntry', tmdbCacheEntrySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const tmdbImportRunSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['manual', 'schedule'],
+      required: true,
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+      index: true,
+    },
+    options: {
+      lists: { type: [String], default: [] },
+      ids: { type: [String], default: [] },
+      refreshExisting: { type: Boolean, default: false },
+      maxTitles: { type: Number, default: 0 },
+    },
+    counts: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    items: {
+      type: [
+        {
+          tmdbId: { type: Number, required: true },
+          type: { type: String, enum: ['movie', 'series'], required: true },
+          title: { type: String, default: '' },
+          action: { type: String, enum: ['created', 'updated', 'skipped', 'failed'], required: true },
+          reason: { type: String, default: '' },
+          changedFields: { type: [String], default: [] },
+          movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', default: null },
+        },
+      ],
+      default: [],
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+tmdbImportRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('TmdbImportRun', tmdbImportRunSchema);
@@ -31,7 +31,7 @@ const userSchema = new mongoose.Schema(
     },
     adminScope: {
       type: String,
-      enum: ['content_manager', 'analytics_viewer', 'full_access'],
+      enum: ['content_manager', 'analytics_viewer', 'support', 'full_access'],
       default: 'content_manager',
     },
     subscription: {
@@ -58,6 +58,35 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    profiles: {
+      type: [
+        {
+          name: { type: String, required: true, trim: true, maxlength: 40 },
+          avatar: { type: String, default: '' },
+          kids: { type: Boolean, default: false },
+          maturityLevel: { type: String, enum: ['7+', '13+', '16+', '18+'], default: '18+' },
+          language: { type: String, default: 'english' },
+          pin: {
+            hash: { type: String, default: '' },
+            updatedAt: { type: Date, default: null },
+            failedAttempts: { type: Number, default: 0 },
+            lockedUntil: { type: Date, default: null },
+          },
+          myList: {
+            type: [
+              {
+                movieId: { type: String, required: true },
+                title: { type: String, default: '' },
+                addedAt: { type: Date, default: Date.now },
+              },
+            ],
+            default: [],
+          },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
@@ -68,25 +97,116 @@ const userSchema = new mongoose.Schema(
       requestedAt: { type: Date, default: null },
       verifiedAt: { type: Date, default: null },
     },
+    emailChange: {
+      newEmail: { type: String, default: '', lowercase: true, trim: true },
+      previousEmail: { type: String, default: '' },
+      tokenHash: { type: String, default: '' },
+      expiresAt: { type: Date, default: null },
+      revertTokenHash: { type: String, default: '' },
+      revertExpiresAt: { type: Date, default: null },
+      requestedAt: { type: Date, default: null },
+      confirmedAt: { type: Date, default: null },
+    },
+    magicLink: {
+      tokenHash: { type: String, default: '' },
+      expiresAt: { type: Date, default: null },
+      requestedAt: { type: Date, default: null },
+    },
+    identities: {
+      type: [
+        {
+          provider: { type: String, required: true },
+          subject: { type: String, required: true },
+          email: { type: String, default: '' },
+          linkedAt: { type: Date, default: Date.now },
+          lastUsedAt: { type: Date, default: null },
+        },
+      ],
+      default: [],
+    },
     passwordReset: {
       tokenHash: { type: String, default: '' },
       expiresAt: { type: Date, default: null },
       requestedAt: { type: Date, default: null },
       usedAt: { type: Date, default: null },
     },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: '' },
+      pendingSecret: { type: String, default: '' },
+      pendingCreatedAt: { type: Date, default: null },
+      confirmedAt: { type: Date, default: null },
+      lastUsedStep: { type: Number, default: 0 },
+      recoveryCodes: {
+        type: [
+          {
+            codeHash: { type: String, required: true },
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        default: [],
+      },
+    },
     refreshTokens: {
       type: [
         {
           tokenHash: { type: String, required: true },
+          sessionId: { type: String, default: '' },
           createdAt: { type: Date, default: Date.now },
+          signedInAt: { type: Date, default: null },
+          lastUsedAt: { type: Date, default: null },
           expiresAt: { type: Date, required: true },
           revokedAt: { type: Date, default: null },
+          revokedReason: { type: String, default: '' },
           userAgent: { type: String, default: '' },
           ipAddress: { type: String, default: '' },
+          profileId: { type: String, default: '' },
         },
       ],
       default: [],
     },
+    apiTokens: {
+      type: [
+        {
+          name: { type: String, required: true, trim: true, maxlength: 60 },
+          tokenHash: { type: String, required: true },
+          hint: { type: String, default: '' },
+          scopes: { type: [String], default: [] },
+          createdAt: { type: Date, default: Date.now },
+          expiresAt: { type: Date, required: true },
+          lastUsedAt: { type: Date, default: null },
+          lastUsedIp: { type: String, default: '' },
+          revokedAt: { type: Date, default: null },
+        },
+      ],
+      default: [],
+    },
+    securityEvents: {
+      type: [
+        {
+          type: { type: String, required: true },
+          sessionId: { type: String, default: '' },
+          ipAddress: { type: String, default: '' },
+          userAgent: { type: String, default: '' },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    loginSecurity: {
+      failedAttempts: { type: Number, default: 0 },
+      lastFailedAt: { type: Date, default: null },
+      lockedUntil: { type: Date, default: null },
+      lockouts: { type: Number, default: 0 },
+    },
+    notificationPreferences: {
+      loginAlerts: { type: Boolean, default: true },
+    },
+    deletionRequest: {
+      requestedAt: { type: Date, default: null },
+      scheduledFor: { type: Date, default: null, index: true },
+      completedAt: { type: Date, default: null },
+    },
     isSuspended: {
       type: Boolean,
       default: false,
@@ -98,6 +218,7 @@ const userSchema = new mongoose.Schema(
     watchHistory: {
       type: [
         {
+          profileId: { type: String, default: '' },
           movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', default: null },
           title: { type: String, default: '' },
           watchedAt: { type: Date, default: Date.now },
@@ -109,6 +230,7 @@ const userSchema = new mongoose.Schema(
     watchProgress: {
       type: [
         {
+          profileId: { type: String, default: '' },
           movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', default: null },
           title: { type: String, default: '' },
           progressPercent: { type: Number, default: 0 },
@@ -154,4 +276,7 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+userSchema.index({ 'apiTokens.tokenHash': 1 });
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,4 +1,6 @@
 const express = require('express');
+const { requireAuth, rejectLegacyActorId, rejectApiTokens } = require('../middleware/auth');
+const { auditAdminMutations } = require('../middleware/audit');
 const {
   getDashboardMetrics,
   getRealtimeSystemMonitoring,
@@ -12,6 +14,11 @@ const {
   updateEpisode,
   updateContentOrganization,
   updateVideoAssets,
+  getTmdbCacheStats,
+  purgeTmdbCache,
+  listTmdbImports,
+  getTmdbImport,
+  startTmdbImportRun,
   listUsers,
   getUserBehavior,
   updateUserSubscription,
@@ -19,7 +26,19 @@ const {
   setUserSuspension,
   terminateUser,
   resetUserPassword,
+  unlockUser,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
   deleteUser,
+  startImpersonation,
+  listAdminInvites,
+  createAdminInvite,
+  revokeAdminInvite,
+  getSigningKeys,
+  createSigningKey,
+  retireSigningKeyById,
+  listAuditLog,
   getSubscriptionPlans,
   upsertSubscriptionPlan,
   getPromotions,
@@ -32,6 +51,8 @@ const {
 
 const router = express.Router();
 
+router.use(rejectLegacyActorId, requireAuth, auditAdminMutations);
+
 router.get('/dashboard/metrics', getDashboardMetrics);
 router.get('/dashboard/realtime', getRealtimeSystemMonitoring);
 
@@ -46,6 +67,12 @@ router.put('/content/:id/seasons/:seasonNumber/episodes/:episodeNumber', updateE
 router.put('/content/:id/organization', updateContentOrganization);
 router.put('/content/:id/video-assets', updateVideoAssets);
 
+router.get('/tmdb-cache', getTmdbCacheStats);
+router.delete('/tmdb-cache', purgeTmdbCache);
+router.get('/tmdb-imports', listTmdbImports);
+router.post('/tmdb-imports', startTmdbImportRun);
+router.get('/tmdb-imports/:id', getTmdbImport);
+
 router.get('/users', listUsers);
 router.get('/users/:id/behavior', getUserBehavior);
 router.put('/users/:id/subscription', updateUserSubscription);
@@ -53,7 +80,22 @@ router.put('/users/:id/role', updateUserRole);
 router.put('/users/:id/suspension', setUserSuspension);
 router.post('/users/:id/reset-password', resetUserPassword);
 router.post('/users/:id/terminate', terminateUser);
+router.post('/users/:id/unlock', unlockUser);
+router.get('/users/:id/sessions', listUserSessions);
+router.delete('/users/:id/sessions', revokeAllUserSessions);
+router.delete('/users/:id/sessions/:sessionId', revokeUserSession);
 router.delete('/users/:id', deleteUser);
+router.post('/users/:id/impersonate', rejectApiTokens, startImpersonation);
+
+router.get('/invites', listAdminInvites);
+router.post('/invites', createAdminInvite);
+router.delete('/invites/:id', revokeAdminInvite);
+
+router.get('/security/signing-keys', getSigningKeys);
+router.post('/security/signing-keys', createSigningKey);
+router.post('/security/signing-keys/:kid/retire', retireSigningKeyById);
+
+router.get('/audit', listAuditLog);
 
 router.get('/billing/plans', getSubscriptionPlans);
 router.post('/billing/plans', upsertSubscriptionPlan);
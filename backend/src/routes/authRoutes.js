@@ -1,28 +1,119 @@
 const express = require('express');
+const { requireAuth, optionalAuth, rejectApiTokens } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { denyDuringImpersonation } = require('../middleware/impersonation');
 const {
   register,
   login,
+  loginWithTwoFactor,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   refreshSession,
   logout,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  listApiTokens,
+  createPersonalApiToken,
+  revokeApiToken,
   requestEmailVerification,
   confirmEmailVerification,
+  confirmEmailChange,
+  revertEmailChange,
+  requestMagicLink,
+  consumeMagicLink,
+  listIdentityProviders,
+  startOidcLogin,
+  completeOidcLogin,
   forgotPassword,
   resetPassword,
   updateProfile,
   updatePassword,
+  requestAccountDeletion,
+  getInvite,
+  acceptInvite,
+  endImpersonation,
 } = require('../controllers/authController');
 
 const router = express.Router();
 
+const FIFTEEN_MINUTES_MS = 15 * 60 * 1000;
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const emailKey = (req) => req.body?.email;
+
+const loginIpLimiter = createRateLimiter({
+  name: 'login-ip',
+  windowMs: FIFTEEN_MINUTES_MS,
+  max: 30,
+  message: 'Too many sign-in attempts from this network. Please try again later.',
+});
+const loginAccountLimiter = createRateLimiter({
+  name: 'login-account',
+  windowMs: FIFTEEN_MINUTES_MS,
+  max: 10,
+  keyGenerator: emailKey,
+  message: 'Too many sign-in attempts for this account. Please try again later.',
+});
+const passwordResetIpLimiter = createRateLimiter({
+  name: 'password-reset-ip',
+  windowMs: ONE_HOUR_MS,
+  max: 20,
+  message: 'Too many password reset attempts. Please try again later.',
+});
+const passwordResetAccountLimiter = createRateLimiter({
+  name: 'password-reset-account',
+  windowMs: ONE_HOUR_MS,
+  max: 5,
+  keyGenerator: emailKey,
+  message: 'Too many password reset requests for this account. Please try again later.',
+});
+const magicLinkAccountLimiter = createRateLimiter({
+  name: 'magic-link-account',
+  windowMs: ONE_HOUR_MS,
+  max: 5,
+  keyGenerator: emailKey,
+  message: 'Too many sign-in links requested for this account. Please try again later.',
+});
+const passwordUpdateLimiter = createRateLimiter({
+  name: 'password-update-ip',
+  windowMs: FIFTEEN_MINUTES_MS,
+  max: 10,
+  message: 'Too many password change attempts. Please try again later.',
+});
+
 router.post('/register', register);
-router.post('/login', login);
+router.post('/login', loginIpLimiter, loginAccountLimiter, login);
+router.post('/login/2fa', loginIpLimiter, loginWithTwoFactor);
+router.post('/magic-link', passwordResetIpLimiter, magicLinkAccountLimiter, requestMagicLink);
+router.post('/magic-link/consume', loginIpLimiter, consumeMagicLink);
+router.get('/oidc/providers', listIdentityProviders);
+router.post('/oidc/:provider/start', loginIpLimiter, startOidcLogin);
+router.post('/oidc/callback', loginIpLimiter, completeOidcLogin);
 router.post('/refresh', refreshSession);
 router.post('/logout', logout);
+router.get('/sessions', rejectApiTokens, requireAuth, listSessions);
+router.delete('/sessions', rejectApiTokens, denyDuringImpersonation, requireAuth, revokeOtherSessions);
+router.delete('/sessions/:sessionId', rejectApiTokens, denyDuringImpersonation, requireAuth, revokeSession);
+router.get('/tokens', rejectApiTokens, requireAuth, listApiTokens);
+router.post('/tokens', rejectApiTokens, denyDuringImpersonation, requireAuth, createPersonalApiToken);
+router.delete('/tokens/:tokenId', rejectApiTokens, denyDuringImpersonation, requireAuth, revokeApiToken);
 router.post('/verify-email/request', requestEmailVerification);
 router.post('/verify-email/confirm', confirmEmailVerification);
-router.post('/forgot-password', forgotPassword);
-router.post('/reset-password', resetPassword);
-router.put('/profile', updateProfile);
-router.put('/password', updatePassword);
+router.post('/email-change/confirm', passwordResetIpLimiter, confirmEmailChange);
+router.post('/email-change/revert', passwordResetIpLimiter, revertEmailChange);
+router.post('/forgot-password', passwordResetIpLimiter, passwordResetAccountLimiter, forgotPassword);
+router.post('/reset-password', passwordResetIpLimiter, resetPassword);
+router.put('/profile', rejectApiTokens, requireAuth, denyDuringImpersonation, updateProfile);
+router.put('/password', rejectApiTokens, requireAuth, denyDuringImpersonation, passwordUpdateLimiter, updatePassword);
+router.post('/account/delete', rejectApiTokens, denyDuringImpersonation, requireAuth, passwordUpdateLimiter, requestAccountDeletion);
+router.get('/invites/:token', loginIpLimiter, getInvite);
+router.post('/invites/accept', loginIpLimiter, rejectApiTokens, denyDuringImpersonation, optionalAuth, acceptInvite);
+router.post('/impersonation/end', endImpersonation);
+router.post('/2fa/enroll', rejectApiTokens, denyDuringImpersonation, requireAuth, enrollTwoFactor);
+router.post('/2fa/confirm', rejectApiTokens, denyDuringImpersonation, requireAuth, confirmTwoFactor);
+router.post('/2fa/disable', rejectApiTokens, denyDuringImpersonation, requireAuth, disableTwoFactor);
+router.post('/2fa/recovery-codes', rejectApiTokens, denyDuringImpersonation, requireAuth, regenerateRecoveryCodes);
 
 module.exports = router;
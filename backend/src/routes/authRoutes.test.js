@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const authRoutes = require('./authRoutes');
+
+async function withServer(run) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/api/auth`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('account changes without an access token are rejected before touching any user', async () => {
+  await withServer(async (baseUrl) => {
+    const requests = [
+      ['/profile', { userId: '64b000000000000000000001', email: 'attacker@example.com' }],
+      ['/password', { userId: '64b000000000000000000001', currentPassword: 'x', newPassword: 'hijacked' }],
+    ];
+    for (const [path, body] of requests) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      assert.equal(response.status, 401, path);
+      assert.equal((await response.json()).message, 'Missing access token.');
+    }
+  });
+});
@@ -1,6 +1,10 @@
 const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { optionalProfile } = require('../middleware/profiles');
 const {
   getMovies,
+  searchMovies,
+  suggestMovies,
   getMovieById,
   getTmdbTrailer,
   createMovie,
@@ -10,9 +14,11 @@ const {
 
 const router = express.Router();
 
-router.get('/', getMovies);
+router.get('/', optionalAuth, optionalProfile, getMovies);
+router.get('/search', optionalAuth, optionalProfile, searchMovies);
+router.get('/suggest', optionalAuth, optionalProfile, suggestMovies);
 router.get('/tmdb-trailer/:type/:id', getTmdbTrailer);
-router.get('/:id', getMovieById);
+router.get('/:id', optionalAuth, optionalProfile, getMovieById);
 router.post('/', createMovie);
 router.put('/:id', updateMovie);
 router.delete('/:id', deleteMovie);
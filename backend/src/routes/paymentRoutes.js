@@ -1,8 +1,12 @@
 const express = require('express');
 const { createOrder, verifyPayment } = require('../controllers/paymentController');
+const { denyDuringImpersonation } = require('../middleware/impersonation');
+const { rejectApiTokens } = require('../middleware/auth');
 
 const router = express.Router();
 
+router.use(rejectApiTokens, denyDuringImpersonation);
+
 router.post('/create-order', createOrder);
 router.post('/verify', verifyPayment);
 
@@ -1,20 +1,63 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireTokenScope, rejectApiTokens } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { denyDuringImpersonation } = require('../middleware/impersonation');
+const { withDefaultProfile, resolveProfile } = require('../middleware/profiles');
 const {
   getWatchProgress,
   upsertWatchProgress,
   getContinueWatching,
   getWatchHistory,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  setProfilePin,
+  removeProfilePin,
+  unlockProfile,
+  selectActiveProfile,
+  getMyList,
+  addToMyList,
+  removeFromMyList,
+  exportAccountData,
 } = require('../controllers/userController');
 
 const router = express.Router();
 
-router.use(requireAuth);
+const accountExportLimiter = createRateLimiter({
+  name: 'account-export',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: (req) => req.auth?.userId,
+  message: 'You can request up to 3 data exports per day. Please try again later.',
+});
 
-router.get('/me/watch-progress', getWatchProgress);
-router.put('/me/watch-progress/:movieId', upsertWatchProgress);
-router.get('/me/continue-watching', getContinueWatching);
-router.get('/me/watch-history', getWatchHistory);
+const profileUnlockLimiter = createRateLimiter({
+  name: 'profile-unlock',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => req.auth?.userId,
+  message: 'Too many PIN attempts. Please try again later.',
+});
+
+router.use(requireAuth, requireTokenScope('account'), withDefaultProfile);
+
+router.get('/me/profiles', listProfiles);
+router.post('/me/profiles', createProfile);
+router.patch('/me/profiles/:profileId', updateProfile);
+router.delete('/me/profiles/:profileId', deleteProfile);
+router.put('/me/profiles/:profileId/pin', rejectApiTokens, denyDuringImpersonation, setProfilePin);
+router.delete('/me/profiles/:profileId/pin', rejectApiTokens, denyDuringImpersonation, removeProfilePin);
+router.post('/me/profiles/:profileId/unlock', profileUnlockLimiter, unlockProfile);
+router.put('/me/profiles/active', rejectApiTokens, profileUnlockLimiter, selectActiveProfile);
+router.get('/me/watch-progress', resolveProfile, getWatchProgress);
+router.put('/me/watch-progress/:movieId', resolveProfile, upsertWatchProgress);
+router.get('/me/continue-watching', resolveProfile, getContinueWatching);
+router.get('/me/watch-history', resolveProfile, getWatchHistory);
+router.get('/me/my-list', resolveProfile, getMyList);
+router.put('/me/my-list/:movieId', resolveProfile, addToMyList);
+router.delete('/me/my-list/:movieId', resolveProfile, removeFromMyList);
+router.post('/me/export', rejectApiTokens, denyDuringImpersonation, accountExportLimiter, exportAccountData);
 
 module.exports = router;
 
@@ -2,6 +2,11 @@ require('dotenv').config();
 const dns = require('dns');
 const app = require('./app');
 const connectDB = require('./config/db');
+const { assertSecureSecretConfig, loadSigningKeys, startKeyRingRefresh } = require('./utils/keyRing');
+const { startAccountDeletionJob } = require('./jobs/accountDeletion');
+const { startTmdbImportJob } = require('./jobs/tmdbImport');
+const { backfillMaturityAges } = require('./jobs/maturityBackfill');
+const { assertMailConfig } = require('./mail');
 
 const port = Number(process.env.PORT || 5000);
 
@@ -9,6 +14,8 @@ dns.setDefaultResultOrder('ipv4first');
 
 async function startServer() {
   try {
+    assertSecureSecretConfig();
+    assertMailConfig();
     try {
       await connectDB();
     } catch (error) {
@@ -18,6 +25,11 @@ async function startServer() {
         throw error;
       }
     }
+    await loadSigningKeys();
+    await backfillMaturityAges();
+    startKeyRingRefresh();
+    startAccountDeletionJob();
+    startTmdbImportJob();
     app.listen(port, () => {
       console.log(`Server listening on http://localhost:${port}`);
     });
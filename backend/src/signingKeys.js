@@ -0,0 +1,41 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const { listSigningKeys, loadSigningKeys, addSigningKey, retireSigningKey } = require('./utils/keyRing');
+
+function printKeys(keys) {
+  keys.forEach((key) => {
+    const flags = [key.status, key.source, key.signing ? 'signing' : ''].filter(Boolean).join(', ');
+    console.log(`${key.kid}  (${flags})  created ${new Date(key.createdAt).toISOString()}`);
+  });
+}
+
+async function runSigningKeys() {
+  const [command = 'list', kid = ''] = process.argv.slice(2);
+  try {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is required to manage signing keys.');
+    }
+    await loadSigningKeys();
+
+    if (command === 'list') {
+      printKeys(listSigningKeys());
+    } else if (command === 'add') {
+      const key = await addSigningKey({ createdBy: 'cli' });
+      console.log(`Added signing key ${key.kid}. It starts signing new access tokens after the next key ring refresh.`);
+    } else if (command === 'retire') {
+      if (!kid) throw new Error('Usage: npm run keys -- retire <kid>');
+      await retireSigningKey(kid);
+      console.log(`Retired signing key ${kid}.`);
+    } else {
+      throw new Error('Usage: npm run keys -- [list | add | retire <kid>]');
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Signing key command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runSigningKeys();
@@ -0,0 +1,28 @@
+// A stand-in for the parts of Express's response that middleware and cookie helpers touch.
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    append(name, value) {
+      this.headers[name] = [...(this.headers[name] || []), value];
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+module.exports = {
+  fakeResponse,
+};
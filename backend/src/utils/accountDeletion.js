@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { revokeSessions } = require('./sessions');
+const { clearFailedAttempts } = require('./loginSecurity');
+
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isDeletionPending(user) {
+  return Boolean(user.deletionRequest?.scheduledFor) && !user.deletionRequest?.completedAt;
+}
+
+function scheduleDeletion(user, now = new Date()) {
+  user.deletionRequest = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS),
+    completedAt: null,
+  };
+  return user.deletionRequest.scheduledFor;
+}
+
+function cancelDeletion(user) {
+  if (!isDeletionPending(user)) {
+    return false;
+  }
+  user.deletionRequest = { requestedAt: null, scheduledFor: null, completedAt: null };
+  return true;
+}
+
+function anonymizedEmail(user) {
+  return `deleted-${user._id.toString()}@deleted.invalid`;
+}
+
+function anonymizeUser(user, now = new Date()) {
+  revokeSessions(user, () => true, 'account_deleted');
+  (user.refreshTokens || []).forEach((entry) => {
+    entry.userAgent = '';
+    entry.ipAddress = '';
+  });
+
+  user.name = 'Deleted user';
+  user.email = anonymizedEmail(user);
+  user.passwordHash = `!deleted:${crypto.randomBytes(16).toString('hex')}`;
+  user.avatar = '';
+  user.profileId = '';
+  user.role = 'user';
+  user.adminScope = 'content_manager';
+  user.isEmailVerified = false;
+  user.emailVerification = { tokenHash: '', expiresAt: null, requestedAt: null, verifiedAt: null };
+  user.passwordReset = { tokenHash: '', expiresAt: null, requestedAt: null, usedAt: null };
+  user.magicLink = { tokenHash: '', expiresAt: null, requestedAt: null };
+  user.emailChange = {
+    newEmail: '',
+    previousEmail: '',
+    tokenHash: '',
+    expiresAt: null,
+    revertTokenHash: '',
+    revertExpiresAt: null,
+    requestedAt: null,
+    confirmedAt: null,
+  };
+  user.identities = [];
+  user.apiTokens = [];
+  user.twoFactor = { enabled: false, secret: '', pendingSecret: '', pendingCreatedAt: null, confirmedAt: null, lastUsedStep: 0, recoveryCodes: [] };
+  user.securityEvents = [];
+  clearFailedAttempts(user);
+  user.notificationPreferences = { loginAlerts: false };
+  user.profiles = [];
+  user.watchHistory = [];
+  user.watchProgress = [];
+  user.downloadHistory = [];
+  user.sessionMetrics = { totalHoursWatched: 0, lastActiveAt: null, monthlySessions: 0 };
+  user.subscription = { plan: user.subscription?.plan || 'basic', status: 'cancelled', services: [], renewalDate: null };
+  user.terminatedAt = now;
+  user.deletionRequest = { ...(user.deletionRequest || {}), completedAt: now };
+  return user;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Swaps a deleted account's email (wherever it appears in a string) and name (as a whole value) for the
+// anonymized ones. Audit diffs and other stored payloads go through this before the account is gone.
+function scrubPersonalValue(value, original, replacement) {
+  if (typeof value === 'string') {
+    if (original.name && value === original.name) return replacement.name;
+    return original.email ? value.replace(new RegExp(escapeRegex(original.email), 'gi'), replacement.email) : value;
+  }
+  if (Array.isArray(value)) return value.map((item) => scrubPersonalValue(item, original, replacement));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrubPersonalValue(item, original, replacement)]));
+  }
+  return value;
+}
+
+function scrubAuditDiff(diff, original, replacement) {
+  return (diff || []).map((entry) => ({
+    ...entry,
+    before: scrubPersonalValue(entry.before, original, replacement),
+    after: scrubPersonalValue(entry.after, original, replacement),
+  }));
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  isDeletionPending,
+  scheduleDeletion,
+  cancelDeletion,
+  anonymizeUser,
+  scrubAuditDiff,
+};
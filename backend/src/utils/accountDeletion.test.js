@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  isDeletionPending,
+  scheduleDeletion,
+  cancelDeletion,
+  anonymizeUser,
+} = require('./accountDeletion');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fixtureUser() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Ada',
+    email: 'ada@example.com',
+    passwordHash: 'bcrypt-hash',
+    role: 'admin',
+    adminScope: 'full_access',
+    subscription: { plan: 'premium', status: 'active', services: ['streaming-hd'], renewalDate: new Date() },
+    twoFactor: { enabled: true, secret: 'SECRET', recoveryCodes: [{ codeHash: 'x' }] },
+    identities: [{ provider: 'mock', subject: 'sub-1', email: 'ada@example.com' }],
+    apiTokens: [{ name: 'backup script', tokenHash: 'hash', scopes: ['account'], expiresAt: new Date(Date.now() + 60000) }],
+    refreshTokens: [
+      { tokenHash: 'a', sessionId: 's1', expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null, userAgent: 'curl/8', ipAddress: '10.0.0.1' },
+    ],
+    watchHistory: [{ title: 'Heat' }],
+    paymentHistory: [{ invoiceId: 'INV-1', amount: 499 }],
+  };
+}
+
+test('scheduleDeletion starts the grace period and cancelDeletion clears it', () => {
+  const user = fixtureUser();
+  const now = new Date('2025-03-01T00:00:00.000Z');
+
+  assert.equal(cancelDeletion(user), false);
+  const scheduledFor = scheduleDeletion(user, now);
+  assert.equal(scheduledFor.getTime() - now.getTime(), ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+  assert.equal(isDeletionPending(user), true);
+
+  assert.equal(cancelDeletion(user), true);
+  assert.equal(isDeletionPending(user), false);
+});
+
+test('anonymizeUser scrubs personal data, revokes sessions and cancels the subscription', () => {
+  const user = fixtureUser();
+  const now = new Date();
+  scheduleDeletion(user, now);
+  anonymizeUser(user, now);
+
+  assert.equal(user.name, 'Deleted user');
+  assert.equal(user.email, `deleted-${user._id}@deleted.invalid`);
+  assert.notEqual(user.passwordHash, 'bcrypt-hash');
+  assert.equal(user.role, 'user');
+  assert.equal(user.twoFactor.secret, '');
+  assert.deepEqual(user.identities, []);
+  assert.deepEqual(user.apiTokens, []);
+  assert.deepEqual(user.watchHistory, []);
+  assert.equal(user.subscription.status, 'cancelled');
+  assert.equal(user.refreshTokens[0].revokedReason, 'account_deleted');
+  assert.equal(user.refreshTokens[0].ipAddress, '');
+  assert.equal(user.paymentHistory.length, 1);
+  assert.equal(user.terminatedAt, now);
+  assert.equal(isDeletionPending(user), false);
+});
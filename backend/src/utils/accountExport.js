@@ -0,0 +1,206 @@
+const { toCsv } = require('./csv');
+const { describeDevice } = require('./userAgent');
+const { sessionIdOf } = require('./sessions');
+
+const CLIENT_DATA_KEYS = ['myList', 'profiles', 'reviews', 'downloads', 'settings'];
+const CLIENT_SECRET_KEYS = new Set(['pin', 'pinHash', 'kidsPin', 'password', 'token']);
+
+function idOf(value) {
+  return value ? value.toString() : null;
+}
+
+function stripClientSecrets(value) {
+  if (Array.isArray(value)) return value.map(stripClientSecrets);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !CLIENT_SECRET_KEYS.has(key))
+      .map(([key, item]) => [key, stripClientSecrets(item)]));
+  }
+  return value;
+}
+
+function pickClientData(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(CLIENT_DATA_KEYS
+    .filter((key) => source[key] !== undefined)
+    .map((key) => [key, stripClientSecrets(source[key])]));
+}
+
+function buildAccountSnapshot(user) {
+  return {
+    account: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      avatar: user.avatar || '',
+      role: user.role,
+      isEmailVerified: Boolean(user.isEmailVerified),
+      emailVerifiedAt: user.emailVerification?.verifiedAt || null,
+      isSuspended: Boolean(user.isSuspended),
+      terminatedAt: user.terminatedAt || null,
+      createdAt: user.createdAt || null,
+      updatedAt: user.updatedAt || null,
+    },
+    subscription: {
+      plan: user.subscription?.plan || 'basic',
+      status: user.subscription?.status || 'active',
+      services: user.subscription?.services || [],
+      renewalDate: user.subscription?.renewalDate || null,
+    },
+    security: {
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      twoFactorConfirmedAt: user.twoFactor?.confirmedAt || null,
+      recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter((entry) => !entry.usedAt).length,
+      lastPasswordResetRequestedAt: user.passwordReset?.requestedAt || null,
+      failedLoginAttempts: Number(user.loginSecurity?.failedAttempts || 0),
+      lockedUntil: user.loginSecurity?.lockedUntil || null,
+      events: (user.securityEvents || []).map((entry) => ({
+        type: entry.type,
+        sessionId: entry.sessionId || '',
+        ipAddress: entry.ipAddress || '',
+        userAgent: entry.userAgent || '',
+        createdAt: entry.createdAt || null,
+      })),
+    },
+    identities: (user.identities || []).map((identity) => ({
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email || '',
+      linkedAt: identity.linkedAt || null,
+      lastUsedAt: identity.lastUsedAt || null,
+    })),
+    apiTokens: (user.apiTokens || []).map((entry) => ({
+      name: entry.name,
+      hint: entry.hint || '',
+      scopes: entry.scopes || [],
+      createdAt: entry.createdAt || null,
+      expiresAt: entry.expiresAt || null,
+      lastUsedAt: entry.lastUsedAt || null,
+      lastUsedIp: entry.lastUsedIp || '',
+      revokedAt: entry.revokedAt || null,
+    })),
+    notificationPreferences: {
+      loginAlerts: user.notificationPreferences?.loginAlerts !== false,
+    },
+    sessions: (user.refreshTokens || []).map((entry) => ({
+      sessionId: sessionIdOf(entry),
+      device: describeDevice(entry.userAgent).label,
+      userAgent: entry.userAgent || '',
+      ipAddress: entry.ipAddress || '',
+      signedInAt: entry.signedInAt || entry.createdAt || null,
+      lastUsedAt: entry.lastUsedAt || null,
+      expiresAt: entry.expiresAt || null,
+      revokedAt: entry.revokedAt || null,
+      revokedReason: entry.revokedReason || '',
+    })),
+    profiles: (user.profiles || []).map((profile) => ({
+      id: profile._id.toString(),
+      name: profile.name,
+      avatar: profile.avatar || '',
+      kids: Boolean(profile.kids),
+      maturityLevel: profile.maturityLevel || '',
+      language: profile.language || '',
+      pinProtected: Boolean(profile.pin?.hash),
+      createdAt: profile.createdAt || null,
+    })),
+    myList: (user.profiles || []).flatMap((profile) => (profile.myList || []).map((entry) => ({
+      profileId: profile._id.toString(),
+      movieId: entry.movieId,
+      title: entry.title || '',
+      addedAt: entry.addedAt || null,
+    }))),
+    watchHistory: (user.watchHistory || []).map((entry) => ({
+      movieId: idOf(entry.movieId),
+      title: entry.title || '',
+      watchedAt: entry.watchedAt || null,
+      progressMinutes: Number(entry.progressMinutes || 0),
+      profileId: entry.profileId || '',
+    })),
+    watchProgress: (user.watchProgress || []).map((entry) => ({
+      profileId: entry.profileId || '',
+      movieId: idOf(entry.movieId),
+      title: entry.title || '',
+      progressPercent: Number(entry.progressPercent || 0),
+      lastPositionSeconds: Number(entry.lastPositionSeconds || 0),
+      durationSeconds: Number(entry.durationSeconds || 0),
+      seasonNumber: entry.seasonNumber ?? null,
+      episodeNumber: entry.episodeNumber ?? null,
+      updatedAt: entry.updatedAt || null,
+    })),
+    downloadHistory: (user.downloadHistory || []).map((entry) => ({
+      movieId: idOf(entry.movieId),
+      title: entry.title || '',
+      downloadedAt: entry.downloadedAt || null,
+      quality: entry.quality || '',
+    })),
+    paymentHistory: (user.paymentHistory || []).map((entry) => ({
+      invoiceId: entry.invoiceId || '',
+      amount: Number(entry.amount || 0),
+      currency: entry.currency || 'INR',
+      status: entry.status || '',
+      plan: entry.plan || '',
+      paidAt: entry.paidAt || null,
+    })),
+    sessionMetrics: {
+      totalHoursWatched: Number(user.sessionMetrics?.totalHoursWatched || 0),
+      lastActiveAt: user.sessionMetrics?.lastActiveAt || null,
+      monthlySessions: Number(user.sessionMetrics?.monthlySessions || 0),
+    },
+  };
+}
+
+function columnsFor(rows) {
+  const keys = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return keys.map((key) => ({ label: key, value: (row) => row[key] }));
+}
+
+function csvFile(name, rows) {
+  return { name, content: toCsv(columnsFor(rows), rows) };
+}
+
+function clientReviewRows(reviews) {
+  if (!reviews || typeof reviews !== 'object') return [];
+  return Object.entries(reviews).flatMap(([movieId, entries]) => (
+    Array.isArray(entries) ? entries.map((entry) => ({ movieId, ...entry })) : []
+  ));
+}
+
+function buildAccountExport(user, rawClientData, { now = new Date() } = {}) {
+  const snapshot = buildAccountSnapshot(user);
+  const clientData = pickClientData(rawClientData);
+  const exportedAt = now.toISOString();
+  const files = [
+    { name: 'account.json', content: JSON.stringify({ exportedAt, ...snapshot, clientData }, null, 2) },
+    csvFile('profiles.csv', snapshot.profiles),
+    csvFile('my-list.csv', snapshot.myList),
+    csvFile('watch-history.csv', snapshot.watchHistory),
+    csvFile('watch-progress.csv', snapshot.watchProgress),
+    csvFile('downloads.csv', snapshot.downloadHistory),
+    csvFile('payments.csv', snapshot.paymentHistory),
+    csvFile('sessions.csv', snapshot.sessions),
+    csvFile('security-events.csv', snapshot.security.events),
+  ];
+
+  if (clientData.reviews) files.push(csvFile('reviews.csv', clientReviewRows(clientData.reviews)));
+  if (Array.isArray(clientData.downloads)) files.push(csvFile('device-downloads.csv', clientData.downloads));
+
+  files.unshift({
+    name: 'README.txt',
+    content: [
+      `Account data export for ${snapshot.account.email}`,
+      `Generated ${exportedAt}`,
+      '',
+      'account.json contains everything stored about the account in one file.',
+      'The CSV files hold the same records as spreadsheets, one file per collection.',
+      'Password hashes, verification and reset tokens, two-factor secrets, profile PIN hashes and refresh token hashes are never included.',
+      '',
+    ].join('\n'),
+  });
+
+  return files;
+}
+
+module.exports = {
+  buildAccountSnapshot,
+  buildAccountExport,
+};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildAccountExport } = require('./accountExport');
+
+function fixtureUser() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Ada',
+    email: 'ada@example.com',
+    passwordHash: 'bcrypt-hash-value',
+    role: 'user',
+    emailVerification: { tokenHash: 'verify-hash-value', verifiedAt: null },
+    passwordReset: { tokenHash: 'reset-hash-value', requestedAt: null },
+    twoFactor: { enabled: true, secret: 'TOTPSECRETVALUE', recoveryCodes: [{ codeHash: 'recovery-hash-value', usedAt: null }] },
+    refreshTokens: [{ tokenHash: 'refresh-hash-value', sessionId: 'family-1', userAgent: 'curl/8.0', expiresAt: new Date() }],
+    profiles: [{ _id: new mongoose.Types.ObjectId(), name: 'Ada', myList: [{ movieId: 'movie-7', title: 'Heat' }] }],
+    watchHistory: [{ movieId: new mongoose.Types.ObjectId(), title: 'Heat, Director\'s Cut', watchedAt: new Date(), progressMinutes: 42 }],
+    paymentHistory: [{ invoiceId: 'INV-1', amount: 499, currency: 'INR', status: 'paid', plan: 'standard', paidAt: new Date() }],
+  };
+}
+
+test('buildAccountExport never includes hashes or secrets', () => {
+  const files = buildAccountExport(fixtureUser(), {
+    profiles: [{ id: 'kids', name: 'Kids', pin: '1234' }],
+    reviews: { 42: [{ rating: 5, text: 'Loved it' }] },
+    kidsPin: '9999',
+  });
+  const everything = files.map((file) => file.content).join('\n');
+
+  ['bcrypt-hash-value', 'verify-hash-value', 'reset-hash-value', 'TOTPSECRETVALUE', 'recovery-hash-value', 'refresh-hash-value', '1234', '9999']
+    .forEach((secret) => assert.equal(everything.includes(secret), false, `${secret} leaked into the export`));
+});
+
+test('buildAccountExport writes JSON plus one CSV per collection', () => {
+  const files = buildAccountExport(fixtureUser(), { myList: [{ id: 1, title: 'Heat' }], reviews: { 42: [{ rating: 5, text: 'Loved it' }] } });
+  const byName = Object.fromEntries(files.map((file) => [file.name, file.content]));
+
+  const account = JSON.parse(byName['account.json']);
+  assert.equal(account.account.email, 'ada@example.com');
+  assert.equal(account.security.recoveryCodesRemaining, 1);
+  assert.equal(account.sessions[0].sessionId, 'family-1');
+  assert.deepEqual(account.clientData.myList, [{ id: 1, title: 'Heat' }]);
+
+  assert.match(byName['watch-history.csv'], /^movieId,title,watchedAt,progressMinutes,profileId\n/);
+  assert.match(byName['watch-history.csv'], /"Heat, Director's Cut"/);
+  assert.match(byName['payments.csv'], /INV-1,499,INR,paid,standard/);
+  assert.match(byName['reviews.csv'], /^movieId,rating,text\n42,5,Loved it$/);
+  assert.match(byName['my-list.csv'], /movie-7,Heat/);
+  assert.match(byName['profiles.csv'], /Ada/);
+  assert.ok(byName['README.txt']);
+});
+
+test('buildAccountExport writes date columns as plain ISO timestamps', () => {
+  const user = fixtureUser();
+  user.watchHistory[0].watchedAt = new Date('2024-03-02T20:15:00.000Z');
+  user.paymentHistory[0].paidAt = new Date('2024-03-01T09:00:00.000Z');
+  const byName = Object.fromEntries(buildAccountExport(user, {}).map((file) => [file.name, file.content]));
+
+  assert.match(byName['watch-history.csv'], /"Heat, Director's Cut",2024-03-02T20:15:00\.000Z,42,/);
+  assert.match(byName['payments.csv'], /,paid,standard,2024-03-01T09:00:00\.000Z$/m);
+});
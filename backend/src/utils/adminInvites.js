@@ -0,0 +1,90 @@
+const AdminInvite = require('../models/AdminInvite');
+const { hashToken } = require('./tokenService');
+const { capabilitiesFor } = require('./capabilities');
+
+const ADMIN_INVITE_TTL_HOURS = Number(process.env.ADMIN_INVITE_TTL_HOURS || 72);
+const ROLE_RANK = { user: 0, admin: 1, superadmin: 2 };
+
+function inviteStatus(invite, now = Date.now()) {
+  if (invite.acceptedAt) return 'accepted';
+  if (invite.revokedAt) return 'revoked';
+  if (new Date(invite.expiresAt).getTime() <= now) return 'expired';
+  return 'pending';
+}
+
+// An invite accepted by an existing account may only add access. Returns why it cannot be applied,
+// or null when it keeps every role level and capability the account has and adds at least one.
+function inviteDowngradeReason(account, invite) {
+  const current = capabilitiesFor(account);
+  const granted = capabilitiesFor(invite);
+  const accountRank = ROLE_RANK[account.role] ?? 0;
+  const inviteRank = ROLE_RANK[invite.role] ?? 0;
+  const keepsAccess = inviteRank >= accountRank && current.every((cap) => granted.includes(cap));
+  const addsAccess = inviteRank > accountRank || granted.some((cap) => !current.includes(cap));
+  if (!keepsAccess) return 'Accepting this invitation would reduce the access this account already has.';
+  if (!addsAccess) return 'This account already has the access this invitation grants.';
+  return null;
+}
+
+function sanitizeInvite(invite) {
+  const inviter = invite.invitedBy && typeof invite.invitedBy === 'object' && invite.invitedBy.email
+    ? { id: invite.invitedBy._id.toString(), name: invite.invitedBy.name, email: invite.invitedBy.email }
+    : null;
+  return {
+    id: invite._id.toString(),
+    email: invite.email,
+    role: invite.role,
+    adminScope: invite.adminScope,
+    status: inviteStatus(invite),
+    expiresAt: invite.expiresAt,
+    acceptedAt: invite.acceptedAt || null,
+    revokedAt: invite.revokedAt || null,
+    invitedBy: inviter,
+    createdAt: invite.createdAt,
+  };
+}
+
+function pendingInviteFilter(token) {
+  return {
+    tokenHash: hashToken(String(token || '').trim()),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+}
+
+function findPendingInvite(token) {
+  return AdminInvite.findOne(pendingInviteFilter(token));
+}
+
+function claimInvite(token, userId) {
+  return AdminInvite.findOneAndUpdate(
+    pendingInviteFilter(token),
+    { $set: { acceptedAt: new Date(), acceptedBy: userId } },
+    { new: true }
+  );
+}
+
+// Claims the invite for `userId`, then runs `apply`. If apply throws, the claim is undone so the invite is
+// not used up by an account change that never happened. Resolves to null when the invite was already claimed.
+async function applyClaimedInvite(token, userId, apply) {
+  const invite = await claimInvite(token, userId);
+  if (!invite) return null;
+  try {
+    await apply(invite);
+  } catch (error) {
+    await AdminInvite.updateOne({ _id: invite._id, acceptedBy: userId }, { $set: { acceptedAt: null, acceptedBy: null } });
+    throw error;
+  }
+  return invite;
+}
+
+module.exports = {
+  ADMIN_INVITE_TTL_HOURS,
+  inviteStatus,
+  inviteDowngradeReason,
+  sanitizeInvite,
+  findPendingInvite,
+  claimInvite,
+  applyClaimedInvite,
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AdminInvite = require('../models/AdminInvite');
+const { inviteDowngradeReason, applyClaimedInvite } = require('./adminInvites');
+
+test('invites accepted by existing accounts can only add access', () => {
+  const contentInvite = { role: 'admin', adminScope: 'content_manager' };
+  assert.equal(inviteDowngradeReason({ role: 'user' }, contentInvite), null);
+  assert.equal(inviteDowngradeReason({ role: 'admin', adminScope: 'analytics_viewer' }, contentInvite), null);
+  assert.equal(inviteDowngradeReason({ role: 'admin', adminScope: 'content_manager' }, { role: 'admin', adminScope: 'full_access' }), null);
+
+  assert.match(inviteDowngradeReason({ role: 'superadmin' }, { role: 'admin', adminScope: 'full_access' }), /reduce/);
+  assert.match(inviteDowngradeReason({ role: 'admin', adminScope: 'full_access' }, contentInvite), /reduce/);
+  assert.match(inviteDowngradeReason({ role: 'admin', adminScope: 'support' }, contentInvite), /reduce/);
+  assert.match(inviteDowngradeReason({ role: 'admin', adminScope: 'content_manager' }, contentInvite), /already has/);
+});
+
+test('an invite claimed for a change that fails is released again', async (t) => {
+  const invite = { _id: new mongoose.Types.ObjectId(), acceptedAt: null, acceptedBy: null };
+  const userId = new mongoose.Types.ObjectId();
+  t.mock.method(AdminInvite, 'findOneAndUpdate', async () => {
+    if (invite.acceptedAt) return null;
+    Object.assign(invite, { acceptedAt: new Date(), acceptedBy: userId });
+    return invite;
+  });
+  t.mock.method(AdminInvite, 'updateOne', async (filter, update) => {
+    if (String(filter._id) === String(invite._id) && String(filter.acceptedBy) === String(invite.acceptedBy)) {
+      Object.assign(invite, update.$set);
+    }
+  });
+
+  const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  await assert.rejects(applyClaimedInvite('token', userId, async () => { throw duplicate; }), duplicate);
+  assert.equal(invite.acceptedAt, null);
+  assert.equal(invite.acceptedBy, null);
+
+  let applied = false;
+  assert.equal(await applyClaimedInvite('token', userId, async () => { applied = true; }), invite);
+  assert.equal(applied, true);
+  assert.equal(await applyClaimedInvite('token', userId, async () => assert.fail('already claimed')), null);
+});
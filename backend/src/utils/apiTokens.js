@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+const { hashToken } = require('./tokenService');
+const { capabilitiesFor } = require('./capabilities');
+
+const API_TOKEN_PREFIX = 'nfpat_';
+const ACCOUNT_SCOPE = 'account';
+const MAX_API_TOKENS_PER_USER = Number(process.env.MAX_API_TOKENS_PER_USER || 10);
+const API_TOKEN_MAX_TTL_DAYS = Number(process.env.API_TOKEN_MAX_TTL_DAYS || 365);
+const API_TOKEN_DEFAULT_TTL_DAYS = 30;
+
+function isApiToken(rawToken) {
+  return String(rawToken || '').startsWith(API_TOKEN_PREFIX);
+}
+
+function createApiToken() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    tokenHash: hashToken(token),
+    // Enough of the token to recognise it in a list without making it usable.
+    hint: token.slice(0, API_TOKEN_PREFIX.length + 4),
+  };
+}
+
+function isActiveApiToken(entry, now = Date.now()) {
+  return !entry.revokedAt && new Date(entry.expiresAt).getTime() > now;
+}
+
+function findActiveApiToken(user, rawToken, now = Date.now()) {
+  const tokenHash = hashToken(rawToken);
+  return (user.apiTokens || []).find((entry) => entry.tokenHash === tokenHash && isActiveApiToken(entry, now)) || null;
+}
+
+function grantableScopes(auth) {
+  return [ACCOUNT_SCOPE, ...capabilitiesFor(auth)];
+}
+
+function normalizeScopes(requested, auth) {
+  const allowed = grantableScopes(auth);
+  const scopes = [...new Set((Array.isArray(requested) ? requested : []).map((scope) => String(scope).trim()))];
+  const denied = scopes.filter((scope) => !allowed.includes(scope));
+  if (denied.length) {
+    const error = new Error(`You cannot grant these scopes: ${denied.join(', ')}.`);
+    error.status = 403;
+    throw error;
+  }
+  if (!scopes.length) {
+    const error = new Error('Choose at least one scope for the token.');
+    error.status = 400;
+    throw error;
+  }
+  return scopes;
+}
+
+function clampTtlDays(value) {
+  const days = Math.floor(Number(value || API_TOKEN_DEFAULT_TTL_DAYS));
+  if (!Number.isFinite(days) || days < 1) return API_TOKEN_DEFAULT_TTL_DAYS;
+  return Math.min(days, API_TOKEN_MAX_TTL_DAYS);
+}
+
+function sanitizeApiToken(entry) {
+  return {
+    id: entry._id.toString(),
+    name: entry.name,
+    hint: entry.hint || '',
+    scopes: entry.scopes || [],
+    createdAt: entry.createdAt || null,
+    expiresAt: entry.expiresAt,
+    lastUsedAt: entry.lastUsedAt || null,
+    lastUsedIp: entry.lastUsedIp || '',
+  };
+}
+
+function listActiveApiTokens(user, now = Date.now()) {
+  return (user.apiTokens || [])
+    .filter((entry) => isActiveApiToken(entry, now))
+    .map(sanitizeApiToken)
+    .sort((a, b) => new Date(b.createdAt || 0).getTime() - new Date(a.createdAt || 0).getTime());
+}
+
+// Revoked and expired entries are only kept around long enough to be useful in an export.
+function pruneApiTokens(user, now = Date.now()) {
+  user.apiTokens = (user.apiTokens || []).filter((entry) => isActiveApiToken(entry, now)
+    || now - new Date(entry.revokedAt || entry.expiresAt).getTime() < 30 * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  ACCOUNT_SCOPE,
+  MAX_API_TOKENS_PER_USER,
+  API_TOKEN_MAX_TTL_DAYS,
+  isApiToken,
+  createApiToken,
+  isActiveApiToken,
+  findActiveApiToken,
+  grantableScopes,
+  normalizeScopes,
+  clampTtlDays,
+  sanitizeApiToken,
+  listActiveApiTokens,
+  pruneApiTokens,
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  API_TOKEN_PREFIX,
+  API_TOKEN_MAX_TTL_DAYS,
+  createApiToken,
+  findActiveApiToken,
+  grantableScopes,
+  normalizeScopes,
+  clampTtlDays,
+  listActiveApiTokens,
+} = require('./apiTokens');
+const { hasCap } = require('./capabilities');
+
+function tokenEntry(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Nightly sync',
+    scopes: ['account'],
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    ...overrides,
+  };
+}
+
+test('createApiToken returns a prefixed token and stores only its hash', () => {
+  const { token, tokenHash, hint } = createApiToken();
+  assert.ok(token.startsWith(API_TOKEN_PREFIX));
+  assert.ok(token.startsWith(hint));
+  assert.notEqual(tokenHash, token);
+  assert.match(tokenHash, /^[a-f0-9]{64}$/);
+});
+
+test('findActiveApiToken ignores revoked and expired tokens', () => {
+  const live = createApiToken();
+  const revoked = createApiToken();
+  const expired = createApiToken();
+  const user = {
+    apiTokens: [
+      tokenEntry({ tokenHash: live.tokenHash }),
+      tokenEntry({ tokenHash: revoked.tokenHash, revokedAt: new Date() }),
+      tokenEntry({ tokenHash: expired.tokenHash, expiresAt: new Date(Date.now() - 1000) }),
+    ],
+  };
+
+  assert.equal(findActiveApiToken(user, live.token).tokenHash, live.tokenHash);
+  assert.equal(findActiveApiToken(user, revoked.token), null);
+  assert.equal(findActiveApiToken(user, expired.token), null);
+  assert.equal(listActiveApiTokens(user).length, 1);
+  assert.equal(listActiveApiTokens(user)[0].tokenHash, undefined);
+});
+
+test('token scopes are limited to what the creator holds', () => {
+  const viewer = { role: 'admin', adminScope: 'analytics_viewer' };
+  assert.deepEqual(grantableScopes({ role: 'user' }), ['account']);
+  assert.deepEqual(grantableScopes(viewer), ['account', 'dashboard', 'analytics']);
+  assert.deepEqual(normalizeScopes(['analytics', 'analytics', 'account'], viewer), ['analytics', 'account']);
+  assert.throws(() => normalizeScopes(['content'], viewer), (error) => error.status === 403);
+  assert.throws(() => normalizeScopes([], viewer), (error) => error.status === 400);
+});
+
+test('hasCap narrows an admin to the scopes on their token', () => {
+  const admin = { role: 'superadmin', adminScope: 'full_access' };
+  assert.equal(hasCap(admin, 'security'), true);
+  assert.equal(hasCap({ ...admin, tokenScopes: ['analytics'] }, 'security'), false);
+  assert.equal(hasCap({ ...admin, tokenScopes: ['analytics'] }, 'analytics'), true);
+  assert.equal(hasCap({ role: 'user', tokenScopes: ['analytics'] }, 'analytics'), false);
+});
+
+test('clampTtlDays falls back to the default and caps long expiries', () => {
+  assert.equal(clampTtlDays(undefined), 30);
+  assert.equal(clampTtlDays('abc'), 30);
+  assert.equal(clampTtlDays(7), 7);
+  assert.equal(clampTtlDays(10_000), API_TOKEN_MAX_TTL_DAYS);
+});
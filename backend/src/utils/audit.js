@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const IGNORED_DIFF_PATHS = new Set(['updatedAt', 'createdAt']);
+
+function isPlainObject(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && !(value instanceof mongoose.Types.ObjectId);
+}
+
+function normalizeValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeValue(item)]));
+  }
+  return value;
+}
+
+function flatten(value, prefix = '', out = {}) {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, out));
+    return out;
+  }
+  if (prefix) out[prefix] = normalizeValue(value);
+  return out;
+}
+
+function diffSnapshots(before, after) {
+  const left = flatten(before || {});
+  const right = flatten(after || {});
+  const paths = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+  return paths
+    .filter((path) => !IGNORED_DIFF_PATHS.has(path))
+    .filter((path) => JSON.stringify(left[path] ?? null) !== JSON.stringify(right[path] ?? null))
+    .map((path) => ({ path, before: left[path] ?? null, after: right[path] ?? null }));
+}
+
+function setAudit(req, details) {
+  req.audit = { ...(req.audit || {}), ...details };
+}
+
+module.exports = {
+  diffSnapshots,
+  setAudit,
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { diffSnapshots, setAudit } = require('./audit');
+const { buildAuditEntry } = require('../middleware/audit');
+
+test('diffSnapshots reports only changed leaf paths', () => {
+  const diff = diffSnapshots(
+    { role: 'user', subscription: { plan: 'basic', status: 'active' }, updatedAt: new Date(0) },
+    { role: 'admin', subscription: { plan: 'basic', status: 'paused' }, updatedAt: new Date() }
+  );
+
+  assert.deepEqual(diff, [
+    { path: 'role', before: 'user', after: 'admin' },
+    { path: 'subscription.status', before: 'active', after: 'paused' },
+  ]);
+});
+
+test('diffSnapshots handles creates, deletes, dates and object ids', () => {
+  const id = new mongoose.Types.ObjectId();
+  const when = new Date('2025-01-01T00:00:00.000Z');
+
+  assert.deepEqual(diffSnapshots(null, { owner: id, lockedUntil: when }), [
+    { path: 'lockedUntil', before: null, after: when.toISOString() },
+    { path: 'owner', before: null, after: id.toString() },
+  ]);
+  assert.deepEqual(diffSnapshots({ genres: ['Drama'] }, undefined), [
+    { path: 'genres', before: ['Drama'], after: null },
+  ]);
+  assert.deepEqual(diffSnapshots({ genres: ['Drama'] }, { genres: ['Drama'] }), []);
+});
+
+test('buildAuditEntry falls back to the route and id param when no details are set', () => {
+  const req = {
+    method: 'POST',
+    baseUrl: '/api/admin',
+    route: { path: '/users/:id/unlock' },
+    originalUrl: '/api/admin/users/abc/unlock?x=1',
+    params: { id: 'abc' },
+    ip: '127.0.0.1',
+    headers: { 'user-agent': 'test' },
+    auth: { role: 'admin' },
+    userDoc: { _id: 'actor-1', email: 'admin@example.com' },
+  };
+
+  const fallback = buildAuditEntry(req);
+  assert.equal(fallback.action, 'POST /api/admin/users/:id/unlock');
+  assert.equal(fallback.targetId, 'abc');
+  assert.equal(fallback.path, '/api/admin/users/abc/unlock');
+  assert.deepEqual(fallback.diff, []);
+
+  setAudit(req, { action: 'user.unlock', targetType: 'user', before: { lockedUntil: null } });
+  setAudit(req, { after: { lockedUntil: null } });
+  const detailed = buildAuditEntry(req);
+  assert.equal(detailed.action, 'user.unlock');
+  assert.equal(detailed.targetType, 'user');
+  assert.deepEqual(detailed.diff, []);
+});
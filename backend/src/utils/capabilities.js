@@ -0,0 +1,27 @@
+const CAPABILITIES = ['dashboard', 'analytics', 'content', 'video', 'users', 'billing', 'audit', 'security', 'support'];
+
+function roleHasCap(auth, cap) {
+  if (auth.role === 'superadmin') return true;
+  if (auth.role !== 'admin') return false;
+  const scope = auth.adminScope || 'content_manager';
+  if (scope === 'full_access') return true;
+  if (scope === 'analytics_viewer') return ['dashboard', 'analytics'].includes(cap);
+  if (scope === 'support') return ['dashboard', 'users', 'support'].includes(cap);
+  return ['dashboard', 'analytics', 'content', 'video', 'users', 'billing'].includes(cap);
+}
+
+// Personal access tokens can only narrow what the owning account is allowed to do.
+function hasCap(auth, cap) {
+  if (Array.isArray(auth.tokenScopes) && !auth.tokenScopes.includes(cap)) return false;
+  return roleHasCap(auth, cap);
+}
+
+function capabilitiesFor(auth) {
+  return CAPABILITIES.filter((cap) => roleHasCap(auth, cap));
+}
+
+module.exports = {
+  CAPABILITIES,
+  hasCap,
+  capabilitiesFor,
+};
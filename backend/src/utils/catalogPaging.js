@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Each sort walks the catalog in one direction and breaks ties on the id, so a cursor is just the last row's key.
+// `valueType` is the type that key has; cursors carrying anything else are rejected before they reach a query.
+const CATALOG_SORTS = {
+  newest: { direction: -1, valueType: 'number' },
+  year: { direction: -1, valueType: 'number' },
+  title: { direction: 1, valueType: 'string' },
+  featuredRank: { direction: 1, valueType: 'number' },
+};
+const DEFAULT_CATALOG_SORT = 'newest';
+const DEFAULT_PAGE_SIZE = 40;
+const MAX_PAGE_SIZE = 100;
+// Unranked titles sort after every featured rank.
+const UNRANKED = Number.MAX_SAFE_INTEGER;
+
+function pagingError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseCatalogPaging(query = {}, source) {
+  const sort = String(query.sort || DEFAULT_CATALOG_SORT);
+  if (!CATALOG_SORTS[sort]) {
+    throw pagingError(`Unknown sort. Use one of: ${Object.keys(CATALOG_SORTS).join(', ')}.`);
+  }
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const decoded = query.cursor ? decodeCursor(query.cursor, { sort }) : null;
+  // The catalog source can change between pages (TMDB cooling down, Mongo dropping out). A cursor from
+  // another source cannot be continued, so the listing restarts from its first page and says so.
+  if (decoded && decoded.source !== source) {
+    return { sort, limit, cursor: null, cursorReset: true };
+  }
+  const cursor = decoded ? { value: decoded.value, id: decoded.id } : null;
+  return { sort, limit, cursor, cursorReset: false };
+}
+
+// Response fields shared by every catalog page.
+function pagingMeta({ sort, cursorReset }) {
+  return cursorReset ? { sort, cursorReset: true } : { sort };
+}
+
+function encodeCursor({ sort, source, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, src: source, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(raw, { sort }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch {
+    throw pagingError('Invalid cursor.');
+  }
+  if (!parsed || typeof parsed.id !== 'string' || typeof parsed.v !== CATALOG_SORTS[sort].valueType) {
+    throw pagingError('Invalid cursor.');
+  }
+  // A cursor only makes sense for the ordering that produced it.
+  if (parsed.s !== sort) {
+    throw pagingError('This cursor belongs to a different listing. Start again without a cursor.');
+  }
+  return { source: parsed.src, value: parsed.v, id: parsed.id };
+}
+
+// Works on normalized catalog items, so the seed and TMDB lists page exactly like the database.
+function sortValueOf(movie, sort) {
+  if (sort === 'newest') return movie.createdAt ? new Date(movie.createdAt).getTime() : 0;
+  if (sort === 'year') return Number(movie.year) || 0;
+  if (sort === 'title') return String(movie.title || '');
+  return Number.isFinite(movie.featuredRank) ? movie.featuredRank : UNRANKED;
+}
+
+function compareKeys(sort, left, right) {
+  const { direction } = CATALOG_SORTS[sort];
+  if (left.value !== right.value) {
+    return (left.value < right.value ? -1 : 1) * direction;
+  }
+  if (left.id === right.id) return 0;
+  return (left.id < right.id ? -1 : 1) * direction;
+}
+
+function paginateList(items, { sort, limit, cursor }, source) {
+  const keyed = items
+    .map((movie) => ({ movie, key: { value: sortValueOf(movie, sort), id: String(movie.id) } }))
+    .sort((a, b) => compareKeys(sort, a.key, b.key));
+  const remaining = cursor ? keyed.filter((entry) => compareKeys(sort, entry.key, cursor) > 0) : keyed;
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    data: page.map((entry) => entry.movie),
+    nextCursor: remaining.length > limit ? encodeCursor({ sort, source, ...last.key }) : null,
+  };
+}
+
+const SORT_VALUE_EXPRESSIONS = {
+  newest: { $ifNull: [{ $toLong: '$createdAt' }, 0] },
+  year: { $ifNull: ['$year', 0] },
+  title: { $ifNull: ['$title', ''] },
+  featuredRank: { $ifNull: ['$featuredRank', UNRANKED] },
+};
+
+// Aggregation stages that page a filtered Movie query; fetches one extra row to know whether more remain.
+function catalogPipeline(filter, { sort, limit, cursor }) {
+  const { direction } = CATALOG_SORTS[sort];
+  const stages = [
+    { $match: filter },
+    { $addFields: { catalogSortValue: SORT_VALUE_EXPRESSIONS[sort] } },
+  ];
+  if (cursor) {
+    if (!mongoose.Types.ObjectId.isValid(cursor.id)) {
+      throw pagingError('Invalid cursor.');
+    }
+    const beyond = direction === 1 ? '$gt' : '$lt';
+    stages.push({
+      $match: {
+        $or: [
+          { catalogSortValue: { [beyond]: cursor.value } },
+          { catalogSortValue: cursor.value, _id: { [beyond]: new mongoose.Types.ObjectId(cursor.id) } },
+        ],
+      },
+    });
+  }
+  stages.push({ $sort: { catalogSortValue: direction, _id: direction } }, { $limit: limit + 1 });
+  return stages;
+}
+
+function pageFromRows(rows, { sort, limit }, source) {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    data: page,
+    nextCursor: rows.length > limit
+      ? encodeCursor({ sort, source, value: last.catalogSortValue, id: last._id.toString() })
+      : null,
+  };
+}
+
+module.exports = {
+  CATALOG_SORTS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseCatalogPaging,
+  pagingMeta,
+  encodeCursor,
+  paginateList,
+  catalogPipeline,
+  pageFromRows,
+};
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  MAX_PAGE_SIZE,
+  parseCatalogPaging,
+  pagingMeta,
+  encodeCursor,
+  paginateList,
+  catalogPipeline,
+  pageFromRows,
+} = require('./catalogPaging');
+
+const catalog = [
+  { id: 'a', title: 'Zephyr', year: 2021, featuredRank: null, createdAt: '2026-01-03T00:00:00Z' },
+  { id: 'b', title: 'Aurora', year: 2024, featuredRank: 2, createdAt: '2026-01-01T00:00:00Z' },
+  { id: 'c', title: 'Meridian', year: 2024, featuredRank: 1, createdAt: '2026-01-02T00:00:00Z' },
+  { id: 'd', title: 'Blackwater', year: 2019, featuredRank: null, createdAt: '2026-01-04T00:00:00Z' },
+];
+
+function walk(sort, limit) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const query = { sort, limit, ...(cursor ? { cursor } : {}) };
+    const page = paginateList(catalog, parseCatalogPaging(query, 'seed'), 'seed');
+    ids.push(...page.data.map((movie) => movie.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+test('every sort key pages through the whole list without gaps or repeats', () => {
+  assert.deepEqual(walk('newest', 1), ['d', 'a', 'c', 'b']);
+  assert.deepEqual(walk('year', 1), ['c', 'b', 'a', 'd']);
+  assert.deepEqual(walk('title', 3), ['b', 'd', 'c', 'a']);
+  assert.deepEqual(walk('featuredRank', 2), ['c', 'b', 'a', 'd']);
+});
+
+test('paging input is validated', () => {
+  assert.equal(parseCatalogPaging({}, 'db').sort, 'newest');
+  assert.equal(parseCatalogPaging({ limit: '5000' }, 'db').limit, MAX_PAGE_SIZE);
+  assert.throws(() => parseCatalogPaging({ sort: 'rating' }, 'db'), { status: 400 });
+  assert.throws(() => parseCatalogPaging({ cursor: 'not-json' }, 'db'), { status: 400 });
+
+  const seedCursor = encodeCursor({ sort: 'title', source: 'seed', value: 'Aurora', id: 'b' });
+  assert.throws(() => parseCatalogPaging({ sort: 'year', cursor: seedCursor }, 'seed'), { status: 400 });
+});
+
+test('a cursor from another catalog source restarts the listing from its first page', () => {
+  const tmdbCursor = encodeCursor({ sort: 'title', source: 'tmdb', value: 'Aurora', id: 'tmdb-movie-1' });
+  const paging = parseCatalogPaging({ sort: 'title', cursor: tmdbCursor }, 'seed');
+  assert.equal(paging.cursor, null);
+  assert.equal(paging.cursorReset, true);
+  assert.deepEqual(pagingMeta(paging), { sort: 'title', cursorReset: true });
+
+  const sameSource = parseCatalogPaging({ sort: 'title', cursor: tmdbCursor }, 'tmdb');
+  assert.deepEqual(sameSource.cursor, { value: 'Aurora', id: 'tmdb-movie-1' });
+  assert.deepEqual(pagingMeta(sameSource), { sort: 'title' });
+});
+
+test('cursor values must match the type of their sort key', () => {
+  const cursorFor = (sort, value) => encodeCursor({ sort, source: 'db', value, id: 'b' });
+  assert.equal(parseCatalogPaging({ sort: 'title', cursor: cursorFor('title', 'Aurora') }, 'db').cursor.value, 'Aurora');
+  assert.equal(parseCatalogPaging({ sort: 'year', cursor: cursorFor('year', 2024) }, 'db').cursor.value, 2024);
+  assert.throws(() => parseCatalogPaging({ sort: 'title', cursor: cursorFor('title', { $gt: '' }) }, 'db'), { status: 400 });
+  assert.throws(() => parseCatalogPaging({ sort: 'newest', cursor: cursorFor('newest', '2024') }, 'db'), { status: 400 });
+  assert.throws(() => parseCatalogPaging({ sort: 'featuredRank', cursor: cursorFor('featuredRank', null) }, 'db'), { status: 400 });
+});
+
+test('catalogPipeline continues after the cursor row in sort order', () => {
+  const id = new mongoose.Types.ObjectId().toString();
+  const paging = parseCatalogPaging({
+    sort: 'year',
+    limit: 2,
+    cursor: encodeCursor({ sort: 'year', source: 'db', value: 2024, id }),
+  }, 'db');
+  const stages = catalogPipeline({ type: 'movie' }, paging);
+
+  assert.deepEqual(stages[0], { $match: { type: 'movie' } });
+  assert.deepEqual(stages[2].$match.$or[0], { catalogSortValue: { $lt: 2024 } });
+  assert.equal(stages[2].$match.$or[1]._id.$lt.toString(), id);
+  assert.deepEqual(stages[3], { $sort: { catalogSortValue: -1, _id: -1 } });
+  assert.deepEqual(stages[4], { $limit: 3 });
+
+  const rows = [2024, 2023, 2020].map((year) => ({ _id: new mongoose.Types.ObjectId(), catalogSortValue: year }));
+  const page = pageFromRows(rows, paging, 'db');
+  assert.equal(page.data.length, 2);
+  assert.equal(parseCatalogPaging({ sort: 'year', cursor: page.nextCursor }, 'db').cursor.value, 2023);
+  assert.equal(pageFromRows(rows.slice(0, 2), paging, 'db').nextCursor, null);
+});
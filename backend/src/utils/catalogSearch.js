@@ -0,0 +1,147 @@
+const { paginateList, catalogPipeline, pageFromRows } = require('./catalogPaging');
+
+// Facet dimensions: the query parameter, how a normalized title exposes it, and the stored field it maps to.
+const SEARCH_FACETS = {
+  type: { param: 'type', valuesOf: (movie) => [movie.type], field: 'type' },
+  genre: { param: 'genre', valuesOf: (movie) => movie.genres || [], field: 'genres' },
+  language: { param: 'language', valuesOf: (movie) => movie.languages || [], field: 'languages' },
+  year: { param: 'year', valuesOf: (movie) => [movie.year], field: 'year', numeric: true },
+  rating: { param: 'rating', valuesOf: (movie) => [effectiveRating(movie)], field: 'effectiveRating' },
+};
+const MAX_FACET_VALUES = 30;
+
+function effectiveRating(movie) {
+  return movie.maturityRating || movie.rating || '';
+}
+
+function listParam(raw, numeric) {
+  const values = (Array.isArray(raw) ? raw : String(raw || '').split(','))
+    .map((value) => String(value).trim())
+    .filter(Boolean);
+  return numeric ? values.map(Number).filter(Number.isFinite) : values;
+}
+
+// Values within one facet are OR-ed together; different facets are AND-ed.
+function parseSearchFilters(query = {}) {
+  const selected = Object.fromEntries(Object.entries(SEARCH_FACETS)
+    .map(([name, facet]) => [name, listParam(query[facet.param], facet.numeric)])
+    .filter(([, values]) => values.length > 0));
+  return {
+    q: String(query.q || '').trim().slice(0, 100),
+    tags: listParam(query.tag),
+    cast: listParam(query.cast),
+    selected,
+  };
+}
+
+function facetMatch(filters, { except = '' } = {}) {
+  const match = {};
+  if (filters.tags.length) {
+    match.tags = { $in: filters.tags };
+  }
+  if (filters.cast.length) {
+    match.cast = { $in: filters.cast };
+  }
+  Object.entries(filters.selected).forEach(([name, values]) => {
+    if (name !== except) {
+      match[SEARCH_FACETS[name].field] = { $in: values };
+    }
+  });
+  return match;
+}
+
+function facetCountStages(name, filters) {
+  const { field } = SEARCH_FACETS[name];
+  return [
+    { $match: facetMatch(filters, { except: name }) },
+    { $unwind: `$${field}` },
+    { $match: { [field]: { $nin: ['', null] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_FACET_VALUES },
+  ];
+}
+
+// One round trip: the base match (text search and maturity) runs once, then each facet is counted
+// with every other selected filter applied, so picking a genre does not hide the other genres.
+function searchPipeline(baseMatch, filters, paging) {
+  return [
+    { $match: baseMatch },
+    { $addFields: { effectiveRating: { $cond: [{ $gt: ['$maturityRating', ''] }, '$maturityRating', '$rating'] } } },
+    {
+      $facet: {
+        results: catalogPipeline(facetMatch(filters), paging),
+        total: [{ $match: facetMatch(filters) }, { $count: 'count' }],
+        ...Object.fromEntries(Object.keys(SEARCH_FACETS).map((name) => [name, facetCountStages(name, filters)])),
+      },
+    },
+  ];
+}
+
+function readSearchResult(result, paging) {
+  const row = result || {};
+  const facets = Object.fromEntries(Object.keys(SEARCH_FACETS).map((name) => [
+    name,
+    (row[name] || []).map((entry) => ({ value: entry._id, count: entry.count })),
+  ]));
+  return {
+    ...pageFromRows(row.results || [], paging, 'db'),
+    total: row.total?.[0]?.count || 0,
+    facets,
+  };
+}
+
+function matchesText(movie, q) {
+  if (!q) return true;
+  const lowered = q.toLowerCase();
+  return [movie.title, movie.description, movie.category]
+    .some((text) => String(text || '').toLowerCase().includes(lowered));
+}
+
+function matchesFacets(movie, filters, except = '') {
+  if (filters.tags.length && !(movie.tags || []).some((tag) => filters.tags.includes(tag))) {
+    return false;
+  }
+  if (filters.cast.length && !(movie.cast || []).some((name) => filters.cast.includes(name))) {
+    return false;
+  }
+  return Object.entries(filters.selected).every(([name, values]) => (
+    name === except || SEARCH_FACETS[name].valuesOf(movie).some((value) => values.includes(value))
+  ));
+}
+
+function countFacet(items, name, filters) {
+  const counts = new Map();
+  items
+    .filter((movie) => matchesFacets(movie, filters, name))
+    .forEach((movie) => {
+      new Set(SEARCH_FACETS[name].valuesOf(movie)).forEach((value) => {
+        if (value !== '' && value !== null && value !== undefined) {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+      });
+    });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0))
+    .slice(0, MAX_FACET_VALUES);
+}
+
+// The same contract over an in-memory list, for the seed catalog when Mongo is down.
+function searchList(items, filters, paging, source) {
+  const base = items.filter((movie) => matchesText(movie, filters.q));
+  const matches = base.filter((movie) => matchesFacets(movie, filters));
+  return {
+    ...paginateList(matches, paging, source),
+    total: matches.length,
+    facets: Object.fromEntries(Object.keys(SEARCH_FACETS).map((name) => [name, countFacet(base, name, filters)])),
+  };
+}
+
+module.exports = {
+  SEARCH_FACETS,
+  parseSearchFilters,
+  searchPipeline,
+  readSearchResult,
+  searchList,
+};
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCatalogPaging } = require('./catalogPaging');
+const { parseSearchFilters, searchPipeline, readSearchResult, searchList } = require('./catalogSearch');
+
+const catalog = [
+  { id: 'a', title: 'Night Shift', type: 'movie', year: 2024, rating: '16+', maturityRating: '', genres: ['Thriller'], languages: ['English'], tags: ['heist'] },
+  { id: 'b', title: 'Sunny Days', type: 'series', year: 2024, rating: 'U', maturityRating: 'TV-G', genres: ['Comedy', 'Family'], languages: ['English', 'Hindi'], tags: [] },
+  { id: 'c', title: 'Night Market', type: 'movie', year: 2022, rating: '13+', maturityRating: '', genres: ['Comedy'], languages: ['Hindi'], tags: ['food'] },
+];
+
+function facetValues(facets, name) {
+  return Object.fromEntries(facets[name].map((entry) => [entry.value, entry.count]));
+}
+
+test('parseSearchFilters reads comma separated facet values', () => {
+  const filters = parseSearchFilters({ q: ' night ', genre: 'Comedy,Drama', year: '2024,soon', tag: 'heist' });
+  assert.equal(filters.q, 'night');
+  assert.deepEqual(filters.selected, { genre: ['Comedy', 'Drama'], year: [2024] });
+  assert.deepEqual(filters.tags, ['heist']);
+});
+
+test('searchList filters results and counts each facet without its own selection', () => {
+  const filters = parseSearchFilters({ genre: 'Comedy', language: 'Hindi' });
+  const result = searchList(catalog, filters, parseCatalogPaging({ sort: 'title' }, 'seed'), 'seed');
+
+  assert.deepEqual(result.data.map((movie) => movie.id), ['c', 'b']);
+  assert.equal(result.total, 2);
+  assert.deepEqual(facetValues(result.facets, 'genre'), { Comedy: 2, Family: 1 });
+  assert.deepEqual(facetValues(result.facets, 'language'), { Hindi: 2, English: 1 });
+  assert.deepEqual(facetValues(result.facets, 'rating'), { 'TV-G': 1, '13+': 1 });
+  assert.deepEqual(facetValues(result.facets, 'year'), { 2022: 1, 2024: 1 });
+});
+
+test('text search narrows the base set that facets are counted from', () => {
+  const result = searchList(catalog, parseSearchFilters({ q: 'night', tag: 'food' }), parseCatalogPaging({}, 'seed'), 'seed');
+  assert.deepEqual(result.data.map((movie) => movie.id), ['c']);
+  assert.deepEqual(facetValues(result.facets, 'type'), { movie: 1 });
+});
+
+test('searchPipeline runs the base match first and facets on the remaining filters', () => {
+  const filters = parseSearchFilters({ genre: 'Comedy', year: '2024' });
+  const paging = parseCatalogPaging({ limit: 10 }, 'db');
+  const [match, addRating, facet] = searchPipeline({ $text: { $search: 'night' } }, filters, paging);
+
+  assert.deepEqual(match, { $match: { $text: { $search: 'night' } } });
+  assert.ok(addRating.$addFields.effectiveRating);
+  assert.deepEqual(facet.$facet.results[0], { $match: { genres: { $in: ['Comedy'] }, year: { $in: [2024] } } });
+  assert.deepEqual(facet.$facet.genre[0], { $match: { year: { $in: [2024] } } });
+  assert.deepEqual(facet.$facet.year[0], { $match: { genres: { $in: ['Comedy'] } } });
+
+  const parsed = readSearchResult({
+    results: [],
+    total: [{ count: 4 }],
+    genre: [{ _id: 'Comedy', count: 4 }],
+  }, paging);
+  assert.equal(parsed.total, 4);
+  assert.deepEqual(parsed.facets.genre, [{ value: 'Comedy', count: 4 }]);
+  assert.deepEqual(parsed.facets.language, []);
+  assert.equal(parsed.nextCursor, null);
+});
@@ -0,0 +1,25 @@
+// Spreadsheet apps run cells starting with these as formulas.
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) return `'${value}`;
+  return String(value);
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const header = columns.map((column) => csvCell(column.label)).join(',');
+  const lines = rows.map((row) => columns.map((column) => csvCell(column.value(row))).join(','));
+  return [header, ...lines].join('\n');
+}
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv } = require('./csv');
+
+test('toCsv quotes cells that need escaping and serializes objects', () => {
+  const csv = toCsv(
+    [
+      { label: 'action', value: (row) => row.action },
+      { label: 'diff', value: (row) => row.diff },
+    ],
+    [{ action: 'content.update, "title"', diff: [{ path: 'title' }] }, { action: 'user.unlock', diff: null }]
+  );
+
+  assert.equal(csv, [
+    'action,diff',
+    '"content.update, ""title""","[{""path"":""title""}]"',
+    'user.unlock,',
+  ].join('\n'));
+});
+
+test('toCsv writes dates as ISO strings and neutralises formula-like text', () => {
+  const csv = toCsv(
+    [
+      { label: 'at', value: (row) => row.at },
+      { label: 'note', value: (row) => row.note },
+      { label: 'delta', value: (row) => row.delta },
+    ],
+    [
+      { at: new Date('2024-05-01T10:00:00.000Z'), note: '=HYPERLINK("http://evil")', delta: -3 },
+      { at: null, note: '@SUM(A1)', delta: 0 },
+      { at: null, note: '+1', delta: 1 },
+      { at: null, note: '-1', delta: 2 },
+    ]
+  );
+
+  assert.equal(csv, [
+    'at,note,delta',
+    '2024-05-01T10:00:00.000Z,"\'=HYPERLINK(""http://evil"")",-3',
+    ",'@SUM(A1),0",
+    ",'+1,1",
+    ",'-1,2",
+  ].join('\n'));
+});
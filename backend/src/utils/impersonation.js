@@ -0,0 +1,40 @@
+const IMPERSONATION_DEFAULT_MINUTES = 15;
+const IMPERSONATION_MAX_MINUTES = Number(process.env.IMPERSONATION_MAX_MINUTES || 30);
+
+function clampImpersonationMinutes(value) {
+  const minutes = Number.parseInt(value, 10) || IMPERSONATION_DEFAULT_MINUTES;
+  return Math.min(Math.max(minutes, 1), IMPERSONATION_MAX_MINUTES);
+}
+
+function isImpersonationActive(session, payload, now = new Date()) {
+  return Boolean(session)
+    && !session.endedAt
+    && new Date(session.expiresAt).getTime() > now.getTime()
+    && session.actor.toString() === String(payload?.impersonatedBy || '')
+    && session.target.toString() === String(payload?.userId || '');
+}
+
+function buildImpersonationEntry(req, res) {
+  const session = req.impersonation;
+  return {
+    actor: session.actorId,
+    actorEmail: session.actorEmail,
+    actorRole: session.actorRole,
+    action: 'impersonation.request',
+    targetType: 'user',
+    targetId: session.targetId,
+    impersonation: session.sessionId,
+    statusCode: res.statusCode,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ipAddress: String(req.ip || ''),
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 255),
+  };
+}
+
+module.exports = {
+  IMPERSONATION_MAX_MINUTES,
+  clampImpersonationMinutes,
+  isImpersonationActive,
+  buildImpersonationEntry,
+};
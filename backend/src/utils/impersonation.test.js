@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  IMPERSONATION_MAX_MINUTES,
+  clampImpersonationMinutes,
+  isImpersonationActive,
+  buildImpersonationEntry,
+} = require('./impersonation');
+
+test('clampImpersonationMinutes keeps sessions time-boxed', () => {
+  assert.equal(clampImpersonationMinutes(undefined), 15);
+  assert.equal(clampImpersonationMinutes('0'), 15);
+  assert.equal(clampImpersonationMinutes(-5), 1);
+  assert.equal(clampImpersonationMinutes(10_000), IMPERSONATION_MAX_MINUTES);
+});
+
+test('isImpersonationActive requires a live session matching the token', () => {
+  const actor = new mongoose.Types.ObjectId();
+  const target = new mongoose.Types.ObjectId();
+  const now = new Date('2025-05-01T12:00:00.000Z');
+  const session = { actor, target, endedAt: null, expiresAt: new Date(now.getTime() + 60000) };
+  const payload = { userId: target.toString(), impersonatedBy: actor.toString() };
+
+  assert.equal(isImpersonationActive(session, payload, now), true);
+  assert.equal(isImpersonationActive(null, payload, now), false);
+  assert.equal(isImpersonationActive({ ...session, endedAt: now }, payload, now), false);
+  assert.equal(isImpersonationActive({ ...session, expiresAt: now }, payload, now), false);
+  assert.equal(isImpersonationActive(session, { ...payload, impersonatedBy: target.toString() }, now), false);
+});
+
+test('buildImpersonationEntry attributes the request to the impersonating admin', () => {
+  const req = {
+    method: 'GET',
+    originalUrl: '/api/users/me/continue-watching?limit=5',
+    ip: '10.0.0.2',
+    headers: { 'user-agent': 'test' },
+    impersonation: { sessionId: 'imp-1', actorId: 'admin-1', actorEmail: 'support@example.com', actorRole: 'admin', targetId: 'user-1' },
+  };
+  const entry = buildImpersonationEntry(req, { statusCode: 200 });
+
+  assert.equal(entry.actor, 'admin-1');
+  assert.equal(entry.action, 'impersonation.request');
+  assert.equal(entry.targetId, 'user-1');
+  assert.equal(entry.impersonation, 'imp-1');
+  assert.equal(entry.statusCode, 200);
+  assert.equal(entry.path, '/api/users/me/continue-watching');
+});
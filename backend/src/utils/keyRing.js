@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SigningKey = require('../models/SigningKey');
+
+const DEFAULT_ACCESS_TOKEN_SECRET = 'dev_access_secret_change_me';
+const KEY_RING_REFRESH_MS = Number(process.env.KEY_RING_REFRESH_SECONDS || 60) * 1000;
+
+const ENV_SECRET = process.env.ACCESS_TOKEN_SECRET || DEFAULT_ACCESS_TOKEN_SECRET;
+const ENV_KID = `env-${crypto.createHash('sha256').update(ENV_SECRET).digest('hex').slice(0, 8)}`;
+// Database keys are stored wrapped with this key, so a copy of the collection alone cannot mint tokens.
+const WRAP_KEY = crypto
+  .createHash('sha256')
+  .update(`signing-key-wrap:${process.env.SIGNING_KEY_ENCRYPTION_KEY || ENV_SECRET}`)
+  .digest();
+const WRAPPED_PREFIX = 'enc:v1:';
+
+let keys = new Map();
+let refreshTimer = null;
+
+function assertSecureSecretConfig(env = process.env) {
+  const secret = env.ACCESS_TOKEN_SECRET || '';
+  if (env.NODE_ENV === 'production' && (!secret || secret === DEFAULT_ACCESS_TOKEN_SECRET)) {
+    throw new Error('ACCESS_TOKEN_SECRET must be set to a non-default value when NODE_ENV=production.');
+  }
+  if (env.NODE_ENV === 'production' && !env.SIGNING_KEY_ENCRYPTION_KEY) {
+    throw new Error('SIGNING_KEY_ENCRYPTION_KEY must be set when NODE_ENV=production.');
+  }
+}
+
+function wrapSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', WRAP_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return `${WRAPPED_PREFIX}${[iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.')}`;
+}
+
+// Secrets written before wrapping are plain text and are read as they are until loadSigningKeys rewraps them.
+function unwrapSecret(stored, kid) {
+  if (!stored || !stored.startsWith(WRAPPED_PREFIX)) return stored || '';
+  try {
+    const [iv, tag, encrypted] = stored.slice(WRAPPED_PREFIX.length).split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', WRAP_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch {
+    console.warn(`Signing key ${kid} could not be unwrapped with SIGNING_KEY_ENCRYPTION_KEY; it is ignored.`);
+    return '';
+  }
+}
+
+function activeKeys() {
+  return [...keys.values()].filter((key) => key.status === 'active' && key.secret);
+}
+
+// A new key only verifies for its first refresh interval, so every instance has loaded it before tokens
+// signed with it arrive. Until then the previous key keeps signing.
+function canSignYet(key, now) {
+  return key.source === 'env' || now - new Date(key.createdAt).getTime() >= KEY_RING_REFRESH_MS;
+}
+
+function getSigningKey(now = Date.now()) {
+  const candidates = activeKeys().sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+  return candidates.find((key) => canSignYet(key, now)) || candidates[0] || null;
+}
+
+function getVerificationKey(kid) {
+  const key = keys.get(kid);
+  return key && key.status === 'active' && key.secret ? key : null;
+}
+
+function getLegacyVerificationKey() {
+  return getVerificationKey(ENV_KID);
+}
+
+function describeKey(key, signingKid) {
+  return {
+    kid: key.kid,
+    status: key.status,
+    source: key.source,
+    signing: key.kid === signingKid,
+    createdAt: key.createdAt,
+    retiredAt: key.retiredAt || null,
+  };
+}
+
+function listSigningKeys() {
+  const signingKid = getSigningKey()?.kid;
+  return [...keys.values()]
+    .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+    .map((key) => describeKey(key, signingKid));
+}
+
+function applySigningKeyDocs(docs) {
+  const next = new Map([[ENV_KID, { kid: ENV_KID, secret: ENV_SECRET, status: 'active', source: 'env', createdAt: new Date(0) }]]);
+  docs.forEach((doc) => {
+    const existing = next.get(doc.kid);
+    next.set(doc.kid, {
+      kid: doc.kid,
+      secret: unwrapSecret(doc.secret, doc.kid) || existing?.secret || '',
+      status: doc.status,
+      source: existing ? existing.source : 'database',
+      createdAt: existing ? existing.createdAt : doc.createdAt,
+      retiredAt: doc.retiredAt,
+    });
+  });
+  keys = next;
+  return listSigningKeys();
+}
+
+async function loadSigningKeys() {
+  if (mongoose.connection.readyState !== 1) {
+    return listSigningKeys();
+  }
+  const docs = await SigningKey.find({}).lean();
+  const plain = docs.filter((doc) => doc.secret && !doc.secret.startsWith(WRAPPED_PREFIX));
+  if (plain.length) {
+    await SigningKey.bulkWrite(plain.map((doc) => ({
+      updateOne: { filter: { _id: doc._id, secret: doc.secret }, update: { $set: { secret: wrapSecret(doc.secret) } } },
+    })));
+  }
+  return applySigningKeyDocs(docs);
+}
+
+function startKeyRingRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setInterval(() => {
+    loadSigningKeys().catch((error) => console.warn('Signing key refresh failed:', error.message));
+  }, KEY_RING_REFRESH_MS);
+  refreshTimer.unref();
+}
+
+async function addSigningKey({ createdBy = '' } = {}) {
+  const kid = `k-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  await SigningKey.create({
+    kid,
+    secret: wrapSecret(crypto.randomBytes(48).toString('base64url')),
+    status: 'active',
+    createdBy,
+  });
+  await loadSigningKeys();
+  return listSigningKeys().find((key) => key.kid === kid);
+}
+
+async function retireSigningKey(kid) {
+  const key = keys.get(kid);
+  if (!key) {
+    const error = new Error('Signing key not found.');
+    error.status = 404;
+    throw error;
+  }
+  if (key.status === 'retired') {
+    return describeKey(key, getSigningKey()?.kid);
+  }
+  if (activeKeys().length <= 1) {
+    const error = new Error('Cannot retire the only active signing key. Add a new key first.');
+    error.status = 400;
+    throw error;
+  }
+
+  await SigningKey.updateOne(
+    { kid },
+    { $set: { status: 'retired', retiredAt: new Date() } },
+    { upsert: true }
+  );
+  await loadSigningKeys();
+  return listSigningKeys().find((item) => item.kid === kid);
+}
+
+applySigningKeyDocs([]);
+
+module.exports = {
+  DEFAULT_ACCESS_TOKEN_SECRET,
+  KEY_RING_REFRESH_MS,
+  assertSecureSecretConfig,
+  getSigningKey,
+  getVerificationKey,
+  getLegacyVerificationKey,
+  listSigningKeys,
+  wrapSecret,
+  applySigningKeyDocs,
+  loadSigningKeys,
+  startKeyRingRefresh,
+  addSigningKey,
+  retireSigningKey,
+};
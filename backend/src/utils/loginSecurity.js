@@ -0,0 +1,51 @@
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS || 5);
+const LOCKOUT_BASE_MS = Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES || 5) * 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+function lockRemainingMs(user, now = Date.now()) {
+  const lockedUntil = user.loginSecurity?.lockedUntil;
+  return lockedUntil ? Math.max(0, new Date(lockedUntil).getTime() - now) : 0;
+}
+
+function lockoutDurationMs(lockouts) {
+  return Math.min(LOCKOUT_BASE_MS * 2 ** Math.max(0, lockouts - 1), LOCKOUT_MAX_MS);
+}
+
+function registerFailedAttempt(user, now = Date.now()) {
+  const security = user.loginSecurity || {};
+  security.failedAttempts = Number(security.failedAttempts || 0) + 1;
+  security.lastFailedAt = new Date(now);
+
+  if (security.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    security.lockouts = Number(security.lockouts || 0) + 1;
+    security.lockedUntil = new Date(now + lockoutDurationMs(security.lockouts));
+    security.failedAttempts = 0;
+  }
+
+  user.loginSecurity = security;
+  return lockRemainingMs(user, now);
+}
+
+function clearFailedAttempts(user) {
+  user.loginSecurity = {
+    failedAttempts: 0,
+    lastFailedAt: null,
+    lockedUntil: null,
+    lockouts: 0,
+  };
+}
+
+function lockoutError(remainingMs) {
+  const minutes = Math.max(1, Math.ceil(remainingMs / 60000));
+  const error = new Error(`Too many failed attempts. Account is locked for ${minutes} more minute(s).`);
+  error.status = 429;
+  error.retryAfter = Math.ceil(remainingMs / 1000);
+  return error;
+}
+
+module.exports = {
+  lockRemainingMs,
+  registerFailedAttempt,
+  clearFailedAttempts,
+  lockoutError,
+};
@@ -0,0 +1,79 @@
+// Minimum viewer age per title. Profiles store their ceiling as one of these buckets ('7+', '13+', ...).
+const MATURITY_AGES = [0, 7, 13, 16, 18];
+const UNRATED_AGE = 18;
+// Shown for titles with no known certification; like any unknown rating it counts as adult.
+const UNRATED_LABEL = 'NR';
+
+const NAMED_RATINGS = {
+  U: 0,
+  G: 0,
+  ALL: 0,
+  'TV-Y': 0,
+  'TV-G': 0,
+  'TV-Y7': 7,
+  PG: 7,
+  'TV-PG': 7,
+  'PG-13': 13,
+  UA: 13,
+  'U/A': 13,
+  'TV-14': 16,
+  R: 18,
+  A: 18,
+  S: 18,
+  'NC-17': 18,
+  'TV-MA': 18,
+  ADULT: 18,
+};
+
+// Rounds up to the next bucket, so a 14+ title needs a 16+ profile.
+function toBucket(age) {
+  return MATURITY_AGES.find((bucket) => bucket >= age) ?? UNRATED_AGE;
+}
+
+// Maps free-form strings such as 'U/A 13+', '16+', 'PG-13' or 'A' onto the age scale.
+// Unknown or empty ratings are treated as adult so kids profiles fail closed.
+function maturityAgeOf(rating) {
+  const value = String(rating || '').trim().toUpperCase();
+  if (!value) return UNRATED_AGE;
+  if (NAMED_RATINGS[value] !== undefined) return NAMED_RATINGS[value];
+
+  const numeric = value.match(/(\d{1,2})\s*\+?$/);
+  if (numeric) return toBucket(Number(numeric[1]));
+  return UNRATED_AGE;
+}
+
+function movieMaturityAge(movie) {
+  return maturityAgeOf(movie?.maturityRating || movie?.rating);
+}
+
+function profileMaturityCeiling(profile) {
+  if (!profile) return UNRATED_AGE;
+  if (profile.kids) return MATURITY_AGES[1];
+  return maturityAgeOf(profile.maturityLevel || '18+');
+}
+
+function isAllowedForProfile(movie, profile) {
+  return !profile || movieMaturityAge(movie) <= profileMaturityCeiling(profile);
+}
+
+// Mongo condition for the titles a profile may see, matched on the age stored with each title.
+function maturityCondition(profile) {
+  return { maturityAge: { $lte: profileMaturityCeiling(profile) } };
+}
+
+// Adds a condition under $and so it never replaces an $or (or anything else) the filter already has.
+function withCondition(filter, condition) {
+  return { ...filter, $and: [...(filter.$and || []), condition] };
+}
+
+module.exports = {
+  MATURITY_AGES,
+  UNRATED_AGE,
+  UNRATED_LABEL,
+  maturityAgeOf,
+  movieMaturityAge,
+  profileMaturityCeiling,
+  isAllowedForProfile,
+  maturityCondition,
+  withCondition,
+};
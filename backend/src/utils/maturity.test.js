@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  maturityAgeOf,
+  movieMaturityAge,
+  profileMaturityCeiling,
+  isAllowedForProfile,
+  maturityCondition,
+  withCondition,
+  UNRATED_LABEL,
+} = require('./maturity');
+
+test('maturityAgeOf maps the rating strings used in the catalog', () => {
+  assert.equal(maturityAgeOf('U'), 0);
+  assert.equal(maturityAgeOf('U/A 7+'), 7);
+  assert.equal(maturityAgeOf('U/A 13+'), 13);
+  assert.equal(maturityAgeOf('PG-13'), 13);
+  assert.equal(maturityAgeOf('16+'), 16);
+  assert.equal(maturityAgeOf('U/A 16+'), 16);
+  assert.equal(maturityAgeOf('TV-14'), 16);
+  assert.equal(maturityAgeOf('A'), 18);
+  assert.equal(maturityAgeOf('R'), 18);
+  assert.equal(maturityAgeOf('18+'), 18);
+});
+
+test('unknown ratings are treated as adult titles', () => {
+  assert.equal(maturityAgeOf(''), 18);
+  assert.equal(maturityAgeOf('Not rated'), 18);
+  assert.equal(maturityAgeOf(UNRATED_LABEL), 18);
+});
+
+test('maturityRating takes precedence over the legacy rating field', () => {
+  assert.equal(movieMaturityAge({ rating: 'U/A 13+', maturityRating: 'A' }), 18);
+  assert.equal(movieMaturityAge({ rating: '16+', maturityRating: '' }), 16);
+});
+
+test('kids profiles are capped at 7+ whatever their stored level says', () => {
+  assert.equal(profileMaturityCeiling({ kids: true, maturityLevel: '18+' }), 7);
+  assert.equal(profileMaturityCeiling({ kids: false, maturityLevel: '13+' }), 13);
+  assert.equal(isAllowedForProfile({ rating: 'U/A 13+' }, { maturityLevel: '13+' }), true);
+  assert.equal(isAllowedForProfile({ rating: '16+' }, { maturityLevel: '13+' }), false);
+  assert.equal(isAllowedForProfile({ rating: 'A' }, null), true);
+});
+
+test('the maturity condition is added under $and and keeps the caller\'s $or', () => {
+  const condition = maturityCondition({ maturityLevel: '13+' });
+  assert.deepEqual(condition, { maturityAge: { $lte: 13 } });
+  assert.deepEqual(maturityCondition({ kids: true }), { maturityAge: { $lte: 7 } });
+
+  const callerOr = [{ featured: true }, { featuredRank: { $ne: null } }];
+  const filter = withCondition({ type: 'movie', $or: callerOr, $and: [{ year: 2020 }] }, condition);
+  assert.deepEqual(filter.$or, callerOr);
+  assert.deepEqual(filter.$and, [{ year: 2020 }, condition]);
+  assert.equal(filter.type, 'movie');
+});
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const OIDC_LOGIN_TTL_MINUTES = 10;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+const REQUEST_TIMEOUT_MS = 8000;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+function oidcError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function loadOidcProviders(env = process.env) {
+  return String(env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map((id) => {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      return {
+        id,
+        label: env[`${prefix}LABEL`] || id,
+        issuer: String(env[`${prefix}ISSUER`] || '').replace(/\/+$/, ''),
+        clientId: env[`${prefix}CLIENT_ID`] || '',
+        clientSecret: env[`${prefix}CLIENT_SECRET`] || '',
+        scopes: env[`${prefix}SCOPES`] || 'openid email profile',
+      };
+    })
+    .filter((provider) => provider.issuer && provider.clientId);
+}
+
+function getOidcProvider(id, env = process.env) {
+  return loadOidcProviders(env).find((provider) => provider.id === String(id || '').toLowerCase()) || null;
+}
+
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+function hashBinding(binding) {
+  return crypto.createHash('sha256').update(String(binding)).digest('hex');
+}
+
+// Ties a login to the browser that started it. The browser keeps `binding` and only its hash is
+// stored with the state, so a callback link replayed in another browser cannot finish the login.
+function createLoginBinding() {
+  const binding = crypto.randomBytes(24).toString('base64url');
+  return { binding, bindingHash: hashBinding(binding) };
+}
+
+function loginBindingMatches(bindingHash, binding) {
+  if (!bindingHash || !String(binding || '').trim()) return false;
+  const expected = Buffer.from(String(bindingHash));
+  const actual = Buffer.from(hashBinding(String(binding).trim()));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+async function fetchJson(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    const body = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, body };
+  } catch {
+    throw oidcError('Sign-in provider is unreachable. Please try again later.', 502);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function discoverProvider(provider) {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const { ok, body } = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (!ok || !body.authorization_endpoint || !body.token_endpoint || !body.jwks_uri) {
+    throw oidcError('Sign-in provider configuration could not be loaded.', 502);
+  }
+  metadataCache.set(provider.issuer, { metadata: body, expiresAt: Date.now() + METADATA_CACHE_MS });
+  return body;
+}
+
+function buildAuthorizationUrl(provider, metadata, { state, nonce, codeChallenge, redirectUri }) {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+async function exchangeCode(provider, metadata, { code, codeVerifier, redirectUri }) {
+  const { ok, body } = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }).toString(),
+  });
+  if (!ok || !body.id_token) {
+    throw oidcError(`${provider.label} did not accept the sign-in request. Please try again.`);
+  }
+  return body;
+}
+
+async function findSigningJwk(metadata, kid) {
+  const lookup = async (forceRefresh) => {
+    let cached = jwksCache.get(metadata.jwks_uri);
+    if (forceRefresh || !cached || cached.expiresAt <= Date.now()) {
+      const { ok, body } = await fetchJson(metadata.jwks_uri);
+      if (!ok || !Array.isArray(body.keys)) {
+        throw oidcError('Sign-in provider keys could not be loaded.', 502);
+      }
+      cached = { keys: body.keys, expiresAt: Date.now() + METADATA_CACHE_MS };
+      jwksCache.set(metadata.jwks_uri, cached);
+    }
+    return cached.keys.find((key) => key.kty === 'RSA' && (!kid || key.kid === kid)) || null;
+  };
+
+  // Providers rotate keys, so an unknown kid triggers one fresh fetch before giving up.
+  return (await lookup(false)) || lookup(true);
+}
+
+async function verifyIdToken(idToken, { provider, metadata, nonce, now = Date.now() }) {
+  const invalid = () => oidcError(`Sign-in with ${provider.label} could not be verified.`);
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) throw invalid();
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw invalid();
+  }
+  if (header.alg !== 'RS256') throw invalid();
+
+  const jwk = await findSigningJwk(metadata, header.kid);
+  if (!jwk) throw invalid();
+  const signatureValid = crypto.verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureValid) throw invalid();
+
+  const nowSeconds = Math.floor(now / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== (metadata.issuer || provider.issuer)) throw invalid();
+  if (!audiences.includes(provider.clientId)) throw invalid();
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS <= nowSeconds) throw invalid();
+  if (!claims.sub || claims.nonce !== nonce) throw invalid();
+
+  return claims;
+}
+
+function isEmailClaimVerified(claims) {
+  return claims.email_verified === true || claims.email_verified === 'true';
+}
+
+module.exports = {
+  OIDC_LOGIN_TTL_MINUTES,
+  loadOidcProviders,
+  getOidcProvider,
+  createPkcePair,
+  createLoginBinding,
+  loginBindingMatches,
+  discoverProvider,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  isEmailClaimVerified,
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fetch = require('node-fetch');
+const { createMockOidcProvider } = require('../mockOidcProvider');
+const {
+  loadOidcProviders,
+  createPkcePair,
+  createLoginBinding,
+  loginBindingMatches,
+  discoverProvider,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  isEmailClaimVerified,
+} = require('./oidc');
+
+const REDIRECT_URI = 'http://localhost:3000/auth/callback';
+
+async function startMockProvider() {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+  server.on('request', createMockOidcProvider({ issuer, clientId: 'client', clientSecret: 'secret' }));
+  return { issuer, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+async function authorize(authorizationUrl, email) {
+  const url = new URL(authorizationUrl);
+  const form = new URLSearchParams({ ...Object.fromEntries(url.searchParams), email, name: 'Ada', email_verified: 'true' });
+  const response = await fetch(`${url.origin}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+  return new URL(response.headers.get('location'));
+}
+
+test('loadOidcProviders reads configured providers from env', () => {
+  const providers = loadOidcProviders({
+    OIDC_PROVIDERS: 'mock, corp-sso, missing',
+    OIDC_MOCK_ISSUER: 'http://localhost:5055/',
+    OIDC_MOCK_CLIENT_ID: 'local',
+    OIDC_MOCK_LABEL: 'Mock Provider',
+    OIDC_CORP_SSO_ISSUER: 'https://sso.example.com',
+    OIDC_CORP_SSO_CLIENT_ID: 'corp',
+  });
+
+  assert.deepEqual(providers.map((provider) => [provider.id, provider.label, provider.issuer]), [
+    ['mock', 'Mock Provider', 'http://localhost:5055'],
+    ['corp-sso', 'corp-sso', 'https://sso.example.com'],
+  ]);
+  assert.equal(providers[0].scopes, 'openid email profile');
+});
+
+test('authorization code flow with PKCE completes against the mock provider', async () => {
+  const mock = await startMockProvider();
+  try {
+    const provider = { id: 'mock', label: 'Mock', issuer: mock.issuer, clientId: 'client', clientSecret: 'secret', scopes: 'openid email' };
+    const metadata = await discoverProvider(provider);
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const authorizationUrl = buildAuthorizationUrl(provider, metadata, {
+      state: 'state-1',
+      nonce: 'nonce-1',
+      codeChallenge,
+      redirectUri: REDIRECT_URI,
+    });
+
+    const callback = await authorize(authorizationUrl, 'Ada@Example.com');
+    assert.equal(callback.searchParams.get('state'), 'state-1');
+    const code = callback.searchParams.get('code');
+
+    await assert.rejects(
+      exchangeCode(provider, metadata, { code, codeVerifier: 'wrong-verifier', redirectUri: REDIRECT_URI }),
+      { status: 401 }
+    );
+
+    const retry = await authorize(authorizationUrl, 'ada@example.com');
+    const tokens = await exchangeCode(provider, metadata, {
+      code: retry.searchParams.get('code'),
+      codeVerifier,
+      redirectUri: REDIRECT_URI,
+    });
+    const claims = await verifyIdToken(tokens.id_token, { provider, metadata, nonce: 'nonce-1' });
+    assert.equal(claims.email, 'ada@example.com');
+    assert.equal(isEmailClaimVerified(claims), true);
+    assert.ok(claims.sub);
+
+    await assert.rejects(verifyIdToken(tokens.id_token, { provider, metadata, nonce: 'other' }), { status: 401 });
+    await assert.rejects(
+      verifyIdToken(tokens.id_token, { provider: { ...provider, clientId: 'someone-else' }, metadata, nonce: 'nonce-1' }),
+      { status: 401 }
+    );
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a valid state only completes in the browser that started the login', () => {
+  const { binding, bindingHash } = createLoginBinding();
+  const other = createLoginBinding();
+  assert.equal(loginBindingMatches(bindingHash, binding), true);
+  assert.equal(loginBindingMatches(bindingHash, ''), false);
+  assert.equal(loginBindingMatches(bindingHash, other.binding), false);
+  assert.equal(loginBindingMatches('', binding), false);
+  assert.notEqual(bindingHash, binding);
+});
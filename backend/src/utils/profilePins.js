@@ -0,0 +1,72 @@
+const { createAccessToken, verifyAccessToken } = require('./tokenService');
+
+const PROFILE_PIN_PATTERN = /^\d{4}$/;
+const PROFILE_PIN_MAX_ATTEMPTS = Number(process.env.PROFILE_PIN_MAX_ATTEMPTS || 5);
+const PROFILE_PIN_LOCKOUT_MINUTES = Number(process.env.PROFILE_PIN_LOCKOUT_MINUTES || 15);
+const PROFILE_TOKEN_TTL_SECONDS = Number(process.env.PROFILE_TOKEN_TTL_SECONDS || 12 * 60 * 60);
+const PROFILE_TOKEN_PURPOSE = 'profile_unlock';
+
+function isPinProtected(profile) {
+  return Boolean(profile?.pin?.hash);
+}
+
+function pinLockRemainingMs(profile, now = Date.now()) {
+  const lockedUntil = profile.pin?.lockedUntil;
+  return lockedUntil ? Math.max(0, new Date(lockedUntil).getTime() - now) : 0;
+}
+
+function registerFailedPin(profile, now = Date.now()) {
+  profile.pin.failedAttempts = Number(profile.pin.failedAttempts || 0) + 1;
+  if (profile.pin.failedAttempts >= PROFILE_PIN_MAX_ATTEMPTS) {
+    profile.pin.failedAttempts = 0;
+    profile.pin.lockedUntil = new Date(now + PROFILE_PIN_LOCKOUT_MINUTES * 60 * 1000);
+  }
+  return pinLockRemainingMs(profile, now);
+}
+
+function clearFailedPins(profile) {
+  profile.pin.failedAttempts = 0;
+  profile.pin.lockedUntil = null;
+}
+
+function pinLockoutError(remainingMs) {
+  const minutes = Math.max(1, Math.ceil(remainingMs / 60000));
+  const error = new Error(`Too many wrong PINs. This profile is locked for ${minutes} more minute(s).`);
+  error.status = 429;
+  error.retryAfter = Math.ceil(remainingMs / 1000);
+  return error;
+}
+
+// The PIN version is baked into the token so changing or removing a PIN invalidates earlier unlocks.
+function pinVersionOf(profile) {
+  return new Date(profile.pin?.updatedAt || 0).getTime();
+}
+
+function issueProfileToken(user, profile) {
+  return createAccessToken({
+    userId: user._id.toString(),
+    profileId: profile._id.toString(),
+    pv: pinVersionOf(profile),
+    purpose: PROFILE_TOKEN_PURPOSE,
+  }, PROFILE_TOKEN_TTL_SECONDS);
+}
+
+function isProfileTokenValid(token, user, profile) {
+  const payload = verifyAccessToken(String(token || ''), { purpose: PROFILE_TOKEN_PURPOSE });
+  return Boolean(payload)
+    && payload.userId === user._id.toString()
+    && payload.profileId === profile._id.toString()
+    && payload.pv === pinVersionOf(profile);
+}
+
+module.exports = {
+  PROFILE_PIN_PATTERN,
+  PROFILE_TOKEN_TTL_SECONDS,
+  isPinProtected,
+  pinLockRemainingMs,
+  registerFailedPin,
+  clearFailedPins,
+  pinLockoutError,
+  issueProfileToken,
+  isProfileTokenValid,
+};
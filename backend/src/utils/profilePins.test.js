@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  isPinProtected,
+  pinLockRemainingMs,
+  registerFailedPin,
+  clearFailedPins,
+  pinLockoutError,
+  issueProfileToken,
+  isProfileTokenValid,
+} = require('./profilePins');
+const { createAccessToken } = require('./tokenService');
+const { resolveProfile } = require('../middleware/profiles');
+
+function lockedProfile() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Ada',
+    pin: { hash: 'hash', updatedAt: new Date('2026-01-01T00:00:00Z'), failedAttempts: 0, lockedUntil: null },
+  };
+}
+
+test('profiles without a PIN hash are not protected', () => {
+  assert.equal(isPinProtected({ pin: { hash: '' } }), false);
+  assert.equal(isPinProtected({}), false);
+  assert.equal(isPinProtected(lockedProfile()), true);
+});
+
+test('repeated wrong PINs lock the profile until the lockout passes', () => {
+  const profile = lockedProfile();
+  const now = Date.now();
+  for (let attempt = 1; attempt < 5; attempt += 1) {
+    assert.equal(registerFailedPin(profile, now), 0);
+  }
+  const remaining = registerFailedPin(profile, now);
+  assert.equal(remaining, 15 * 60 * 1000);
+  assert.equal(pinLockRemainingMs(profile, now + remaining), 0);
+
+  const error = pinLockoutError(remaining);
+  assert.equal(error.status, 429);
+  assert.equal(error.retryAfter, 15 * 60);
+
+  clearFailedPins(profile);
+  assert.equal(pinLockRemainingMs(profile, now), 0);
+});
+
+test('profile tokens are bound to the user, the profile and the current PIN', () => {
+  const profile = lockedProfile();
+  const other = lockedProfile();
+  const user = { _id: new mongoose.Types.ObjectId(), profiles: [profile, other] };
+  const token = issueProfileToken(user, profile);
+
+  assert.equal(isProfileTokenValid(token, user, profile), true);
+  assert.equal(isProfileTokenValid(token, user, other), false);
+  assert.equal(isProfileTokenValid(token, { _id: new mongoose.Types.ObjectId() }, profile), false);
+  assert.equal(isProfileTokenValid(createAccessToken({ userId: user._id.toString() }), user, profile), false);
+
+  profile.pin.updatedAt = new Date('2026-02-01T00:00:00Z');
+  assert.equal(isProfileTokenValid(token, user, profile), false);
+});
+
+test('resolveProfile requires an unlock token for PIN-protected profiles', () => {
+  const profile = lockedProfile();
+  const userDoc = { _id: new mongoose.Types.ObjectId(), profiles: [profile] };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  resolveProfile({ userDoc, headers: {} }, res, () => assert.fail('should not continue'));
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.profileLocked, true);
+
+  const unlocked = { userDoc, headers: { 'x-profile-token': issueProfileToken(userDoc, profile) } };
+  resolveProfile(unlocked, res, () => {});
+  assert.equal(unlocked.profile, profile);
+});
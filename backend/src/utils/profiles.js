@@ -0,0 +1,132 @@
+const MATURITY_LEVELS = ['7+', '13+', '16+', '18+'];
+const PROFILE_LANGUAGES = ['english', 'hindi', 'spanish', 'french'];
+const PROFILE_LIMITS = {
+  mobile: 1,
+  basic: 2,
+  standard: 4,
+  premium: 5,
+};
+const MAX_MY_LIST_ITEMS = 200;
+
+function profileError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function profileLimitFor(user) {
+  return PROFILE_LIMITS[user.subscription?.plan] || PROFILE_LIMITS.basic;
+}
+
+function profileIdOf(profile) {
+  return profile._id.toString();
+}
+
+// Accounts created before profiles moved server-side get one profile named after the account.
+function ensureDefaultProfile(user) {
+  if (Array.isArray(user.profiles) && user.profiles.length) {
+    return false;
+  }
+  user.profiles = [{ name: String(user.name || 'Main').slice(0, 40) }];
+  return true;
+}
+
+function isDefaultProfile(user, profile) {
+  return Boolean(user.profiles?.length) && profileIdOf(user.profiles[0]) === profileIdOf(profile);
+}
+
+function findProfile(user, profileId) {
+  return (user.profiles || []).find((profile) => profileIdOf(profile) === String(profileId || '')) || null;
+}
+
+// Rows written before profiles existed carry no profileId and stay with the default profile.
+function belongsToProfile(user, profile, entry) {
+  return entry.profileId ? entry.profileId === profileIdOf(profile) : isDefaultProfile(user, profile);
+}
+
+// A session sitting on a kids profile stays there until someone enters the account password.
+function kidsSessionProfile(user, sessionProfileId) {
+  const profile = sessionProfileId ? findProfile(user, sessionProfileId) : null;
+  return profile?.kids ? profile : null;
+}
+
+// Whether a change made from a kids session needs the account password. Pass no target when a
+// profile is being created or deleted; on its own profile a kids session may only keep it a kids profile.
+function isKidsRestrictedChange(kidsProfile, target, fields = {}) {
+  if (!kidsProfile) return false;
+  if (!target || profileIdOf(target) !== profileIdOf(kidsProfile)) return true;
+  return fields.kids === false;
+}
+
+function normalizeProfileInput(input, { partial = false } = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const fields = {};
+
+  if (!partial || source.name !== undefined) {
+    const name = String(source.name || '').trim();
+    if (!name || name.length > 40) {
+      throw profileError('Profile name is required and must be 40 characters or fewer.');
+    }
+    fields.name = name;
+  }
+  if (source.avatar !== undefined) {
+    fields.avatar = String(source.avatar || '').trim().slice(0, 500);
+  }
+  if (source.kids !== undefined) {
+    fields.kids = Boolean(source.kids);
+  }
+  if (source.maturityLevel !== undefined) {
+    if (!MATURITY_LEVELS.includes(source.maturityLevel)) {
+      throw profileError(`Maturity level must be one of ${MATURITY_LEVELS.join(', ')}.`);
+    }
+    fields.maturityLevel = source.maturityLevel;
+  }
+  if (source.language !== undefined) {
+    if (!PROFILE_LANGUAGES.includes(source.language)) {
+      throw profileError(`Language must be one of ${PROFILE_LANGUAGES.join(', ')}.`);
+    }
+    fields.language = source.language;
+  }
+  return fields;
+}
+
+function applyProfileFields(profile, fields) {
+  Object.assign(profile, fields);
+  // Kids profiles never go above the youngest rating, whatever else was sent.
+  if (profile.kids) {
+    profile.maturityLevel = MATURITY_LEVELS[0];
+  }
+  return profile;
+}
+
+function sanitizeProfile(user, profile) {
+  return {
+    id: profileIdOf(profile),
+    name: profile.name,
+    avatar: profile.avatar || '',
+    kids: Boolean(profile.kids),
+    maturityLevel: profile.maturityLevel || '18+',
+    language: profile.language || 'english',
+    isDefault: isDefaultProfile(user, profile),
+    locked: Boolean(profile.pin?.hash),
+    createdAt: profile.createdAt || null,
+  };
+}
+
+module.exports = {
+  MATURITY_LEVELS,
+  PROFILE_LANGUAGES,
+  PROFILE_LIMITS,
+  MAX_MY_LIST_ITEMS,
+  profileLimitFor,
+  profileIdOf,
+  ensureDefaultProfile,
+  isDefaultProfile,
+  findProfile,
+  belongsToProfile,
+  kidsSessionProfile,
+  isKidsRestrictedChange,
+  normalizeProfileInput,
+  applyProfileFields,
+  sanitizeProfile,
+};
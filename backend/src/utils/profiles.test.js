@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  PROFILE_LIMITS,
+  profileLimitFor,
+  ensureDefaultProfile,
+  belongsToProfile,
+  isKidsRestrictedChange,
+  normalizeProfileInput,
+  applyProfileFields,
+} = require('./profiles');
+
+function profile(name) {
+  return { _id: new mongoose.Types.ObjectId(), name, myList: [] };
+}
+
+test('profileLimitFor follows the subscription plan', () => {
+  assert.equal(profileLimitFor({ subscription: { plan: 'mobile' } }), PROFILE_LIMITS.mobile);
+  assert.equal(profileLimitFor({ subscription: { plan: 'premium' } }), PROFILE_LIMITS.premium);
+  assert.equal(profileLimitFor({}), PROFILE_LIMITS.basic);
+});
+
+test('ensureDefaultProfile creates a main profile only once', () => {
+  const user = { name: 'Ada', profiles: [] };
+  assert.equal(ensureDefaultProfile(user), true);
+  assert.equal(user.profiles[0].name, 'Ada');
+  assert.equal(ensureDefaultProfile(user), false);
+});
+
+test('legacy rows without a profile belong to the default profile', () => {
+  const main = profile('Ada');
+  const kids = profile('Kids');
+  const user = { profiles: [main, kids] };
+
+  assert.equal(belongsToProfile(user, main, { profileId: '' }), true);
+  assert.equal(belongsToProfile(user, kids, { profileId: '' }), false);
+  assert.equal(belongsToProfile(user, kids, { profileId: kids._id.toString() }), true);
+  assert.equal(belongsToProfile(user, main, { profileId: kids._id.toString() }), false);
+});
+
+test('profile input is validated and kids profiles stay at the youngest rating', () => {
+  assert.throws(() => normalizeProfileInput({ name: '' }), (error) => error.status === 400);
+  assert.throws(() => normalizeProfileInput({ name: 'Ada', maturityLevel: 'R' }), (error) => error.status === 400);
+  assert.deepEqual(normalizeProfileInput({ language: 'hindi' }, { partial: true }), { language: 'hindi' });
+
+  const kids = applyProfileFields({}, normalizeProfileInput({ name: 'Kids', kids: true, maturityLevel: '18+' }));
+  assert.equal(kids.maturityLevel, '7+');
+  applyProfileFields(kids, normalizeProfileInput({ maturityLevel: '16+' }, { partial: true }));
+  assert.equal(kids.maturityLevel, '7+');
+});
+
+test('a kids session needs the password to manage other profiles or stop being a kids profile', () => {
+  const main = profile('Ada');
+  const kids = { ...profile('Kids'), kids: true };
+
+  assert.equal(isKidsRestrictedChange(null, main, { kids: false }), false);
+  assert.equal(isKidsRestrictedChange(kids, kids, { name: 'Kiddo', kids: true, maturityLevel: '18+' }), false);
+  assert.equal(isKidsRestrictedChange(kids, kids, { kids: false }), true);
+  assert.equal(isKidsRestrictedChange(kids, main, { name: 'Mum' }), true);
+  assert.equal(isKidsRestrictedChange(kids, null), true);
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+const MEMORY_SWEEP_THRESHOLD = 5000;
+
+function createMemoryStore() {
+  const counters = new Map();
+
+  function sweep(now) {
+    counters.forEach((value, key) => {
+      if (value.resetAt <= now) counters.delete(key);
+    });
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (counters.size > MEMORY_SWEEP_THRESHOLD) sweep(now);
+
+      const current = counters.get(key);
+      if (!current || current.resetAt <= now) {
+        const fresh = { count: 1, resetAt: now + windowMs };
+        counters.set(key, fresh);
+        return { ...fresh };
+      }
+      current.count += 1;
+      return { ...current };
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+function createMongoStore({ fallback = createMemoryStore() } = {}) {
+  const isConnected = () => mongoose.connection.readyState === 1;
+
+  return {
+    async increment(key, windowMs) {
+      if (!isConnected()) return fallback.increment(key, windowMs);
+
+      // One pipeline update, so concurrent requests cannot both start a fresh window.
+      const now = new Date();
+      const expired = { $lte: ['$resetAt', now] };
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [expired, 1, { $add: [{ $ifNull: ['$count', 0] }, 1] }] },
+              resetAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$resetAt'] },
+              createdAt: { $ifNull: ['$createdAt', now] },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt.getTime() };
+    },
+    async reset(key) {
+      await fallback.reset(key);
+      if (isConnected()) await RateLimitCounter.deleteOne({ key });
+    },
+  };
+}
+
+function createStoreFromEnv() {
+  return String(process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() === 'mongo'
+    ? createMongoStore()
+    : createMemoryStore();
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createStoreFromEnv,
+};
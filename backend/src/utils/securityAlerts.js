@@ -0,0 +1,47 @@
+const { sendMail, appUrl } = require('../mail');
+const { describeDevice } = require('./userAgent');
+
+const MAX_SECURITY_EVENTS = 50;
+
+const ALERT_MESSAGES = {
+  refresh_token_reuse: 'A signed-out session token was used again. That device has been signed out everywhere it was active.',
+  api_token_created: 'A new personal API token was created for your account. If this was not you, revoke it in Settings and change your password.',
+};
+
+function recordSecurityEvent(user, { type, sessionId = '', req = null }) {
+  const event = {
+    type,
+    sessionId,
+    ipAddress: String(req?.ip || ''),
+    userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 255),
+    createdAt: new Date(),
+  };
+
+  user.securityEvents = [...(user.securityEvents || []), event].slice(-MAX_SECURITY_EVENTS);
+  return event;
+}
+
+async function sendLoginAlert(user, event) {
+  if (user.notificationPreferences?.loginAlerts === false) {
+    return false;
+  }
+
+  const result = await sendMail({
+    to: user.email,
+    template: 'loginAlert',
+    data: {
+      name: user.name,
+      message: ALERT_MESSAGES[event.type] || 'New security activity on your account.',
+      ipAddress: event.ipAddress,
+      device: describeDevice(event.userAgent).label,
+      occurredAt: event.createdAt,
+      link: appUrl('/settings'),
+    },
+  });
+  return result.delivered;
+}
+
+module.exports = {
+  recordSecurityEvent,
+  sendLoginAlert,
+};
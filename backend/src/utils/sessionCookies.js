@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { REFRESH_TOKEN_TTL_SECONDS } = require('./tokenService');
+
+const REFRESH_COOKIE = 'nf_refresh';
+const CSRF_COOKIE = 'nf_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const SESSION_MODE_HEADER = 'x-session-mode';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+function cookieOptions(env = process.env) {
+  const sameSite = ['Strict', 'Lax', 'None'].find((value) => value.toLowerCase() === String(env.SESSION_COOKIE_SAMESITE || '').toLowerCase()) || 'Strict';
+  return {
+    sameSite,
+    secure: sameSite === 'None' || env.SESSION_COOKIE_SECURE === 'true' || env.NODE_ENV === 'production',
+    domain: env.SESSION_COOKIE_DOMAIN || '',
+  };
+}
+
+function parseCookies(header) {
+  return String(header || '')
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .reduce((cookies, part) => {
+      const index = part.indexOf('=');
+      if (index <= 0) return cookies;
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        cookies[name] = part.slice(index + 1).trim();
+      }
+      return cookies;
+    }, {});
+}
+
+function serializeCookie(name, value, { maxAgeSeconds, path = '/', httpOnly = false, sameSite, secure, domain } = {}) {
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    maxAgeSeconds !== undefined ? `Max-Age=${maxAgeSeconds}` : '',
+    domain ? `Domain=${domain}` : '',
+    sameSite ? `SameSite=${sameSite}` : '',
+    secure ? 'Secure' : '',
+    httpOnly ? 'HttpOnly' : '',
+  ].filter(Boolean).join('; ');
+}
+
+function wantsCookieSession(req) {
+  return String(req.headers[SESSION_MODE_HEADER] || '').toLowerCase() === 'cookie';
+}
+
+function readCookies(req) {
+  if (!req.cookies) req.cookies = parseCookies(req.headers.cookie);
+  return req.cookies;
+}
+
+function readRefreshToken(req) {
+  const fromBody = String(req.body?.refreshToken || '').trim();
+  if (fromBody) return { token: fromBody, fromCookie: false };
+  return { token: String(readCookies(req)[REFRESH_COOKIE] || '').trim(), fromCookie: true };
+}
+
+function setSessionCookies(res, refreshToken, env = process.env) {
+  const options = cookieOptions(env);
+  const csrfToken = crypto.randomBytes(24).toString('base64url');
+  res.append('Set-Cookie', serializeCookie(REFRESH_COOKIE, refreshToken, {
+    ...options,
+    path: REFRESH_COOKIE_PATH,
+    httpOnly: true,
+    maxAgeSeconds: REFRESH_TOKEN_TTL_SECONDS,
+  }));
+  res.append('Set-Cookie', serializeCookie(CSRF_COOKIE, csrfToken, { ...options, maxAgeSeconds: REFRESH_TOKEN_TTL_SECONDS }));
+  return csrfToken;
+}
+
+function clearSessionCookies(res, env = process.env) {
+  const options = cookieOptions(env);
+  res.append('Set-Cookie', serializeCookie(REFRESH_COOKIE, '', { ...options, path: REFRESH_COOKIE_PATH, httpOnly: true, maxAgeSeconds: 0 }));
+  res.append('Set-Cookie', serializeCookie(CSRF_COOKIE, '', { ...options, maxAgeSeconds: 0 }));
+}
+
+// Cookie-mode clients get the refresh token as an HttpOnly cookie instead of in the body.
+function withSessionCookie(req, res, payload) {
+  if (!wantsCookieSession(req) || !payload?.refreshToken) {
+    return payload;
+  }
+  const { refreshToken, ...rest } = payload;
+  const csrfToken = setSessionCookies(res, refreshToken);
+  return { ...rest, sessionMode: 'cookie', csrfToken };
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  parseCookies,
+  serializeCookie,
+  wantsCookieSession,
+  readCookies,
+  readRefreshToken,
+  setSessionCookies,
+  clearSessionCookies,
+  withSessionCookie,
+};
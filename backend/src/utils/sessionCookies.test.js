@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCookies,
+  serializeCookie,
+  readRefreshToken,
+  withSessionCookie,
+} = require('./sessionCookies');
+const { fakeResponse } = require('../testing/fakeResponse');
+
+test('parseCookies and serializeCookie round-trip encoded values', () => {
+  assert.deepEqual(parseCookies('a=1; nf_refresh=abc%3D%3D; broken; =x'), { a: '1', nf_refresh: 'abc==' });
+  assert.equal(
+    serializeCookie('nf_refresh', 'abc==', { path: '/api/auth', httpOnly: true, sameSite: 'Strict', secure: true, maxAgeSeconds: 60 }),
+    'nf_refresh=abc%3D%3D; Path=/api/auth; Max-Age=60; SameSite=Strict; Secure; HttpOnly'
+  );
+});
+
+test('withSessionCookie moves the refresh token into cookies only for cookie-mode clients', () => {
+  const payload = { accessToken: 'access', refreshToken: 'refresh', user: { id: '1' } };
+
+  const bearerRes = fakeResponse();
+  assert.equal(withSessionCookie({ headers: {} }, bearerRes, payload), payload);
+  assert.deepEqual(bearerRes.headers, {});
+
+  const cookieRes = fakeResponse();
+  const data = withSessionCookie({ headers: { 'x-session-mode': 'cookie' } }, cookieRes, payload);
+  assert.equal(data.refreshToken, undefined);
+  assert.equal(data.sessionMode, 'cookie');
+  const [refreshCookie, csrfCookie] = cookieRes.headers['Set-Cookie'];
+  assert.match(refreshCookie, /^nf_refresh=refresh; Path=\/api\/auth; .*HttpOnly$/);
+  assert.ok(csrfCookie.startsWith(`nf_csrf=${data.csrfToken};`));
+  assert.doesNotMatch(csrfCookie, /HttpOnly/);
+});
+
+test('readRefreshToken prefers the body and falls back to the cookie', () => {
+  assert.deepEqual(readRefreshToken({ body: { refreshToken: ' body ' }, headers: {} }), { token: 'body', fromCookie: false });
+  assert.deepEqual(readRefreshToken({ body: {}, headers: { cookie: 'nf_refresh=cookie' } }), { token: 'cookie', fromCookie: true });
+});
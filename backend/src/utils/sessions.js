@@ -0,0 +1,68 @@
+const { describeDevice } = require('./userAgent');
+const { tokenFamilyOf: sessionIdOf } = require('./tokenService');
+
+function isActiveRefreshEntry(entry, now = Date.now()) {
+  return !entry.revokedAt && new Date(entry.expiresAt).getTime() > now;
+}
+
+function hasActiveSession(user, sessionId) {
+  return (user.refreshTokens || []).some((entry) => (
+    sessionIdOf(entry) === sessionId && isActiveRefreshEntry(entry)
+  ));
+}
+
+function listActiveSessions(user, currentSessionId = '') {
+  return (user.refreshTokens || [])
+    .filter((entry) => isActiveRefreshEntry(entry))
+    .map((entry) => {
+      const sessionId = sessionIdOf(entry);
+      return {
+        id: sessionId,
+        ...describeDevice(entry.userAgent),
+        ipAddress: entry.ipAddress || '',
+        signedInAt: entry.signedInAt || entry.createdAt || null,
+        lastUsedAt: entry.lastUsedAt || entry.createdAt || null,
+        expiresAt: entry.expiresAt,
+        current: Boolean(currentSessionId) && sessionId === currentSessionId,
+      };
+    })
+    .sort((a, b) => new Date(b.lastUsedAt || 0).getTime() - new Date(a.lastUsedAt || 0).getTime());
+}
+
+// The viewer profile a session last entered. It rides along when the refresh token rotates.
+function sessionProfileId(user, sessionId) {
+  if (!sessionId) return '';
+  const entry = (user.refreshTokens || []).find((item) => sessionIdOf(item) === sessionId && isActiveRefreshEntry(item));
+  return entry?.profileId || '';
+}
+
+function setSessionProfile(user, sessionId, profileId) {
+  (user.refreshTokens || []).forEach((entry) => {
+    if (sessionIdOf(entry) === sessionId && isActiveRefreshEntry(entry)) {
+      entry.profileId = profileId;
+    }
+  });
+}
+
+function revokeSessions(user, shouldRevoke, reason = 'signed_out') {
+  const now = new Date();
+  let revoked = 0;
+  (user.refreshTokens || []).forEach((entry) => {
+    if (isActiveRefreshEntry(entry) && shouldRevoke(sessionIdOf(entry))) {
+      entry.revokedAt = now;
+      entry.revokedReason = reason;
+      revoked += 1;
+    }
+  });
+  return revoked;
+}
+
+module.exports = {
+  sessionIdOf,
+  isActiveRefreshEntry,
+  hasActiveSession,
+  listActiveSessions,
+  sessionProfileId,
+  setSessionProfile,
+  revokeSessions,
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { revokeSessions, listActiveSessions } = require('./sessions');
+
+const HOUR = 60 * 60 * 1000;
+
+function refreshEntry(sessionId, overrides = {}) {
+  return {
+    sessionId,
+    expiresAt: new Date(Date.now() + HOUR),
+    revokedAt: null,
+    revokedReason: '',
+    ...overrides,
+  };
+}
+
+test('revokeSessions revokes only the active entries the predicate selects', () => {
+  const earlier = new Date(Date.now() - HOUR);
+  const user = {
+    refreshTokens: [
+      refreshEntry('current'),
+      refreshEntry('laptop'),
+      refreshEntry('phone'),
+      refreshEntry('expired', { expiresAt: new Date(Date.now() - 1000) }),
+      refreshEntry('revoked', { revokedAt: earlier, revokedReason: 'password_changed' }),
+    ],
+  };
+
+  const revoked = revokeSessions(user, (sessionId) => sessionId !== 'current', 'signed_out_elsewhere');
+
+  assert.equal(revoked, 2);
+  const byId = Object.fromEntries(user.refreshTokens.map((entry) => [entry.sessionId, entry]));
+  assert.equal(byId.current.revokedAt, null);
+  assert.equal(byId.laptop.revokedReason, 'signed_out_elsewhere');
+  assert.equal(byId.phone.revokedReason, 'signed_out_elsewhere');
+  assert.equal(byId.expired.revokedAt, null);
+  assert.equal(byId.revoked.revokedAt, earlier);
+  assert.equal(byId.revoked.revokedReason, 'password_changed');
+  assert.deepEqual(listActiveSessions(user).map((session) => session.id), ['current']);
+});
+
+test('revokeSessions revokes every entry of a rotated session and defaults the reason', () => {
+  const user = {
+    refreshTokens: [
+      refreshEntry('tablet'),
+      refreshEntry('tablet'),
+      refreshEntry('desktop'),
+    ],
+  };
+
+  assert.equal(revokeSessions(user, (sessionId) => sessionId === 'tablet'), 2);
+  assert.deepEqual(user.refreshTokens.map((entry) => entry.revokedReason), ['signed_out', 'signed_out', '']);
+  assert.equal(revokeSessions({}, () => true), 0);
+});
@@ -0,0 +1,183 @@
+// In-process index behind search-as-you-type. Entries are titles, cast names and genres; candidates come
+// from a trigram map so prefixes and near-miss spellings are found without scanning the whole catalog.
+const SUGGEST_INDEX_TTL_MS = Number(process.env.SUGGEST_INDEX_TTL_MS || 10 * 60 * 1000);
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+const FUZZY_THRESHOLD = 0.4;
+const KIND_WEIGHTS = { title: 3, cast: 2, genre: 1 };
+
+// Folds case and accents one character at a time so positions still line up with the original text.
+function foldText(text) {
+  return String(text || '').split('').map((char) => {
+    const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()[0] || char;
+    return /[\p{L}\p{N}]/u.test(folded) ? folded : ' ';
+  }).join('');
+}
+
+function wordsOf(folded) {
+  return [...folded.matchAll(/[^ ]+/g)].map((match) => ({ word: match[0], start: match.index }));
+}
+
+function trigrams(word, { prefixOnly = false } = {}) {
+  const padded = prefixOnly ? `  ${word}` : `  ${word} `;
+  const grams = new Set();
+  for (let index = 0; index + 3 <= padded.length; index += 1) {
+    grams.add(padded.slice(index, index + 3));
+  }
+  return grams;
+}
+
+function similarity(left, right) {
+  const a = trigrams(left);
+  const b = trigrams(right);
+  let shared = 0;
+  a.forEach((gram) => {
+    if (b.has(gram)) shared += 1;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+function addEntry(index, kind, text, movie) {
+  const key = `${kind}:${foldText(text).trim()}`;
+  let entry = index.byKey.get(key);
+  if (!entry) {
+    const folded = foldText(text);
+    entry = { id: index.entries.length, kind, text, folded, words: wordsOf(folded), movies: [] };
+    index.entries.push(entry);
+    index.byKey.set(key, entry);
+    entry.words.forEach(({ word }) => {
+      trigrams(word).forEach((gram) => {
+        if (!index.grams.has(gram)) index.grams.set(gram, new Set());
+        index.grams.get(gram).add(entry.id);
+      });
+    });
+  }
+  entry.movies.push(movie);
+}
+
+// Movies need id, title, year, type, image, cast and genres; ratings are kept for the per-profile filter.
+function buildSuggestIndex(movies) {
+  const index = { entries: [], byKey: new Map(), grams: new Map() };
+  movies.forEach((movie) => {
+    if (movie.title) addEntry(index, 'title', movie.title, movie);
+    (movie.cast || []).filter(Boolean).forEach((name) => addEntry(index, 'cast', name, movie));
+    (movie.genres || []).filter(Boolean).forEach((genre) => addEntry(index, 'genre', genre, movie));
+  });
+  return index;
+}
+
+// Returns a score and the character ranges to highlight, or null when the entry does not match.
+function matchEntry(entry, query, tokens) {
+  const position = entry.folded.indexOf(query);
+  if (entry.folded.trim() === query) return { score: 100, ranges: [[position, position + query.length]] };
+  if (position === 0) return { score: 90, ranges: [[0, query.length]] };
+
+  // Every token starts a word: earlier tokens as typed words, the last one as a prefix still being typed.
+  const prefixRanges = tokens.map((token) => entry.words.find(({ word }) => word.startsWith(token)));
+  if (prefixRanges.every(Boolean)) {
+    return { score: 80, ranges: prefixRanges.map((match, i) => [match.start, match.start + tokens[i].length]) };
+  }
+  if (position > 0) return { score: 60, ranges: [[position, position + query.length]] };
+
+  const fuzzy = tokens.map((token) => entry.words
+    .map((match) => ({ ...match, similarity: token.length >= 3 ? similarity(token, match.word) : 0 }))
+    .sort((a, b) => b.similarity - a.similarity)[0]);
+  const average = fuzzy.reduce((sum, match) => sum + (match?.similarity || 0), 0) / tokens.length;
+  if (average < FUZZY_THRESHOLD) return null;
+  return {
+    score: Math.round(50 * average),
+    ranges: fuzzy.filter((match) => match?.similarity >= FUZZY_THRESHOLD)
+      .map((match) => [match.start, match.start + match.word.length]),
+  };
+}
+
+function highlightSegments(text, ranges) {
+  const chars = text.split('');
+  const marked = new Array(chars.length).fill(false);
+  ranges.forEach(([start, end]) => {
+    for (let index = start; index < end && index < chars.length; index += 1) marked[index] = true;
+  });
+  return chars.reduce((segments, char, index) => {
+    const last = segments[segments.length - 1];
+    if (last && last.match === marked[index]) {
+      last.text += char;
+    } else {
+      segments.push({ text: char, match: marked[index] });
+    }
+    return segments;
+  }, []);
+}
+
+function candidatesFor(index, tokens) {
+  const ids = new Set();
+  tokens.forEach((token, position) => {
+    const last = position === tokens.length - 1;
+    trigrams(token, { prefixOnly: last }).forEach((gram) => {
+      (index.grams.get(gram) || []).forEach((id) => ids.add(id));
+    });
+  });
+  return [...ids].map((id) => index.entries[id]);
+}
+
+function toSuggestion(entry, match, movies) {
+  const base = { type: entry.kind, text: entry.text, highlight: highlightSegments(entry.text, match.ranges) };
+  if (entry.kind !== 'title') {
+    return { ...base, count: movies.length };
+  }
+  const [movie] = movies;
+  return { ...base, movieId: String(movie.id), year: movie.year || null, mediaType: movie.type || 'movie', image: movie.image || '' };
+}
+
+function querySuggestIndex(index, rawQuery, { limit = DEFAULT_SUGGESTIONS, isAllowed = () => true } = {}) {
+  const query = foldText(rawQuery).replace(/\s+/g, ' ').trim();
+  if (!query) return [];
+  const tokens = query.split(' ');
+  const cappedLimit = Math.min(Math.max(Number(limit) || DEFAULT_SUGGESTIONS, 1), MAX_SUGGESTIONS);
+
+  return candidatesFor(index, tokens)
+    .map((entry) => ({ entry, match: matchEntry(entry, query, tokens), movies: entry.movies.filter(isAllowed) }))
+    .filter(({ match, movies }) => match && movies.length > 0)
+    .map((candidate) => ({
+      ...candidate,
+      rank: candidate.match.score + KIND_WEIGHTS[candidate.entry.kind] + Math.min(candidate.movies.length, 10) / 10,
+    }))
+    .sort((a, b) => b.rank - a.rank || a.entry.text.length - b.entry.text.length)
+    .slice(0, cappedLimit)
+    .map(({ entry, match, movies }) => toSuggestion(entry, match, movies));
+}
+
+// One shared index per catalog source, rebuilt after a content change or once it is older than the TTL.
+let cached = { index: null, source: '', builtAt: 0, pending: null };
+
+async function getSuggestIndex(source, loadMovies) {
+  const fresh = cached.index && cached.source === source && Date.now() - cached.builtAt < SUGGEST_INDEX_TTL_MS;
+  if (fresh) return cached.index;
+  if (cached.pending && cached.source === source) return cached.pending;
+
+  const pending = Promise.resolve()
+    .then(loadMovies)
+    .then((movies) => {
+      if (cached.pending === pending) {
+        cached = { index: buildSuggestIndex(movies), source, builtAt: Date.now(), pending: null };
+        return cached.index;
+      }
+      return buildSuggestIndex(movies);
+    })
+    .catch((error) => {
+      if (cached.pending === pending) cached.pending = null;
+      throw error;
+    });
+  cached = { index: null, source, builtAt: 0, pending };
+  return pending;
+}
+
+function invalidateSuggestIndex() {
+  cached = { index: null, source: '', builtAt: 0, pending: null };
+}
+
+module.exports = {
+  buildSuggestIndex,
+  querySuggestIndex,
+  getSuggestIndex,
+  invalidateSuggestIndex,
+};
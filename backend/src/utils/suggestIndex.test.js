@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildSuggestIndex,
+  querySuggestIndex,
+  getSuggestIndex,
+  invalidateSuggestIndex,
+} = require('./suggestIndex');
+
+const movies = [
+  { id: '1', title: 'Dark Orbit', year: 2024, type: 'series', rating: '16+', cast: ['Zoë Saldaña'], genres: ['Science Fiction'] },
+  { id: '2', title: 'The Dark Knight', year: 2008, type: 'movie', rating: 'PG-13', cast: ['Christian Bale'], genres: ['Action', 'Crime'] },
+  { id: '3', title: 'Ghost Signal', year: 2023, type: 'movie', rating: 'A', cast: [], genres: ['Crime'] },
+];
+
+function marked(suggestion) {
+  return suggestion.highlight.map((part) => (part.match ? `[${part.text}]` : part.text)).join('');
+}
+
+test('prefix matches rank ahead of matches inside the text', () => {
+  const index = buildSuggestIndex(movies);
+  const results = querySuggestIndex(index, 'dar');
+  assert.deepEqual(results.map(marked), ['[Dar]k Orbit', 'The [Dar]k Knight']);
+  assert.equal(results[0].movieId, '1');
+  assert.equal(results[0].mediaType, 'series');
+});
+
+test('cast and genre suggestions fold accents and report title counts', () => {
+  const index = buildSuggestIndex(movies);
+  assert.deepEqual(querySuggestIndex(index, 'zoe').map(marked), ['[Zoë] Saldaña']);
+
+  const [genre] = querySuggestIndex(index, 'crime');
+  assert.equal(genre.type, 'genre');
+  assert.equal(genre.count, 2);
+});
+
+test('near-miss spellings still find the title', () => {
+  const index = buildSuggestIndex(movies);
+  assert.deepEqual(querySuggestIndex(index, 'knigt').map(marked), ['The Dark [Knight]']);
+  assert.deepEqual(querySuggestIndex(index, 'zzzz'), []);
+});
+
+test('titles the profile cannot see are dropped and shrink genre counts', () => {
+  const index = buildSuggestIndex(movies);
+  const isAllowed = (movie) => movie.rating !== 'A';
+  const results = querySuggestIndex(index, 'crime', { isAllowed });
+  assert.equal(results.find((entry) => entry.type === 'genre').count, 1);
+  assert.equal(querySuggestIndex(index, 'ghost', { isAllowed }).length, 0);
+});
+
+test('the shared index is reused until content changes', async () => {
+  invalidateSuggestIndex();
+  let loads = 0;
+  const load = async () => {
+    loads += 1;
+    return movies;
+  };
+  const first = await getSuggestIndex('seed', load);
+  assert.equal(await getSuggestIndex('seed', load), first);
+  assert.equal(loads, 1);
+
+  invalidateSuggestIndex();
+  await getSuggestIndex('seed', load);
+  assert.equal(loads, 2);
+  invalidateSuggestIndex();
+});
@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const TmdbCacheEntry = require('../models/TmdbCacheEntry');
+
+const HOUR_MS = 60 * 60 * 1000;
+const TMDB_CACHE_MAX_ENTRIES = Number(process.env.TMDB_CACHE_MAX_ENTRIES || 2000);
+
+// First matching rule wins. A response is fresh for `ttlMs`; for `staleMs` after that it is still served
+// while one background request refreshes it. Genre lists and trailers rarely change, trending lists do.
+const TMDB_CACHE_RULES = [
+  { name: 'genres', pattern: /^\/genre\//, ttlMs: 24 * HOUR_MS, staleMs: 7 * 24 * HOUR_MS },
+  { name: 'videos', pattern: /^\/(movie|tv)\/[^/]+\/videos(\?|$)/, ttlMs: 24 * HOUR_MS, staleMs: 7 * 24 * HOUR_MS },
+  { name: 'trending', pattern: /^\/trending\//, ttlMs: HOUR_MS, staleMs: 6 * HOUR_MS },
+  { name: 'listings', pattern: /^\/(movie|tv)\/(now_playing|upcoming|on_the_air|airing_today)(\?|$)/, ttlMs: 3 * HOUR_MS, staleMs: 12 * HOUR_MS },
+  { name: 'discover', pattern: /^\/discover\//, ttlMs: 6 * HOUR_MS, staleMs: 24 * HOUR_MS },
+  { name: 'default', pattern: /^/, ttlMs: 6 * HOUR_MS, staleMs: 24 * HOUR_MS },
+];
+
+// The key is the request path and its sorted parameters, without the API key.
+function tmdbCacheKey(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete('api_key');
+  parsed.searchParams.sort();
+  const path = parsed.pathname.replace(/^\/3(?=\/)/, '');
+  const query = parsed.searchParams.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+function ruleFor(key, rules = TMDB_CACHE_RULES) {
+  return rules.find((rule) => rule.pattern.test(key)) || rules[rules.length - 1];
+}
+
+// Map insertion order doubles as recency: reads move an entry to the end, and the oldest is evicted first.
+function createMemoryStore({ maxEntries = TMDB_CACHE_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.staleUntil <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async clear(prefix = '') {
+      let removed = 0;
+      [...entries.keys()].forEach((key) => {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed += 1;
+        }
+      });
+      return removed;
+    },
+    async size() {
+      return entries.size;
+    },
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Shared across instances through Mongo; falls back to process memory while the database is down.
+function createMongoStore({ fallback = createMemoryStore() } = {}) {
+  const isConnected = () => mongoose.connection.readyState === 1;
+
+  return {
+    name: 'mongo',
+    async get(key) {
+      if (!isConnected()) return fallback.get(key);
+      const doc = await TmdbCacheEntry.findOne({ key, staleUntil: { $gt: new Date() } }).lean();
+      if (!doc) return null;
+      return {
+        value: doc.value,
+        fetchedAt: doc.fetchedAt.getTime(),
+        expiresAt: doc.expiresAt.getTime(),
+        staleUntil: doc.staleUntil.getTime(),
+      };
+    },
+    async set(key, entry) {
+      if (!isConnected()) return fallback.set(key, entry);
+      await TmdbCacheEntry.updateOne(
+        { key },
+        {
+          $set: {
+            value: entry.value,
+            fetchedAt: new Date(entry.fetchedAt),
+            expiresAt: new Date(entry.expiresAt),
+            staleUntil: new Date(entry.staleUntil),
+          },
+        },
+        { upsert: true }
+      );
+      return undefined;
+    },
+    async clear(prefix = '') {
+      let removed = await fallback.clear(prefix);
+      if (isConnected()) {
+        const filter = prefix ? { key: { $regex: `^${escapeRegex(prefix)}` } } : {};
+        const result = await TmdbCacheEntry.deleteMany(filter);
+        removed += result.deletedCount || 0;
+      }
+      return removed;
+    },
+    async size() {
+      return isConnected() ? TmdbCacheEntry.countDocuments({ staleUntil: { $gt: new Date() } }) : fallback.size();
+    },
+  };
+}
+
+function createStoreFromEnv() {
+  return String(process.env.TMDB_CACHE_STORE || 'memory').toLowerCase() === 'mongo'
+    ? createMongoStore()
+    : createMemoryStore();
+}
+
+function emptyCounters() {
+  return { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, refreshFailures: 0 };
+}
+
+function createTmdbCache({ store = createMemoryStore(), rules = TMDB_CACHE_RULES } = {}) {
+  const inFlight = new Map();
+  const totals = emptyCounters();
+  const byRule = {};
+  let generation = 0;
+  let lastPurgedAt = null;
+
+  function count(rule, metric) {
+    totals[metric] += 1;
+    byRule[rule.name] = byRule[rule.name] || emptyCounters();
+    byRule[rule.name][metric] += 1;
+  }
+
+  // One upstream request per key at a time; everyone asking for the same key shares its promise.
+  function load(key, rule, loader) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const startedIn = generation;
+    const pending = Promise.resolve()
+      .then(loader)
+      .then(async (value) => {
+        // A purge while the request was out means this response may already be outdated.
+        if (startedIn === generation) {
+          const fetchedAt = Date.now();
+          await store
+            .set(key, { value, fetchedAt, expiresAt: fetchedAt + rule.ttlMs, staleUntil: fetchedAt + rule.ttlMs + rule.staleMs })
+            .catch((error) => console.warn('TMDB cache write failed:', error.message));
+        }
+        return value;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === pending) inFlight.delete(key);
+      });
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  // With `upstream: false` only stored responses are served, stale ones included, and a miss throws a
+  // `cacheOnly` error instead of calling TMDB.
+  async function get(key, loader, { upstream = true } = {}) {
+    const rule = ruleFor(key, rules);
+    const entry = await store.get(key).catch((error) => {
+      console.warn('TMDB cache read failed:', error.message);
+      return null;
+    });
+    const now = Date.now();
+
+    if (entry && entry.expiresAt > now) {
+      count(rule, 'hits');
+      return entry.value;
+    }
+    if (entry && entry.staleUntil > now) {
+      count(rule, 'staleHits');
+      if (upstream && !inFlight.has(key)) {
+        count(rule, 'refreshes');
+        load(key, rule, loader).catch((error) => {
+          count(rule, 'refreshFailures');
+          console.warn(`TMDB cache refresh failed for ${key}:`, error.message);
+        });
+      }
+      return entry.value;
+    }
+
+    if (!upstream) {
+      const error = new Error(`TMDB response for ${key} is not cached.`);
+      error.cacheOnly = true;
+      throw error;
+    }
+    count(rule, inFlight.has(key) ? 'coalesced' : 'misses');
+    return load(key, rule, loader);
+  }
+
+  async function purge(prefix = '') {
+    generation += 1;
+    lastPurgedAt = new Date();
+    return store.clear(prefix);
+  }
+
+  async function stats() {
+    const served = totals.hits + totals.staleHits + totals.coalesced;
+    const requests = served + totals.misses;
+    return {
+      store: store.name,
+      entries: await store.size(),
+      inFlight: inFlight.size,
+      ...totals,
+      upstreamRequests: totals.misses + totals.refreshes,
+      hitRate: requests ? Number((served / requests).toFixed(4)) : 0,
+      byRule: Object.fromEntries(Object.entries(byRule).map(([name, counters]) => [name, { ...counters }])),
+      rules: rules.map(({ name, ttlMs, staleMs }) => ({ name, ttlSeconds: ttlMs / 1000, staleSeconds: staleMs / 1000 })),
+      lastPurgedAt,
+    };
+  }
+
+  return { get, purge, stats };
+}
+
+const tmdbCache = createTmdbCache({ store: createStoreFromEnv() });
+
+module.exports = {
+  TMDB_CACHE_RULES,
+  tmdbCacheKey,
+  createMemoryStore,
+  createMongoStore,
+  createTmdbCache,
+  tmdbCache,
+};
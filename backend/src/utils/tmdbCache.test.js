@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tmdbCacheKey, createMemoryStore, createTmdbCache, TMDB_CACHE_RULES } = require('./tmdbCache');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+test('cache keys drop the API key and ignore parameter order', () => {
+  const a = tmdbCacheKey('https://api.themoviedb.org/3/discover/movie?api_key=secret&with_genres=28&language=en-US');
+  const b = tmdbCacheKey('https://api.themoviedb.org/3/discover/movie?language=en-US&with_genres=28&api_key=other');
+  assert.equal(a, '/discover/movie?language=en-US&with_genres=28');
+  assert.equal(a, b);
+});
+
+test('paths pick their TTL rule', () => {
+  const ruleName = (key) => TMDB_CACHE_RULES.find((rule) => rule.pattern.test(key)).name;
+  assert.equal(ruleName('/genre/movie/list?language=en-US'), 'genres');
+  assert.equal(ruleName('/movie/550/videos'), 'videos');
+  assert.equal(ruleName('/trending/tv/week'), 'trending');
+  assert.equal(ruleName('/movie/now_playing?region=US'), 'listings');
+  assert.equal(ruleName('/movie/popular'), 'default');
+});
+
+test('fresh entries are served without calling TMDB again', async () => {
+  const cache = createTmdbCache();
+  let calls = 0;
+  const loader = async () => {
+    calls += 1;
+    return { results: [calls] };
+  };
+  assert.deepEqual(await cache.get('/movie/popular', loader), { results: [1] });
+  assert.deepEqual(await cache.get('/movie/popular', loader), { results: [1] });
+  assert.equal(calls, 1);
+
+  const stats = await cache.stats();
+  assert.equal(stats.misses, 1);
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.hitRate, 0.5);
+  assert.deepEqual(stats.byRule.default, { hits: 1, staleHits: 0, misses: 1, coalesced: 0, refreshes: 0, refreshFailures: 0 });
+});
+
+test('concurrent misses share one upstream request', async () => {
+  const cache = createTmdbCache();
+  const upstream = deferred();
+  let calls = 0;
+  const loader = () => {
+    calls += 1;
+    return upstream.promise;
+  };
+  const first = cache.get('/genre/movie/list', loader);
+  const second = cache.get('/genre/movie/list', loader);
+  upstream.resolve({ genres: [] });
+  assert.deepEqual(await Promise.all([first, second]), [{ genres: [] }, { genres: [] }]);
+  assert.equal(calls, 1);
+  assert.equal((await cache.stats()).coalesced, 1);
+});
+
+test('stale entries are served while one background refresh runs', async () => {
+  const rules = [{ name: 'default', pattern: /^/, ttlMs: 0, staleMs: 60000 }];
+  const cache = createTmdbCache({ rules });
+  await cache.get('/trending/movie/week', async () => 'old');
+
+  const refresh = deferred();
+  let refreshes = 0;
+  const loader = () => {
+    refreshes += 1;
+    return refresh.promise;
+  };
+  assert.equal(await cache.get('/trending/movie/week', loader), 'old');
+  assert.equal(await cache.get('/trending/movie/week', loader), 'old');
+  assert.equal(refreshes, 1);
+
+  refresh.resolve('new');
+  await refresh.promise;
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(await cache.get('/trending/movie/week', async () => 'newer'), 'new');
+  assert.equal((await cache.stats()).refreshes, 2);
+});
+
+test('a failed refresh keeps serving the stale value', async () => {
+  const rules = [{ name: 'default', pattern: /^/, ttlMs: 0, staleMs: 60000 }];
+  const cache = createTmdbCache({ rules });
+  await cache.get('/movie/upcoming', async () => 'cached');
+  const original = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(await cache.get('/movie/upcoming', async () => {
+      throw new Error('TMDB down');
+    }), 'cached');
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    console.warn = original;
+  }
+  assert.equal((await cache.stats()).refreshFailures, 1);
+});
+
+test('misses propagate errors and are not cached', async () => {
+  const cache = createTmdbCache();
+  await assert.rejects(cache.get('/movie/1/videos', async () => {
+    throw new Error('TMDB down');
+  }), /TMDB down/);
+  assert.equal(await cache.get('/movie/1/videos', async () => 'ok'), 'ok');
+});
+
+test('cache-only reads serve stored and stale entries but never call TMDB', async () => {
+  const rules = [{ name: 'default', pattern: /^/, ttlMs: 0, staleMs: 60000 }];
+  const cache = createTmdbCache({ rules });
+  await cache.get('/movie/popular', async () => 'cached');
+
+  const loader = () => assert.fail('should not call TMDB');
+  assert.equal(await cache.get('/movie/popular', loader, { upstream: false }), 'cached');
+  await assert.rejects(cache.get('/movie/top_rated', loader, { upstream: false }), (error) => error.cacheOnly === true);
+  assert.equal((await cache.stats()).refreshes, 0);
+});
+
+test('purge clears by prefix and drops responses that were in flight', async () => {
+  const cache = createTmdbCache();
+  await cache.get('/trending/movie/week', async () => 'trending');
+  await cache.get('/genre/movie/list', async () => 'genres');
+  assert.equal(await cache.purge('/trending/'), 1);
+  assert.equal((await cache.stats()).entries, 1);
+
+  const upstream = deferred();
+  const started = deferred();
+  const pending = cache.get('/movie/popular', () => {
+    started.resolve();
+    return upstream.promise;
+  });
+  await started.promise;
+  await cache.purge();
+  upstream.resolve('before purge');
+  assert.equal(await pending, 'before purge');
+  assert.equal((await cache.stats()).entries, 0);
+});
+
+test('the memory store evicts the least recently used entry', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  const entry = (value) => ({ value, fetchedAt: 0, expiresAt: Date.now() + 1000, staleUntil: Date.now() + 1000 });
+  await store.set('a', entry(1));
+  await store.set('b', entry(2));
+  await store.get('a');
+  await store.set('c', entry(3));
+  assert.equal(await store.get('b'), null);
+  assert.equal((await store.get('a')).value, 1);
+  assert.equal(await store.size(), 2);
+});
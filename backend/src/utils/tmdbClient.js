@@ -0,0 +1,76 @@
+const fetch = require('node-fetch');
+const { tmdbCache, tmdbCacheKey } = require('./tmdbCache');
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p';
+const TMDB_TIMEOUT_MS = Number(process.env.TMDB_TIMEOUT_MS || 15000);
+
+function buildTmdbUrl(path, params = {}) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) {
+    throw new Error('TMDB_API_KEY is missing in server/.env');
+  }
+
+  const url = new URL(`${TMDB_BASE_URL}${path}`);
+  url.searchParams.set('api_key', apiKey);
+
+  const language = process.env.TMDB_LANGUAGE || 'en-US';
+  const region = process.env.TMDB_REGION || 'US';
+
+  if (language) {
+    url.searchParams.set('language', language);
+  }
+  if (region) {
+    url.searchParams.set('region', region);
+  }
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  return url.toString();
+}
+
+async function requestTmdb(url, attempts = 2) {
+  let lastError;
+
+  for (let attempt = 0; attempt < attempts; attempt += 1) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TMDB_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const message = payload?.status_message || payload?.message || 'TMDB request failed';
+        throw new Error(message);
+      }
+      return payload;
+    } catch (error) {
+      lastError = error;
+      const cause = error?.cause?.message || error?.cause || error?.message;
+      console.warn('TMDB fetch failed:', cause);
+      if (attempt < attempts - 1) {
+        await new Promise((resolve) => setTimeout(resolve, 400 * (attempt + 1)));
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  throw lastError;
+}
+
+// Catalog reads go through the shared cache, so a request only reaches TMDB for expired entries.
+// The importer passes `cached: false` because it wants the current record, not a stale copy, and the
+// catalog passes `upstream: false` while TMDB is cooling down so only cached responses are used.
+function tmdbFetch(path, params, { cached = true, upstream = true } = {}) {
+  const url = buildTmdbUrl(path, params);
+  return cached ? tmdbCache.get(tmdbCacheKey(url), () => requestTmdb(url), { upstream }) : requestTmdb(url);
+}
+
+module.exports = {
+  TMDB_IMAGE_BASE,
+  tmdbFetch,
+};
@@ -0,0 +1,235 @@
+const { TMDB_IMAGE_BASE } = require('./tmdbClient');
+const { UNRATED_LABEL } = require('./maturity');
+
+// Lists an import can pull from; each page of a list is 20 titles.
+const TMDB_IMPORT_LISTS = {
+  trending_movies: { label: 'Trending Movies', path: '/trending/movie/week', type: 'movie' },
+  trending_tv: { label: 'Trending TV', path: '/trending/tv/week', type: 'series' },
+  now_playing: { label: 'Now Playing', path: '/movie/now_playing', type: 'movie' },
+  popular_movies: { label: 'Popular Movies', path: '/movie/popular', type: 'movie' },
+  top_rated_movies: { label: 'Top Rated Movies', path: '/movie/top_rated', type: 'movie' },
+  upcoming_movies: { label: 'Upcoming Movies', path: '/movie/upcoming', type: 'movie' },
+  popular_tv: { label: 'Popular TV', path: '/tv/popular', type: 'series' },
+  top_rated_tv: { label: 'Top Rated TV', path: '/tv/top_rated', type: 'series' },
+  on_the_air: { label: 'On The Air', path: '/tv/on_the_air', type: 'series' },
+};
+const DEFAULT_MAX_TITLES = Number(process.env.TMDB_IMPORT_MAX_TITLES || 40);
+const MAX_TITLES_LIMIT = 200;
+const MAX_CAST = 15;
+const MAX_CREW = 12;
+const CREW_JOBS = ['Director', 'Screenplay', 'Writer', 'Novel', 'Producer', 'Original Music Composer', 'Director of Photography'];
+
+// Fields the importer owns. Anything else (collections, featured slots, video assets) belongs to admins
+// and survives a re-sync; category is only set when the title is first imported.
+const SYNCED_FIELDS = [
+  'title', 'description', 'synopsis', 'type', 'year', 'releaseDate', 'rating', 'maturityRating',
+  'duration', 'durationMinutes', 'cast', 'crew', 'genres', 'languages',
+  'imageUrl', 'posterUrl', 'thumbnailUrl', 'backdropUrl', 'trailerUrl', 'externalIds', 'seasons',
+];
+
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Accepts the catalog's transient ids (tmdb-movie-603) as well as movie:603 / series:1399 / tv:1399.
+function parseTmdbRef(raw) {
+  const match = String(raw || '').trim().match(/^(?:tmdb-)?(movie|series|tv)[-:](\d+)$/i);
+  if (!match) return null;
+  const type = match[1].toLowerCase() === 'movie' ? 'movie' : 'series';
+  return { type, tmdbId: Number(match[2]) };
+}
+
+function listValue(raw) {
+  return (Array.isArray(raw) ? raw : String(raw || '').split(','))
+    .map((value) => String(value).trim())
+    .filter(Boolean);
+}
+
+function parseTmdbImportOptions(body = {}) {
+  const lists = [...new Set(listValue(body.lists))];
+  const unknown = lists.filter((name) => !TMDB_IMPORT_LISTS[name]);
+  if (unknown.length) {
+    throw importError(`Unknown TMDB list: ${unknown.join(', ')}. Use one of: ${Object.keys(TMDB_IMPORT_LISTS).join(', ')}.`);
+  }
+  const rawIds = [...new Set(listValue(body.ids))];
+  const refs = rawIds.map(parseTmdbRef);
+  const invalid = rawIds.filter((_, index) => !refs[index]);
+  if (invalid.length) {
+    throw importError(`Unrecognised TMDB id: ${invalid.join(', ')}. Use ids like tmdb-movie-603 or series:1399.`);
+  }
+  const refreshExisting = body.refreshExisting === true || body.refreshExisting === 'true';
+  if (!lists.length && !refs.length && !refreshExisting) {
+    throw importError('Choose at least one list, TMDB id, or refresh of imported titles.');
+  }
+  const maxTitles = Math.min(Math.max(Number.parseInt(body.maxTitles, 10) || DEFAULT_MAX_TITLES, 1), MAX_TITLES_LIMIT);
+  return { lists, ids: rawIds, refs, refreshExisting, maxTitles };
+}
+
+// One request per title: details plus credits, trailers, ratings and external ids.
+function detailsRequest({ type, tmdbId }) {
+  const regionData = type === 'series' ? 'content_ratings' : 'release_dates';
+  return {
+    path: type === 'series' ? `/tv/${tmdbId}` : `/movie/${tmdbId}`,
+    params: { append_to_response: `credits,videos,external_ids,${regionData}` },
+  };
+}
+
+function imageUrl(path, size) {
+  return path ? `${TMDB_IMAGE_BASE}/${size}${path}` : '';
+}
+
+function certificationOf(details, type, region) {
+  if (type === 'series') {
+    const entry = (details.content_ratings?.results || []).find((item) => item.iso_3166_1 === region);
+    return entry?.rating || '';
+  }
+  const entry = (details.release_dates?.results || []).find((item) => item.iso_3166_1 === region);
+  const release = (entry?.release_dates || []).find((item) => item.certification);
+  return release?.certification || '';
+}
+
+function trailerOf(details) {
+  const results = details.videos?.results || [];
+  const video = ['Trailer', 'Teaser', 'Clip']
+    .map((kind) => results.find((item) => item.site === 'YouTube' && item.type === kind))
+    .find(Boolean);
+  return video ? `https://www.youtube.com/embed/${video.key}` : '';
+}
+
+function formatRuntime(minutes) {
+  if (!minutes) return '';
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+function crewOf(details, type) {
+  const creators = type === 'series' ? (details.created_by || []).map((person) => `${person.name} (Creator)`) : [];
+  const crew = (details.credits?.crew || [])
+    .filter((person) => CREW_JOBS.includes(person.job))
+    .sort((a, b) => CREW_JOBS.indexOf(a.job) - CREW_JOBS.indexOf(b.job))
+    .map((person) => `${person.name} (${person.job})`);
+  return [...new Set([...creators, ...crew])].slice(0, MAX_CREW);
+}
+
+function languagesOf(details) {
+  const spoken = (details.spoken_languages || []).map((language) => language.english_name || language.name).filter(Boolean);
+  return spoken.length ? spoken : [details.original_language].filter(Boolean);
+}
+
+function mapSeason(season) {
+  return {
+    seasonNumber: season.season_number,
+    title: season.name || `Season ${season.season_number}`,
+    episodes: (season.episodes || []).map((episode) => ({
+      episodeNumber: episode.episode_number,
+      title: episode.name || `Episode ${episode.episode_number}`,
+      description: episode.overview || '',
+      airDate: episode.air_date ? new Date(episode.air_date) : null,
+      durationMinutes: episode.runtime || null,
+      videoUrl: '',
+    })),
+  };
+}
+
+// Reasons a TMDB record cannot become a catalog title; null when it can.
+function importSkipReason(details) {
+  if (!details || !(details.title || details.name)) return 'TMDB returned no title.';
+  if (details.adult) return 'Adult titles are not imported.';
+  if (!details.poster_path && !details.backdrop_path) return 'TMDB has no artwork for this title.';
+  return null;
+}
+
+// `seasons` are the separately fetched /tv/{id}/season/{n} payloads; movies have none.
+function mapTmdbDetails(details, type, seasons = [], { region = process.env.TMDB_REGION || 'US' } = {}) {
+  const date = details.release_date || details.first_air_date || '';
+  const releaseDate = date ? new Date(date) : null;
+  const overview = String(details.overview || '').trim();
+  const certification = certificationOf(details, type, region);
+  const runtime = type === 'series' ? (details.episode_run_time || [])[0] : details.runtime;
+  const seasonCount = details.number_of_seasons || seasons.length;
+  const poster = imageUrl(details.poster_path, 'w500') || imageUrl(details.backdrop_path, 'w780');
+  const backdrop = imageUrl(details.backdrop_path, 'w1280') || poster;
+  const genres = (details.genres || []).map((genre) => genre.name).filter(Boolean);
+
+  return {
+    title: String(details.title || details.name).trim(),
+    description: overview || 'No description available.',
+    synopsis: overview,
+    category: genres[0] || (type === 'series' ? 'TV Shows' : 'Movies'),
+    type,
+    year: releaseDate ? releaseDate.getUTCFullYear() : new Date().getFullYear(),
+    releaseDate,
+    // Titles without a certification stay unrated, which the maturity rules treat as adult.
+    rating: certification || (details.adult ? '18+' : UNRATED_LABEL),
+    maturityRating: certification,
+    duration: type === 'series'
+      ? `${seasonCount} Season${seasonCount === 1 ? '' : 's'}`
+      : formatRuntime(runtime) || 'Movie',
+    durationMinutes: runtime || null,
+    cast: (details.credits?.cast || []).slice(0, MAX_CAST).map((person) => person.name).filter(Boolean),
+    crew: crewOf(details, type),
+    genres,
+    languages: languagesOf(details),
+    imageUrl: poster,
+    posterUrl: poster,
+    thumbnailUrl: imageUrl(details.backdrop_path, 'w780') || poster,
+    backdropUrl: backdrop,
+    trailerUrl: trailerOf(details),
+    externalIds: { tmdb: details.id, imdb: details.external_ids?.imdb_id || details.imdb_id || '' },
+    seasons: seasons.filter((season) => season?.season_number > 0).map(mapSeason),
+  };
+}
+
+// TMDB's season and episode lists win, but uploaded episode videos and admin-added episodes are kept.
+function mergeSeasons(existing = [], incoming = []) {
+  const existingByNumber = new Map(existing.map((season) => [season.seasonNumber, season]));
+  const merged = incoming.map((season) => {
+    const current = existingByNumber.get(season.seasonNumber);
+    if (!current) return season;
+    const currentEpisodes = new Map((current.episodes || []).map((episode) => [episode.episodeNumber, episode]));
+    const episodes = season.episodes.map((episode) => ({
+      ...episode,
+      videoUrl: currentEpisodes.get(episode.episodeNumber)?.videoUrl || '',
+    }));
+    const extra = (current.episodes || []).filter((episode) => !season.episodes.some((item) => item.episodeNumber === episode.episodeNumber));
+    return { ...season, episodes: [...episodes, ...extra].sort((a, b) => a.episodeNumber - b.episodeNumber) };
+  });
+  const extraSeasons = existing.filter((season) => !incoming.some((item) => item.seasonNumber === season.seasonNumber));
+  return [...merged, ...extraSeasons].sort((a, b) => a.seasonNumber - b.seasonNumber);
+}
+
+function comparable(value) {
+  return JSON.stringify(value ?? null, (key, item) => (key === '_id' ? undefined : item));
+}
+
+// The update to apply to an already imported title, and which synced fields it changes.
+function planTmdbUpdate(existing, fields) {
+  const next = {
+    ...fields,
+    seasons: fields.type === 'series' ? mergeSeasons(existing.seasons || [], fields.seasons) : existing.seasons || [],
+    // A missing trailer on TMDB's side should not wipe one that is already set.
+    trailerUrl: fields.trailerUrl || existing.trailerUrl || '',
+  };
+  const update = {};
+  SYNCED_FIELDS.forEach((field) => {
+    if (comparable(existing[field]) !== comparable(next[field])) {
+      update[field] = next[field];
+    }
+  });
+  return { update, changedFields: Object.keys(update) };
+}
+
+module.exports = {
+  TMDB_IMPORT_LISTS,
+  parseTmdbRef,
+  parseTmdbImportOptions,
+  detailsRequest,
+  importSkipReason,
+  mapTmdbDetails,
+  mergeSeasons,
+  planTmdbUpdate,
+};
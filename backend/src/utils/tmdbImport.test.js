@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseTmdbRef,
+  parseTmdbImportOptions,
+  importSkipReason,
+  mapTmdbDetails,
+  mergeSeasons,
+  planTmdbUpdate,
+} = require('./tmdbImport');
+
+const movieDetails = {
+  id: 603,
+  title: 'The Matrix',
+  overview: 'A hacker learns the truth.',
+  release_date: '1999-03-30',
+  runtime: 136,
+  poster_path: '/poster.jpg',
+  backdrop_path: '/backdrop.jpg',
+  genres: [{ id: 28, name: 'Action' }, { id: 878, name: 'Science Fiction' }],
+  spoken_languages: [{ english_name: 'English', name: 'English' }],
+  credits: {
+    cast: [{ name: 'Keanu Reeves' }, { name: 'Carrie-Anne Moss' }],
+    crew: [{ name: 'Barrie M. Osborne', job: 'Producer' }, { name: 'Lana Wachowski', job: 'Director' }, { name: 'Someone', job: 'Gaffer' }],
+  },
+  videos: { results: [{ site: 'YouTube', type: 'Teaser', key: 'teaser' }, { site: 'YouTube', type: 'Trailer', key: 'trailer' }] },
+  release_dates: { results: [{ iso_3166_1: 'US', release_dates: [{ certification: '' }, { certification: 'R' }] }] },
+  external_ids: { imdb_id: 'tt0133093' },
+};
+
+test('TMDB refs accept catalog ids and type:id pairs', () => {
+  assert.deepEqual(parseTmdbRef('tmdb-movie-603'), { type: 'movie', tmdbId: 603 });
+  assert.deepEqual(parseTmdbRef('tv:1399'), { type: 'series', tmdbId: 1399 });
+  assert.deepEqual(parseTmdbRef('series-1399'), { type: 'series', tmdbId: 1399 });
+  assert.equal(parseTmdbRef('seed-dark-orbit'), null);
+});
+
+test('import options reject unknown lists and empty runs', () => {
+  assert.throws(() => parseTmdbImportOptions({ lists: 'made_up' }), (error) => error.status === 400);
+  assert.throws(() => parseTmdbImportOptions({ ids: 'nope' }), /Unrecognised TMDB id/);
+  assert.throws(() => parseTmdbImportOptions({}), /at least one/);
+
+  const options = parseTmdbImportOptions({ lists: 'trending_movies,trending_movies', ids: ['tmdb-movie-603'], maxTitles: '999' });
+  assert.deepEqual(options.lists, ['trending_movies']);
+  assert.deepEqual(options.refs, [{ type: 'movie', tmdbId: 603 }]);
+  assert.equal(options.maxTitles, 200);
+  assert.equal(options.refreshExisting, false);
+});
+
+test('movie details map onto catalog fields', () => {
+  const fields = mapTmdbDetails(movieDetails, 'movie', [], { region: 'US' });
+  assert.equal(fields.title, 'The Matrix');
+  assert.equal(fields.year, 1999);
+  assert.equal(fields.duration, '2h 16m');
+  assert.equal(fields.durationMinutes, 136);
+  assert.equal(fields.rating, 'R');
+  assert.equal(fields.maturityRating, 'R');
+  assert.equal(fields.category, 'Action');
+  assert.deepEqual(fields.cast, ['Keanu Reeves', 'Carrie-Anne Moss']);
+  assert.deepEqual(fields.crew, ['Lana Wachowski (Director)', 'Barrie M. Osborne (Producer)']);
+  assert.deepEqual(fields.languages, ['English']);
+  assert.equal(fields.trailerUrl, 'https://www.youtube.com/embed/trailer');
+  assert.deepEqual(fields.externalIds, { tmdb: 603, imdb: 'tt0133093' });
+  assert.match(fields.imageUrl, /\/w500\/poster\.jpg$/);
+});
+
+test('series details carry seasons without specials', () => {
+  const details = {
+    id: 1399,
+    name: 'Dragons',
+    first_air_date: '2011-04-17',
+    poster_path: '/p.jpg',
+    number_of_seasons: 1,
+    episode_run_time: [60],
+    original_language: 'en',
+    created_by: [{ name: 'D. B. Weiss' }],
+    content_ratings: { results: [{ iso_3166_1: 'US', rating: 'TV-MA' }] },
+  };
+  const seasons = [
+    { season_number: 0, name: 'Specials', episodes: [{ episode_number: 1, name: 'Extra' }] },
+    { season_number: 1, name: 'Season 1', episodes: [{ episode_number: 1, name: 'Winter', air_date: '2011-04-17', runtime: 62 }] },
+  ];
+  const fields = mapTmdbDetails(details, 'series', seasons, { region: 'US' });
+  assert.equal(fields.duration, '1 Season');
+  assert.equal(fields.maturityRating, 'TV-MA');
+
+  const unrated = mapTmdbDetails({ ...details, content_ratings: { results: [] } }, 'series', seasons, { region: 'US' });
+  assert.equal(unrated.rating, 'NR');
+  assert.equal(unrated.maturityRating, '');
+  assert.deepEqual(fields.languages, ['en']);
+  assert.deepEqual(fields.crew, ['D. B. Weiss (Creator)']);
+  assert.equal(fields.seasons.length, 1);
+  assert.equal(fields.seasons[0].episodes[0].durationMinutes, 62);
+});
+
+test('records without a title, adult records and records without artwork are skipped', () => {
+  assert.match(importSkipReason({}), /no title/);
+  assert.match(importSkipReason({ title: 'X', adult: true, poster_path: '/p.jpg' }), /Adult/);
+  assert.match(importSkipReason({ title: 'X' }), /artwork/);
+  assert.equal(importSkipReason(movieDetails), null);
+});
+
+test('re-syncing seasons keeps uploaded videos and admin-added episodes', () => {
+  const existing = [
+    { seasonNumber: 1, title: 'S1', episodes: [
+      { episodeNumber: 1, title: 'Old name', videoUrl: 'https://cdn/e1.mp4' },
+      { episodeNumber: 9, title: 'Bonus', videoUrl: '' },
+    ] },
+    { seasonNumber: 5, title: 'Admin season', episodes: [] },
+  ];
+  const incoming = [{ seasonNumber: 1, title: 'Season 1', episodes: [{ episodeNumber: 1, title: 'New name', videoUrl: '' }] }];
+  const merged = mergeSeasons(existing, incoming);
+  assert.deepEqual(merged.map((season) => season.seasonNumber), [1, 5]);
+  assert.deepEqual(merged[0].episodes.map((episode) => [episode.title, episode.videoUrl]), [
+    ['New name', 'https://cdn/e1.mp4'],
+    ['Bonus', ''],
+  ]);
+});
+
+test('updates only touch synced fields that changed', () => {
+  const fields = mapTmdbDetails(movieDetails, 'movie', [], { region: 'US' });
+  const stored = JSON.parse(JSON.stringify({ ...fields, _id: 'abc', collections: ['Picks'], category: 'Admin Pick' }));
+  stored.releaseDate = new Date(stored.releaseDate);
+  assert.deepEqual(planTmdbUpdate(stored, fields).changedFields, []);
+
+  const changed = planTmdbUpdate({ ...stored, title: 'Matrix', trailerUrl: 'https://kept' }, { ...fields, trailerUrl: '' });
+  assert.deepEqual(changed.changedFields, ['title']);
+  assert.equal(changed.update.category, undefined);
+});
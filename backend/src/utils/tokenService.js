@@ -1,8 +1,11 @@
 const crypto = require('crypto');
 
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'dev_access_secret_change_me';
+const { getSigningKey, getVerificationKey, getLegacyVerificationKey } = require('./keyRing');
+
 const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
 const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS || 30 * 24 * 60 * 60);
+// Two tabs refreshing at once both present the same token; the slower one is let through this long.
+const REFRESH_REUSE_GRACE_MS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 10) * 1000;
 
 function toBase64Url(input) {
   return Buffer.from(input)
@@ -23,41 +26,65 @@ function hashToken(rawToken) {
   return crypto.createHash('sha256').update(String(rawToken || '')).digest('hex');
 }
 
-function createAccessToken(payload) {
+function sign(input, secret) {
+  return crypto.createHmac('sha256', secret).update(input).digest('base64url');
+}
+
+function signaturesMatch(received, expected) {
+  const receivedBuffer = Buffer.from(String(received || ''));
+  const expectedBuffer = Buffer.from(expected);
+  return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+function createAccessToken(payload, ttlSeconds = ACCESS_TOKEN_TTL_SECONDS) {
   const nowSeconds = Math.floor(Date.now() / 1000);
   const body = {
     ...payload,
     iat: nowSeconds,
-    exp: nowSeconds + ACCESS_TOKEN_TTL_SECONDS,
+    exp: nowSeconds + ttlSeconds,
   };
 
+  const key = getSigningKey();
+  const encodedHeader = toBase64Url(JSON.stringify({ alg: 'HS256', kid: key.kid }));
   const encodedPayload = toBase64Url(JSON.stringify(body));
-  const signature = crypto
-    .createHmac('sha256', ACCESS_TOKEN_SECRET)
-    .update(encodedPayload)
-    .digest('base64url');
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
 
-  return `${encodedPayload}.${signature}`;
+  return `${signingInput}.${sign(signingInput, key.secret)}`;
 }
 
-function verifyAccessToken(token) {
-  if (!token || typeof token !== 'string' || !token.includes('.')) {
+function readTokenParts(token) {
+  const parts = token.split('.');
+  if (parts.length === 2) {
+    const key = getLegacyVerificationKey();
+    return key ? { encodedPayload: parts[0], signingInput: parts[0], signature: parts[1], key } : null;
+  }
+  if (parts.length !== 3) {
     return null;
   }
 
-  const [encodedPayload, signature] = token.split('.');
-  const expectedSignature = crypto
-    .createHmac('sha256', ACCESS_TOKEN_SECRET)
-    .update(encodedPayload)
-    .digest('base64url');
+  let header;
+  try {
+    header = JSON.parse(fromBase64Url(parts[0]));
+  } catch {
+    return null;
+  }
+  const key = header?.alg === 'HS256' ? getVerificationKey(String(header.kid || '')) : null;
+  return key ? { encodedPayload: parts[1], signingInput: `${parts[0]}.${parts[1]}`, signature: parts[2], key } : null;
+}
 
-  if (signature !== expectedSignature) {
+function verifyAccessToken(token, { purpose = '' } = {}) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  const parts = readTokenParts(token);
+  if (!parts || !signaturesMatch(parts.signature, sign(parts.signingInput, parts.key.secret))) {
     return null;
   }
 
   let payload;
   try {
-    payload = JSON.parse(fromBase64Url(encodedPayload));
+    payload = JSON.parse(fromBase64Url(parts.encodedPayload));
   } catch {
     return null;
   }
@@ -66,6 +93,9 @@ function verifyAccessToken(token) {
   if (!payload?.exp || payload.exp <= nowSeconds) {
     return null;
   }
+  if ((payload.purpose || '') !== purpose) {
+    return null;
+  }
 
   return payload;
 }
@@ -76,6 +106,46 @@ function createRefreshToken() {
   return { token, expiresAt };
 }
 
+function createSessionId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function tokenFamilyOf(entry) {
+  if (!entry) return '';
+  return entry.sessionId || (entry._id ? entry._id.toString() : '');
+}
+
+// 'grace' is a token rotated moments ago; a token let through once in grace is marked 'rotated_grace'
+// and counts as reused from then on.
+function classifyRefreshToken(entry, now = Date.now(), { graceMs = REFRESH_REUSE_GRACE_MS } = {}) {
+  if (!entry) return 'unknown';
+  if (entry.revokedAt) {
+    if (entry.revokedReason === 'rotated' && now - new Date(entry.revokedAt).getTime() <= graceMs) return 'grace';
+    return ['rotated', 'rotated_grace'].includes(entry.revokedReason) ? 'reused' : 'revoked';
+  }
+  if (new Date(entry.expiresAt).getTime() <= now) return 'expired';
+  return 'active';
+}
+
+function revokeTokenFamily(entries, familyId, { reason = 'revoked', now = new Date() } = {}) {
+  let revoked = 0;
+  (entries || []).forEach((entry) => {
+    if (!entry.revokedAt && tokenFamilyOf(entry) === familyId) {
+      entry.revokedAt = now;
+      entry.revokedReason = reason;
+      revoked += 1;
+    }
+  });
+  return revoked;
+}
+
+function pruneRefreshTokens(entries, { maxActive = 5, maxRevoked = 20, now = Date.now() } = {}) {
+  const live = (entries || []).filter((entry) => new Date(entry.expiresAt).getTime() > now);
+  const active = live.filter((entry) => !entry.revokedAt).slice(-maxActive);
+  const revoked = live.filter((entry) => entry.revokedAt).slice(-maxRevoked);
+  return live.filter((entry) => active.includes(entry) || revoked.includes(entry));
+}
+
 function createOneTimeToken(minutes = 20) {
   const token = crypto.randomBytes(32).toString('hex');
   const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
@@ -87,8 +157,14 @@ module.exports = {
   createAccessToken,
   verifyAccessToken,
   createRefreshToken,
+  createSessionId,
+  tokenFamilyOf,
+  classifyRefreshToken,
+  revokeTokenFamily,
+  pruneRefreshTokens,
   createOneTimeToken,
   ACCESS_TOKEN_TTL_SECONDS,
   REFRESH_TOKEN_TTL_SECONDS,
+  REFRESH_REUSE_GRACE_MS,
 };
 
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ACCESS_TOKEN_SECRET,
+  KEY_RING_REFRESH_MS,
+  assertSecureSecretConfig,
+  wrapSecret,
+  applySigningKeyDocs,
+  listSigningKeys,
+} = require('./keyRing');
+const {
+  createAccessToken,
+  verifyAccessToken,
+  tokenFamilyOf,
+  classifyRefreshToken,
+  revokeTokenFamily,
+  pruneRefreshTokens,
+} = require('./tokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function decodeHeader(token) {
+  return JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+}
+
+function entry(overrides = {}) {
+  return {
+    tokenHash: Math.random().toString(36).slice(2),
+    sessionId: 'family-a',
+    expiresAt: new Date(Date.now() + DAY_MS),
+    revokedAt: null,
+    revokedReason: '',
+    ...overrides,
+  };
+}
+
+test('access tokens round-trip and reject other purposes', () => {
+  const token = createAccessToken({ userId: 'u1' });
+  assert.equal(verifyAccessToken(token).userId, 'u1');
+  assert.equal(verifyAccessToken(token, { purpose: 'login_2fa' }), null);
+  assert.equal(verifyAccessToken(`${token}x`), null);
+});
+
+test('access tokens carry the signing key id in their header', () => {
+  const token = createAccessToken({ userId: 'u1' });
+  const envKey = listSigningKeys().find((key) => key.source === 'env');
+
+  assert.equal(token.split('.').length, 3);
+  assert.deepEqual(decodeHeader(token), { alg: 'HS256', kid: envKey.kid });
+});
+
+test('legacy two-part tokens signed with the env secret still verify', () => {
+  const secret = process.env.ACCESS_TOKEN_SECRET || DEFAULT_ACCESS_TOKEN_SECRET;
+  const payload = Buffer.from(JSON.stringify({ userId: 'legacy', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  assert.equal(verifyAccessToken(`${payload}.${signature}`).userId, 'legacy');
+  assert.equal(verifyAccessToken(`${payload}.${signature.slice(1)}`), null);
+});
+
+test('rotation signs with the newest key and stops accepting retired keys', () => {
+  const envKid = listSigningKeys().find((key) => key.source === 'env').kid;
+  const oldToken = createAccessToken({ userId: 'before-rotation' });
+  const publishedAt = new Date(Date.now() - KEY_RING_REFRESH_MS);
+
+  try {
+    applySigningKeyDocs([{ kid: 'k-new', secret: wrapSecret('new-secret'), status: 'active', createdAt: publishedAt }]);
+    const newToken = createAccessToken({ userId: 'after-rotation' });
+    assert.equal(decodeHeader(newToken).kid, 'k-new');
+    assert.equal(verifyAccessToken(oldToken).userId, 'before-rotation');
+    assert.equal(verifyAccessToken(newToken).userId, 'after-rotation');
+
+    applySigningKeyDocs([
+      { kid: 'k-new', secret: wrapSecret('new-secret'), status: 'active', createdAt: publishedAt },
+      { kid: envKid, status: 'retired', retiredAt: new Date() },
+    ]);
+    assert.equal(verifyAccessToken(oldToken), null);
+    assert.equal(verifyAccessToken(newToken).userId, 'after-rotation');
+  } finally {
+    applySigningKeyDocs([]);
+  }
+});
+
+test('a new key verifies straight away but only signs after one key ring refresh', () => {
+  const envKid = listSigningKeys().find((key) => key.source === 'env').kid;
+  try {
+    applySigningKeyDocs([{ kid: 'k-fresh', secret: wrapSecret('fresh-secret'), status: 'active', createdAt: new Date() }]);
+    assert.equal(decodeHeader(createAccessToken({ userId: 'u1' })).kid, envKid);
+
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', kid: 'k-fresh' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ userId: 'from-another-instance', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'fresh-secret').update(`${header}.${payload}`).digest('base64url');
+    assert.equal(verifyAccessToken(`${header}.${payload}.${signature}`).userId, 'from-another-instance');
+  } finally {
+    applySigningKeyDocs([]);
+  }
+});
+
+test('stored signing secrets are wrapped and a tampered one is ignored', () => {
+  const wrapped = wrapSecret('top-secret');
+  assert.ok(wrapped.startsWith('enc:v1:'));
+  assert.ok(!wrapped.includes('top-secret'));
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    applySigningKeyDocs([{ kid: 'k-bad', secret: `${wrapped.slice(0, -2)}AA`, status: 'active', createdAt: new Date(0) }]);
+    assert.equal(listSigningKeys().find((key) => key.kid === 'k-bad').signing, false);
+  } finally {
+    console.warn = originalWarn;
+    applySigningKeyDocs([]);
+  }
+});
+
+test('production startup refuses the default access token secret', () => {
+  assert.throws(() => assertSecureSecretConfig({ NODE_ENV: 'production' }), /ACCESS_TOKEN_SECRET/);
+  assert.throws(
+    () => assertSecureSecretConfig({ NODE_ENV: 'production', ACCESS_TOKEN_SECRET: DEFAULT_ACCESS_TOKEN_SECRET }),
+    /ACCESS_TOKEN_SECRET/
+  );
+  assert.throws(
+    () => assertSecureSecretConfig({ NODE_ENV: 'production', ACCESS_TOKEN_SECRET: 'strong-secret' }),
+    /SIGNING_KEY_ENCRYPTION_KEY/
+  );
+  assert.doesNotThrow(() => assertSecureSecretConfig({
+    NODE_ENV: 'production',
+    ACCESS_TOKEN_SECRET: 'strong-secret',
+    SIGNING_KEY_ENCRYPTION_KEY: 'wrap-secret',
+  }));
+  assert.doesNotThrow(() => assertSecureSecretConfig({ NODE_ENV: 'development' }));
+});
+
+test('tokenFamilyOf falls back to the entry id for legacy tokens', () => {
+  assert.equal(tokenFamilyOf(entry()), 'family-a');
+  assert.equal(tokenFamilyOf(entry({ sessionId: '', _id: 'legacy-id' })), 'legacy-id');
+  assert.equal(tokenFamilyOf(null), '');
+});
+
+test('classifyRefreshToken separates active, rotated, revoked and expired tokens', () => {
+  assert.equal(classifyRefreshToken(undefined), 'unknown');
+  assert.equal(classifyRefreshToken(entry()), 'active');
+  assert.equal(classifyRefreshToken(entry({ revokedAt: new Date(Date.now() - 60000), revokedReason: 'rotated' })), 'reused');
+  assert.equal(classifyRefreshToken(entry({ revokedAt: new Date(), revokedReason: 'logout' })), 'revoked');
+  assert.equal(classifyRefreshToken(entry({ expiresAt: new Date(Date.now() - 1000) })), 'expired');
+});
+
+test('a token rotated moments ago gets one grace use before it counts as reuse', () => {
+  const rotatedAt = new Date();
+  const rotated = entry({ revokedAt: rotatedAt, revokedReason: 'rotated' });
+  assert.equal(classifyRefreshToken(rotated, rotatedAt.getTime() + 2000, { graceMs: 10000 }), 'grace');
+  assert.equal(classifyRefreshToken(rotated, rotatedAt.getTime() + 11000, { graceMs: 10000 }), 'reused');
+  assert.equal(classifyRefreshToken({ ...rotated, revokedReason: 'rotated_grace' }, rotatedAt.getTime() + 2000, { graceMs: 10000 }), 'reused');
+});
+
+test('revokeTokenFamily revokes only active members of the family', () => {
+  const rotated = entry({ revokedAt: new Date(0), revokedReason: 'rotated' });
+  const current = entry();
+  const otherFamily = entry({ sessionId: 'family-b' });
+  const entries = [rotated, current, otherFamily];
+
+  const revoked = revokeTokenFamily(entries, 'family-a', { reason: 'reuse_detected' });
+
+  assert.equal(revoked, 1);
+  assert.equal(current.revokedReason, 'reuse_detected');
+  assert.ok(current.revokedAt);
+  assert.equal(rotated.revokedReason, 'rotated');
+  assert.equal(otherFamily.revokedAt, null);
+  assert.equal(classifyRefreshToken(current), 'revoked');
+});
+
+test('pruneRefreshTokens keeps rotated tokens for reuse detection within limits', () => {
+  const expired = entry({ expiresAt: new Date(Date.now() - 1000) });
+  const rotated = [1, 2, 3].map(() => entry({ revokedAt: new Date(), revokedReason: 'rotated' }));
+  const active = ['a', 'b', 'c'].map((id) => entry({ sessionId: id }));
+
+  const pruned = pruneRefreshTokens([expired, ...rotated, ...active], { maxActive: 2, maxRevoked: 2 });
+
+  assert.ok(!pruned.includes(expired));
+  assert.deepEqual(pruned.filter((item) => item.revokedAt), rotated.slice(-2));
+  assert.deepEqual(pruned.filter((item) => !item.revokedAt), active.slice(-2));
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+} = require('./totp');
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890"; the RFC lists 8 digits, we issue the last 6.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+test('TOTP codes match the RFC 6238 test vectors', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code, `T=${seconds}`);
+  });
+});
+
+test('verifyTotp accepts one step of clock drift either way and returns the matched step', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+  const codeAt = (offset) => generateTotp(RFC_SECRET, now + offset * 30 * 1000);
+
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(0), { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-1), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(1), { now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, codeAt(-2), { now, window: 2 }), step - 2);
+  assert.equal(verifyTotp(RFC_SECRET, '12345', { now }), null);
+  assert.equal(verifyTotp('', codeAt(0), { now }), null);
+});
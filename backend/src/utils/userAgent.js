@@ -0,0 +1,59 @@
+const BROWSER_RULES = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ },
+  { name: 'Node.js', pattern: /node(?:-fetch)?\/?([\d.]*)/i },
+];
+
+const OS_RULES = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_]+)/ },
+  { name: 'Chrome OS', pattern: /CrOS [^ ]+ ([\d.]+)/ },
+  { name: 'Linux', pattern: /Linux/ },
+];
+
+function majorVersion(raw) {
+  return String(raw || '').split(/[._]/)[0];
+}
+
+function detectDeviceType(userAgent) {
+  if (/iPad|Tablet/i.test(userAgent)) return 'tablet';
+  if (/Mobi|iPhone|Android/i.test(userAgent)) return 'mobile';
+  if (/SmartTV|SMART-TV|AppleTV|Roku|CrKey/i.test(userAgent)) return 'tv';
+  if (/Mozilla/.test(userAgent)) return 'desktop';
+  return userAgent ? 'other' : 'unknown';
+}
+
+function describeDevice(rawUserAgent) {
+  const userAgent = String(rawUserAgent || '');
+  const browserRule = BROWSER_RULES.find((rule) => rule.pattern.test(userAgent));
+  const osRule = OS_RULES.find((rule) => rule.pattern.test(userAgent));
+
+  const browserVersion = browserRule ? majorVersion(userAgent.match(browserRule.pattern)[1]) : '';
+  const browser = browserRule ? `${browserRule.name}${browserVersion ? ` ${browserVersion}` : ''}` : 'Unknown browser';
+  const os = osRule ? osRule.name : 'Unknown OS';
+  const deviceType = detectDeviceType(userAgent);
+
+  let label = 'Unknown device';
+  if (browserRule && osRule) label = `${browser} on ${os}`;
+  else if (browserRule) label = browser;
+  else if (osRule) label = `${os} device`;
+
+  return {
+    browser,
+    os,
+    deviceType,
+    label,
+  };
+}
+
+module.exports = {
+  describeDevice,
+};
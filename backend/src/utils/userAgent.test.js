@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeDevice } = require('./userAgent');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.6367.91 Safari/537.36';
+const EDGE_WINDOWS = `${CHROME_WINDOWS} Edg/124.0.2478.67`;
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const FIREFOX_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.4; rv:125.0) Gecko/20100101 Firefox/125.0';
+const SAMSUNG_ANDROID = 'Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/24.0 Chrome/117.0.0.0 Mobile Safari/537.36';
+const SAFARI_IPAD = 'Mozilla/5.0 (iPad; CPU OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+test('describeDevice names the browser, major version and OS of common browsers', () => {
+  assert.deepEqual(describeDevice(CHROME_WINDOWS), {
+    browser: 'Chrome 124',
+    os: 'Windows',
+    deviceType: 'desktop',
+    label: 'Chrome 124 on Windows',
+  });
+  assert.equal(describeDevice(SAFARI_IPHONE).label, 'Safari 17 on iOS');
+  assert.equal(describeDevice(SAFARI_IPHONE).deviceType, 'mobile');
+  assert.equal(describeDevice(FIREFOX_MAC).label, 'Firefox 125 on macOS');
+  assert.equal(describeDevice(SAFARI_IPAD).deviceType, 'tablet');
+});
+
+test('describeDevice prefers the specific browser over the Chrome and Safari tokens it also carries', () => {
+  assert.equal(describeDevice(EDGE_WINDOWS).browser, 'Edge 124');
+  assert.equal(describeDevice(SAMSUNG_ANDROID).browser, 'Samsung Internet 24');
+  assert.equal(describeDevice(SAMSUNG_ANDROID).os, 'Android');
+  assert.equal(describeDevice(SAMSUNG_ANDROID).deviceType, 'mobile');
+});
+
+test('describeDevice labels non-browser clients and missing user agents', () => {
+  assert.deepEqual(describeDevice('curl/8.5.0'), {
+    browser: 'curl 8',
+    os: 'Unknown OS',
+    deviceType: 'other',
+    label: 'curl 8',
+  });
+  assert.equal(describeDevice('Mozilla/5.0 (X11; Linux x86_64)').label, 'Linux device');
+  assert.deepEqual(describeDevice(undefined), {
+    browser: 'Unknown browser',
+    os: 'Unknown OS',
+    deviceType: 'unknown',
+    label: 'Unknown device',
+  });
+});
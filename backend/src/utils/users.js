@@ -0,0 +1,34 @@
+const { isDeletionPending } = require('./accountDeletion');
+
+// The account as the signed-in user sees it. Admin listings use their own wider shape.
+function sanitizeUser(userDoc) {
+  return {
+    id: userDoc._id.toString(),
+    name: userDoc.name,
+    email: userDoc.email,
+    avatar: userDoc.avatar,
+    profileId: userDoc.profileId || '',
+    role: userDoc.role || 'user',
+    isEmailVerified: Boolean(userDoc.isEmailVerified),
+    pendingEmail: userDoc.emailChange?.tokenHash ? userDoc.emailChange.newEmail : '',
+    twoFactorEnabled: Boolean(userDoc.twoFactor?.enabled),
+    identities: (userDoc.identities || []).map((identity) => ({
+      provider: identity.provider,
+      email: identity.email || '',
+      linkedAt: identity.linkedAt || null,
+    })),
+    loginAlerts: userDoc.notificationPreferences?.loginAlerts !== false,
+    deletionScheduledFor: isDeletionPending(userDoc) ? userDoc.deletionRequest.scheduledFor : null,
+    subscription: {
+      plan: userDoc.subscription?.plan || 'basic',
+      status: userDoc.subscription?.status || 'active',
+      services: Array.isArray(userDoc.subscription?.services) ? userDoc.subscription.services : [],
+      renewalDate: userDoc.subscription?.renewalDate || null,
+    },
+    createdAt: userDoc.createdAt,
+  };
+}
+
+module.exports = {
+  sanitizeUser,
+};
@@ -0,0 +1,46 @@
+const zlib = require('zlib');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc32, createZip } = require('./zip');
+
+function readEntries(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let cursor = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i += 1) {
+    assert.equal(archive.readUInt32LE(cursor), 0x02014b50);
+    const checksum = archive.readUInt32LE(cursor + 16);
+    const compressedSize = archive.readUInt32LE(cursor + 20);
+    const nameLength = archive.readUInt16LE(cursor + 28);
+    const localOffset = archive.readUInt32LE(cursor + 42);
+    const name = archive.subarray(cursor + 46, cursor + 46 + nameLength).toString('utf8');
+
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    const dataStart = localOffset + 30 + localNameLength;
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    entries.push({ name, checksum, content });
+    cursor += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('crc32 matches the reference check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+test('createZip writes entries that inflate back to their contents', () => {
+  const archive = createZip([
+    { name: 'account.json', content: JSON.stringify({ name: 'Ada' }) },
+    { name: 'notes/ünïcode.txt', content: 'héllo\n'.repeat(50) },
+    { name: 'empty.csv', content: '' },
+  ]);
+
+  const entries = readEntries(archive);
+  assert.deepEqual(entries.map((entry) => entry.name), ['account.json', 'notes/ünïcode.txt', 'empty.csv']);
+  assert.equal(entries[0].content.toString('utf8'), '{"name":"Ada"}');
+  assert.equal(entries[1].content.toString('utf8'), 'héllo\n'.repeat(50));
+  entries.forEach((entry) => assert.equal(entry.checksum, crc32(entry.content)));
+});
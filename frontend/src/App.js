@@ -1,5 +1,6 @@
 // File purpose: Application logic for this Netflix Clone module.
 import {
+  Fragment,
   Suspense,
   lazy,
   useCallback,
@@ -11,17 +12,59 @@ import {
 } from 'react';
 import { NavLink, Navigate, Route, Routes, useLocation, useNavigate, useParams } from 'react-router-dom';
 import {
+  beginImpersonation,
+  endImpersonation,
+  fetchIdentityProviders,
+  getImpersonation,
   loginUser,
   logoutUser,
   registerUser,
+  requestMagicLink,
   requestPasswordReset,
+  startIdentityProviderSignIn,
   updatePassword,
   updateProfile,
+  verifyTwoFactorLogin,
 } from './api/authApi';
-import { fetchUsers, removeUser, updateUserRole, updateUserSubscription } from './api/adminApi';
-import { fetchMovies, fetchTmdbTrailer } from './api/moviesApi';
-import { fetchWatchHistory, fetchWatchProgress, saveWatchProgress } from './api/userApi';
+import {
+  createAdminInvite,
+  fetchAdminInvites,
+  fetchUserSessions,
+  fetchUsers,
+  removeUser,
+  revokeAdminInvite,
+  revokeAllUserSessions,
+  revokeUserSession,
+  unlockUser,
+  updateUserRole,
+  updateUserSubscription,
+} from './api/adminApi';
+import { fetchMovieById, fetchMovies, fetchSuggestions, fetchTmdbTrailer, searchCatalog } from './api/moviesApi';
+import {
+  addToMyList,
+  createProfile,
+  deleteProfile,
+  fetchMyList,
+  fetchProfiles,
+  fetchWatchHistory,
+  fetchWatchProgress,
+  getActiveProfileId,
+  rememberActiveProfile,
+  removeFromMyList,
+  removeProfilePin,
+  saveWatchProgress,
+  setProfilePin,
+  unlockProfile,
+  selectViewerProfile,
+  updateViewerProfile,
+} from './api/userApi';
 import Settings from './components/Settings';
+import VerifyEmail from './components/VerifyEmail';
+import EmailChange from './components/EmailChange';
+import MagicLinkSignIn from './components/MagicLinkSignIn';
+import IdentityProviderCallback from './components/IdentityProviderCallback';
+import ResetPassword from './components/ResetPassword';
+import AcceptInvite from './components/AcceptInvite';
 import Subscription from './components/Subscription';
 import AdminSuiteShowcase from './components/AdminSuiteShowcase';
 import UserExperienceHub from './components/UserExperienceHub';
@@ -33,15 +76,13 @@ const TrailerSlider = lazy(() => import('./components/TrailerSlider'));
 
 // localStorage keys used to persist app data between page refreshes.
 const USER_KEY = 'netflix_user';
-const LIST_KEY = 'netflix_my_list';
 const SETTINGS_KEY = 'netflix_settings';
-const WATCH_PROGRESS_KEY = 'netflix_watch_progress';
-const WATCH_HISTORY_KEY = 'netflix_watch_history';
-const PROFILES_KEY = 'netflix_profiles';
-const ACTIVE_PROFILE_KEY = 'netflix_active_profile';
 const DOWNLOADS_KEY = 'netflix_downloads';
 const REVIEWS_KEY = 'netflix_reviews';
-const KIDS_PIN_KEY = 'netflix_kids_pin';
+const LEGACY_KIDS_PIN_KEY = 'netflix_kids_pin';
+
+// Titles per catalog request; rails and search pull further pages as the viewer reaches the end.
+const CATALOG_PAGE_SIZE = 40;
 
 // Main header navigation links shown at the top of the app.
 const NAV_ITEMS = [
@@ -71,13 +112,10 @@ const DEFAULT_SETTINGS = {
   autoplay: true,
   autoplayPreview: true,
   profileVisibility: 'private',
-  twoFactor: false,
-  loginAlerts: true,
   subtitleLanguage: 'english',
   maturityLevel: '16+',
   playbackQuality: 'auto',
   downloadOnWifiOnly: true,
-  profileLock: false,
   dataSaver: false,
 };
 
@@ -296,10 +334,11 @@ async function resolveTrailerForItem(item) {
     return item.trailerUrl;
   }
   const match = String(item.id || '').match(/^tmdb-(movie|series)-(\d+)$/);
-  if (!match) {
+  // Imported titles keep their TMDB id alongside the library id.
+  const [, type, tmdbId] = match || [null, item.type, item.tmdbId];
+  if (!tmdbId) {
     return '';
   }
-  const [, type, tmdbId] = match;
   try {
     return await fetchTmdbTrailer(type, tmdbId);
   } catch {
@@ -307,6 +346,61 @@ async function resolveTrailerForItem(item) {
   }
 }
 
+// switchAccountView: persists the account to show next and reloads so no state from the previous one survives.
+function switchAccountView(nextUser, path) {
+  writeStorage(USER_KEY, normalizeUser(nextUser));
+  window.location.assign(path);
+}
+
+// exitImpersonation: ends a support view and returns to the admin console that started it.
+async function exitImpersonation() {
+  const adminUser = await endImpersonation();
+  const path = adminUser?.role === 'superadmin' ? '/super-admin' : adminUser ? '/admin' : '/login';
+  switchAccountView(adminUser, path);
+}
+
+// ImpersonationBanner: persistent notice shown while support is viewing the app as a subscriber.
+function ImpersonationBanner() {
+  const [impersonation] = useState(() => getImpersonation());
+  const [ending, setEnding] = useState(false);
+
+  const endSession = useCallback(() => {
+    setEnding(true);
+    void exitImpersonation();
+  }, []);
+
+  // The impersonation token cannot be refreshed, so hand control back as soon as it expires.
+  useEffect(() => {
+    if (!impersonation) {
+      return undefined;
+    }
+    const remainingMs = Math.max(new Date(impersonation.expiresAt).getTime() - Date.now(), 0);
+    const timer = setTimeout(endSession, remainingMs);
+    return () => clearTimeout(timer);
+  }, [impersonation, endSession]);
+
+  if (!impersonation) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-3 bg-amber-500 px-4 py-2 text-sm font-semibold text-black">
+      <span>
+        Viewing as {impersonation.targetName || 'subscriber'} ({impersonation.targetEmail}) until{' '}
+        {new Date(impersonation.expiresAt).toLocaleTimeString()}. Every request is recorded. Payments and password changes are blocked.
+      </span>
+      <button
+        type="button"
+        disabled={ending}
+        onClick={endSession}
+        className="rounded bg-black px-3 py-1 text-xs font-semibold text-white hover:bg-neutral-800 disabled:opacity-60"
+      >
+        {ending ? 'Ending...' : 'End session'}
+      </button>
+    </div>
+  );
+}
+
 // Header: top navigation bar with search and profile dropdown actions.
 function Header({ isScrolled, query, setQuery, user, onLogout }) {
   const navigate = useNavigate();
@@ -314,8 +408,7 @@ function Header({ isScrolled, query, setQuery, user, onLogout }) {
 
   const dropdownRef = useRef(null);
   const [showDropdown, setShowDropdown] = useState(false);
-  const onSearchChange = (event) => {
-    const nextQuery = event.target.value;
+  const onSearchChange = (nextQuery) => {
     setQuery(nextQuery);
     if (location.pathname !== '/search') {
       navigate('/search');
@@ -355,6 +448,7 @@ function Header({ isScrolled, query, setQuery, user, onLogout }) {
           : 'bg-gradient-to-b from-black/90 to-transparent'
       }`}
     >
+      <ImpersonationBanner />
       <div className="mx-auto flex w-full max-w-[1400px] items-center justify-between px-4 py-4 sm:px-8">
         <div className="flex items-center gap-7">
           <button
@@ -380,27 +474,14 @@ function Header({ isScrolled, query, setQuery, user, onLogout }) {
           </nav>
         </div>
         <div className="flex items-center gap-3">
-          <div className="relative">
-            <svg
-              viewBox="0 0 24 24"
-              aria-hidden="true"
-              className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-neutral-400"
-            >
-              <path
-                d="M10.5 3.5a7 7 0 1 1 0 14 7 7 0 0 1 0-14Zm0 2a5 5 0 1 0 0 10 5 5 0 0 0 0-10Zm9.7 13.3-3.3-3.3"
-                fill="none"
-                stroke="currentColor"
-                strokeWidth="2"
-                strokeLinecap="round"
-              />
-            </svg>
-            <input
-              value={query}
-              onChange={onSearchChange}
-              placeholder="Search titles..."
-              className="search-input-glass w-40 rounded border border-neutral-600 bg-black/70 py-2 pl-9 pr-3 text-sm text-white placeholder:text-neutral-400 focus:border-white focus:outline-none sm:w-60"
-            />
-          </div>
+          <HeaderSearch
+            query={query}
+            onQueryChange={onSearchChange}
+            onPickSuggestion={(suggestion) => {
+              setQuery(suggestion.type === 'title' ? suggestion.text : '');
+              navigate('/search', { state: { suggestion } });
+            }}
+          />
           <div ref={dropdownRef} className="profile-orb relative">
             <button
               type="button"
@@ -419,11 +500,22 @@ function Header({ isScrolled, query, setQuery, user, onLogout }) {
                       className="dropdown-item w-full px-4 py-2 text-left text-white hover:bg-neutral-800"
                       onClick={() => {
                         setShowDropdown(false);
+                        if (getImpersonation()) {
+                          void exitImpersonation();
+                          return;
+                        }
                         onLogout();
                       }}
                     >
-                      Logout
+                      {getImpersonation() ? 'End impersonation' : 'Logout'}
                     </button>
+                    <NavLink
+                      to="/profiles"
+                      className="dropdown-item block px-4 py-2 text-white hover:bg-neutral-800"
+                      onClick={() => setShowDropdown(false)}
+                    >
+                      Switch Profile
+                    </NavLink>
                     <NavLink
                       to="/help"
                       className="dropdown-item block px-4 py-2 text-white hover:bg-neutral-800"
@@ -482,6 +574,135 @@ function Header({ isScrolled, query, setQuery, user, onLogout }) {
   );
 }
 
+// HeaderSearch: search box with as-you-type title, cast and genre suggestions and keyboard navigation.
+function HeaderSearch({ query, onQueryChange, onPickSuggestion }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [open, setOpen] = useState(false);
+  const deferredQuery = useDeferredValue(query);
+
+  // Debounce keystrokes and drop responses for text the viewer has already typed past.
+  useEffect(() => {
+    const text = deferredQuery.trim();
+    if (!text) {
+      setSuggestions([]);
+      return undefined;
+    }
+    let active = true;
+    const timer = setTimeout(() => {
+      fetchSuggestions(text).then((items) => {
+        if (active) {
+          setSuggestions(items);
+          setActiveIndex(-1);
+        }
+      });
+    }, 150);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [deferredQuery]);
+
+  const pick = (suggestion) => {
+    setOpen(false);
+    setActiveIndex(-1);
+    onPickSuggestion(suggestion);
+  };
+
+  const onKeyDown = (event) => {
+    if (!suggestions.length) {
+      return;
+    }
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setOpen(true);
+      // Index -1 is the typed text itself, so arrowing past either end returns to it.
+      setActiveIndex((current) => {
+        const next = current + step;
+        if (next >= suggestions.length) return -1;
+        return next < -1 ? suggestions.length - 1 : next;
+      });
+    } else if (event.key === 'Enter' && open && activeIndex >= 0) {
+      event.preventDefault();
+      pick(suggestions[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showList = open && suggestions.length > 0;
+  const labels = { title: 'Title', cast: 'Cast', genre: 'Genre' };
+
+  return (
+    <div className="relative">
+      <svg
+        viewBox="0 0 24 24"
+        aria-hidden="true"
+        className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-neutral-400"
+      >
+        <path
+          d="M10.5 3.5a7 7 0 1 1 0 14 7 7 0 0 1 0-14Zm0 2a5 5 0 1 0 0 10 5 5 0 0 0 0-10Zm9.7 13.3-3.3-3.3"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinecap="round"
+        />
+      </svg>
+      <input
+        value={query}
+        onChange={(event) => {
+          onQueryChange(event.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        placeholder="Search titles..."
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={showList && activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        className="search-input-glass w-40 rounded border border-neutral-600 bg-black/70 py-2 pl-9 pr-3 text-sm text-white placeholder:text-neutral-400 focus:border-white focus:outline-none sm:w-60"
+      />
+      {showList && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="glass-panel absolute left-0 z-50 mt-2 w-72 overflow-hidden rounded-md py-1 text-sm"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}:${suggestion.movieId || suggestion.text}`}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so blur does not close the list before the click lands.
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => pick(suggestion)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`flex cursor-pointer items-center justify-between gap-3 px-3 py-2 ${index === activeIndex ? 'bg-neutral-800' : ''}`}
+            >
+              <span className="truncate text-neutral-200">
+                {suggestion.highlight.map((part, partIndex) => (
+                  part.match
+                    ? <mark key={partIndex} className="bg-transparent font-semibold text-white">{part.text}</mark>
+                    : <span key={partIndex}>{part.text}</span>
+                ))}
+              </span>
+              <span className="shrink-0 text-xs text-neutral-500">
+                {suggestion.type === 'title' ? suggestion.year || labels.title : `${labels[suggestion.type]} · ${suggestion.count}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 // AppPageLayout: shared page wrapper that includes the common header shell.
 function AppPageLayout({ user, onLogout, query, setQuery, children }) {
   return (
@@ -724,6 +945,9 @@ function HomePage({
   allMovies,
   loading,
   error,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
   myList,
   onToggleList,
   onPlayItem,
@@ -758,6 +982,22 @@ function HomePage({
     return () => window.removeEventListener('scroll', onScroll);
   }, []);
 
+  // Pull the next catalog page when the viewer scrolls near the last rail.
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    const target = loadMoreRef.current;
+    if (!target || !hasMore || loadingMore || !onLoadMore || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        void onLoadMore();
+      }
+    }, { rootMargin: '600px 0px' });
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore]);
+
   // Build visible rows from the selected view + search input.
   const visibleSections = useMemo(() => {
     const lowered = deferredQuery.trim().toLowerCase();
@@ -943,6 +1183,19 @@ function HomePage({
             </div>
           )}
 
+          {!loading && onLoadMore && hasMore && (
+            <div ref={loadMoreRef} className="mt-6 text-center">
+              <button
+                type="button"
+                disabled={loadingMore}
+                onClick={() => void onLoadMore()}
+                className="rounded border border-neutral-700 bg-neutral-900 px-5 py-2 text-sm text-neutral-200 hover:border-white disabled:opacity-60"
+              >
+                {loadingMore ? 'Loading more titles...' : 'Load more titles'}
+              </button>
+            </div>
+          )}
+
           {!loading && !visibleSections.length && query.trim() !== '' && (
             <div className="glass-panel mt-20 rounded-lg border border-neutral-800 bg-neutral-900/70 p-8 text-center">
               <p className="text-xl font-semibold">No matches found for "{query}"</p>
@@ -968,9 +1221,31 @@ function HomePage({
   );
 }
 
-// SearchPage: advanced search with filters, sorting, and modal playback/info.
+// FacetSelect: search filter dropdown listing facet values with their match counts.
+function FacetSelect({ label, value, onChange, allLabel, options, formatValue = (option) => option }) {
+  return (
+    <div className="flex flex-col">
+      <label className="mb-1 text-xs uppercase tracking-wide text-neutral-400">{label}</label>
+      <select
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm text-white outline-none focus:border-white"
+      >
+        <option value="all">{allLabel}</option>
+        {options.map((option) => (
+          <option key={option.value} value={String(option.value)}>
+            {formatValue(option.value)} ({option.count})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+const EMPTY_FACETS = { type: [], genre: [], language: [], year: [], rating: [] };
+
+// SearchPage: faceted search with server-side filters, counts, sorting, and modal playback/info.
 function SearchPage({
-  allMovies,
   loading,
   error,
   myList,
@@ -982,17 +1257,25 @@ function SearchPage({
   setQuery,
 }) {
   const navigate = useNavigate();
+  const location = useLocation();
   const [typeFilter, setTypeFilter] = useState('all');
-  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [genreFilter, setGenreFilter] = useState('all');
+  const [castFilter, setCastFilter] = useState('');
   const [yearFilter, setYearFilter] = useState('all');
   const [languageFilter, setLanguageFilter] = useState('all');
-  const [minRating, setMinRating] = useState('0');
+  const [ratingFilter, setRatingFilter] = useState('all');
   const [listFilter, setListFilter] = useState('all');
-  const [sortBy, setSortBy] = useState('relevance');
+  const [sortBy, setSortBy] = useState('newest');
   const [modalItem, setModalItem] = useState(null);
   const [modalMode, setModalMode] = useState('info');
   // Keep API-driven results separate so filter changes can reload data.
-  const [reloadedItems, setReloadedItems] = useState(allMovies);
+  const [reloadedItems, setReloadedItems] = useState([]);
+  // Facet counts for the current search, each counted with the other filters applied.
+  const [facets, setFacets] = useState(EMPTY_FACETS);
+  const [total, setTotal] = useState(0);
+  // Cursor for the next page of the current search; null once every match is loaded.
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   // Show refresh feedback while reloading on filter changes.
   const [isReloading, setIsReloading] = useState(false);
   // Surface reload errors without breaking already loaded content.
@@ -1000,12 +1283,32 @@ function SearchPage({
   // useDeferredValue keeps typing smooth by delaying expensive filtering work.
   const deferredQuery = useDeferredValue(query);
 
-  // Keep local reload cache in sync when parent movie data updates.
+  // Every filter except My List runs on the server so counts and pages cover the whole catalog.
+  const searchParams = useMemo(() => ({
+    limit: CATALOG_PAGE_SIZE,
+    sort: sortBy,
+    q: deferredQuery.trim() || undefined,
+    type: typeFilter !== 'all' ? typeFilter : undefined,
+    genre: genreFilter !== 'all' ? genreFilter : undefined,
+    language: languageFilter !== 'all' ? languageFilter : undefined,
+    year: yearFilter !== 'all' ? yearFilter : undefined,
+    rating: ratingFilter !== 'all' ? ratingFilter : undefined,
+    cast: castFilter || undefined,
+  }), [castFilter, deferredQuery, genreFilter, languageFilter, ratingFilter, sortBy, typeFilter, yearFilter]);
+
+  // A picked header suggestion arrives in navigation state; genre and cast picks become filters.
   useEffect(() => {
-    setReloadedItems(allMovies);
-  }, [allMovies]);
+    const suggestion = location.state?.suggestion;
+    if (!suggestion) {
+      return;
+    }
+    setCastFilter(suggestion.type === 'cast' ? suggestion.text : '');
+    if (suggestion.type === 'genre') {
+      setGenreFilter(suggestion.text);
+    }
+  }, [location.state]);
 
-  // Reload movies whenever search/type/category changes so filter feels live.
+  // Reload the first page whenever the filters change so results feel live.
   useEffect(() => {
     let active = true;
 
@@ -1013,16 +1316,14 @@ function SearchPage({
       setIsReloading(true);
       setReloadError('');
       try {
-        const data = await fetchMovies({
-          limit: 500,
-          search: deferredQuery.trim() || undefined,
-          type: typeFilter !== 'all' ? typeFilter : undefined,
-          category: categoryFilter !== 'all' ? categoryFilter : undefined,
-        });
+        const result = await searchCatalog(searchParams);
         if (!active) {
           return;
         }
-        setReloadedItems(Array.isArray(data) ? data : []);
+        setReloadedItems(result.items);
+        setNextCursor(result.nextCursor);
+        setFacets({ ...EMPTY_FACETS, ...result.facets });
+        setTotal(result.total);
       } catch (apiError) {
         if (!active) {
           return;
@@ -1039,77 +1340,44 @@ function SearchPage({
     return () => {
       active = false;
     };
-  }, [deferredQuery, typeFilter, categoryFilter]);
+  }, [searchParams]);
+
+  const onLoadMoreResults = async () => {
+    if (!nextCursor || isLoadingMore) {
+      return;
+    }
+    setIsLoadingMore(true);
+    setReloadError('');
+    try {
+      const result = await searchCatalog({ ...searchParams, cursor: nextCursor });
+      setReloadedItems((current) => {
+        if (result.restarted) {
+          return result.items;
+        }
+        const known = new Set(current.map((item) => String(item.id)));
+        return [...current, ...result.items.filter((item) => !known.has(String(item.id)))];
+      });
+      setNextCursor(result.nextCursor);
+    } catch (apiError) {
+      setReloadError(apiError.message || 'Unable to load more titles.');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
 
   // Convert My List into a Set for fast O(1) lookup by id.
   const myListIds = useMemo(() => new Set(myList.map((item) => item.id)), [myList]);
-  // Build filter options from existing movie categories.
-  const categories = useMemo(
-    () => Array.from(new Set(allMovies.map((item) => item.category).filter(Boolean))).sort(),
-    [allMovies]
-  );
-  // Build year filter options sorted newest first.
-  const years = useMemo(
-    () => Array.from(new Set(allMovies.map((item) => item.year).filter(Boolean))).sort((a, b) => b - a),
-    [allMovies]
-  );
-  const languages = useMemo(
-    () => Array.from(
-      new Set(
-        allMovies
-          .map((item) => String(item.language || item.audioLanguage || 'Unknown').trim())
-          .filter(Boolean)
-      )
-    ).sort(),
-    [allMovies]
-  );
-
-  // Apply all active filters + search text + sort order to produce visible search results.
-  const visibleItems = useMemo(() => {
-    const loweredQuery = deferredQuery.trim().toLowerCase();
-    // Start from reloaded data, then apply remaining local-only filters.
-    let items = reloadedItems.filter((item) => {
-      if (typeFilter !== 'all' && normalizeContentType(item.type) !== typeFilter) {
-        return false;
-      }
-      const normalizedCategory = String(item.category || '').trim().toLowerCase();
-      if (categoryFilter !== 'all' && normalizedCategory !== categoryFilter.toLowerCase()) {
-        return false;
-      }
-      if (yearFilter !== 'all' && String(item.year) !== yearFilter) {
-        return false;
-      }
-      const itemLanguage = String(item.language || item.audioLanguage || 'Unknown').trim().toLowerCase();
-      if (languageFilter !== 'all' && itemLanguage !== languageFilter.toLowerCase()) {
-        return false;
-      }
-      const numericRating = Number.parseFloat(String(item.rating || '').replace(/[^\d.]/g, '')) || 0;
-      if (numericRating < Number(minRating || 0)) {
-        return false;
-      }
-      if (listFilter === 'in-list' && !myListIds.has(item.id)) {
-        return false;
-      }
-      if (listFilter === 'not-in-list' && myListIds.has(item.id)) {
-        return false;
-      }
-      if (!loweredQuery) {
-        return true;
-      }
-      const searchable = `${item.title} ${item.description || ''} ${item.category || ''}`.toLowerCase();
-      return fuzzyIncludes(searchable, loweredQuery);
-    });
 
-    if (sortBy === 'newest') {
-      items = [...items].sort((a, b) => b.year - a.year);
-    } else if (sortBy === 'oldest') {
-      items = [...items].sort((a, b) => a.year - b.year);
-    } else if (sortBy === 'a-z') {
-      items = [...items].sort((a, b) => a.title.localeCompare(b.title));
+  // My List membership is per profile and only known here, so it narrows the loaded pages locally.
+  const visibleItems = useMemo(() => reloadedItems.filter((item) => {
+    if (listFilter === 'in-list') {
+      return myListIds.has(item.id);
     }
-
-    return items;
-  }, [categoryFilter, deferredQuery, languageFilter, listFilter, minRating, myListIds, reloadedItems, sortBy, typeFilter, yearFilter]);
+    if (listFilter === 'not-in-list') {
+      return !myListIds.has(item.id);
+    }
+    return true;
+  }), [listFilter, myListIds, reloadedItems]);
 
   return (
     <div className="app-shell min-h-screen bg-black text-white">
@@ -1133,72 +1401,34 @@ function SearchPage({
         </div>
         <section className="search-panel glass-panel smooth-enter rounded-lg p-4 sm:p-6">
           <div className="search-filters flex flex-wrap items-end gap-3">
-            <div className="flex flex-col">
-              <label className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Type</label>
-              <select
-                value={typeFilter}
-                onChange={(event) => setTypeFilter(event.target.value)}
-                className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm text-white outline-none focus:border-white"
-              >
-                <option value="all">All</option>
-                <option value="movie">Movies</option>
-                <option value="series">TV Shows</option>
-              </select>
-            </div>
-            <div className="flex flex-col">
-              <label className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Category</label>
-              <select
-                value={categoryFilter}
-                onChange={(event) => setCategoryFilter(event.target.value)}
-                className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm text-white outline-none focus:border-white"
-              >
-                <option value="all">All Categories</option>
-                {categories.map((category) => (
-                  <option key={category} value={category}>{category}</option>
-                ))}
-              </select>
-            </div>
-            <div className="flex flex-col">
-              <label className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Year</label>
-              <select
-                value={yearFilter}
-                onChange={(event) => setYearFilter(event.target.value)}
-                className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm text-white outline-none focus:border-white"
-              >
-                <option value="all">All Years</option>
-                {years.map((year) => (
-                  <option key={year} value={String(year)}>{year}</option>
-                ))}
-              </select>
-            </div>
-            <div className="flex flex-col">
-              <label className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Language</label>
-              <select
-                value={languageFilter}
-                onChange={(event) => setLanguageFilter(event.target.value)}
-                className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm text-white outline-none focus:border-white"
-              >
-                <option value="all">All Languages</option>
-                {languages.map((language) => (
-                  <option key={language} value={language}>{language}</option>
-                ))}
-              </select>
-            </div>
-            <div className="flex flex-col">
-              <label className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Min Rating</label>
-              <select
-                value={minRating}
-                onChange={(event) => setMinRating(event.target.value)}
-                className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm text-white outline-none focus:border-white"
+            <FacetSelect
+              label="Type"
+              value={typeFilter}
+              onChange={setTypeFilter}
+              allLabel="All"
+              options={facets.type}
+              formatValue={(value) => (value === 'series' ? 'TV Shows' : 'Movies')}
+            />
+            <FacetSelect label="Genre" value={genreFilter} onChange={setGenreFilter} allLabel="All Genres" options={facets.genre} />
+            <FacetSelect label="Year" value={yearFilter} onChange={setYearFilter} allLabel="All Years" options={facets.year} />
+            <FacetSelect
+              label="Language"
+              value={languageFilter}
+              onChange={setLanguageFilter}
+              allLabel="All Languages"
+              options={facets.language}
+            />
+            <FacetSelect label="Rating" value={ratingFilter} onChange={setRatingFilter} allLabel="Any Rating" options={facets.rating} />
+            {castFilter && (
+              <button
+                type="button"
+                onClick={() => setCastFilter('')}
+                className="rounded-full border border-neutral-600 px-3 py-2 text-xs text-neutral-200 hover:border-white"
+                aria-label={`Remove cast filter ${castFilter}`}
               >
-                <option value="0">Any</option>
-                <option value="5">5+</option>
-                <option value="6">6+</option>
-                <option value="7">7+</option>
-                <option value="8">8+</option>
-                <option value="9">9+</option>
-              </select>
-            </div>
+                Cast: {castFilter} ×
+              </button>
+            )}
             <div className="flex flex-col">
               <label className="mb-1 text-xs uppercase tracking-wide text-neutral-400">My List</label>
               <select
@@ -1218,10 +1448,10 @@ function SearchPage({
                 onChange={(event) => setSortBy(event.target.value)}
                 className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm text-white outline-none focus:border-white"
               >
-                <option value="relevance">Relevance</option>
-                <option value="newest">Newest</option>
-                <option value="oldest">Oldest</option>
-                <option value="a-z">A-Z</option>
+                <option value="newest">Recently Added</option>
+                <option value="year">Release Year</option>
+                <option value="title">A-Z</option>
+                <option value="featuredRank">Featured</option>
               </select>
             </div>
           </div>
@@ -1247,7 +1477,9 @@ function SearchPage({
           <section className="mt-6">
             <div className="mb-3 flex items-center justify-between">
               <h2 className="text-2xl font-semibold">Search Results</h2>
-              <p className="text-sm text-neutral-300">{visibleItems.length} title(s)</p>
+              <p className="text-sm text-neutral-300">
+                {listFilter === 'all' ? total : visibleItems.length} title(s)
+              </p>
             </div>
             {visibleItems.length > 0 ? (
               <div className="stagger-in grid grid-cols-2 gap-3 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5">
@@ -1275,6 +1507,18 @@ function SearchPage({
                 <p className="mt-2 text-neutral-300">Try a different filter or search text.</p>
               </div>
             )}
+            {nextCursor && (
+              <div className="mt-6 text-center">
+                <button
+                  type="button"
+                  disabled={isLoadingMore}
+                  onClick={() => void onLoadMoreResults()}
+                  className="rounded border border-neutral-700 bg-neutral-900 px-5 py-2 text-sm text-neutral-200 hover:border-white disabled:opacity-60"
+                >
+                  {isLoadingMore ? 'Loading more...' : 'Load more results'}
+                </button>
+              </div>
+            )}
           </section>
         )}
       </main>
@@ -1298,15 +1542,19 @@ function SearchPage({
 // LoginPage: handles sign in/sign up flow and auth API requests.
 function LoginPage({ user, onLogin, movies }) {
   const navigate = useNavigate();
-  const [mode, setMode] = useState('signin');
+  const location = useLocation();
+  const [mode, setMode] = useState(() => (location.state?.challengeToken ? 'twofactor' : 'signin'));
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [role, setRole] = useState('user');
   const [error, setError] = useState('');
-  const [notice, setNotice] = useState('');
+  const [notice, setNotice] = useState(() => location.state?.notice || '');
   const [submitting, setSubmitting] = useState(false);
   const [slideIndex, setSlideIndex] = useState(0);
+  const [challengeToken, setChallengeToken] = useState(() => location.state?.challengeToken || '');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [identityProviders, setIdentityProviders] = useState([]);
 
   // Featured images used in the right-side login showcase slider.
   const showcaseItems = useMemo(
@@ -1330,12 +1578,31 @@ function LoginPage({ user, onLogin, movies }) {
     ].map((row) => (row.length ? row : rollingItems.slice(0, 12)));
   }, [rollingItems]);
 
-  // Already logged in users are sent directly to profile.
+  // Optional in-app path to return to after sign-in, e.g. an invitation link.
+  const nextPath = useMemo(() => {
+    const next = new URLSearchParams(location.search).get('next') || '';
+    return next.startsWith('/') && !next.startsWith('//') ? next : '';
+  }, [location.search]);
+
+  // Already logged in users are sent straight to the profile picker.
   useEffect(() => {
     if (user) {
-      navigate('/profile', { replace: true });
+      navigate(nextPath || '/profiles', { replace: true });
     }
-  }, [user, navigate]);
+  }, [user, navigate, nextPath]);
+
+  // Social sign-in buttons come from the providers configured on the backend.
+  useEffect(() => {
+    let active = true;
+    fetchIdentityProviders()
+      .then((providers) => {
+        if (active) setIdentityProviders(providers);
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, []);
 
   useEffect(() => {
     if (showcaseItems.length < 2) {
@@ -1349,6 +1616,30 @@ function LoginPage({ user, onLogin, movies }) {
     return () => clearInterval(timer);
   }, [showcaseItems.length]);
 
+  // Signing in during the deletion grace period cancels it, so land on Settings to say so.
+  const completeSignIn = (authUser) => {
+    onLogin(normalizeUser(authUser?.user));
+    if (authUser?.deletionCancelled) {
+      navigate('/settings', { replace: true, state: { notice: 'Welcome back! Your account deletion has been cancelled.' } });
+      return;
+    }
+    navigate(nextPath || '/', { replace: true });
+  };
+
+  // Hand off to the identity provider; it redirects back to /auth/callback.
+  const onProviderSignIn = async (provider) => {
+    setError('');
+    setNotice('');
+    setSubmitting(true);
+    try {
+      const authorizationUrl = await startIdentityProviderSignIn(provider.id);
+      window.location.assign(authorizationUrl);
+    } catch (apiError) {
+      setError(apiError.message);
+      setSubmitting(false);
+    }
+  };
+
   // Submit sign-in/sign-up form and update global auth state on success.
   const onSubmit = async (event) => {
     event.preventDefault();
@@ -1362,12 +1653,46 @@ function LoginPage({ user, onLogin, movies }) {
       }
       setSubmitting(true);
       try {
-        const result = await requestPasswordReset(email.trim());
-        setNotice(
-          result?.resetToken
-            ? `Reset token (dev): ${result.resetToken}`
-            : 'If this email exists, a reset link was sent.'
-        );
+        await requestPasswordReset(email.trim());
+        setNotice('If this email exists, a reset link was sent.');
+      } catch (apiError) {
+        setError(apiError.message);
+      } finally {
+        setSubmitting(false);
+      }
+      return;
+    }
+
+    if (mode === 'magic') {
+      if (!email.trim()) {
+        setError('Please enter your email.');
+        return;
+      }
+      setSubmitting(true);
+      try {
+        await requestMagicLink(email.trim());
+        setNotice('If this email has an account, a sign-in link is on its way. Check your inbox.');
+      } catch (apiError) {
+        setError(apiError.message);
+      } finally {
+        setSubmitting(false);
+      }
+      return;
+    }
+
+    if (mode === 'twofactor') {
+      if (!twoFactorCode.trim()) {
+        setError(useRecoveryCode ? 'Please enter a recovery code.' : 'Please enter the 6-digit code.');
+        return;
+      }
+      setSubmitting(true);
+      try {
+        const authUser = await verifyTwoFactorLogin({
+          challengeToken,
+          code: useRecoveryCode ? '' : twoFactorCode.trim(),
+          recoveryCode: useRecoveryCode ? twoFactorCode.trim() : '',
+        });
+        completeSignIn(authUser);
       } catch (apiError) {
         setError(apiError.message);
       } finally {
@@ -1385,11 +1710,19 @@ function LoginPage({ user, onLogin, movies }) {
     try {
       const payload = { email: email.trim(), password: password.trim() };
       const authUser = mode === 'signup'
-        ? await registerUser({ ...payload, name: name.trim(), role })
+        ? await registerUser({ ...payload, name: name.trim() })
         : await loginUser(payload);
 
-      onLogin(normalizeUser(authUser?.user));
-      navigate('/', { replace: true });
+      // Accounts with two-factor enabled get a challenge token instead of a session.
+      if (authUser?.twoFactorRequired) {
+        setChallengeToken(authUser.challengeToken);
+        setTwoFactorCode('');
+        setUseRecoveryCode(false);
+        setMode('twofactor');
+        return;
+      }
+
+      completeSignIn(authUser);
     } catch (apiError) {
       setError(apiError.message);
     } finally {
@@ -1430,45 +1763,61 @@ function LoginPage({ user, onLogin, movies }) {
             <NetflixBrand />
           </button>
           <h2 className="mt-8 text-4xl font-bold">
-            {mode === 'signup' ? 'Create Account' : mode === 'forgot' ? 'Reset Password' : 'Sign In'}
+            {mode === 'signup'
+              ? 'Create Account'
+              : mode === 'forgot'
+                ? 'Reset Password'
+                : mode === 'magic'
+                  ? 'Email Sign-In'
+                  : mode === 'twofactor'
+                    ? 'Two-Step Verification'
+                    : 'Sign In'}
           </h2>
           <p className="mt-2 text-sm text-neutral-400">
             {mode === 'signup'
               ? 'Join now and continue watching where you left off.'
               : mode === 'forgot'
                 ? 'Enter your email and we will send a reset link.'
-              : 'Sign in to continue to Netflix Clone.'}
+                : mode === 'magic'
+                  ? 'We will email you a one-time link that signs you in without a password.'
+                  : mode === 'twofactor'
+                    ? useRecoveryCode
+                      ? 'Enter one of your saved recovery codes.'
+                      : 'Enter the 6-digit code from your authenticator app.'
+                    : 'Sign in to continue to Netflix Clone.'}
           </p>
 
           <form onSubmit={onSubmit} className="mt-8 space-y-4">
             {mode === 'signup' && (
-              <>
-                <input
-                  type="text"
-                  value={name}
-                  onChange={(event) => setName(event.target.value)}
-                  placeholder="Full name"
-                  className="w-full rounded bg-neutral-800 px-4 py-3 text-sm text-white outline-none ring-red-600 focus:ring-2"
-                />
-                <select
-                  value={role}
-                  onChange={(event) => setRole(event.target.value)}
-                  className="w-full rounded bg-neutral-800 px-4 py-3 text-sm text-white outline-none ring-red-600 focus:ring-2"
-                >
-                  <option value="user">User</option>
-                  <option value="admin">Admin</option>
-                  <option value="superadmin">Super Admin</option>
-                </select>
-              </>
+              <input
+                type="text"
+                value={name}
+                onChange={(event) => setName(event.target.value)}
+                placeholder="Full name"
+                className="w-full rounded bg-neutral-800 px-4 py-3 text-sm text-white outline-none ring-red-600 focus:ring-2"
+              />
             )}
-            <input
-              type="email"
-              value={email}
-              onChange={(event) => setEmail(event.target.value)}
-              placeholder="Email"
-              className="w-full rounded bg-neutral-800 px-4 py-3 text-sm text-white outline-none ring-red-600 focus:ring-2"
-            />
-            {mode !== 'forgot' && (
+            {mode === 'twofactor' ? (
+              <input
+                type="text"
+                value={twoFactorCode}
+                onChange={(event) => setTwoFactorCode(event.target.value)}
+                placeholder={useRecoveryCode ? 'Recovery code' : '6-digit code'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                className="w-full rounded bg-neutral-800 px-4 py-3 text-sm tracking-widest text-white outline-none ring-red-600 focus:ring-2"
+              />
+            ) : (
+              <input
+                type="email"
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                placeholder="Email"
+                className="w-full rounded bg-neutral-800 px-4 py-3 text-sm text-white outline-none ring-red-600 focus:ring-2"
+              />
+            )}
+            {mode !== 'forgot' && mode !== 'magic' && mode !== 'twofactor' && (
               <input
                 type="password"
                 value={password}
@@ -1490,18 +1839,53 @@ function LoginPage({ user, onLogin, movies }) {
                   ? 'Create Account'
                   : mode === 'forgot'
                     ? 'Send Reset Link'
-                    : 'Sign In'}
+                    : mode === 'magic'
+                      ? 'Email Me a Link'
+                      : mode === 'twofactor'
+                        ? 'Verify'
+                        : 'Sign In'}
             </button>
           </form>
 
-          <p className="mt-6 text-sm text-neutral-300">
-            {mode === 'signup' ? 'Already have an account?' : 'New to Netflix?'}{' '}
+          {(mode === 'signin' || mode === 'signup') && identityProviders.length > 0 && (
+            <div className="mt-4 space-y-2">
+              <p className="text-center text-xs uppercase tracking-wide text-neutral-500">or</p>
+              {identityProviders.map((provider) => (
+                <button
+                  key={provider.id}
+                  type="button"
+                  disabled={submitting}
+                  onClick={() => onProviderSignIn(provider)}
+                  className="w-full rounded border border-neutral-600 py-3 text-sm font-semibold transition hover:border-white disabled:cursor-not-allowed disabled:opacity-70"
+                >
+                  Continue with {provider.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {mode === 'twofactor' && (
             <button
               type="button"
               onClick={() => {
-                setMode((prev) => (prev === 'signin' ? 'signup' : 'signin'));
+                setUseRecoveryCode((prev) => !prev);
+                setTwoFactorCode('');
                 setError('');
-                setNotice('');
+              }}
+              className="mt-4 text-sm text-neutral-300 underline-offset-2 hover:text-white hover:underline"
+            >
+              {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code'}
+            </button>
+          )}
+
+          <p className="mt-6 text-sm text-neutral-300">
+            {mode === 'signup' ? 'Already have an account?' : 'New to Netflix?'}{' '}
+            <button
+              type="button"
+              onClick={() => {
+                setMode((prev) => (prev === 'signin' ? 'signup' : 'signin'));
+                setError('');
+                setNotice('');
               }}
               className="font-semibold text-white underline-offset-2 hover:underline"
             >
@@ -1511,14 +1895,28 @@ function LoginPage({ user, onLogin, movies }) {
           <button
             type="button"
             onClick={() => {
-              setMode((prev) => (prev === 'forgot' ? 'signin' : 'forgot'));
+              setMode((prev) => (prev === 'forgot' || prev === 'twofactor' ? 'signin' : 'forgot'));
+              setChallengeToken('');
               setError('');
               setNotice('');
             }}
             className="mt-3 text-sm text-neutral-300 underline-offset-2 hover:text-white hover:underline"
           >
-            {mode === 'forgot' ? 'Back to sign in' : 'Forgot password?'}
+            {mode === 'forgot' || mode === 'twofactor' ? 'Back to sign in' : 'Forgot password?'}
           </button>
+          {(mode === 'signin' || mode === 'magic') && (
+            <button
+              type="button"
+              onClick={() => {
+                setMode((prev) => (prev === 'magic' ? 'signin' : 'magic'));
+                setError('');
+                setNotice('');
+              }}
+              className="mt-3 block text-sm text-neutral-300 underline-offset-2 hover:text-white hover:underline"
+            >
+              {mode === 'magic' ? 'Sign in with password instead' : 'Email me a sign-in link'}
+            </button>
+          )}
         </section>
 
         <section className="relative hidden h-[560px] overflow-hidden md:block">
@@ -1550,6 +1948,391 @@ function LoginPage({ user, onLogin, movies }) {
   );
 }
 
+// ProfileSelectPage: "Who's watching?" picker shown after sign-in, with add, edit, delete and PIN locks.
+function ProfileSelectPage({
+  profiles,
+  activeProfileId,
+  profileLimit,
+  loading,
+  onSelect,
+  onUnlock,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onSetPin,
+  onRemovePin,
+}) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [managing, setManaging] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [unlocking, setUnlocking] = useState(null);
+  const [pinEntry, setPinEntry] = useState('');
+  const [leaving, setLeaving] = useState(null);
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  const returnTo = location.state?.from && location.state.from !== '/profiles' ? location.state.from : '/';
+  // Once any profile has a PIN, profile changes need the account password so a PIN cannot be sidestepped.
+  const anyLocked = profiles.some((profile) => profile.locked);
+  // A kids profile may edit itself, but managing or deleting any profile needs the password too.
+  const onKidsProfile = Boolean(profiles.find((profile) => profile.id === activeProfileId)?.kids);
+  const kidsRestricted = onKidsProfile && (draft?.id !== activeProfileId || !draft?.kids);
+  const needsPassword = anyLocked || kidsRestricted || Boolean(draft?.pin) || Boolean(draft?.removePin);
+
+  // Leaving a kids profile asks for the account password, then retries the same switch with it.
+  const switchTo = async (profile, { pin = '', password = '' } = {}) => {
+    setBusy(true);
+    setStatus('');
+    try {
+      if (pin) {
+        await onUnlock(profile.id, pin, password);
+      } else {
+        await onSelect(profile.id, { password });
+      }
+      navigate(returnTo, { replace: true });
+    } catch (apiError) {
+      if (apiError.passwordRequired) {
+        setUnlocking(null);
+        setLeaving({ profile, pin, password: '' });
+        return;
+      }
+      setStatus(apiError.message);
+      if (pin && !leaving) {
+        setPinEntry('');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onChoose = (profile) => {
+    setStatus('');
+    setLeaving(null);
+    if (managing) {
+      setDraft({ ...profile, pin: '', removePin: false, password: '' });
+      return;
+    }
+    if (profile.locked) {
+      setUnlocking(profile);
+      setPinEntry('');
+      return;
+    }
+    void switchTo(profile);
+  };
+
+  const onUnlockSubmit = async (event) => {
+    event.preventDefault();
+    if (!/^\d{4}$/.test(pinEntry)) {
+      setStatus('Enter the 4-digit PIN.');
+      return;
+    }
+    await switchTo(unlocking, { pin: pinEntry });
+  };
+
+  const onLeaveSubmit = async (event) => {
+    event.preventDefault();
+    if (!leaving.password) {
+      setStatus('Enter your account password.');
+      return;
+    }
+    await switchTo(leaving.profile, { pin: leaving.pin, password: leaving.password });
+  };
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    if (!draft?.name?.trim()) {
+      setStatus('Profile name is required.');
+      return;
+    }
+    if (draft.pin && !/^\d{4}$/.test(draft.pin)) {
+      setStatus('PIN must be exactly 4 digits.');
+      return;
+    }
+    if (needsPassword && !draft.password) {
+      setStatus('Enter your account password to change profiles.');
+      return;
+    }
+
+    setBusy(true);
+    setStatus('');
+    const payload = {
+      name: draft.name.trim(),
+      kids: Boolean(draft.kids),
+      maturityLevel: draft.maturityLevel,
+      language: draft.language,
+      password: draft.password,
+    };
+    try {
+      const saved = draft.id ? await onUpdate(draft.id, payload) : await onCreate(payload);
+      if (draft.pin) {
+        await onSetPin(saved.id, draft.pin, draft.password);
+      } else if (draft.removePin) {
+        await onRemovePin(saved.id, draft.password);
+      }
+      setDraft(null);
+    } catch (apiError) {
+      setStatus(apiError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onRemove = async () => {
+    setBusy(true);
+    setStatus('');
+    try {
+      await onDelete(draft.id, draft.password);
+      setDraft(null);
+    } catch (apiError) {
+      setStatus(apiError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen flex-col items-center justify-center bg-black px-4 py-10 text-white">
+      <h2 className="text-3xl font-semibold md:text-5xl">{managing ? 'Manage Profiles' : "Who's watching?"}</h2>
+      {loading && profiles.length === 0 && <p className="mt-6 text-sm text-neutral-400">Loading profiles...</p>}
+      <div className="mt-10 flex flex-wrap justify-center gap-6">
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            type="button"
+            onClick={() => onChoose(profile)}
+            className="group flex w-28 flex-col items-center gap-3 text-neutral-400 hover:text-white md:w-36"
+          >
+            <img
+              src={profile.avatar || DEFAULT_NETFLIX_PROFILE_URL}
+              alt=""
+              className={`h-28 w-28 rounded object-cover group-hover:ring-4 group-hover:ring-white md:h-36 md:w-36 ${managing ? 'opacity-60' : ''}`}
+            />
+            <span className="text-sm md:text-base">
+              {profile.name}
+              {profile.kids && <span className="ml-1 text-xs text-red-400">Kids</span>}
+              {profile.locked && <span className="ml-1 text-xs text-neutral-500">PIN</span>}
+            </span>
+          </button>
+        ))}
+        {profiles.length < profileLimit && !loading && (
+          <button
+            type="button"
+            onClick={() => {
+              setUnlocking(null);
+              setLeaving(null);
+              setStatus('');
+              setDraft({ name: '', kids: false, maturityLevel: '18+', language: 'english', pin: '', removePin: false, password: '' });
+            }}
+            className="flex w-28 flex-col items-center gap-3 text-neutral-400 hover:text-white md:w-36"
+          >
+            <span className="flex h-28 w-28 items-center justify-center rounded border-2 border-neutral-600 text-5xl md:h-36 md:w-36">+</span>
+            <span className="text-sm md:text-base">Add Profile</span>
+          </button>
+        )}
+      </div>
+      <p className="mt-4 text-xs text-neutral-500">
+        Your plan allows {profileLimit} profile{profileLimit === 1 ? '' : 's'}.
+      </p>
+
+      {unlocking && !managing && (
+        <form onSubmit={onUnlockSubmit} className="mt-8 w-full max-w-xs space-y-3 rounded border border-neutral-800 bg-neutral-900 p-6 text-center">
+          <h3 className="text-lg font-semibold">Enter the PIN for {unlocking.name}</h3>
+          <input
+            value={pinEntry}
+            onChange={(event) => setPinEntry(event.target.value.replace(/\D/g, '').slice(0, 4))}
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            autoFocus
+            placeholder="4-digit PIN"
+            className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-center text-lg tracking-[0.5em]"
+          />
+          {status && <p className="text-sm text-red-400">{status}</p>}
+          <div className="flex justify-center gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="rounded bg-white px-4 py-2 text-sm font-semibold text-black disabled:opacity-60"
+            >
+              {busy ? 'Checking...' : 'Unlock'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setUnlocking(null);
+                setStatus('');
+              }}
+              className="rounded border border-neutral-600 px-4 py-2 text-sm hover:border-white"
+            >
+              Cancel
+            </button>
+          </div>
+          <p className="text-xs text-neutral-500">Forgot the PIN? Choose Manage Profiles and reset it with your account password.</p>
+        </form>
+      )}
+
+      {leaving && !managing && (
+        <form onSubmit={onLeaveSubmit} className="mt-8 w-full max-w-xs space-y-3 rounded border border-neutral-800 bg-neutral-900 p-6 text-center">
+          <h3 className="text-lg font-semibold">Switch to {leaving.profile.name}?</h3>
+          <p className="text-xs text-neutral-400">This device is on a kids profile. Enter the account password to switch.</p>
+          <input
+            value={leaving.password}
+            onChange={(event) => setLeaving((current) => ({ ...current, password: event.target.value }))}
+            type="password"
+            autoComplete="current-password"
+            autoFocus
+            placeholder="Account password"
+            className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+          />
+          {status && <p className="text-sm text-red-400">{status}</p>}
+          <div className="flex justify-center gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="rounded bg-white px-4 py-2 text-sm font-semibold text-black disabled:opacity-60"
+            >
+              {busy ? 'Checking...' : 'Switch'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setLeaving(null);
+                setStatus('');
+              }}
+              className="rounded border border-neutral-600 px-4 py-2 text-sm hover:border-white"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {draft && (
+        <form onSubmit={onSubmit} className="mt-8 w-full max-w-md space-y-3 rounded border border-neutral-800 bg-neutral-900 p-6">
+          <h3 className="text-lg font-semibold">{draft.id ? 'Edit Profile' : 'Add Profile'}</h3>
+          <input
+            value={draft.name}
+            onChange={(event) => setDraft((current) => ({ ...current, name: event.target.value }))}
+            placeholder="Name"
+            maxLength={40}
+            className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+          />
+          <label className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-2">
+            <span className="text-sm">Kids profile</span>
+            <input
+              type="checkbox"
+              checked={Boolean(draft.kids)}
+              onChange={(event) => setDraft((current) => ({ ...current, kids: event.target.checked }))}
+              className="h-4 w-4 accent-red-600"
+            />
+          </label>
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              value={draft.kids ? '7+' : draft.maturityLevel}
+              disabled={Boolean(draft.kids)}
+              onChange={(event) => setDraft((current) => ({ ...current, maturityLevel: event.target.value }))}
+              className="rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm disabled:opacity-60"
+            >
+              {['7+', '13+', '16+', '18+'].map((level) => (
+                <option key={level} value={level}>
+                  Maturity {level}
+                </option>
+              ))}
+            </select>
+            <select
+              value={draft.language}
+              onChange={(event) => setDraft((current) => ({ ...current, language: event.target.value }))}
+              className="rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+            >
+              <option value="english">English</option>
+              <option value="hindi">Hindi</option>
+              <option value="spanish">Spanish</option>
+              <option value="french">French</option>
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              value={draft.pin}
+              onChange={(event) => setDraft((current) => ({
+                ...current,
+                pin: event.target.value.replace(/\D/g, '').slice(0, 4),
+                removePin: false,
+              }))}
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              placeholder={draft.locked ? 'New PIN' : 'Set a 4-digit PIN'}
+              className="rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+            />
+            {draft.locked && (
+              <label className="flex items-center gap-2 text-sm text-neutral-300">
+                <input
+                  type="checkbox"
+                  checked={Boolean(draft.removePin)}
+                  onChange={(event) => setDraft((current) => ({ ...current, removePin: event.target.checked, pin: '' }))}
+                  className="h-4 w-4 accent-red-600"
+                />
+                Remove PIN
+              </label>
+            )}
+          </div>
+          {(needsPassword || onKidsProfile) && (
+            <input
+              value={draft.password}
+              onChange={(event) => setDraft((current) => ({ ...current, password: event.target.value }))}
+              type="password"
+              autoComplete="current-password"
+              placeholder="Account password"
+              className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+            />
+          )}
+          {status && <p className="text-sm text-red-400">{status}</p>}
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="rounded bg-white px-4 py-2 text-sm font-semibold text-black disabled:opacity-60"
+            >
+              {busy ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="rounded border border-neutral-600 px-4 py-2 text-sm hover:border-white"
+            >
+              Cancel
+            </button>
+            {draft.id && !draft.isDefault && (
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => void onRemove()}
+                className="rounded border border-red-600 px-4 py-2 text-sm text-red-300 hover:bg-red-900/30 disabled:opacity-60"
+              >
+                Delete Profile
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      <button
+        type="button"
+        onClick={() => {
+          setManaging((current) => !current);
+          setDraft(null);
+          setUnlocking(null);
+          setLeaving(null);
+          setStatus('');
+        }}
+        className="mt-10 border border-neutral-500 px-6 py-2 text-sm uppercase tracking-widest text-neutral-400 hover:border-white hover:text-white"
+      >
+        {managing ? 'Done' : 'Manage Profiles'}
+      </button>
+    </div>
+  );
+}
+
 // ProfilePage: account summary screen showing profile and subscription stats.
 function ProfilePage({ user, onLogout, myListCount, historyCount, activeProfileName, downloadCount }) {
   return (
@@ -1649,7 +2432,7 @@ function HelpPage() {
   );
 }
 
-function WatchPlayerPage({ allMovies, onPlaybackProgress, onMarkPlayed }) {
+function WatchPlayerPage({ allMovies, onResolveTitle, onPlaybackProgress, onMarkPlayed }) {
   const { contentId } = useParams();
   const navigate = useNavigate();
   const item = useMemo(
@@ -1659,6 +2442,13 @@ function WatchPlayerPage({ allMovies, onPlaybackProgress, onMarkPlayed }) {
   const [progress, setProgress] = useState(8);
   const [autoNext, setAutoNext] = useState(true);
 
+  // Direct links can point at a title that is not in a loaded catalog page.
+  useEffect(() => {
+    if (!item && contentId) {
+      void onResolveTitle(contentId);
+    }
+  }, [contentId, item, onResolveTitle]);
+
   useEffect(() => {
     if (item) {
       onMarkPlayed(item);
@@ -1767,20 +2557,18 @@ function FeatureLabPage({
   activeProfileId,
   onSwitchProfile,
   onAddProfile,
-  kidsPin,
-  setKidsPin,
   downloads,
   onToggleDownload,
   reviews,
   onSaveReview,
   onShareList,
 }) {
+  const navigate = useNavigate();
   const [profileName, setProfileName] = useState('');
+  const [profileStatus, setProfileStatus] = useState('');
   const [reviewMovieId, setReviewMovieId] = useState(() => String(allMovies[0]?.id || ''));
   const [reviewText, setReviewText] = useState('');
   const [reviewRating, setReviewRating] = useState(5);
-  const [pinInput, setPinInput] = useState('');
-  const [pinStatus, setPinStatus] = useState('');
   const [shareMessage, setShareMessage] = useState('');
 
   const currentProfile = profiles.find((entry) => entry.id === activeProfileId) || profiles[0];
@@ -1801,7 +2589,7 @@ function FeatureLabPage({
                 <button
                   key={entry.id}
                   type="button"
-                  onClick={() => onSwitchProfile(entry.id)}
+                  onClick={() => (entry.locked ? navigate('/profiles') : onSwitchProfile(entry.id).catch(() => navigate('/profiles')))}
                   className={`rounded px-3 py-2 text-sm ${entry.id === currentProfile?.id ? 'bg-white text-black' : 'bg-neutral-800'}`}
                 >
                   {entry.name} {entry.kids ? '(Kids)' : ''}
@@ -1814,38 +2602,35 @@ function FeatureLabPage({
                 type="button"
                 onClick={() => {
                   if (!profileName.trim()) return;
-                  onAddProfile(profileName.trim(), false);
-                  setProfileName('');
+                  setProfileStatus('');
+                  onAddProfile(profileName.trim(), false)
+                    .then(() => setProfileName(''))
+                    .catch((apiError) => setProfileStatus(apiError.message));
                 }}
                 className="rounded bg-red-600 px-3 py-2 text-sm font-semibold"
               >
                 Add Profile
               </button>
             </div>
+            {profileStatus && <p className="mt-2 text-sm text-red-400">{profileStatus}</p>}
           </div>
 
           <div className="rounded border border-neutral-800 bg-neutral-900 p-4">
-            <h3 className="text-lg font-semibold">Kids PIN Lock</h3>
-            <p className="mt-1 text-sm text-neutral-300">Current PIN: {kidsPin ? 'Set' : 'Not set'}</p>
-            <div className="mt-3 flex gap-2">
-              <input value={pinInput} onChange={(event) => setPinInput(event.target.value)} placeholder="4-digit PIN" className="rounded bg-black px-3 py-2 text-sm" />
-              <button
-                type="button"
-                onClick={() => {
-                  if (/^\d{4}$/.test(pinInput)) {
-                    setKidsPin(pinInput);
-                    setPinStatus('PIN updated');
-                    setPinInput('');
-                  } else {
-                    setPinStatus('Enter exactly 4 digits');
-                  }
-                }}
-                className="rounded bg-red-600 px-3 py-2 text-sm font-semibold"
-              >
-                Save PIN
-              </button>
-            </div>
-            {pinStatus && <p className="mt-2 text-xs text-neutral-300">{pinStatus}</p>}
+            <h3 className="text-lg font-semibold">Profile PIN Locks</h3>
+            <ul className="mt-3 space-y-1 text-sm text-neutral-300">
+              {profiles.map((entry) => (
+                <li key={entry.id}>
+                  {entry.name}: {entry.locked ? 'Locked with a PIN' : 'No PIN'}
+                </li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              onClick={() => navigate('/profiles')}
+              className="mt-3 rounded bg-red-600 px-3 py-2 text-sm font-semibold"
+            >
+              Manage PINs
+            </button>
           </div>
         </section>
 
@@ -1985,6 +2770,8 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
   const [loadingUsers, setLoadingUsers] = useState(true);
   const [errorUsers, setErrorUsers] = useState('');
   const [actionState, setActionState] = useState({});
+  const [openSessionsFor, setOpenSessionsFor] = useState('');
+  const [userSessions, setUserSessions] = useState([]);
 
   const movieCount = movies.filter((item) => item.type === 'movie').length;
   const showCount = movies.filter((item) => item.type === 'series').length;
@@ -1997,7 +2784,7 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
     setLoadingUsers(true);
     setErrorUsers('');
     try {
-      const data = await fetchUsers({ actorId: user.id, search });
+      const data = await fetchUsers({ search });
       setUsers(data);
     } catch (apiError) {
       setErrorUsers(apiError.message);
@@ -2023,7 +2810,6 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
     setRowAction(targetUser.id, { busy: true, message: '' });
     try {
       const updated = await updateUserSubscription({
-        actorId: user.id,
         userId: targetUser.id,
         plan,
         status: targetUser.subscription?.status || 'active',
@@ -2040,7 +2826,6 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
     setRowAction(targetUser.id, { busy: true, message: '' });
     try {
       const updated = await updateUserSubscription({
-        actorId: user.id,
         userId: targetUser.id,
         plan: targetUser.subscription?.plan || 'basic',
         status,
@@ -2057,7 +2842,6 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
     setRowAction(targetUser.id, { busy: true, message: '' });
     try {
       const updated = await updateUserRole({
-        actorId: user.id,
         userId: targetUser.id,
         role,
       });
@@ -2073,7 +2857,6 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
     setRowAction(targetUser.id, { busy: true, message: '' });
     try {
       await removeUser({
-        actorId: user.id,
         userId: targetUser.id,
       });
       setUsers((current) => current.filter((entry) => entry.id !== targetUser.id));
@@ -2082,6 +2865,53 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
     }
   };
 
+  // Clear a sign-in lockout so the user can try again immediately.
+  const onUnlockUser = async (targetUser) => {
+    setRowAction(targetUser.id, { busy: true, message: '' });
+    try {
+      const updated = await unlockUser({ userId: targetUser.id });
+      setUsers((current) => current.map((entry) => (entry.id === updated.id ? updated : entry)));
+      setRowAction(targetUser.id, { busy: false, message: 'Account unlocked.' });
+    } catch (apiError) {
+      setRowAction(targetUser.id, { busy: false, message: apiError.message });
+    }
+  };
+
+  // Toggle the signed-in devices list for a user and load it on open.
+  const onToggleSessions = async (targetUser) => {
+    if (openSessionsFor === targetUser.id) {
+      setOpenSessionsFor('');
+      return;
+    }
+    setOpenSessionsFor(targetUser.id);
+    setUserSessions([]);
+    setRowAction(targetUser.id, { busy: true, message: '' });
+    try {
+      const rows = await fetchUserSessions({ userId: targetUser.id });
+      setUserSessions(rows);
+      setRowAction(targetUser.id, { busy: false, message: `${rows.length} active session(s).` });
+    } catch (apiError) {
+      setRowAction(targetUser.id, { busy: false, message: apiError.message });
+    }
+  };
+
+  // Sign a user out of one device, or every device when no session id is given.
+  const onRevokeSessions = async (targetUser, sessionId = '') => {
+    setRowAction(targetUser.id, { busy: true, message: '' });
+    try {
+      if (sessionId) {
+        await revokeUserSession({ userId: targetUser.id, sessionId });
+        setUserSessions((current) => current.filter((session) => session.id !== sessionId));
+      } else {
+        await revokeAllUserSessions({ userId: targetUser.id });
+        setUserSessions([]);
+      }
+      setRowAction(targetUser.id, { busy: false, message: sessionId ? 'Session revoked.' : 'All sessions revoked.' });
+    } catch (apiError) {
+      setRowAction(targetUser.id, { busy: false, message: apiError.message });
+    }
+  };
+
   return (
     <div className="min-h-screen bg-black px-4 py-10 text-white">
       <div className="glass-panel mx-auto mt-16 w-full max-w-6xl rounded-lg border border-neutral-800 bg-neutral-900 p-8">
@@ -2146,70 +2976,133 @@ function UserManagementPanel({ user, title, subtitle, movies, myList, canManageR
                   {users.map((entry) => {
                     const rowState = actionState[entry.id] || {};
                     return (
-                      <tr key={entry.id} className="border-b border-neutral-800 align-top">
-                        <td className="px-3 py-3">
-                          <p className="font-semibold text-white">{entry.name}</p>
-                          <p className="text-neutral-400">{entry.email}</p>
-                        </td>
-                        <td className="px-3 py-3">
-                          {canManageRoles ? (
+                      <Fragment key={entry.id}>
+                        <tr className="border-b border-neutral-800 align-top">
+                          <td className="px-3 py-3">
+                            <p className="font-semibold text-white">{entry.name}</p>
+                            <p className="text-neutral-400">{entry.email}</p>
+                            {entry.lockedUntil && (
+                              <p className="text-xs text-yellow-300">
+                                Locked until {new Date(entry.lockedUntil).toLocaleString()}
+                              </p>
+                            )}
+                          </td>
+                          <td className="px-3 py-3">
+                            {canManageRoles ? (
+                              <select
+                                value={entry.role}
+                                disabled={Boolean(rowState.busy)}
+                                onChange={(event) => void onRoleChange(entry, event.target.value)}
+                                className="rounded border border-neutral-700 bg-black px-2 py-1 text-white"
+                              >
+                                <option value="user">user</option>
+                                <option value="admin">admin</option>
+                                <option value="superadmin">superadmin</option>
+                              </select>
+                            ) : (
+                              <span className="capitalize">{entry.role}</span>
+                            )}
+                          </td>
+                          <td className="px-3 py-3">
                             <select
-                              value={entry.role}
+                              value={entry.subscription?.plan || 'basic'}
                               disabled={Boolean(rowState.busy)}
-                              onChange={(event) => void onRoleChange(entry, event.target.value)}
+                              onChange={(event) => void onPlanChange(entry, event.target.value)}
                               className="rounded border border-neutral-700 bg-black px-2 py-1 text-white"
                             >
-                              <option value="user">user</option>
-                              <option value="admin">admin</option>
-                              <option value="superadmin">superadmin</option>
+                              <option value="mobile">mobile</option>
+                              <option value="basic">basic</option>
+                              <option value="standard">standard</option>
+                              <option value="premium">premium</option>
                             </select>
-                          ) : (
-                            <span className="capitalize">{entry.role}</span>
-                          )}
-                        </td>
-                        <td className="px-3 py-3">
-                          <select
-                            value={entry.subscription?.plan || 'basic'}
-                            disabled={Boolean(rowState.busy)}
-                            onChange={(event) => void onPlanChange(entry, event.target.value)}
-                            className="rounded border border-neutral-700 bg-black px-2 py-1 text-white"
-                          >
-                            <option value="mobile">mobile</option>
-                            <option value="basic">basic</option>
-                            <option value="standard">standard</option>
-                            <option value="premium">premium</option>
-                          </select>
-                        </td>
-                        <td className="px-3 py-3">
-                          <select
-                            value={entry.subscription?.status || 'active'}
-                            disabled={Boolean(rowState.busy)}
-                            onChange={(event) => void onStatusChange(entry, event.target.value)}
-                            className="rounded border border-neutral-700 bg-black px-2 py-1 text-white"
-                          >
-                            <option value="active">active</option>
-                            <option value="paused">paused</option>
-                            <option value="cancelled">cancelled</option>
-                          </select>
-                        </td>
-                        <td className="px-3 py-3">
-                          {canDeleteUsers ? (
-                            <button
-                              type="button"
+                          </td>
+                          <td className="px-3 py-3">
+                            <select
+                              value={entry.subscription?.status || 'active'}
                               disabled={Boolean(rowState.busy)}
-                              onClick={() => void onDeleteUser(entry)}
-                              className="rounded border border-red-600 px-3 py-1 text-red-300 hover:bg-red-900/30 disabled:opacity-50"
+                              onChange={(event) => void onStatusChange(entry, event.target.value)}
+                              className="rounded border border-neutral-700 bg-black px-2 py-1 text-white"
                             >
-                              Delete
-                            </button>
-                          ) : (
-                            <span className="text-neutral-500">-</span>
-                          )}
-                        </td>
-                        <td className="px-3 py-3 text-xs text-neutral-300">
-                          {rowState.busy ? 'Saving...' : rowState.message || ''}
-                        </td>
-                      </tr>
+                              <option value="active">active</option>
+                              <option value="paused">paused</option>
+                              <option value="cancelled">cancelled</option>
+                            </select>
+                          </td>
+                          <td className="px-3 py-3">
+                            <div className="flex gap-2">
+                              <button
+                                type="button"
+                                disabled={Boolean(rowState.busy)}
+                                onClick={() => void onToggleSessions(entry)}
+                                className="rounded border border-neutral-600 px-3 py-1 text-neutral-200 hover:border-white disabled:opacity-50"
+                              >
+                                {openSessionsFor === entry.id ? 'Hide sessions' : 'Sessions'}
+                              </button>
+                              {entry.lockedUntil && (
+                                <button
+                                  type="button"
+                                  disabled={Boolean(rowState.busy)}
+                                  onClick={() => void onUnlockUser(entry)}
+                                  className="rounded border border-yellow-600 px-3 py-1 text-yellow-200 hover:bg-yellow-900/30 disabled:opacity-50"
+                                >
+                                  Unlock
+                                </button>
+                              )}
+                              {canDeleteUsers && (
+                                <button
+                                  type="button"
+                                  disabled={Boolean(rowState.busy)}
+                                  onClick={() => void onDeleteUser(entry)}
+                                  className="rounded border border-red-600 px-3 py-1 text-red-300 hover:bg-red-900/30 disabled:opacity-50"
+                                >
+                                  Delete
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                          <td className="px-3 py-3 text-xs text-neutral-300">
+                            {rowState.busy ? 'Saving...' : rowState.message || ''}
+                          </td>
+                        </tr>
+                        {openSessionsFor === entry.id && (
+                          <tr className="border-b border-neutral-800 bg-black/40">
+                            <td className="px-3 py-3" colSpan={6}>
+                              {!userSessions.length && <p className="text-xs text-neutral-400">No active sessions.</p>}
+                              <ul className="space-y-2">
+                                {userSessions.map((session) => (
+                                  <li key={session.id} className="flex items-center justify-between text-xs">
+                                    <span>
+                                      <span className="font-semibold text-white">{session.label}</span>
+                                      <span className="ml-2 text-neutral-400">
+                                        {session.ipAddress || 'Unknown IP'} · last active{' '}
+                                        {session.lastUsedAt ? new Date(session.lastUsedAt).toLocaleString() : 'unknown'}
+                                      </span>
+                                    </span>
+                                    <button
+                                      type="button"
+                                      disabled={Boolean(rowState.busy)}
+                                      onClick={() => void onRevokeSessions(entry, session.id)}
+                                      className="rounded border border-red-600 px-2 py-0.5 text-red-300 hover:bg-red-900/30 disabled:opacity-50"
+                                    >
+                                      Revoke
+                                    </button>
+                                  </li>
+                                ))}
+                              </ul>
+                              {userSessions.length > 0 && (
+                                <button
+                                  type="button"
+                                  disabled={Boolean(rowState.busy)}
+                                  onClick={() => void onRevokeSessions(entry)}
+                                  className="mt-3 rounded border border-red-600 px-3 py-1 text-xs text-red-300 hover:bg-red-900/30 disabled:opacity-50"
+                                >
+                                  Revoke all sessions
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
                     );
                   })}
                   {!users.length && (
@@ -2242,7 +3135,175 @@ function AdminPage({ user, movies, myList }) {
         canManageRoles={false}
         canDeleteUsers={false}
       />
-      <AdminSuiteShowcase user={user} canManageRoles={false} canDeleteUsers={false} />
+      <AdminSuiteShowcase
+        user={user}
+        canManageRoles={false}
+        canDeleteUsers={false}
+        onImpersonate={(session) => {
+          beginImpersonation(session, user);
+          switchAccountView(session.user, '/');
+        }}
+      />
+    </div>
+  );
+}
+
+// AdminInvitesPanel: super admin form and list for single-use admin invitations.
+function AdminInvitesPanel() {
+  const [invites, setInvites] = useState([]);
+  const [form, setForm] = useState({ email: '', role: 'admin', adminScope: 'content_manager' });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadInvites = useCallback(async () => {
+    setLoading(true);
+    try {
+      setInvites(await fetchAdminInvites());
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    void loadInvites();
+  }, [loadInvites]);
+
+  // Send a new invitation; any pending invite for the same email is replaced.
+  const onSendInvite = async (event) => {
+    event.preventDefault();
+    setMessage('');
+    setError('');
+    if (!form.email.trim()) {
+      setError('Enter an email to invite.');
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await createAdminInvite({
+        email: form.email.trim(),
+        role: form.role,
+        adminScope: form.role === 'superadmin' ? 'full_access' : form.adminScope,
+      });
+      setForm((current) => ({ ...current, email: '' }));
+      setMessage(result.message);
+      await loadInvites();
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onRevokeInvite = async (invite) => {
+    setMessage('');
+    setError('');
+    try {
+      const updated = await revokeAdminInvite({ inviteId: invite.id });
+      setInvites((current) => current.map((entry) => (entry.id === updated.id ? updated : entry)));
+      setMessage(`Invitation for ${invite.email} revoked.`);
+    } catch (apiError) {
+      setError(apiError.message);
+    }
+  };
+
+  return (
+    <div className="mx-auto w-full max-w-6xl px-4">
+      <section className="rounded-md border border-neutral-700 bg-neutral-950 p-4 text-white">
+        <h3 className="text-xl font-semibold">Admin Invitations</h3>
+        <form onSubmit={onSendInvite} className="mt-4 flex flex-col gap-2 md:flex-row">
+          <input
+            type="email"
+            value={form.email}
+            onChange={(event) => setForm((current) => ({ ...current, email: event.target.value }))}
+            placeholder="Invitee email"
+            className="flex-1 rounded border border-neutral-700 bg-black px-3 py-2 text-sm"
+          />
+          <select
+            value={form.role}
+            onChange={(event) => setForm((current) => ({ ...current, role: event.target.value }))}
+            className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm"
+          >
+            <option value="admin">admin</option>
+            <option value="superadmin">superadmin</option>
+          </select>
+          <select
+            value={form.role === 'superadmin' ? 'full_access' : form.adminScope}
+            disabled={form.role === 'superadmin'}
+            onChange={(event) => setForm((current) => ({ ...current, adminScope: event.target.value }))}
+            className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm disabled:opacity-60"
+          >
+            <option value="content_manager">content manager</option>
+            <option value="analytics_viewer">analytics viewer</option>
+            <option value="support">support</option>
+            <option value="full_access">full access</option>
+          </select>
+          <button
+            type="submit"
+            disabled={busy}
+            className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-60"
+          >
+            {busy ? 'Sending...' : 'Send invite'}
+          </button>
+        </form>
+        {message && <p className="mt-2 text-sm text-green-400">{message}</p>}
+        {error && <p className="mt-2 text-sm text-red-300">{error}</p>}
+
+        {loading ? (
+          <p className="mt-4 text-sm text-neutral-300">Loading invitations...</p>
+        ) : (
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full min-w-[720px] text-left text-sm">
+              <thead className="border-b border-neutral-700 text-neutral-300">
+                <tr>
+                  <th className="px-3 py-2">Email</th>
+                  <th className="px-3 py-2">Role</th>
+                  <th className="px-3 py-2">Status</th>
+                  <th className="px-3 py-2">Expires</th>
+                  <th className="px-3 py-2">Invited by</th>
+                  <th className="px-3 py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invites.map((invite) => (
+                  <tr key={invite.id} className="border-b border-neutral-800">
+                    <td className="px-3 py-2">{invite.email}</td>
+                    <td className="px-3 py-2">
+                      {invite.role} <span className="text-neutral-400">({invite.adminScope.replace(/_/g, ' ')})</span>
+                    </td>
+                    <td className="px-3 py-2 capitalize">{invite.status}</td>
+                    <td className="px-3 py-2 text-neutral-400">{new Date(invite.expiresAt).toLocaleString()}</td>
+                    <td className="px-3 py-2 text-neutral-400">{invite.invitedBy?.name || '-'}</td>
+                    <td className="px-3 py-2">
+                      {invite.status === 'pending' ? (
+                        <button
+                          type="button"
+                          onClick={() => void onRevokeInvite(invite)}
+                          className="rounded border border-red-600 px-3 py-1 text-red-300 hover:bg-red-900/30"
+                        >
+                          Revoke
+                        </button>
+                      ) : (
+                        <span className="text-neutral-500">-</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {!invites.length && (
+                  <tr>
+                    <td className="px-3 py-4 text-neutral-400" colSpan={6}>
+                      No invitations yet.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
     </div>
   );
 }
@@ -2260,16 +3321,30 @@ function SuperAdminPage({ user, movies, myList }) {
         canManageRoles
         canDeleteUsers
       />
-      <AdminSuiteShowcase user={user} canManageRoles canDeleteUsers />
+      <AdminInvitesPanel />
+      <AdminSuiteShowcase
+        user={user}
+        canManageRoles
+        canDeleteUsers
+        onImpersonate={(session) => {
+          beginImpersonation(session, user);
+          switchAccountView(session.user, '/');
+        }}
+      />
     </div>
   );
 }
 
 // ProtectedRoute: blocks guests and redirects them to login.
-function ProtectedRoute({ user, children }) {
+function ProtectedRoute({ user, profileId, children }) {
+  const location = useLocation();
   if (!user) {
     return <Navigate to="/login" replace />;
   }
+  // Browsing routes pass the active profile id; an empty one means nobody has picked a profile yet.
+  if (profileId === '') {
+    return <Navigate to="/profiles" replace state={{ from: location.pathname }} />;
+  }
   return children;
 }
 
@@ -2288,32 +3363,35 @@ function RoleRoute({ user, minimumRole, children }) {
 function App() {
   // Global app data and UI state.
   const [movies, setMovies] = useState([]);
+  const [moviesCursor, setMoviesCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Titles fetched by id because they are in My List or history but not in a loaded page yet.
+  const [extraTitles, setExtraTitles] = useState([]);
+  const requestedTitleIdsRef = useRef(new Set());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [user, setUser] = useState(() => normalizeUser(readStorage(USER_KEY, null)));
-  const [myList, setMyList] = useState(() => readStorage(LIST_KEY, []));
+  const [myListEntries, setMyListEntries] = useState([]);
   const [settings, setSettings] = useState(() => ({
     ...DEFAULT_SETTINGS,
     ...readStorage(SETTINGS_KEY, DEFAULT_SETTINGS),
   }));
   const [searchQuery, setSearchQuery] = useState('');
-  const [watchProgress, setWatchProgress] = useState(() => readStorage(WATCH_PROGRESS_KEY, {}));
-  const [watchHistory, setWatchHistory] = useState(() => readStorage(WATCH_HISTORY_KEY, []));
-  const [profiles, setProfiles] = useState(() => {
-    const saved = readStorage(PROFILES_KEY, []);
-    if (Array.isArray(saved) && saved.length) {
-      return saved;
-    }
-    return [{ id: 'profile-main', name: 'Main', kids: false }];
-  });
-  const [activeProfileId, setActiveProfileId] = useState(() => readStorage(ACTIVE_PROFILE_KEY, 'profile-main'));
+  const [watchProgress, setWatchProgress] = useState({});
+  const [watchHistory, setWatchHistory] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [profileLimit, setProfileLimit] = useState(1);
+  const [profilesLoading, setProfilesLoading] = useState(false);
+  const [activeProfileId, setActiveProfileId] = useState(() => getActiveProfileId());
+  const watchProgressRef = useRef(watchProgress);
   const [downloads, setDownloads] = useState(() => readStorage(DOWNLOADS_KEY, []));
   const [reviews, setReviews] = useState(() => readStorage(REVIEWS_KEY, {}));
-  const [kidsPin, setKidsPin] = useState(() => readStorage(KIDS_PIN_KEY, ''));
 
-  // Load movie catalog from backend when app starts.
+  // Load the first catalog page on start and again when the viewer changes, since it is filtered by maturity.
   useEffect(() => {
     let mounted = true;
+    setExtraTitles([]);
+    requestedTitleIdsRef.current = new Set();
 
     async function loadMovies(isInitial = false) {
       if (isInitial) {
@@ -2321,11 +3399,12 @@ function App() {
       }
       setError('');
       try {
-        const data = await fetchMovies({ limit: 500 });
+        const page = await fetchMovies({ limit: CATALOG_PAGE_SIZE });
         if (!mounted) {
           return;
         }
-        setMovies(data);
+        setMovies(page.items);
+        setMoviesCursor(page.nextCursor);
       } catch {
         if (!mounted) {
           return;
@@ -2342,45 +3421,176 @@ function App() {
     return () => {
       mounted = false;
     };
+  }, [user?.id, activeProfileId]);
+
+  const loadMoreMovies = useCallback(async () => {
+    if (!moviesCursor || loadingMore) {
+      return;
+    }
+    setLoadingMore(true);
+    try {
+      const page = await fetchMovies({ limit: CATALOG_PAGE_SIZE, cursor: moviesCursor });
+      setMovies((current) => {
+        if (page.restarted) {
+          return page.items;
+        }
+        const known = new Set(current.map((movie) => String(movie.id)));
+        return [...current, ...page.items.filter((movie) => !known.has(String(movie.id)))];
+      });
+      setMoviesCursor(page.nextCursor);
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loadingMore, moviesCursor]);
+
+  const rememberTitles = useCallback((items) => {
+    setExtraTitles((current) => {
+      const known = new Set(current.map((movie) => String(movie.id)));
+      const added = items.filter((movie) => movie?.id && !known.has(String(movie.id)));
+      return added.length ? [...current, ...added] : current;
+    });
   }, []);
 
+  const resolveTitle = useCallback(async (movieId) => {
+    const key = String(movieId);
+    if (requestedTitleIdsRef.current.has(key)) {
+      return;
+    }
+    requestedTitleIdsRef.current.add(key);
+    const movie = await fetchMovieById(key);
+    if (movie) {
+      // A saved tmdb-* id can come back as the imported library title; keep it findable under the saved id.
+      rememberTitles([String(movie.id) === key ? movie : { ...movie, id: key }]);
+    }
+  }, [rememberTitles]);
+
+  // Loaded pages plus individually resolved titles; lookups by id go through this.
+  const catalog = useMemo(() => {
+    const known = new Set(movies.map((movie) => String(movie.id)));
+    return [...movies, ...extraTitles.filter((movie) => !known.has(String(movie.id)))];
+  }, [extraTitles, movies]);
+
   // Persist user session in localStorage.
   useEffect(() => {
     writeStorage(USER_KEY, user);
   }, [user]);
 
-  // Persist My List in localStorage.
-  useEffect(() => {
-    writeStorage(LIST_KEY, myList);
-  }, [myList]);
-
   // Persist settings in localStorage.
   useEffect(() => {
     writeStorage(SETTINGS_KEY, settings);
   }, [settings]);
 
   useEffect(() => {
-    writeStorage(WATCH_PROGRESS_KEY, watchProgress);
+    watchProgressRef.current = watchProgress;
   }, [watchProgress]);
 
+  // Choosing a profile is recorded on the server, which keeps a kids session on its kids profile.
+  const selectProfile = useCallback(async (profileId, { profileToken = '', password = '' } = {}) => {
+    if (profileId) {
+      await selectViewerProfile(profileId, { profileToken, password });
+    }
+    rememberActiveProfile(profileId, profileToken);
+    setActiveProfileId(profileId);
+  }, []);
+
+  const onUnlockProfile = useCallback(async (profileId, pin, password = '') => {
+    const result = await unlockProfile(profileId, pin);
+    await selectProfile(profileId, { profileToken: result?.profileToken || '', password });
+  }, [selectProfile]);
+
+  // Load viewer profiles for the signed-in account and drop a remembered profile that no longer exists.
   useEffect(() => {
-    writeStorage(WATCH_HISTORY_KEY, watchHistory);
-  }, [watchHistory]);
-  useEffect(() => {
-    writeStorage(PROFILES_KEY, profiles);
-  }, [profiles]);
+    if (!user?.id) {
+      setProfiles([]);
+      selectProfile('');
+      return undefined;
+    }
+
+    let active = true;
+    setProfilesLoading(true);
+    fetchProfiles()
+      .then((result) => {
+        if (!active) {
+          return;
+        }
+        setProfiles(result.profiles);
+        setProfileLimit(result.limit);
+        if (!result.profiles.some((profile) => profile.id === getActiveProfileId())) {
+          selectProfile('');
+        }
+      })
+      .catch(() => {})
+      .finally(() => {
+        if (active) {
+          setProfilesLoading(false);
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, [user?.id, selectProfile]);
+
+  // My List, watch progress and history belong to the active profile.
   useEffect(() => {
-    writeStorage(ACTIVE_PROFILE_KEY, activeProfileId);
-  }, [activeProfileId]);
+    setMyListEntries([]);
+    setWatchProgress({});
+    setWatchHistory([]);
+    if (!user?.id || !activeProfileId) {
+      return undefined;
+    }
+
+    let active = true;
+    Promise.all([fetchMyList(), fetchWatchProgress(), fetchWatchHistory()])
+      .then(([listRows, progressRows, historyRows]) => {
+        if (!active) {
+          return;
+        }
+        setMyListEntries(listRows);
+        setWatchProgress(Object.fromEntries(
+          progressRows.filter((row) => row.movieId).map((row) => [row.movieId, row.progressPercent])
+        ));
+        setWatchHistory([...new Set(historyRows.map((row) => row.movieId).filter(Boolean))].slice(0, 50));
+      })
+      .catch((apiError) => {
+        // An expired or revoked unlock sends the viewer back to the profile picker.
+        if (active && apiError.profileLocked) {
+          selectProfile('');
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, [user?.id, activeProfileId, selectProfile]);
   useEffect(() => {
     writeStorage(DOWNLOADS_KEY, downloads);
   }, [downloads]);
   useEffect(() => {
     writeStorage(REVIEWS_KEY, reviews);
   }, [reviews]);
+  // My List and history can point past the loaded pages, so those titles are fetched one by one.
   useEffect(() => {
-    writeStorage(KIDS_PIN_KEY, kidsPin);
-  }, [kidsPin]);
+    if (loading) {
+      return;
+    }
+    const known = new Set(catalog.map((movie) => String(movie.id)));
+    [
+      ...myListEntries.map((entry) => entry.movieId),
+      ...watchHistory,
+      ...Object.keys(watchProgress),
+    ]
+      .map(String)
+      .filter((movieId) => !known.has(movieId))
+      .forEach((movieId) => {
+        void resolveTitle(movieId);
+      });
+  }, [catalog, loading, myListEntries, resolveTitle, watchHistory, watchProgress]);
+
+  // PINs used to be kept in plain text on the device; they now live on the server as hashes.
+  useEffect(() => {
+    localStorage.removeItem(LEGACY_KIDS_PIN_KEY);
+  }, []);
 
   // Apply selected theme as CSS classes on the document root.
   useEffect(() => {
@@ -2390,53 +3600,107 @@ function App() {
     root.style.colorScheme = settings.theme === 'light' ? 'light' : 'dark';
   }, [settings.theme]);
 
-  // Add/remove a title from My List using immutable state updates.
+  // Resolve saved My List ids against the catalog so rails get full title data.
+  const myList = useMemo(
+    () => myListEntries
+      .map((entry) => catalog.find((movie) => String(movie.id) === String(entry.movieId)))
+      .filter(Boolean),
+    [catalog, myListEntries]
+  );
+
+  // Add/remove a title from My List optimistically, then sync it to the active profile.
   const onToggleList = useCallback((item) => {
     if (!item) {
       return;
     }
 
-    setMyList((current) => {
-      const exists = current.some((entry) => entry.id === item.id);
-      if (exists) {
-        return current.filter((entry) => entry.id !== item.id);
-      }
-      return [...current, item];
+    const movieId = String(item.id);
+    const exists = myListEntries.some((entry) => String(entry.movieId) === movieId);
+    setMyListEntries((current) => (
+      exists
+        ? current.filter((entry) => String(entry.movieId) !== movieId)
+        : [...current, { movieId, title: item.title || '' }]
+    ));
+
+    const request = exists ? removeFromMyList(movieId) : addToMyList(movieId, item.title || '');
+    request.catch(() => {
+      fetchMyList().then(setMyListEntries).catch(() => {});
     });
-  }, []);
+  }, [myListEntries]);
 
   const onPlayItem = useCallback((item) => {
     if (!item?.id) {
       return;
     }
     const itemId = String(item.id);
+    const nextValue = Math.min(95, Number(watchProgressRef.current[itemId] || 0) + 15);
+    rememberTitles([item]);
 
-    setWatchProgress((current) => {
-      const previous = Number(current[itemId] || 0);
-      const nextValue = Math.min(95, previous + 15);
-      return { ...current, [itemId]: nextValue };
-    });
-
+    setWatchProgress((current) => ({ ...current, [itemId]: nextValue }));
     setWatchHistory((current) => {
       const deduped = current.filter((id) => String(id) !== itemId);
       return [itemId, ...deduped].slice(0, 50);
     });
-  }, []);
+    saveWatchProgress(itemId, { title: item.title || '', progressPercent: nextValue }).catch(() => {});
+  }, [rememberTitles]);
 
   const onPlaybackProgress = useCallback((item, percent) => {
     if (!item?.id) {
       return;
     }
     const itemId = String(item.id);
-    setWatchProgress((current) => ({ ...current, [itemId]: Math.max(0, Math.min(100, Number(percent) || 0)) }));
+    const nextValue = Math.max(0, Math.min(100, Number(percent) || 0));
+    setWatchProgress((current) => ({ ...current, [itemId]: nextValue }));
+    // The player ticks every couple of seconds, so only every 10% is written to the server.
+    if (nextValue % 10 === 0) {
+      saveWatchProgress(itemId, { title: item.title || '', progressPercent: nextValue }).catch(() => {});
+    }
   }, []);
 
-  const onAddProfile = useCallback((name, kids = false) => {
-    const id = `profile-${Date.now()}`;
-    setProfiles((current) => [...current, { id, name, kids }].slice(0, 8));
-    setActiveProfileId(id);
+  const onCreateProfile = useCallback(async (payload) => {
+    const profile = await createProfile(payload);
+    setProfiles((current) => [...current, profile]);
+    return profile;
+  }, []);
+
+  const onAddProfile = useCallback(async (name, kids = false) => {
+    const profile = await onCreateProfile({ name, kids });
+    await selectProfile(profile.id);
+  }, [onCreateProfile, selectProfile]);
+
+  const onUpdateViewerProfile = useCallback(async (profileId, payload) => {
+    const profile = await updateViewerProfile(profileId, payload);
+    setProfiles((current) => current.map((entry) => (entry.id === profileId ? profile : entry)));
+    return profile;
   }, []);
 
+  const onDeleteProfile = useCallback(async (profileId, password) => {
+    await deleteProfile(profileId, password);
+    setProfiles((current) => current.filter((entry) => entry.id !== profileId));
+    if (profileId === activeProfileId) {
+      selectProfile('');
+    }
+  }, [activeProfileId, selectProfile]);
+
+  // Changing a PIN invalidates earlier unlocks, so the active profile is unlocked again with the new one.
+  const onSetProfilePin = useCallback(async (profileId, pin, password) => {
+    const profile = await setProfilePin(profileId, pin, password);
+    setProfiles((current) => current.map((entry) => (entry.id === profileId ? profile : entry)));
+    if (profileId === activeProfileId) {
+      await onUnlockProfile(profileId, pin);
+    }
+    return profile;
+  }, [activeProfileId, onUnlockProfile]);
+
+  const onRemoveProfilePin = useCallback(async (profileId, password) => {
+    const profile = await removeProfilePin(profileId, password);
+    setProfiles((current) => current.map((entry) => (entry.id === profileId ? profile : entry)));
+    if (profileId === activeProfileId) {
+      await selectProfile(profileId);
+    }
+    return profile;
+  }, [activeProfileId, selectProfile]);
+
   const onToggleDownload = useCallback((item) => {
     if (!item?.id) {
       return;
@@ -2465,12 +3729,12 @@ function App() {
   const sections = useMemo(() => groupByCategory(movies), [movies]);
   const topTenSection = useMemo(() => buildTopTenSection(movies), [movies]);
   const continueWatchingSection = useMemo(
-    () => buildContinueWatchingSection(movies, watchProgress),
-    [movies, watchProgress]
+    () => buildContinueWatchingSection(catalog, watchProgress),
+    [catalog, watchProgress]
   );
   const historySection = useMemo(
-    () => buildHistorySection(movies, watchHistory),
-    [movies, watchHistory]
+    () => buildHistorySection(catalog, watchHistory),
+    [catalog, watchHistory]
   );
   const recommendationSection = useMemo(
     () => buildRecommendationSection(movies, myList, watchHistory),
@@ -2493,7 +3757,7 @@ function App() {
 
   // Shared props passed to multiple route pages to avoid repetition.
   const sharedProps = {
-    allMovies: movies,
+    allMovies: catalog,
     loading,
     error,
     myList,
@@ -2504,45 +3768,50 @@ function App() {
     query: searchQuery,
     setQuery: setSearchQuery,
   };
+  const pagingProps = {
+    hasMore: Boolean(moviesCursor),
+    loadingMore,
+    onLoadMore: loadMoreMovies,
+  };
 
   return (
     <Routes>
       <Route
         path="/"
         element={
-          <ProtectedRoute user={user}>
-            <HomePage view="home" sections={homeSections} {...sharedProps} />
+          <ProtectedRoute user={user} profileId={activeProfileId}>
+            <HomePage view="home" sections={homeSections} {...sharedProps} {...pagingProps} />
           </ProtectedRoute>
         }
       />
       <Route
         path="/movies"
         element={
-          <ProtectedRoute user={user}>
-            <HomePage view="movies" sections={homeSections} {...sharedProps} />
+          <ProtectedRoute user={user} profileId={activeProfileId}>
+            <HomePage view="movies" sections={homeSections} {...sharedProps} {...pagingProps} />
           </ProtectedRoute>
         }
       />
       <Route
         path="/tv-shows"
         element={
-          <ProtectedRoute user={user}>
-            <HomePage view="shows" sections={homeSections} {...sharedProps} />
+          <ProtectedRoute user={user} profileId={activeProfileId}>
+            <HomePage view="shows" sections={homeSections} {...sharedProps} {...pagingProps} />
           </ProtectedRoute>
         }
       />
       <Route
         path="/new-popular"
         element={
-          <ProtectedRoute user={user}>
-            <HomePage view="new" sections={homeSections} {...sharedProps} />
+          <ProtectedRoute user={user} profileId={activeProfileId}>
+            <HomePage view="new" sections={homeSections} {...sharedProps} {...pagingProps} />
           </ProtectedRoute>
         }
       />
       <Route
         path="/my-list"
         element={
-          <ProtectedRoute user={user}>
+          <ProtectedRoute user={user} profileId={activeProfileId}>
             <HomePage view="home" sections={myListSection} {...sharedProps} />
           </ProtectedRoute>
         }
@@ -2550,7 +3819,7 @@ function App() {
       <Route
         path="/search"
         element={
-          <ProtectedRoute user={user}>
+          <ProtectedRoute user={user} profileId={activeProfileId}>
             <SearchPage {...sharedProps} />
           </ProtectedRoute>
         }
@@ -2558,7 +3827,7 @@ function App() {
       <Route
         path="/watch/:contentId"
         element={
-          <ProtectedRoute user={user}>
+          <ProtectedRoute user={user} profileId={activeProfileId}>
             <AppPageLayout
               user={user}
               onLogout={() => setUser(null)}
@@ -2566,7 +3835,8 @@ function App() {
               setQuery={setSearchQuery}
             >
               <WatchPlayerPage
-                allMovies={movies}
+                allMovies={catalog}
+                onResolveTitle={resolveTitle}
                 onPlaybackProgress={onPlaybackProgress}
                 onMarkPlayed={onPlayItem}
               />
@@ -2574,7 +3844,66 @@ function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/profiles"
+        element={
+          <ProtectedRoute user={user}>
+            <ProfileSelectPage
+              profiles={profiles}
+              activeProfileId={activeProfileId}
+              profileLimit={profileLimit}
+              loading={profilesLoading}
+              onSelect={selectProfile}
+              onUnlock={onUnlockProfile}
+              onCreate={onCreateProfile}
+              onUpdate={onUpdateViewerProfile}
+              onDelete={onDeleteProfile}
+              onSetPin={onSetProfilePin}
+              onRemovePin={onRemoveProfilePin}
+            />
+          </ProtectedRoute>
+        }
+      />
       <Route path="/login" element={<LoginPage user={user} onLogin={(nextUser) => setUser(normalizeUser(nextUser))} movies={movies} />} />
+      <Route
+        path="/verify-email"
+        element={<VerifyEmail user={user} onUserUpdate={(nextUser) => setUser(normalizeUser(nextUser))} />}
+      />
+      <Route
+        path="/confirm-email-change"
+        element={
+          <EmailChange
+            mode="confirm"
+            user={user}
+            onUserUpdate={(nextUser) => setUser(normalizeUser(nextUser))}
+            onSignedOut={() => setUser(null)}
+          />
+        }
+      />
+      <Route
+        path="/revert-email-change"
+        element={
+          <EmailChange
+            mode="revert"
+            user={user}
+            onUserUpdate={(nextUser) => setUser(normalizeUser(nextUser))}
+            onSignedOut={() => setUser(null)}
+          />
+        }
+      />
+      <Route
+        path="/magic-link"
+        element={<MagicLinkSignIn onLogin={(nextUser) => setUser(normalizeUser(nextUser))} />}
+      />
+      <Route
+        path="/auth/callback"
+        element={<IdentityProviderCallback onLogin={(nextUser) => setUser(normalizeUser(nextUser))} />}
+      />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route
+        path="/accept-invite"
+        element={<AcceptInvite user={user} onUserUpdate={(nextUser) => setUser(normalizeUser(nextUser))} />}
+      />
       <Route
         path="/profile"
         element={
@@ -2600,7 +3929,7 @@ function App() {
       <Route
         path="/watch-history"
         element={
-          <ProtectedRoute user={user}>
+          <ProtectedRoute user={user} profileId={activeProfileId}>
             <AppPageLayout
               user={user}
               onLogout={() => setUser(null)}
@@ -2608,7 +3937,7 @@ function App() {
               setQuery={setSearchQuery}
             >
               <WatchHistoryPage
-                allMovies={movies}
+                allMovies={catalog}
                 watchHistory={watchHistory}
                 myList={myList}
                 onToggleList={onToggleList}
@@ -2621,7 +3950,7 @@ function App() {
       <Route
         path="/experience"
         element={
-          <ProtectedRoute user={user}>
+          <ProtectedRoute user={user} profileId={activeProfileId}>
             <AppPageLayout
               user={user}
               onLogout={() => setUser(null)}
@@ -2642,7 +3971,7 @@ function App() {
       <Route
         path="/feature-lab"
         element={
-          <ProtectedRoute user={user}>
+          <ProtectedRoute user={user} profileId={activeProfileId}>
             <AppPageLayout
               user={user}
               onLogout={() => setUser(null)}
@@ -2654,10 +3983,8 @@ function App() {
                 myList={myList}
                 profiles={profiles}
                 activeProfileId={activeProfileId}
-                onSwitchProfile={setActiveProfileId}
+                onSwitchProfile={selectProfile}
                 onAddProfile={onAddProfile}
-                kidsPin={kidsPin}
-                setKidsPin={setKidsPin}
                 downloads={downloads}
                 onToggleDownload={onToggleDownload}
                 reviews={reviews}
@@ -2700,6 +4027,8 @@ function App() {
                 onUserUpdate={(nextUser) => setUser(normalizeUser(nextUser))}
                 onUpdateProfile={updateProfile}
                 onUpdatePassword={updatePassword}
+                getLocalData={() => ({ reviews, downloads, settings })}
+                onSignedOut={() => setUser(null)}
               />
             </AppPageLayout>
           </ProtectedRoute>
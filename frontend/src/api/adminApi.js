@@ -1,5 +1,6 @@
 // File purpose: Application logic for this Netflix Clone module.
 import axios from 'axios';
+import { applyAuthInterceptors } from './authApi';
 
 const DEFAULT_API_URL = 'http://localhost:5000';
 
@@ -16,14 +17,16 @@ const client = axios.create({
   },
 });
 
+applyAuthInterceptors(client);
+
 function getErrorMessage(error, fallback) {
   return error?.response?.data?.message || error?.message || fallback;
 }
 
-export async function fetchUsers({ actorId, search = '' }) {
+export async function fetchUsers({ search = '' }) {
   try {
     const response = await client.get('/admin/users', {
-      params: { actorId, search },
+      params: { search },
     });
     return response.data?.data || [];
   } catch (error) {
@@ -31,10 +34,9 @@ export async function fetchUsers({ actorId, search = '' }) {
   }
 }
 
-export async function updateUserSubscription({ actorId, userId, plan, status }) {
+export async function updateUserSubscription({ userId, plan, status }) {
   try {
     const response = await client.put(`/admin/users/${userId}/subscription`, {
-      actorId,
       plan,
       status,
     });
@@ -44,10 +46,9 @@ export async function updateUserSubscription({ actorId, userId, plan, status })
   }
 }
 
-export async function updateUserRole({ actorId, userId, role }) {
+export async function updateUserRole({ userId, role }) {
   try {
     const response = await client.put(`/admin/users/${userId}/role`, {
-      actorId,
       role,
     });
     return response.data?.data;
@@ -56,43 +57,37 @@ export async function updateUserRole({ actorId, userId, role }) {
   }
 }
 
-export async function removeUser({ actorId, userId }) {
+export async function removeUser({ userId }) {
   try {
-    await client.delete(`/admin/users/${userId}`, {
-      data: { actorId },
-    });
+    await client.delete(`/admin/users/${userId}`);
     return true;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to delete user'));
   }
 }
 
-export async function getDashboardMetrics({ actorId }) {
+export async function getDashboardMetrics() {
   try {
-    const response = await client.get('/admin/dashboard/metrics', {
-      params: { actorId },
-    });
+    const response = await client.get('/admin/dashboard/metrics');
     return response.data?.data || {};
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to load dashboard metrics'));
   }
 }
 
-export async function getRealtimeMonitoring({ actorId }) {
+export async function getRealtimeMonitoring() {
   try {
-    const response = await client.get('/admin/dashboard/realtime', {
-      params: { actorId },
-    });
+    const response = await client.get('/admin/dashboard/realtime');
     return response.data?.data || {};
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to load realtime monitoring'));
   }
 }
 
-export async function listAdminContent({ actorId, search = '', type = '' }) {
+export async function listAdminContent({ search = '', type = '' }) {
   try {
     const response = await client.get('/admin/content', {
-      params: { actorId, search, type },
+      params: { search, type },
     });
     return response.data?.data || [];
   } catch (error) {
@@ -100,22 +95,18 @@ export async function listAdminContent({ actorId, search = '', type = '' }) {
   }
 }
 
-export async function createAdminContent({ actorId, payload }) {
+export async function createAdminContent({ payload }) {
   try {
-    const response = await client.post('/admin/content', {
-      actorId,
-      ...(payload || {}),
-    });
+    const response = await client.post('/admin/content', payload || {});
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to create content'));
   }
 }
 
-export async function bulkUploadAdminContent({ actorId, csvText }) {
+export async function bulkUploadAdminContent({ csvText }) {
   try {
     const response = await client.post('/admin/content/bulk-upload', {
-      actorId,
       csvText,
     });
     return response.data?.data || [];
@@ -124,22 +115,18 @@ export async function bulkUploadAdminContent({ actorId, csvText }) {
   }
 }
 
-export async function updateAdminVideoAssets({ actorId, contentId, payload }) {
+export async function updateAdminVideoAssets({ contentId, payload }) {
   try {
-    const response = await client.put(`/admin/content/${contentId}/video-assets`, {
-      actorId,
-      ...(payload || {}),
-    });
+    const response = await client.put(`/admin/content/${contentId}/video-assets`, payload || {});
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to update video assets'));
   }
 }
 
-export async function addSeasonToContent({ actorId, contentId, seasonNumber, title }) {
+export async function addSeasonToContent({ contentId, seasonNumber, title }) {
   try {
     const response = await client.post(`/admin/content/${contentId}/seasons`, {
-      actorId,
       seasonNumber,
       title,
     });
@@ -149,34 +136,27 @@ export async function addSeasonToContent({ actorId, contentId, seasonNumber, tit
   }
 }
 
-export async function addEpisodeToSeason({ actorId, contentId, seasonNumber, payload }) {
+export async function addEpisodeToSeason({ contentId, seasonNumber, payload }) {
   try {
-    const response = await client.post(`/admin/content/${contentId}/seasons/${seasonNumber}/episodes`, {
-      actorId,
-      ...(payload || {}),
-    });
+    const response = await client.post(`/admin/content/${contentId}/seasons/${seasonNumber}/episodes`, payload || {});
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to add episode'));
   }
 }
 
-export async function updateContentOrganization({ actorId, contentId, payload }) {
+export async function updateContentOrganization({ contentId, payload }) {
   try {
-    const response = await client.put(`/admin/content/${contentId}/organization`, {
-      actorId,
-      ...(payload || {}),
-    });
+    const response = await client.put(`/admin/content/${contentId}/organization`, payload || {});
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to update content organization'));
   }
 }
 
-export async function setUserSuspension({ actorId, userId, isSuspended }) {
+export async function setUserSuspension({ userId, isSuspended }) {
   try {
     const response = await client.put(`/admin/users/${userId}/suspension`, {
-      actorId,
       isSuspended,
     });
     return response.data?.data;
@@ -185,115 +165,214 @@ export async function setUserSuspension({ actorId, userId, isSuspended }) {
   }
 }
 
-export async function resetManagedUserPassword({ actorId, userId }) {
+export async function resetManagedUserPassword({ userId }) {
   try {
-    const response = await client.post(`/admin/users/${userId}/reset-password`, {
-      actorId,
-    });
+    const response = await client.post(`/admin/users/${userId}/reset-password`);
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to reset password'));
   }
 }
 
-export async function terminateManagedUser({ actorId, userId }) {
+export async function terminateManagedUser({ userId }) {
   try {
-    const response = await client.post(`/admin/users/${userId}/terminate`, {
-      actorId,
-    });
+    const response = await client.post(`/admin/users/${userId}/terminate`);
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to terminate account'));
   }
 }
 
-export async function getSubscriptionPlans({ actorId }) {
+export async function getSubscriptionPlans() {
   try {
-    const response = await client.get('/admin/billing/plans', {
-      params: { actorId },
-    });
+    const response = await client.get('/admin/billing/plans');
     return response.data?.data || [];
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to load plans'));
   }
 }
 
-export async function saveSubscriptionPlan({ actorId, payload }) {
+export async function saveSubscriptionPlan({ payload }) {
   try {
-    const response = await client.post('/admin/billing/plans', {
-      actorId,
-      ...(payload || {}),
-    });
+    const response = await client.post('/admin/billing/plans', payload || {});
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to save plan'));
   }
 }
 
-export async function getPromotions({ actorId }) {
+export async function getPromotions() {
   try {
-    const response = await client.get('/admin/billing/promotions', {
-      params: { actorId },
-    });
+    const response = await client.get('/admin/billing/promotions');
     return response.data?.data || [];
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to load promotions'));
   }
 }
 
-export async function savePromotion({ actorId, payload }) {
+export async function savePromotion({ payload }) {
   try {
-    const response = await client.post('/admin/billing/promotions', {
-      actorId,
-      ...(payload || {}),
-    });
+    const response = await client.post('/admin/billing/promotions', payload || {});
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to save promotion'));
   }
 }
 
-export async function generateInvoice({ actorId, payload }) {
+export async function generateInvoice({ payload }) {
   try {
-    const response = await client.post('/admin/billing/invoices', {
-      actorId,
-      ...(payload || {}),
-    });
+    const response = await client.post('/admin/billing/invoices', payload || {});
     return response.data?.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to generate invoice'));
   }
 }
 
-export async function getFailedPayments({ actorId }) {
+export async function getFailedPayments() {
   try {
-    const response = await client.get('/admin/billing/failed-payments', {
-      params: { actorId },
-    });
+    const response = await client.get('/admin/billing/failed-payments');
     return response.data?.data || [];
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to load failed payments'));
   }
 }
 
-export async function getContentPerformance({ actorId }) {
+export async function getContentPerformance() {
   try {
-    const response = await client.get('/admin/analytics/content-performance', {
-      params: { actorId },
-    });
+    const response = await client.get('/admin/analytics/content-performance');
     return response.data?.data || [];
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to load content performance'));
   }
 }
 
-export async function getUserEngagement({ actorId }) {
+export async function getUserEngagement() {
   try {
-    const response = await client.get('/admin/analytics/user-engagement', {
-      params: { actorId },
-    });
+    const response = await client.get('/admin/analytics/user-engagement');
     return response.data?.data || {};
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to load user engagement'));
   }
 }
+
+export async function fetchUserSessions({ userId }) {
+  try {
+    const response = await client.get(`/admin/users/${userId}/sessions`);
+    return response.data?.data || [];
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load sessions'));
+  }
+}
+
+export async function revokeUserSession({ userId, sessionId }) {
+  try {
+    const response = await client.delete(`/admin/users/${userId}/sessions/${sessionId}`);
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to revoke session'));
+  }
+}
+
+export async function revokeAllUserSessions({ userId }) {
+  try {
+    const response = await client.delete(`/admin/users/${userId}/sessions`);
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to revoke sessions'));
+  }
+}
+
+export async function unlockUser({ userId }) {
+  try {
+    const response = await client.post(`/admin/users/${userId}/unlock`);
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to unlock account'));
+  }
+}
+
+export async function startImpersonation({ userId, reason, minutes }) {
+  try {
+    const response = await client.post(`/admin/users/${userId}/impersonate`, { reason, minutes });
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to start impersonation'));
+  }
+}
+
+export async function fetchAdminInvites() {
+  try {
+    const response = await client.get('/admin/invites');
+    return response.data?.data || [];
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load invitations'));
+  }
+}
+
+export async function createAdminInvite({ email, role, adminScope }) {
+  try {
+    const response = await client.post('/admin/invites', { email, role, adminScope });
+    return { invite: response.data?.data, message: response.data?.message || '' };
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to send invitation'));
+  }
+}
+
+export async function revokeAdminInvite({ inviteId }) {
+  try {
+    const response = await client.delete(`/admin/invites/${inviteId}`);
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to revoke invitation'));
+  }
+}
+
+export async function fetchAuditLog({ actor = '', targetType = '', targetId = '', from = '', to = '', page = 1, limit = 50 } = {}) {
+  try {
+    const response = await client.get('/admin/audit', {
+      params: { actor, targetType, targetId, from, to, page, limit },
+    });
+    return { rows: response.data?.data || [], total: response.data?.total || 0, page: response.data?.page || page, limit: response.data?.limit || limit };
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load audit log'));
+  }
+}
+
+export async function exportAuditLogCsv({ actor = '', targetType = '', targetId = '', from = '', to = '' } = {}) {
+  try {
+    const response = await client.get('/admin/audit', {
+      params: { actor, targetType, targetId, from, to, format: 'csv' },
+      responseType: 'blob',
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to export audit log'));
+  }
+}
+
+export async function fetchTmdbImports() {
+  try {
+    const response = await client.get('/admin/tmdb-imports');
+    return { runs: response.data?.data || [], lists: response.data?.lists || [], running: Boolean(response.data?.running) };
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load TMDB imports'));
+  }
+}
+
+export async function fetchTmdbImport({ runId }) {
+  try {
+    const response = await client.get(`/admin/tmdb-imports/${runId}`);
+    return response.data?.data || null;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load import report'));
+  }
+}
+
+export async function startTmdbImport({ lists = [], ids = '', refreshExisting = false, maxTitles }) {
+  try {
+    const response = await client.post('/admin/tmdb-imports', { lists, ids, refreshExisting, maxTitles });
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to start TMDB import'));
+  }
+}
@@ -3,6 +3,13 @@ import axios from 'axios';
 const DEFAULT_API_URL = 'http://localhost:5000';
 const ACCESS_TOKEN_KEY = 'netflix_access_token';
 const REFRESH_TOKEN_KEY = 'netflix_refresh_token';
+const IMPERSONATION_KEY = 'netflix_impersonation';
+// Proves the provider callback lands in the same browser tab that started the sign-in.
+const OIDC_BINDING_KEY = 'netflix_oidc_binding';
+const CSRF_COOKIE = 'nf_csrf';
+// 'cookie' keeps the refresh token in an HttpOnly cookie and the access token in memory only.
+const SESSION_MODE = process.env.REACT_APP_SESSION_MODE === 'cookie' ? 'cookie' : 'bearer';
+const MUTATING_METHODS = new Set(['post', 'put', 'patch', 'delete']);
 
 function getBaseUrl() {
   const envUrl = process.env.REACT_APP_API_URL;
@@ -18,19 +25,42 @@ const client = axios.create({
   },
 });
 
+let memoryAccessToken = '';
+let lastCsrfToken = '';
+
 function getErrorMessage(error, fallback) {
   return error?.response?.data?.message || error?.message || fallback;
 }
 
+export function isCookieSessionMode() {
+  return SESSION_MODE === 'cookie';
+}
+
 export function getAccessToken() {
-  return localStorage.getItem(ACCESS_TOKEN_KEY) || '';
+  const impersonationToken = getImpersonation()?.accessToken;
+  if (impersonationToken) {
+    return impersonationToken;
+  }
+  return isCookieSessionMode() ? memoryAccessToken : localStorage.getItem(ACCESS_TOKEN_KEY) || '';
 }
 
 export function getRefreshToken() {
-  return localStorage.getItem(REFRESH_TOKEN_KEY) || '';
+  return isCookieSessionMode() ? '' : localStorage.getItem(REFRESH_TOKEN_KEY) || '';
+}
+
+function getCsrfToken() {
+  const match = document.cookie.split('; ').find((part) => part.startsWith(`${CSRF_COOKIE}=`));
+  return match ? decodeURIComponent(match.slice(CSRF_COOKIE.length + 1)) : lastCsrfToken;
 }
 
-export function setAuthSession({ accessToken = '', refreshToken = '' }) {
+export function setAuthSession({ accessToken = '', refreshToken = '', csrfToken = '' }) {
+  if (csrfToken) {
+    lastCsrfToken = csrfToken;
+  }
+  if (isCookieSessionMode()) {
+    memoryAccessToken = accessToken || memoryAccessToken;
+    return;
+  }
   if (accessToken) {
     localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
   }
@@ -40,13 +70,60 @@ export function setAuthSession({ accessToken = '', refreshToken = '' }) {
 }
 
 export function clearAuthSession() {
+  memoryAccessToken = '';
+  lastCsrfToken = '';
   localStorage.removeItem(ACCESS_TOKEN_KEY);
   localStorage.removeItem(REFRESH_TOKEN_KEY);
 }
 
+export function getImpersonation() {
+  try {
+    return JSON.parse(localStorage.getItem(IMPERSONATION_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+// The short-lived impersonation token takes precedence over the admin's own session,
+// which stays untouched underneath and is never refreshed while impersonating.
+export function beginImpersonation({ accessToken, expiresAt, impersonationId, user }, adminUser) {
+  localStorage.setItem(IMPERSONATION_KEY, JSON.stringify({
+    accessToken,
+    impersonationId,
+    expiresAt,
+    targetName: user?.name || '',
+    targetEmail: user?.email || '',
+    adminUser,
+  }));
+}
+
+export async function endImpersonation() {
+  const impersonation = getImpersonation();
+  try {
+    await client.post('/auth/impersonation/end');
+  } catch {
+    // The session may already have expired; the admin session is back in use either way.
+  }
+  localStorage.removeItem(IMPERSONATION_KEY);
+  return impersonation?.adminUser || null;
+}
+
 let refreshInFlight = null;
 
 async function refreshAccessToken() {
+  if (getImpersonation()) {
+    throw new Error('Impersonation session has ended.');
+  }
+  if (isCookieSessionMode()) {
+    const response = await axios.post(`${baseURL}/auth/refresh`, {}, {
+      withCredentials: true,
+      headers: { 'X-Session-Mode': 'cookie', 'X-CSRF-Token': getCsrfToken() },
+    });
+    const data = response.data?.data || {};
+    setAuthSession({ accessToken: data.accessToken, csrfToken: data.csrfToken });
+    return data.accessToken;
+  }
+
   const refreshToken = getRefreshToken();
   if (!refreshToken) {
     throw new Error('Session expired. Please sign in again.');
@@ -60,43 +137,60 @@ async function refreshAccessToken() {
   return data.accessToken;
 }
 
-client.interceptors.request.use((config) => {
-  const token = getAccessToken();
-  if (token) {
-    config.headers = config.headers || {};
-    config.headers.Authorization = `Bearer ${token}`;
+// Installs bearer/cookie session handling on an axios instance: attaches the access token,
+// the CSRF header for cookie-mode mutations, and retries once after a 401 via refresh.
+export function applyAuthInterceptors(instance) {
+  if (isCookieSessionMode()) {
+    instance.defaults.withCredentials = true;
+    instance.defaults.headers.common['X-Session-Mode'] = 'cookie';
   }
-  return config;
-});
-
-client.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    const status = error?.response?.status;
-    const original = error?.config || {};
-    const isAuthRoute = String(original.url || '').includes('/auth/');
 
-    if (status !== 401 || original._retry || isAuthRoute) {
-      return Promise.reject(error);
+  instance.interceptors.request.use((config) => {
+    const token = getAccessToken();
+    config.headers = config.headers || {};
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
     }
+    if (isCookieSessionMode() && MUTATING_METHODS.has(String(config.method || '').toLowerCase())) {
+      config.headers['X-CSRF-Token'] = getCsrfToken();
+    }
+    return config;
+  });
 
-    original._retry = true;
-    try {
-      if (!refreshInFlight) {
-        refreshInFlight = refreshAccessToken().finally(() => {
-          refreshInFlight = null;
-        });
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const status = error?.response?.status;
+      const original = error?.config || {};
+      const isAuthRoute = /\/auth\/(login|register|refresh|logout)/.test(String(original.url || ''));
+
+      if (status !== 401 || original._retry || isAuthRoute) {
+        return Promise.reject(error);
+      }
+
+      original._retry = true;
+      try {
+        if (!refreshInFlight) {
+          refreshInFlight = refreshAccessToken().finally(() => {
+            refreshInFlight = null;
+          });
+        }
+        const nextAccessToken = await refreshInFlight;
+        original.headers = original.headers || {};
+        original.headers.Authorization = `Bearer ${nextAccessToken}`;
+        return instance(original);
+      } catch (refreshError) {
+        if (!getImpersonation()) {
+          clearAuthSession();
+        }
+        return Promise.reject(refreshError);
       }
-      const nextAccessToken = await refreshInFlight;
-      original.headers = original.headers || {};
-      original.headers.Authorization = `Bearer ${nextAccessToken}`;
-      return client(original);
-    } catch (refreshError) {
-      clearAuthSession();
-      return Promise.reject(refreshError);
     }
-  }
-);
+  );
+  return instance;
+}
+
+applyAuthInterceptors(client);
 
 function mapAuthResponse(payload) {
   const data = payload?.data || {};
@@ -104,6 +198,7 @@ function mapAuthResponse(payload) {
     setAuthSession({
       accessToken: data.accessToken || '',
       refreshToken: data.refreshToken || '',
+      csrfToken: data.csrfToken || '',
     });
   }
   return {
@@ -111,7 +206,10 @@ function mapAuthResponse(payload) {
     accessToken: data.accessToken || '',
     refreshToken: data.refreshToken || '',
     expiresIn: data.expiresIn || 0,
-    emailVerificationToken: data.emailVerificationToken || '',
+    twoFactorRequired: Boolean(data.twoFactorRequired),
+    challengeToken: data.challengeToken || '',
+    recoveryCodesRemaining: data.recoveryCodesRemaining,
+    deletionCancelled: Boolean(data.deletionCancelled),
   };
 }
 
@@ -124,6 +222,63 @@ export async function loginUser(payload) {
   }
 }
 
+export async function verifyTwoFactorLogin({ challengeToken, code = '', recoveryCode = '' }) {
+  try {
+    const response = await client.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+    return mapAuthResponse(response.data);
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to verify code'));
+  }
+}
+
+export async function requestMagicLink(email) {
+  try {
+    const response = await client.post('/auth/magic-link', { email });
+    return response.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to send sign-in link'));
+  }
+}
+
+export async function consumeMagicLink(token) {
+  try {
+    const response = await client.post('/auth/magic-link/consume', { token });
+    return mapAuthResponse(response.data);
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to sign in with this link'));
+  }
+}
+
+export async function fetchIdentityProviders() {
+  try {
+    const response = await client.get('/auth/oidc/providers');
+    return Array.isArray(response.data?.data) ? response.data.data : [];
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load sign-in providers'));
+  }
+}
+
+export async function startIdentityProviderSignIn(providerId) {
+  try {
+    const response = await client.post(`/auth/oidc/${encodeURIComponent(providerId)}/start`);
+    sessionStorage.setItem(OIDC_BINDING_KEY, response.data?.data?.binding || '');
+    return response.data?.data?.authorizationUrl || '';
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to start sign-in'));
+  }
+}
+
+export async function completeIdentityProviderSignIn({ code, state }) {
+  try {
+    const binding = sessionStorage.getItem(OIDC_BINDING_KEY) || '';
+    sessionStorage.removeItem(OIDC_BINDING_KEY);
+    const response = await client.post('/auth/oidc/callback', { code, state, binding });
+    return mapAuthResponse(response.data);
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to complete sign-in'));
+  }
+}
+
 export async function registerUser(payload) {
   try {
     const response = await client.post('/auth/register', payload);
@@ -136,7 +291,9 @@ export async function registerUser(payload) {
 export async function logoutUser() {
   const refreshToken = getRefreshToken();
   try {
-    if (refreshToken) {
+    if (isCookieSessionMode()) {
+      await client.post('/auth/logout');
+    } else if (refreshToken) {
       await client.post('/auth/logout', { refreshToken });
     }
   } catch {
@@ -149,7 +306,7 @@ export async function logoutUser() {
 export async function requestEmailVerification(userId) {
   try {
     const response = await client.post('/auth/verify-email/request', { userId });
-    return response.data?.data || {};
+    return response.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to request email verification'));
   }
@@ -164,10 +321,28 @@ export async function confirmEmailVerification(token) {
   }
 }
 
+export async function confirmEmailChange(token) {
+  try {
+    const response = await client.post('/auth/email-change/confirm', { token });
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to confirm new email'));
+  }
+}
+
+export async function revertEmailChange(token) {
+  try {
+    const response = await client.post('/auth/email-change/revert', { token });
+    return response.data?.message || '';
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to revert email change'));
+  }
+}
+
 export async function requestPasswordReset(email) {
   try {
     const response = await client.post('/auth/forgot-password', { email });
-    return response.data?.data || {};
+    return response.data;
   } catch (error) {
     throw new Error(getErrorMessage(error, 'Unable to send reset link'));
   }
@@ -200,3 +375,123 @@ export async function updatePassword(payload) {
   }
 }
 
+export async function startTwoFactorEnrollment() {
+  try {
+    const response = await client.post('/auth/2fa/enroll');
+    return response.data?.data || {};
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to start two-factor setup'));
+  }
+}
+
+export async function confirmTwoFactorEnrollment(code) {
+  try {
+    const response = await client.post('/auth/2fa/confirm', { code });
+    return response.data?.data || {};
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to enable two-factor authentication'));
+  }
+}
+
+export async function disableTwoFactor(payload) {
+  try {
+    const response = await client.post('/auth/2fa/disable', payload);
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to disable two-factor authentication'));
+  }
+}
+
+export async function regenerateRecoveryCodes(code) {
+  try {
+    const response = await client.post('/auth/2fa/recovery-codes', { code });
+    return response.data?.data?.recoveryCodes || [];
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to regenerate recovery codes'));
+  }
+}
+
+export async function fetchSessions() {
+  try {
+    const response = await client.get('/auth/sessions');
+    return response.data?.data || [];
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load signed-in devices'));
+  }
+}
+
+export async function revokeSession(sessionId) {
+  try {
+    const response = await client.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to sign out device'));
+  }
+}
+
+export async function revokeOtherSessions() {
+  try {
+    const response = await client.delete('/auth/sessions');
+    return response.data?.data || {};
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to sign out other devices'));
+  }
+}
+
+export async function fetchApiTokens() {
+  try {
+    const response = await client.get('/auth/tokens');
+    return {
+      tokens: response.data?.data || [],
+      availableScopes: response.data?.availableScopes || [],
+      maxTtlDays: response.data?.maxTtlDays || 365,
+    };
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load API tokens'));
+  }
+}
+
+export async function createApiToken({ name, scopes, expiresInDays }) {
+  try {
+    const response = await client.post('/auth/tokens', { name, scopes, expiresInDays });
+    return response.data?.data || null;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to create API token'));
+  }
+}
+
+export async function revokeApiToken(tokenId) {
+  try {
+    const response = await client.delete(`/auth/tokens/${tokenId}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to revoke API token'));
+  }
+}
+
+export async function requestAccountDeletion(password) {
+  try {
+    const response = await client.post('/auth/account/delete', { password });
+    return { ...(response.data?.data || {}), message: response.data?.message || '' };
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to delete account'));
+  }
+}
+
+export async function fetchInvite(token) {
+  try {
+    const response = await client.get(`/auth/invites/${encodeURIComponent(token)}`);
+    return response.data?.data || null;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load invitation'));
+  }
+}
+
+export async function acceptInvite({ token, name = '', password = '' }) {
+  try {
+    const response = await client.post('/auth/invites/accept', { token, name, password });
+    return mapAuthResponse(response.data);
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to accept invitation'));
+  }
+}
@@ -1,5 +1,8 @@
 // File purpose: Application logic for this Netflix Clone module.
+import axios from 'axios';
 import seedMovies from '../data/seedMovies';
+import { applyAuthInterceptors } from './authApi';
+import { applyProfileHeader } from './userApi';
 
 const DEFAULT_API_URL = 'http://localhost:5000';
 
@@ -9,6 +12,9 @@ function getBaseUrl() {
   return base.endsWith('/api') ? base : `${base}/api`;
 }
 
+// Signed-in requests carry the session and active profile so the catalog respects its maturity level.
+const client = applyProfileHeader(applyAuthInterceptors(axios.create({ baseURL: getBaseUrl() })));
+
 async function handleJsonResponse(response) {
   const payload = await response.json().catch(() => ({}));
   if (!response.ok) {
@@ -18,23 +24,78 @@ async function handleJsonResponse(response) {
   return payload;
 }
 
+// Returns one catalog page; pass the previous page's nextCursor to continue with the same filters and sort.
+// `restarted` means the server switched catalog source mid-way and sent its first page instead, so the
+// caller should replace what it has rather than append.
 export async function fetchMovies(options = {}) {
   const params = new URLSearchParams();
   if (options.search) params.set('search', options.search);
   if (options.category) params.set('category', options.category);
   if (options.type) params.set('type', options.type);
   if (typeof options.featured === 'boolean') params.set('featured', String(options.featured));
+  if (options.sort) params.set('sort', options.sort);
   if (options.limit) params.set('limit', String(options.limit));
+  if (options.cursor) params.set('cursor', options.cursor);
 
-  const query = params.toString();
-  const url = `${getBaseUrl()}/movies${query ? `?${query}` : ''}`;
   try {
-    const response = await fetch(url);
-    const payload = await handleJsonResponse(response);
-    return Array.isArray(payload.data) ? payload.data : [];
+    const response = await client.get('/movies', { params });
+    const payload = response.data || {};
+    return {
+      items: Array.isArray(payload.data) ? payload.data : [],
+      nextCursor: payload.nextCursor || null,
+      restarted: Boolean(payload.cursorReset),
+    };
   } catch (error) {
+    // The seed catalog is unfiltered, so a locked profile gets nothing until it is unlocked.
+    if (error?.response?.data?.profileLocked) {
+      return { items: [], nextCursor: null, restarted: false };
+    }
+    // Only a first page can fall back to the bundled titles; a later page has nothing to continue from.
+    if (options.cursor) {
+      throw new Error(error?.response?.data?.message || 'Unable to load more titles');
+    }
     console.warn('Falling back to local seed data:', error);
-    return seedMovies;
+    return { items: seedMovies, nextCursor: null, restarted: false };
+  }
+}
+
+// Faceted search; facet counts for each dimension come back with every page.
+export async function searchCatalog(options = {}) {
+  const params = new URLSearchParams();
+  ['q', 'type', 'genre', 'language', 'year', 'rating', 'cast', 'sort', 'limit', 'cursor'].forEach((key) => {
+    if (options[key]) params.set(key, String(options[key]));
+  });
+
+  try {
+    const response = await client.get('/movies/search', { params });
+    const payload = response.data || {};
+    return {
+      items: Array.isArray(payload.data) ? payload.data : [],
+      nextCursor: payload.nextCursor || null,
+      restarted: Boolean(payload.cursorReset),
+      total: Number(payload.total) || 0,
+      facets: payload.facets || {},
+    };
+  } catch (error) {
+    throw new Error(error?.response?.data?.message || 'Unable to search titles');
+  }
+}
+
+export async function fetchSuggestions(q, limit = 8) {
+  try {
+    const response = await client.get('/movies/suggest', { params: { q, limit } });
+    return Array.isArray(response.data?.data) ? response.data.data : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function fetchMovieById(id) {
+  try {
+    const response = await client.get(`/movies/${encodeURIComponent(id)}`);
+    return response.data?.data || null;
+  } catch {
+    return null;
   }
 }
 
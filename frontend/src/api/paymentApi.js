@@ -1,5 +1,6 @@
 // File purpose: Application logic for this Netflix Clone module.
 import axios from 'axios';
+import { applyAuthInterceptors } from './authApi';
 
 const DEFAULT_API_URL = 'http://localhost:5000';
 
@@ -16,6 +17,8 @@ const client = axios.create({
   },
 });
 
+applyAuthInterceptors(client);
+
 function getErrorMessage(error, fallback) {
   return error?.response?.data?.message || error?.message || fallback;
 }
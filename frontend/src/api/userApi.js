@@ -1,7 +1,9 @@
 import axios from 'axios';
-import { getAccessToken } from './authApi';
+import { applyAuthInterceptors } from './authApi';
 
 const DEFAULT_API_URL = 'http://localhost:5000';
+const ACTIVE_PROFILE_KEY = 'netflix_active_profile';
+const PROFILE_TOKEN_KEY = 'netflix_profile_token';
 
 function getBaseUrl() {
   const envUrl = process.env.REACT_APP_API_URL;
@@ -16,25 +18,68 @@ const client = axios.create({
   },
 });
 
-client.interceptors.request.use((config) => {
-  const accessToken = getAccessToken();
-  if (accessToken) {
-    config.headers = config.headers || {};
-    config.headers.Authorization = `Bearer ${accessToken}`;
+applyAuthInterceptors(client);
+
+export function getActiveProfileId() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_PROFILE_KEY) || '""') || '';
+  } catch {
+    return '';
   }
-  return config;
-});
+}
+
+// The unlock token from a PIN prompt is kept only alongside the profile it was issued for.
+export function rememberActiveProfile(profileId, profileToken = '') {
+  if (profileId) {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, JSON.stringify(profileId));
+  } else {
+    localStorage.removeItem(ACTIVE_PROFILE_KEY);
+  }
+  if (profileId && profileToken) {
+    localStorage.setItem(PROFILE_TOKEN_KEY, profileToken);
+  } else {
+    localStorage.removeItem(PROFILE_TOKEN_KEY);
+  }
+}
+
+// Tells the API which viewer profile is watching, for per-profile data and maturity filtering.
+export function applyProfileHeader(instance) {
+  instance.interceptors.request.use((config) => {
+    const profileId = getActiveProfileId();
+    if (profileId) {
+      config.headers = config.headers || {};
+      config.headers['X-Profile-Id'] = profileId;
+      const profileToken = localStorage.getItem(PROFILE_TOKEN_KEY);
+      if (profileToken) {
+        config.headers['X-Profile-Token'] = profileToken;
+      }
+    }
+    return config;
+  });
+  return instance;
+}
+
+applyProfileHeader(client);
 
 function getErrorMessage(error, fallback) {
   return error?.response?.data?.message || error?.message || fallback;
 }
 
+// Per-profile reads flag a locked profile so the app can send the viewer back to the PIN prompt.
+// A session held on a kids profile is flagged the same way.
+function profileDataError(error, fallback) {
+  const wrapped = new Error(getErrorMessage(error, fallback));
+  wrapped.profileLocked = Boolean(error?.response?.data?.profileLocked || error?.response?.data?.kidsLocked);
+  wrapped.passwordRequired = Boolean(error?.response?.data?.passwordRequired);
+  return wrapped;
+}
+
 export async function fetchWatchProgress() {
   try {
     const response = await client.get('/users/me/watch-progress');
     return response.data?.data || [];
   } catch (error) {
-    throw new Error(getErrorMessage(error, 'Unable to load watch progress'));
+    throw profileDataError(error, 'Unable to load watch progress');
   }
 }
 
@@ -61,7 +106,129 @@ export async function fetchWatchHistory() {
     const response = await client.get('/users/me/watch-history');
     return response.data?.data || [];
   } catch (error) {
-    throw new Error(getErrorMessage(error, 'Unable to load watch history'));
+    throw profileDataError(error, 'Unable to load watch history');
+  }
+}
+
+export async function fetchProfiles() {
+  try {
+    const response = await client.get('/users/me/profiles');
+    return { profiles: response.data?.data || [], limit: response.data?.limit || 1 };
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to load profiles'));
+  }
+}
+
+export async function createProfile(payload) {
+  try {
+    const response = await client.post('/users/me/profiles', payload || {});
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to create profile'));
   }
 }
 
+export async function updateViewerProfile(profileId, payload) {
+  try {
+    const response = await client.patch(`/users/me/profiles/${profileId}`, payload || {});
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to update profile'));
+  }
+}
+
+export async function deleteProfile(profileId, password = '') {
+  try {
+    const response = await client.delete(`/users/me/profiles/${profileId}`, { data: { password } });
+    return response.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to delete profile'));
+  }
+}
+
+export async function unlockProfile(profileId, pin) {
+  try {
+    const response = await client.post(`/users/me/profiles/${profileId}/unlock`, { pin });
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to unlock profile'));
+  }
+}
+
+// Tells the server which profile this session is on; leaving a kids profile needs the account password.
+export async function selectViewerProfile(profileId, { password = '', profileToken = '' } = {}) {
+  try {
+    const response = await client.put('/users/me/profiles/active', { profileId, password, profileToken });
+    return response.data?.data;
+  } catch (error) {
+    throw profileDataError(error, 'Unable to switch profile');
+  }
+}
+
+export async function setProfilePin(profileId, pin, password) {
+  try {
+    const response = await client.put(`/users/me/profiles/${profileId}/pin`, { pin, password });
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to save profile PIN'));
+  }
+}
+
+export async function removeProfilePin(profileId, password) {
+  try {
+    const response = await client.delete(`/users/me/profiles/${profileId}/pin`, { data: { password } });
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to remove profile PIN'));
+  }
+}
+
+export async function fetchMyList() {
+  try {
+    const response = await client.get('/users/me/my-list');
+    return response.data?.data || [];
+  } catch (error) {
+    throw profileDataError(error, 'Unable to load My List');
+  }
+}
+
+export async function addToMyList(movieId, title = '') {
+  try {
+    const response = await client.put(`/users/me/my-list/${movieId}`, { title });
+    return response.data?.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to add to My List'));
+  }
+}
+
+export async function removeFromMyList(movieId) {
+  try {
+    const response = await client.delete(`/users/me/my-list/${movieId}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Unable to remove from My List'));
+  }
+}
+
+async function getBlobErrorMessage(error, fallback) {
+  const data = error?.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text())?.message || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+  return getErrorMessage(error, fallback);
+}
+
+export async function requestAccountExport(clientData) {
+  try {
+    const response = await client.post('/users/me/export', { clientData }, { responseType: 'blob' });
+    const disposition = String(response.headers?.['content-disposition'] || '');
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'account-export.zip';
+    return { blob: response.data, filename };
+  } catch (error) {
+    throw new Error(await getBlobErrorMessage(error, 'Unable to export account data'));
+  }
+}
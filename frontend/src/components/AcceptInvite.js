@@ -0,0 +1,112 @@
+// File purpose: Application logic for this Netflix Clone module.
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { acceptInvite, fetchInvite } from '../api/authApi';
+
+function AcceptInvite({ user, onUserUpdate }) {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(Boolean(token));
+  const [form, setForm] = useState({ name: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This invitation link is missing its token.');
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+    fetchInvite(token)
+      .then(setInvite)
+      .catch((apiError) => setError(apiError.message))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const signedInAsInvitee = Boolean(user && invite && user.email === invite.email);
+  const loginPath = `/login?next=${encodeURIComponent(`/accept-invite?token=${token}`)}`;
+
+  const onAccept = async (event) => {
+    event.preventDefault();
+    setError('');
+
+    if (!invite.accountExists && (!form.name.trim() || form.password.length < 6)) {
+      setError('Enter your name and a password of at least 6 characters.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = await acceptInvite({ token, name: form.name.trim(), password: form.password });
+      onUserUpdate(result.user);
+      navigate(result.user?.role === 'superadmin' ? '/super-admin' : '/admin', { replace: true });
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-black px-4 text-white">
+      <div className="w-full max-w-md rounded-lg border border-neutral-800 bg-neutral-900 p-8 shadow-lg">
+        <h2 className="text-2xl font-bold">Admin invitation</h2>
+        {loading && <p className="mt-4 text-sm text-neutral-300">Checking your invitation...</p>}
+        {invite && (
+          <>
+            <p className="mt-4 text-sm text-neutral-300">
+              You were invited as <span className="font-semibold text-white">{invite.role}</span> (
+              {invite.adminScope.replace(/_/g, ' ')}) for <span className="font-semibold text-white">{invite.email}</span>.
+            </p>
+            <p className="mt-1 text-xs text-neutral-500">Expires {new Date(invite.expiresAt).toLocaleString()}</p>
+
+            {invite.accountExists && !signedInAsInvitee ? (
+              <div className="mt-6 space-y-3 text-sm">
+                <p className="text-neutral-300">
+                  An account with this email already exists. Sign in as {invite.email} to accept.
+                </p>
+                <Link
+                  to={loginPath}
+                  className="inline-block rounded bg-red-600 px-4 py-2 font-semibold hover:bg-red-500"
+                >
+                  Sign in to accept
+                </Link>
+              </div>
+            ) : (
+              <form onSubmit={onAccept} className="mt-6 space-y-4">
+                {!invite.accountExists && (
+                  <>
+                    <input
+                      type="text"
+                      value={form.name}
+                      onChange={(event) => setForm((current) => ({ ...current, name: event.target.value }))}
+                      placeholder="Full name"
+                      className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+                    />
+                    <input
+                      type="password"
+                      value={form.password}
+                      onChange={(event) => setForm((current) => ({ ...current, password: event.target.value }))}
+                      placeholder="Choose a password"
+                      className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+                    />
+                  </>
+                )}
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="w-full rounded bg-red-600 py-2 font-semibold transition hover:bg-red-500 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  {submitting ? 'Accepting...' : invite.accountExists ? 'Accept and upgrade my account' : 'Create admin account'}
+                </button>
+              </form>
+            )}
+          </>
+        )}
+        {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default AcceptInvite;
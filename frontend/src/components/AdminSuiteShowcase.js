@@ -4,6 +4,10 @@ import {
   addSeasonToContent,
   bulkUploadAdminContent,
   createAdminContent,
+  exportAuditLogCsv,
+  fetchAuditLog,
+  fetchTmdbImport,
+  fetchTmdbImports,
   fetchUsers,
   generateInvoice,
   getContentPerformance,
@@ -19,6 +23,8 @@ import {
   savePromotion,
   saveSubscriptionPlan,
   setUserSuspension,
+  startImpersonation,
+  startTmdbImport,
   terminateManagedUser,
   updateAdminVideoAssets,
   updateContentOrganization,
@@ -26,7 +32,23 @@ import {
   updateUserSubscription,
 } from '../api/adminApi';
 
-const TABS = ['Dashboard', 'Content', 'Video', 'Users', 'Billing', 'Analytics'];
+const TABS = ['Dashboard', 'Content', 'Video', 'Users', 'Billing', 'Analytics', 'Audit'];
+const AUDIT_PAGE_SIZE = 25;
+const AUDIT_TARGET_TYPES = ['', 'user', 'content', 'invite', 'signing_key', 'plan', 'promotion', 'tmdb_import'];
+const IMPORT_POLL_MS = 5000;
+
+function auditQuery(filters) {
+  return {
+    ...filters,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : '',
+  };
+}
+
+function formatDiffValue(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
 
 const SHOWCASE_FEATURES = [
   'Multi-role admin scopes',
@@ -54,6 +76,8 @@ const SHOWCASE_FEATURES = [
   'Invoice generation center',
   'Failed payment tracking',
   'Content performance + engagement analytics',
+  'Admin audit trail + CSV export',
+  'Support impersonation with request trail',
 ];
 
 function StatCard({ label, value, hint }) {
@@ -81,7 +105,7 @@ function MiniBar({ label, value, max = 100 }) {
   );
 }
 
-function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
+function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers, onImpersonate }) {
   const [activeTab, setActiveTab] = useState('Dashboard');
   const [busy, setBusy] = useState(false);
   const [status, setStatus] = useState('');
@@ -105,16 +129,26 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
   const [planDraft, setPlanDraft] = useState({ id: 'ultra', name: 'Ultra', price: 899, currency: 'INR', features: '4K HDR,8 screens,Spatial Audio' });
   const [promoDraft, setPromoDraft] = useState({ code: 'FLEX50', discountPercent: 50, freeTrialDays: 14, partner: 'Campus Partner', season: 'Summer' });
   const [invoiceDraft, setInvoiceDraft] = useState({ userId: '', amount: 499, currency: 'INR', plan: 'standard', status: 'paid' });
+  const [auditFilters, setAuditFilters] = useState({ actor: '', targetType: '', targetId: '', from: '', to: '' });
+  const [auditPage, setAuditPage] = useState(1);
+  const [auditLog, setAuditLog] = useState({ rows: [], total: 0 });
+  const [impersonationReason, setImpersonationReason] = useState('');
+  const [tmdbImports, setTmdbImports] = useState({ runs: [], lists: [], running: false });
+  const [importDraft, setImportDraft] = useState({ lists: ['trending_movies'], ids: '', refreshExisting: false, maxTitles: 40 });
+  const [importReport, setImportReport] = useState(null);
 
   const actorId = user?.id;
   const isSuperAdmin = user?.role === 'superadmin';
+  const canViewAudit = isSuperAdmin || user?.adminScope === 'full_access';
+  const visibleTabs = canViewAudit ? TABS : TABS.filter((tab) => tab !== 'Audit');
+  const canImpersonate = Boolean(onImpersonate) && (isSuperAdmin || ['support', 'full_access'].includes(user?.adminScope));
 
   const loadCore = useCallback(async () => {
     if (!actorId) return;
     try {
       const [m, mon] = await Promise.all([
-        getDashboardMetrics({ actorId }),
-        getRealtimeMonitoring({ actorId }),
+        getDashboardMetrics(),
+        getRealtimeMonitoring(),
       ]);
       setMetrics(m || {});
       setMonitor(mon || {});
@@ -127,18 +161,22 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
     if (!actorId) return;
     try {
       if (tab === 'Content') {
-        const rows = await listAdminContent({ actorId, search: searchContent });
+        const [rows, imports] = await Promise.all([
+          listAdminContent({ search: searchContent }),
+          fetchTmdbImports(),
+        ]);
         setContentRows(rows);
+        setTmdbImports(imports);
       }
       if (tab === 'Users') {
-        const rows = await fetchUsers({ actorId, search: searchUsers });
+        const rows = await fetchUsers({ search: searchUsers });
         setUsers(rows);
       }
       if (tab === 'Billing') {
         const [planRows, promoRows, failedRows] = await Promise.all([
-          getSubscriptionPlans({ actorId }),
-          getPromotions({ actorId }),
-          getFailedPayments({ actorId }),
+          getSubscriptionPlans(),
+          getPromotions(),
+          getFailedPayments(),
         ]);
         setPlans(planRows);
         setPromotions(promoRows);
@@ -146,16 +184,20 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
       }
       if (tab === 'Analytics') {
         const [perf, engage] = await Promise.all([
-          getContentPerformance({ actorId }),
-          getUserEngagement({ actorId }),
+          getContentPerformance(),
+          getUserEngagement(),
         ]);
         setPerformance(perf);
         setEngagement(engage || {});
       }
+      if (tab === 'Audit') {
+        const out = await fetchAuditLog({ ...auditQuery(auditFilters), page: auditPage, limit: AUDIT_PAGE_SIZE });
+        setAuditLog(out);
+      }
     } catch {
       setStatus(`Unable to load ${tab.toLowerCase()} data.`);
     }
-  }, [actorId, searchContent, searchUsers]);
+  }, [actorId, searchContent, searchUsers, auditFilters, auditPage]);
 
   useEffect(() => {
     void loadCore();
@@ -169,7 +211,57 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
     void loadDataByTab(activeTab);
   }, [activeTab, loadDataByTab]);
 
+  // Imports run in the background, so poll while one is going and refresh the open report with it.
+  const reportRunId = importReport?.id;
+  useEffect(() => {
+    if (activeTab !== 'Content' || !tmdbImports.running) return undefined;
+    const timer = setInterval(async () => {
+      try {
+        const imports = await fetchTmdbImports();
+        setTmdbImports(imports);
+        if (reportRunId) {
+          setImportReport(await fetchTmdbImport({ runId: reportRunId }));
+        }
+      } catch {
+        setStatus('Unable to refresh TMDB import status.');
+      }
+    }, IMPORT_POLL_MS);
+    return () => clearInterval(timer);
+  }, [activeTab, tmdbImports.running, reportRunId]);
+
+  const toggleImportList = (listId) => {
+    setImportDraft((v) => ({
+      ...v,
+      lists: v.lists.includes(listId) ? v.lists.filter((id) => id !== listId) : [...v.lists, listId],
+    }));
+  };
+
+  const runTmdbImport = () => runAction(async () => {
+    const run = await startTmdbImport(importDraft);
+    setImportReport({ ...run, items: [] });
+  }, 'TMDB import started. The report updates as titles are processed.');
+
+  const openImportReport = (runId) => runAction(async () => {
+    setImportReport(await fetchTmdbImport({ runId }));
+  }, '', false);
+
   const topFivePerformance = useMemo(() => performance.slice(0, 5), [performance]);
+  const auditPageCount = Math.max(1, Math.ceil(auditLog.total / AUDIT_PAGE_SIZE));
+
+  const updateAuditFilter = (key, value) => {
+    setAuditFilters((v) => ({ ...v, [key]: value }));
+    setAuditPage(1);
+  };
+
+  const downloadAuditCsv = () => runAction(async () => {
+    const blob = await exportAuditLogCsv(auditQuery(auditFilters));
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, 'Audit log exported.', false);
 
   const runAction = async (fn, message, reloadTab = true) => {
     if (!actorId) return;
@@ -194,7 +286,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
         <div className="mb-5 flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
           <div>
             <h2 className="text-3xl font-bold">Admin Feature Command Center</h2>
-            <p className="mt-1 text-sm text-neutral-300">25 visible enterprise-style features for project demo and viva presentation.</p>
+            <p className="mt-1 text-sm text-neutral-300">27 visible enterprise-style features for project demo and viva presentation.</p>
           </div>
           <div className="rounded border border-red-700 bg-red-900/20 px-3 py-2 text-xs text-red-100">
             Role: {user?.role || 'admin'} | Scope: {user?.adminScope || (isSuperAdmin ? 'full_access' : 'content_manager')}
@@ -211,7 +303,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
         </div>
 
         <div className="mb-4 flex flex-wrap gap-2">
-          {TABS.map((tab) => (
+          {visibleTabs.map((tab) => (
             <button
               key={tab}
               type="button"
@@ -275,13 +367,13 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                   <select value={contentDraft.type} onChange={(e) => setContentDraft((v) => ({ ...v, type: e.target.value }))} className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm"><option value="movie">movie</option><option value="series">series</option></select>
                   <input value={contentDraft.category} onChange={(e) => setContentDraft((v) => ({ ...v, category: e.target.value }))} placeholder="Category" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <textarea value={contentDraft.description} onChange={(e) => setContentDraft((v) => ({ ...v, description: e.target.value }))} rows={3} placeholder="Synopsis/Description" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
-                  <button type="button" disabled={busy} onClick={() => runAction(() => createAdminContent({ actorId, payload: contentDraft }), 'Content created and added to library.')} className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Create Title</button>
+                  <button type="button" disabled={busy} onClick={() => runAction(() => createAdminContent({ payload: contentDraft }), 'Content created and added to library.')} className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Create Title</button>
                 </div>
               </div>
               <div className="rounded-lg border border-neutral-700 bg-neutral-950 p-4">
                 <h3 className="mb-3 text-lg font-semibold">Bulk Upload (CSV/Excel style)</h3>
                 <textarea value={bulkCsv} onChange={(e) => setBulkCsv(e.target.value)} rows={7} className="w-full rounded border border-neutral-700 bg-black px-3 py-2 text-xs" />
-                <button type="button" disabled={busy} onClick={() => runAction(() => bulkUploadAdminContent({ actorId, csvText: bulkCsv }), 'Bulk content uploaded.')} className="mt-3 rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Run Bulk Import</button>
+                <button type="button" disabled={busy} onClick={() => runAction(() => bulkUploadAdminContent({ csvText: bulkCsv }), 'Bulk content uploaded.')} className="mt-3 rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Run Bulk Import</button>
               </div>
             </div>
 
@@ -292,7 +384,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                   <input value={seasonDraft.contentId} onChange={(e) => setSeasonDraft((v) => ({ ...v, contentId: e.target.value }))} placeholder="Series Content ID" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input type="number" value={seasonDraft.seasonNumber} onChange={(e) => setSeasonDraft((v) => ({ ...v, seasonNumber: Number(e.target.value) }))} placeholder="Season Number" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input value={seasonDraft.title} onChange={(e) => setSeasonDraft((v) => ({ ...v, title: e.target.value }))} placeholder="Season Title" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
-                  <button type="button" disabled={busy} onClick={() => runAction(() => addSeasonToContent({ actorId, contentId: seasonDraft.contentId, seasonNumber: seasonDraft.seasonNumber, title: seasonDraft.title }), 'Season added successfully.')} className="rounded border border-red-600 px-3 py-2 text-sm text-red-200">Add Season</button>
+                  <button type="button" disabled={busy} onClick={() => runAction(() => addSeasonToContent({ contentId: seasonDraft.contentId, seasonNumber: seasonDraft.seasonNumber, title: seasonDraft.title }), 'Season added successfully.')} className="rounded border border-red-600 px-3 py-2 text-sm text-red-200">Add Season</button>
 
                   <input value={episodeDraft.contentId} onChange={(e) => setEpisodeDraft((v) => ({ ...v, contentId: e.target.value }))} placeholder="Series Content ID" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <div className="grid grid-cols-2 gap-2">
@@ -300,7 +392,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                     <input type="number" value={episodeDraft.episodeNumber} onChange={(e) => setEpisodeDraft((v) => ({ ...v, episodeNumber: Number(e.target.value) }))} placeholder="Episode #" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   </div>
                   <input value={episodeDraft.title} onChange={(e) => setEpisodeDraft((v) => ({ ...v, title: e.target.value }))} placeholder="Episode Title" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
-                  <button type="button" disabled={busy} onClick={() => runAction(() => addEpisodeToSeason({ actorId, contentId: episodeDraft.contentId, seasonNumber: episodeDraft.seasonNumber, payload: { episodeNumber: episodeDraft.episodeNumber, title: episodeDraft.title } }), 'Episode scheduled successfully.')} className="rounded border border-red-600 px-3 py-2 text-sm text-red-200">Add Episode</button>
+                  <button type="button" disabled={busy} onClick={() => runAction(() => addEpisodeToSeason({ contentId: episodeDraft.contentId, seasonNumber: episodeDraft.seasonNumber, payload: { episodeNumber: episodeDraft.episodeNumber, title: episodeDraft.title } }), 'Episode scheduled successfully.')} className="rounded border border-red-600 px-3 py-2 text-sm text-red-200">Add Episode</button>
                 </div>
               </div>
               <div className="rounded-lg border border-neutral-700 bg-neutral-950 p-4">
@@ -310,11 +402,79 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                   <input value={orgDraft.collections} onChange={(e) => setOrgDraft((v) => ({ ...v, collections: e.target.value }))} placeholder="Collections (comma separated)" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input value={orgDraft.categoryOverrides} onChange={(e) => setOrgDraft((v) => ({ ...v, categoryOverrides: e.target.value }))} placeholder="Category Overrides" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input type="number" value={orgDraft.featuredRank} onChange={(e) => setOrgDraft((v) => ({ ...v, featuredRank: Number(e.target.value) }))} placeholder="Featured Rank" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
-                  <button type="button" disabled={busy} onClick={() => runAction(() => updateContentOrganization({ actorId, contentId: orgDraft.contentId, payload: orgDraft }), 'Featured rotation + collections updated.')} className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Update Organization</button>
+                  <button type="button" disabled={busy} onClick={() => runAction(() => updateContentOrganization({ contentId: orgDraft.contentId, payload: orgDraft }), 'Featured rotation + collections updated.')} className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Update Organization</button>
                 </div>
               </div>
             </div>
 
+            <div className="rounded-lg border border-neutral-700 bg-neutral-950 p-4">
+              <h3 className="mb-1 text-lg font-semibold">TMDB Import & Sync</h3>
+              <p className="mb-3 text-xs text-neutral-400">Copies TMDB titles into the library with cast, crew, genres, runtime, languages and seasons, so they can be edited like any other title. Admin changes such as collections and video assets are kept on re-sync.</p>
+              <div className="mb-3 flex flex-wrap gap-2">
+                {tmdbImports.lists.map((list) => (
+                  <label key={list.id} className="flex items-center gap-2 rounded border border-neutral-700 bg-black px-3 py-1 text-xs">
+                    <input type="checkbox" checked={importDraft.lists.includes(list.id)} onChange={() => toggleImportList(list.id)} />
+                    {list.label}
+                  </label>
+                ))}
+              </div>
+              <div className="grid grid-cols-1 gap-2 md:grid-cols-3">
+                <input value={importDraft.ids} onChange={(e) => setImportDraft((v) => ({ ...v, ids: e.target.value }))} placeholder="TMDB ids: tmdb-movie-603, series:1399" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm md:col-span-2" />
+                <input type="number" min={1} max={200} value={importDraft.maxTitles} onChange={(e) => setImportDraft((v) => ({ ...v, maxTitles: Number(e.target.value) }))} aria-label="Maximum titles" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
+              </div>
+              <div className="mt-3 flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={importDraft.refreshExisting} onChange={(e) => setImportDraft((v) => ({ ...v, refreshExisting: e.target.checked }))} />
+                  Refresh already imported titles
+                </label>
+                <button type="button" disabled={busy || tmdbImports.running} onClick={runTmdbImport} className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">{tmdbImports.running ? 'Import Running...' : 'Run Import'}</button>
+              </div>
+              <div className="mt-4 max-h-56 overflow-auto">
+                <table className="w-full text-left text-sm">
+                  <thead className="text-neutral-300"><tr><th className="py-2">Started</th><th>Trigger</th><th>Status</th><th>Created</th><th>Updated</th><th>Skipped</th><th>Failed</th><th /></tr></thead>
+                  <tbody>
+                    {tmdbImports.runs.map((run) => (
+                      <tr key={run.id} className="border-t border-neutral-800">
+                        <td className="py-2 text-xs">{new Date(run.startedAt).toLocaleString()}</td>
+                        <td className="text-xs">{run.trigger}</td>
+                        <td className={`text-xs ${run.status === 'failed' ? 'text-red-300' : 'text-neutral-200'}`}>{run.status}</td>
+                        <td>{run.counts.created}</td>
+                        <td>{run.counts.updated}</td>
+                        <td>{run.counts.skipped}</td>
+                        <td>{run.counts.failed}</td>
+                        <td><button type="button" onClick={() => openImportReport(run.id)} className="rounded border border-neutral-600 px-2 py-1 text-xs">Report</button></td>
+                      </tr>
+                    ))}
+                    {!tmdbImports.runs.length ? <tr><td colSpan={8} className="py-3 text-center text-xs text-neutral-400">No imports yet.</td></tr> : null}
+                  </tbody>
+                </table>
+              </div>
+              {importReport ? (
+                <div className="mt-4 rounded border border-neutral-800 bg-black p-3">
+                  <div className="mb-2 flex items-center justify-between text-xs text-neutral-300">
+                    <span>Run {importReport.id} | {importReport.status}{importReport.error ? ` | ${importReport.error}` : ''}</span>
+                    <button type="button" onClick={() => setImportReport(null)} className="rounded border border-neutral-600 px-2 py-1">Close</button>
+                  </div>
+                  <div className="max-h-64 overflow-auto">
+                    <table className="w-full text-left text-xs">
+                      <thead className="text-neutral-400"><tr><th className="py-1">Title</th><th>TMDB</th><th>Result</th><th>Details</th></tr></thead>
+                      <tbody>
+                        {(importReport.items || []).map((item) => (
+                          <tr key={`${item.type}:${item.tmdbId}`} className="border-t border-neutral-800 align-top">
+                            <td className="py-1">{item.title || '-'}</td>
+                            <td className="text-neutral-400">{item.type} {item.tmdbId}</td>
+                            <td className={item.action === 'failed' ? 'text-red-300' : 'text-neutral-200'}>{item.action}</td>
+                            <td className="text-neutral-400">{item.changedFields.length ? item.changedFields.join(', ') : item.reason || '-'}</td>
+                          </tr>
+                        ))}
+                        {!(importReport.items || []).length ? <tr><td colSpan={4} className="py-2 text-center text-neutral-500">No titles processed yet.</td></tr> : null}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ) : null}
+            </div>
+
             <div className="rounded-lg border border-neutral-700 bg-neutral-950 p-4">
               <div className="mb-3 flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
                 <h3 className="text-lg font-semibold">Content Library</h3>
@@ -346,7 +506,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                 <input value={videoDraft.subtitles} onChange={(e) => setVideoDraft((v) => ({ ...v, subtitles: e.target.value }))} placeholder="Subtitles: en.vtt,hi.srt" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                 <input value={videoDraft.audioTracks} onChange={(e) => setVideoDraft((v) => ({ ...v, audioTracks: e.target.value }))} placeholder="Audio tracks: English,Hindi,Tamil" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
               </div>
-              <button type="button" disabled={busy} onClick={() => runAction(() => updateAdminVideoAssets({ actorId, contentId: videoDraft.contentId, payload: videoDraft }), 'Video assets updated for selected content.')} className="mt-3 rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Save Video Pipeline</button>
+              <button type="button" disabled={busy} onClick={() => runAction(() => updateAdminVideoAssets({ contentId: videoDraft.contentId, payload: videoDraft }), 'Video assets updated for selected content.')} className="mt-3 rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Save Video Pipeline</button>
             </div>
             <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
               <StatCard label="Formats Enabled" value={videoDraft.formats.split(',').filter(Boolean).length} />
@@ -362,6 +522,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
               <h3 className="text-lg font-semibold">Subscriber Management + Account Actions</h3>
               <input value={searchUsers} onChange={(e) => setSearchUsers(e.target.value)} placeholder="Search user..." className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
             </div>
+            {canImpersonate && <input value={impersonationReason} onChange={(e) => setImpersonationReason(e.target.value)} placeholder="Reason for viewing as a subscriber (ticket, report...) - required for View As" className="w-full rounded border border-amber-700 bg-black px-3 py-2 text-sm" />}
             <div className="max-h-[420px] overflow-auto rounded border border-neutral-700">
               <table className="w-full min-w-[950px] text-left text-sm">
                 <thead className="bg-black text-neutral-300"><tr><th className="px-3 py-2">User</th><th>Plan</th><th>Status</th><th>Role</th><th>Actions</th></tr></thead>
@@ -369,18 +530,19 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                   {users.slice(0, 25).map((entry) => (
                     <tr key={entry.id} className="border-t border-neutral-800">
                       <td className="px-3 py-2"><p className="font-semibold">{entry.name}</p><p className="text-xs text-neutral-400">{entry.email}</p></td>
-                      <td><select value={entry.subscription?.plan || 'basic'} onChange={(e) => runAction(() => updateUserSubscription({ actorId, userId: entry.id, plan: e.target.value, status: entry.subscription?.status || 'active' }), 'Subscription plan updated.')} className="rounded border border-neutral-700 bg-black px-2 py-1 text-xs"><option value="mobile">mobile</option><option value="basic">basic</option><option value="standard">standard</option><option value="premium">premium</option></select></td>
+                      <td><select value={entry.subscription?.plan || 'basic'} onChange={(e) => runAction(() => updateUserSubscription({ userId: entry.id, plan: e.target.value, status: entry.subscription?.status || 'active' }), 'Subscription plan updated.')} className="rounded border border-neutral-700 bg-black px-2 py-1 text-xs"><option value="mobile">mobile</option><option value="basic">basic</option><option value="standard">standard</option><option value="premium">premium</option></select></td>
                       <td>
                         <div className="flex items-center gap-2">
                           <span className="text-xs">{entry.subscription?.status || 'active'}</span>
-                          <button type="button" className="rounded border border-red-700 px-2 py-1 text-xs text-red-200" onClick={() => runAction(() => setUserSuspension({ actorId, userId: entry.id, isSuspended: !entry.isSuspended }), entry.isSuspended ? 'User reactivated.' : 'User suspended.')}>{entry.isSuspended ? 'Reactivate' : 'Suspend'}</button>
+                          <button type="button" className="rounded border border-red-700 px-2 py-1 text-xs text-red-200" onClick={() => runAction(() => setUserSuspension({ userId: entry.id, isSuspended: !entry.isSuspended }), entry.isSuspended ? 'User reactivated.' : 'User suspended.')}>{entry.isSuspended ? 'Reactivate' : 'Suspend'}</button>
                         </div>
                       </td>
-                      <td>{canManageRoles ? (<select value={entry.role || 'user'} onChange={(e) => runAction(() => updateUserRole({ actorId, userId: entry.id, role: e.target.value, adminScope: e.target.value === 'admin' ? 'content_manager' : 'full_access' }), 'Role updated.')} className="rounded border border-neutral-700 bg-black px-2 py-1 text-xs"><option value="user">user</option><option value="admin">admin</option><option value="superadmin">superadmin</option></select>) : <span className="text-xs">{entry.role}</span>}</td>
+                      <td>{canManageRoles ? (<select value={entry.role || 'user'} onChange={(e) => runAction(() => updateUserRole({ userId: entry.id, role: e.target.value, adminScope: e.target.value === 'admin' ? 'content_manager' : 'full_access' }), 'Role updated.')} className="rounded border border-neutral-700 bg-black px-2 py-1 text-xs"><option value="user">user</option><option value="admin">admin</option><option value="superadmin">superadmin</option></select>) : <span className="text-xs">{entry.role}</span>}</td>
                       <td className="flex gap-2 px-3 py-2">
-                        <button type="button" onClick={() => runAction(async () => { const out = await resetManagedUserPassword({ actorId, userId: entry.id }); setStatus(`Temporary password for ${entry.email}: ${out.temporaryPassword}`); }, 'Password reset complete.', false)} className="rounded border border-neutral-600 px-2 py-1 text-xs">Reset Pass</button>
-                        {isSuperAdmin ? <button type="button" onClick={() => runAction(() => terminateManagedUser({ actorId, userId: entry.id }), 'Account terminated.')} className="rounded border border-orange-700 px-2 py-1 text-xs text-orange-200">Terminate</button> : null}
-                        {canDeleteUsers ? <button type="button" onClick={() => runAction(() => removeUser({ actorId, userId: entry.id }), 'User deleted permanently.')} className="rounded border border-red-700 px-2 py-1 text-xs text-red-200">Delete</button> : null}
+                        {canImpersonate && entry.role === 'user' ? <button type="button" disabled={busy || !impersonationReason.trim()} onClick={() => runAction(async () => onImpersonate(await startImpersonation({ userId: entry.id, reason: impersonationReason.trim() })), 'Switching to the subscriber view...', false)} className="rounded border border-amber-600 px-2 py-1 text-xs text-amber-200 disabled:opacity-50">View As</button> : null}
+                        <button type="button" onClick={() => runAction(async () => { const out = await resetManagedUserPassword({ userId: entry.id }); setStatus(`Temporary password for ${entry.email}: ${out.temporaryPassword}`); }, 'Password reset complete.', false)} className="rounded border border-neutral-600 px-2 py-1 text-xs">Reset Pass</button>
+                        {isSuperAdmin ? <button type="button" onClick={() => runAction(() => terminateManagedUser({ userId: entry.id }), 'Account terminated.')} className="rounded border border-orange-700 px-2 py-1 text-xs text-orange-200">Terminate</button> : null}
+                        {canDeleteUsers ? <button type="button" onClick={() => runAction(() => removeUser({ userId: entry.id }), 'User deleted permanently.')} className="rounded border border-red-700 px-2 py-1 text-xs text-red-200">Delete</button> : null}
                       </td>
                     </tr>
                   ))}
@@ -400,7 +562,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                   <input value={planDraft.name} onChange={(e) => setPlanDraft((v) => ({ ...v, name: e.target.value }))} placeholder="plan name" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input type="number" value={planDraft.price} onChange={(e) => setPlanDraft((v) => ({ ...v, price: Number(e.target.value) }))} placeholder="price" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input value={planDraft.features} onChange={(e) => setPlanDraft((v) => ({ ...v, features: e.target.value }))} placeholder="features comma separated" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
-                  <button type="button" disabled={busy} onClick={() => runAction(() => saveSubscriptionPlan({ actorId, payload: planDraft }), 'Plan saved successfully.')} className="rounded bg-red-600 px-3 py-2 text-sm font-semibold">Save Plan</button>
+                  <button type="button" disabled={busy} onClick={() => runAction(() => saveSubscriptionPlan({ payload: planDraft }), 'Plan saved successfully.')} className="rounded bg-red-600 px-3 py-2 text-sm font-semibold">Save Plan</button>
                 </div>
               </div>
               <div className="rounded-lg border border-neutral-700 bg-neutral-950 p-4">
@@ -409,7 +571,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                   <input value={promoDraft.code} onChange={(e) => setPromoDraft((v) => ({ ...v, code: e.target.value }))} placeholder="code" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input type="number" value={promoDraft.discountPercent} onChange={(e) => setPromoDraft((v) => ({ ...v, discountPercent: Number(e.target.value) }))} placeholder="discount %" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input type="number" value={promoDraft.freeTrialDays} onChange={(e) => setPromoDraft((v) => ({ ...v, freeTrialDays: Number(e.target.value) }))} placeholder="free trial days" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
-                  <button type="button" disabled={busy} onClick={() => runAction(() => savePromotion({ actorId, payload: promoDraft }), 'Promotion saved successfully.')} className="rounded bg-red-600 px-3 py-2 text-sm font-semibold">Save Promotion</button>
+                  <button type="button" disabled={busy} onClick={() => runAction(() => savePromotion({ payload: promoDraft }), 'Promotion saved successfully.')} className="rounded bg-red-600 px-3 py-2 text-sm font-semibold">Save Promotion</button>
                 </div>
               </div>
               <div className="rounded-lg border border-neutral-700 bg-neutral-950 p-4">
@@ -418,7 +580,7 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
                   <input value={invoiceDraft.userId} onChange={(e) => setInvoiceDraft((v) => ({ ...v, userId: e.target.value }))} placeholder="user id" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input type="number" value={invoiceDraft.amount} onChange={(e) => setInvoiceDraft((v) => ({ ...v, amount: Number(e.target.value) }))} placeholder="amount" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
                   <input value={invoiceDraft.plan} onChange={(e) => setInvoiceDraft((v) => ({ ...v, plan: e.target.value }))} placeholder="plan" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
-                  <button type="button" disabled={busy} onClick={() => runAction(() => generateInvoice({ actorId, payload: invoiceDraft }), 'Invoice generated and attached to user.')} className="rounded bg-red-600 px-3 py-2 text-sm font-semibold">Generate Invoice</button>
+                  <button type="button" disabled={busy} onClick={() => runAction(() => generateInvoice({ payload: invoiceDraft }), 'Invoice generated and attached to user.')} className="rounded bg-red-600 px-3 py-2 text-sm font-semibold">Generate Invoice</button>
                 </div>
               </div>
             </div>
@@ -458,6 +620,54 @@ function AdminSuiteShowcase({ user, canManageRoles, canDeleteUsers }) {
             </div>
           </div>
         )}
+
+        {activeTab === 'Audit' && canViewAudit && (
+          <div className="space-y-4">
+            <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+              <h3 className="text-lg font-semibold">Admin Audit Trail</h3>
+              <button type="button" disabled={busy} onClick={downloadAuditCsv} className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50">Export CSV</button>
+            </div>
+            <div className="grid grid-cols-1 gap-2 md:grid-cols-5">
+              <input value={auditFilters.actor} onChange={(e) => updateAuditFilter('actor', e.target.value)} placeholder="Actor email or ID" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
+              <select value={auditFilters.targetType} onChange={(e) => updateAuditFilter('targetType', e.target.value)} className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm">
+                {AUDIT_TARGET_TYPES.map((type) => <option key={type || 'all'} value={type}>{type || 'All targets'}</option>)}
+              </select>
+              <input value={auditFilters.targetId} onChange={(e) => updateAuditFilter('targetId', e.target.value)} placeholder="Target ID" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
+              <input type="date" value={auditFilters.from} onChange={(e) => updateAuditFilter('from', e.target.value)} aria-label="From date" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
+              <input type="date" value={auditFilters.to} onChange={(e) => updateAuditFilter('to', e.target.value)} aria-label="To date" className="rounded border border-neutral-700 bg-black px-3 py-2 text-sm" />
+            </div>
+            <div className="max-h-[480px] overflow-auto rounded border border-neutral-700">
+              <table className="w-full min-w-[950px] text-left text-sm">
+                <thead className="bg-black text-neutral-300"><tr><th className="px-3 py-2">When</th><th>Actor</th><th>Action</th><th>Target</th><th>Changes</th><th>IP</th></tr></thead>
+                <tbody>
+                  {auditLog.rows.map((entry) => (
+                    <tr key={entry.id} className="border-t border-neutral-800 align-top">
+                      <td className="px-3 py-2 text-xs text-neutral-300">{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td className="py-2"><p className="text-xs font-semibold">{entry.actorEmail || entry.actorId || '-'}</p><p className="text-xs text-neutral-500">{entry.actorRole}</p></td>
+                      <td className="py-2 text-xs text-red-200">{entry.action}</td>
+                      <td className="py-2 text-xs">{entry.targetType || '-'}{entry.targetId ? <span className="block text-neutral-500">{entry.targetId}</span> : null}</td>
+                      <td className="py-2 text-xs">
+                        {entry.diff.length ? entry.diff.slice(0, 6).map((change) => (
+                          <p key={change.path} className="break-all"><span className="text-neutral-400">{change.path}:</span> {formatDiffValue(change.before)} → {formatDiffValue(change.after)}</p>
+                        )) : <span className="text-neutral-500">-</span>}
+                        {entry.diff.length > 6 ? <p className="text-neutral-500">+{entry.diff.length - 6} more</p> : null}
+                      </td>
+                      <td className="py-2 pr-3 text-xs text-neutral-400">{entry.ipAddress || '-'}</td>
+                    </tr>
+                  ))}
+                  {!auditLog.rows.length ? <tr><td colSpan={6} className="px-3 py-4 text-center text-xs text-neutral-400">No audit entries match these filters.</td></tr> : null}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex items-center justify-between text-xs text-neutral-400">
+              <span>{auditLog.total} entries | Page {auditPage} of {auditPageCount}</span>
+              <div className="flex gap-2">
+                <button type="button" disabled={auditPage <= 1} onClick={() => setAuditPage((p) => p - 1)} className="rounded border border-neutral-600 px-3 py-1 disabled:opacity-40">Previous</button>
+                <button type="button" disabled={auditPage >= auditPageCount} onClick={() => setAuditPage((p) => p + 1)} className="rounded border border-neutral-600 px-3 py-1 disabled:opacity-40">Next</button>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,84 @@
+// File purpose: Application logic for this Netflix Clone module.
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { clearAuthSession, confirmEmailChange, revertEmailChange } from '../api/authApi';
+
+const COPY = {
+  confirm: {
+    heading: 'Confirm new email',
+    pending: 'Confirming your new email...',
+  },
+  revert: {
+    heading: 'Undo email change',
+    pending: 'Reverting the email change...',
+  },
+};
+
+function EmailChange({ mode, user, onUserUpdate, onSignedOut }) {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const copy = COPY[mode] || COPY.confirm;
+  const [status, setStatus] = useState(token ? 'working' : 'error');
+  const [message, setMessage] = useState(token ? copy.pending : 'This link is missing its token.');
+  const [signedOut, setSignedOut] = useState(false);
+  const submittedToken = useRef('');
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) {
+      return;
+    }
+    submittedToken.current = token;
+
+    const request = mode === 'revert'
+      ? revertEmailChange(token).then((resultMessage) => {
+        // Reverting signs out every device, including this one.
+        clearAuthSession();
+        setSignedOut(true);
+        if (user) {
+          onSignedOut();
+        }
+        return resultMessage;
+      })
+      : confirmEmailChange(token).then((updated) => {
+        if (user && updated?.id === user.id) {
+          onUserUpdate(updated);
+        }
+        return `Your email is now ${updated?.email || 'updated'}.`;
+      });
+
+    request
+      .then((resultMessage) => {
+        setStatus('done');
+        setMessage(resultMessage);
+      })
+      .catch((apiError) => {
+        setStatus('error');
+        setMessage(apiError.message);
+      });
+  }, [mode, token, user, onUserUpdate, onSignedOut]);
+
+  const signedIn = Boolean(user) && !signedOut;
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-black px-4 text-white">
+      <div className="w-full max-w-md rounded-lg border border-neutral-800 bg-neutral-900 p-8 text-center shadow-lg">
+        <h2 className="text-2xl font-bold">{copy.heading}</h2>
+        <p
+          className={`mt-4 text-sm ${
+            status === 'error' ? 'text-red-400' : status === 'done' ? 'text-green-400' : 'text-neutral-300'
+          }`}
+        >
+          {message}
+        </p>
+        <Link
+          to={signedIn ? '/settings' : '/login'}
+          className="mt-6 inline-block rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500"
+        >
+          {signedIn ? 'Back to settings' : 'Go to sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export default EmailChange;
@@ -0,0 +1,59 @@
+// File purpose: Application logic for this Netflix Clone module.
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { completeIdentityProviderSignIn } from '../api/authApi';
+
+function IdentityProviderCallback({ onLogin }) {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code') || '';
+  const state = searchParams.get('state') || '';
+  const providerError = searchParams.get('error_description') || searchParams.get('error') || '';
+  const [error, setError] = useState(() => {
+    if (providerError) return `Sign-in was not completed: ${providerError}`;
+    return code && state ? '' : 'This sign-in response is missing its code.';
+  });
+  const submittedCode = useRef('');
+
+  useEffect(() => {
+    if (providerError || !code || !state || submittedCode.current === code) {
+      return;
+    }
+    submittedCode.current = code;
+
+    completeIdentityProviderSignIn({ code, state })
+      .then((authUser) => {
+        if (authUser.twoFactorRequired) {
+          navigate('/login', { replace: true, state: { challengeToken: authUser.challengeToken } });
+          return;
+        }
+        onLogin(authUser.user);
+        navigate(authUser.deletionCancelled ? '/settings' : '/', {
+          replace: true,
+          state: authUser.deletionCancelled ? { notice: 'Welcome back! Your account deletion has been cancelled.' } : undefined,
+        });
+      })
+      .catch((apiError) => setError(apiError.message));
+  }, [code, state, providerError, navigate, onLogin]);
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-black px-4 text-white">
+      <div className="w-full max-w-md rounded-lg border border-neutral-800 bg-neutral-900 p-8 text-center shadow-lg">
+        <h2 className="text-2xl font-bold">Signing you in</h2>
+        <p className={`mt-4 text-sm ${error ? 'text-red-400' : 'text-neutral-300'}`}>
+          {error || 'Finishing sign-in with your provider...'}
+        </p>
+        {error && (
+          <Link
+            to="/login"
+            className="mt-6 inline-block rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500"
+          >
+            Back to sign in
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default IdentityProviderCallback;
@@ -0,0 +1,55 @@
+// File purpose: Application logic for this Netflix Clone module.
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { consumeMagicLink } from '../api/authApi';
+
+function MagicLinkSignIn({ onLogin }) {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [error, setError] = useState(token ? '' : 'This sign-in link is missing its token.');
+  const submittedToken = useRef('');
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) {
+      return;
+    }
+    submittedToken.current = token;
+
+    consumeMagicLink(token)
+      .then((authUser) => {
+        // Accounts with two-factor still need a code, so continue on the sign-in page.
+        if (authUser.twoFactorRequired) {
+          navigate('/login', { replace: true, state: { challengeToken: authUser.challengeToken } });
+          return;
+        }
+        onLogin(authUser.user);
+        navigate(authUser.deletionCancelled ? '/settings' : '/', {
+          replace: true,
+          state: authUser.deletionCancelled ? { notice: 'Welcome back! Your account deletion has been cancelled.' } : undefined,
+        });
+      })
+      .catch((apiError) => setError(apiError.message));
+  }, [token, navigate, onLogin]);
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-black px-4 text-white">
+      <div className="w-full max-w-md rounded-lg border border-neutral-800 bg-neutral-900 p-8 text-center shadow-lg">
+        <h2 className="text-2xl font-bold">Signing you in</h2>
+        <p className={`mt-4 text-sm ${error ? 'text-red-400' : 'text-neutral-300'}`}>
+          {error || 'Checking your sign-in link...'}
+        </p>
+        {error && (
+          <Link
+            to="/login"
+            className="mt-6 inline-block rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500"
+          >
+            Back to sign in
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MagicLinkSignIn;
@@ -0,0 +1,83 @@
+// File purpose: Application logic for this Netflix Clone module.
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { resetPasswordWithToken } from '../api/authApi';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [form, setForm] = useState({ newPassword: '', confirmPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This reset link is missing its token.');
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+
+    if (form.newPassword.length < 6) {
+      setError('New password must be at least 6 characters.');
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      setError('New passwords do not match.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await resetPasswordWithToken({ token, newPassword: form.newPassword });
+      setDone(true);
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-black px-4 text-white">
+      <div className="w-full max-w-md rounded-lg border border-neutral-800 bg-neutral-900 p-8 shadow-lg">
+        <h2 className="text-2xl font-bold">Choose a new password</h2>
+        {done ? (
+          <>
+            <p className="mt-4 text-sm text-green-400">Password reset successful. Please sign in again.</p>
+            <Link
+              to="/login"
+              className="mt-6 inline-block rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500"
+            >
+              Go to sign in
+            </Link>
+          </>
+        ) : (
+          <form onSubmit={onSubmit} className="mt-6 space-y-4">
+            <input
+              type="password"
+              value={form.newPassword}
+              onChange={(event) => setForm((current) => ({ ...current, newPassword: event.target.value }))}
+              placeholder="New password"
+              className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+            />
+            <input
+              type="password"
+              value={form.confirmPassword}
+              onChange={(event) => setForm((current) => ({ ...current, confirmPassword: event.target.value }))}
+              placeholder="Confirm new password"
+              className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+            />
+            <button
+              type="submit"
+              disabled={!token || submitting}
+              className="w-full rounded bg-red-600 py-2 font-semibold transition hover:bg-red-500 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {submitting ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+        {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
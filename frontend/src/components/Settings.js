@@ -1,7 +1,37 @@
 // File purpose: Application logic for this Netflix Clone module.
 import { useEffect, useMemo, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  confirmTwoFactorEnrollment,
+  createApiToken,
+  disableTwoFactor,
+  fetchApiTokens,
+  fetchSessions,
+  logoutUser,
+  regenerateRecoveryCodes,
+  requestAccountDeletion,
+  requestEmailVerification,
+  revokeApiToken,
+  revokeOtherSessions,
+  revokeSession,
+  startTwoFactorEnrollment,
+} from '../api/authApi';
+import { requestAccountExport } from '../api/userApi';
 
 const DEFAULT_NETFLIX_PROFILE_URL = 'https://upload.wikimedia.org/wikipedia/commons/0/0c/Netflix_2015_N_logo.svg';
+const API_TOKEN_SCOPE_LABELS = {
+  account: 'Account (watch progress and history)',
+  dashboard: 'Admin dashboard',
+  analytics: 'Analytics',
+  content: 'Content catalog',
+  video: 'Video assets',
+  users: 'User management',
+  billing: 'Billing',
+  audit: 'Audit log',
+  security: 'Security settings',
+  support: 'Support tools',
+};
+const API_TOKEN_EXPIRY_OPTIONS = [7, 30, 90, 365];
 const CUSTOM_PROFILE_AVATAR_URL = 'data:image/svg+xml;utf8,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 200 200%22%3E%3Cdefs%3E%3ClinearGradient id=%22bg%22 x1=%220%22 y1=%220%22 x2=%221%22 y2=%221%22%3E%3Cstop offset=%220%25%22 stop-color=%22%230b0b0b%22/%3E%3Cstop offset=%22100%25%22 stop-color=%22%23202020%22/%3E%3C/linearGradient%3E%3C/defs%3E%3Crect width=%22200%22 height=%22200%22 rx=%2224%22 fill=%22url(%23bg)%22/%3E%3Ccircle cx=%22100%22 cy=%2284%22 r=%2235%22 fill=%22%23e50914%22/%3E%3Crect x=%2248%22 y=%22128%22 width=%22104%22 height=%2244%22 rx=%2222%22 fill=%22%23e50914%22/%3E%3C/svg%3E';
 
 function Settings({
@@ -11,15 +41,20 @@ function Settings({
   onUserUpdate,
   onUpdateProfile,
   onUpdatePassword,
+  getLocalData,
+  onSignedOut,
 }) {
+  const location = useLocation();
+  const navigate = useNavigate();
   const [draft, setDraft] = useState(settings);
   const [saved, setSaved] = useState(false);
-  const [message, setMessage] = useState('');
+  const [message, setMessage] = useState(() => location.state?.notice || '');
   const [error, setError] = useState('');
   const [profileForm, setProfileForm] = useState({
     name: user?.name || '',
     email: user?.email || '',
     avatar: user?.avatar || '',
+    currentPassword: '',
   });
   const [passwordForm, setPasswordForm] = useState({
     currentPassword: '',
@@ -28,6 +63,22 @@ function Settings({
   });
   const [profileSaving, setProfileSaving] = useState(false);
   const [passwordSaving, setPasswordSaving] = useState(false);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ code: '', password: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [apiTokens, setApiTokens] = useState([]);
+  const [apiTokenScopes, setApiTokenScopes] = useState([]);
+  const [apiTokenMaxDays, setApiTokenMaxDays] = useState(365);
+  const [apiTokenForm, setApiTokenForm] = useState({ name: '', scopes: ['account'], expiresInDays: 30 });
+  const [createdApiToken, setCreatedApiToken] = useState(null);
+  const [apiTokenBusy, setApiTokenBusy] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [deleting, setDeleting] = useState(false);
 
   useEffect(() => {
     setDraft(settings);
@@ -38,9 +89,39 @@ function Settings({
       name: user?.name || '',
       email: user?.email || '',
       avatar: user?.avatar || '',
+      currentPassword: '',
     });
   }, [user]);
 
+  const loadSessions = async () => {
+    setSessionsLoading(true);
+    try {
+      setSessions(await fetchSessions());
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const loadApiTokens = async () => {
+    try {
+      const result = await fetchApiTokens();
+      setApiTokens(result.tokens);
+      setApiTokenScopes(result.availableScopes);
+      setApiTokenMaxDays(result.maxTtlDays);
+    } catch (apiError) {
+      setError(apiError.message);
+    }
+  };
+
+  useEffect(() => {
+    if (user?.id) {
+      void loadSessions();
+      void loadApiTokens();
+    }
+  }, [user?.id]);
+
   const update = (key, value) => {
     const next = { ...draft, [key]: value };
     setSaved(false);
@@ -48,12 +129,14 @@ function Settings({
     onSave(next);
   };
 
+  const emailChanging = (profileForm.email || '').trim().toLowerCase() !== (user?.email || '').trim().toLowerCase();
+
   const hasProfileChanges = useMemo(
     () =>
       (profileForm.name || '').trim() !== (user?.name || '').trim() ||
-      (profileForm.email || '').trim().toLowerCase() !== (user?.email || '').trim().toLowerCase() ||
+      emailChanging ||
       (profileForm.avatar || '').trim() !== (user?.avatar || '').trim(),
-    [profileForm, user]
+    [emailChanging, profileForm, user]
   );
 
   const onSubmitProfile = async (event) => {
@@ -71,16 +154,25 @@ function Settings({
       return;
     }
 
+    if (emailChanging && !profileForm.currentPassword) {
+      setError('Enter your current password to change your email.');
+      return;
+    }
+
     setProfileSaving(true);
     try {
       const updated = await onUpdateProfile({
-        userId: user.id,
         name: profileForm.name.trim(),
         email: profileForm.email.trim(),
         avatar: profileForm.avatar.trim(),
+        ...(emailChanging ? { currentPassword: profileForm.currentPassword } : {}),
       });
       onUserUpdate(updated);
-      setMessage('Profile updated successfully.');
+      setMessage(
+        updated?.pendingEmail
+          ? `Profile updated. Check ${updated.pendingEmail} to confirm your new email.`
+          : 'Profile updated successfully.'
+      );
     } catch (apiError) {
       setError(apiError.message);
     } finally {
@@ -111,7 +203,6 @@ function Settings({
     setPasswordSaving(true);
     try {
       await onUpdatePassword({
-        userId: user.id,
         currentPassword: passwordForm.currentPassword,
         newPassword: passwordForm.newPassword,
       });
@@ -124,6 +215,189 @@ function Settings({
     }
   };
 
+  const runTwoFactorAction = async (action) => {
+    setMessage('');
+    setError('');
+    setTwoFactorBusy(true);
+    try {
+      await action();
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const onStartTwoFactor = () => runTwoFactorAction(async () => {
+    const setup = await startTwoFactorEnrollment();
+    setTwoFactorSetup(setup);
+    setRecoveryCodes([]);
+    setTwoFactorForm({ code: '', password: '' });
+  });
+
+  const onConfirmTwoFactor = () => runTwoFactorAction(async () => {
+    const result = await confirmTwoFactorEnrollment(twoFactorForm.code.trim());
+    setTwoFactorSetup(null);
+    setRecoveryCodes(result.recoveryCodes || []);
+    setTwoFactorForm({ code: '', password: '' });
+    onUserUpdate(result.user);
+    setMessage('Two-factor authentication enabled.');
+  });
+
+  const onDisableTwoFactor = () => runTwoFactorAction(async () => {
+    const updated = await disableTwoFactor({
+      password: twoFactorForm.password,
+      code: twoFactorForm.code.trim(),
+    });
+    setRecoveryCodes([]);
+    setTwoFactorForm({ code: '', password: '' });
+    onUserUpdate(updated);
+    setMessage('Two-factor authentication disabled.');
+  });
+
+  const onRegenerateRecoveryCodes = () => runTwoFactorAction(async () => {
+    const codes = await regenerateRecoveryCodes(twoFactorForm.code.trim());
+    setRecoveryCodes(codes);
+    setTwoFactorForm({ code: '', password: '' });
+    setMessage('New recovery codes generated. Old codes no longer work.');
+  });
+
+  const onResendVerification = async () => {
+    setMessage('');
+    setError('');
+    try {
+      const result = await requestEmailVerification(user?.id);
+      setMessage(result?.message || 'Verification email sent.');
+    } catch (apiError) {
+      setError(apiError.message);
+    }
+  };
+
+  const onToggleLoginAlerts = async (loginAlerts) => {
+    setMessage('');
+    setError('');
+    try {
+      const updated = await onUpdateProfile({ loginAlerts });
+      onUserUpdate(updated);
+      setMessage(loginAlerts ? 'Login alerts turned on.' : 'Login alerts turned off.');
+    } catch (apiError) {
+      setError(apiError.message);
+    }
+  };
+
+  const onRevokeSession = async (sessionId) => {
+    setMessage('');
+    setError('');
+    try {
+      await revokeSession(sessionId);
+      setSessions((current) => current.filter((session) => session.id !== sessionId));
+      setMessage('Device signed out.');
+    } catch (apiError) {
+      setError(apiError.message);
+    }
+  };
+
+  const onRevokeOtherSessions = async () => {
+    setMessage('');
+    setError('');
+    try {
+      const result = await revokeOtherSessions();
+      setSessions((current) => current.filter((session) => session.current));
+      setMessage(`Signed out of ${result.revoked || 0} other device(s).`);
+    } catch (apiError) {
+      setError(apiError.message);
+    }
+  };
+
+  const toggleApiTokenScope = (scope, checked) => {
+    setApiTokenForm((current) => ({
+      ...current,
+      scopes: checked ? [...current.scopes, scope] : current.scopes.filter((item) => item !== scope),
+    }));
+  };
+
+  const onCreateApiToken = async (event) => {
+    event.preventDefault();
+    setMessage('');
+    setError('');
+    if (!apiTokenForm.name.trim()) {
+      setError('Give the token a name so you can recognise it later.');
+      return;
+    }
+    if (!apiTokenForm.scopes.length) {
+      setError('Choose at least one scope for the token.');
+      return;
+    }
+
+    setApiTokenBusy(true);
+    try {
+      const created = await createApiToken({ ...apiTokenForm, name: apiTokenForm.name.trim() });
+      setCreatedApiToken(created);
+      setApiTokens((current) => [created, ...current]);
+      setApiTokenForm({ name: '', scopes: ['account'], expiresInDays: 30 });
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setApiTokenBusy(false);
+    }
+  };
+
+  const onRevokeApiToken = async (tokenId) => {
+    setMessage('');
+    setError('');
+    try {
+      await revokeApiToken(tokenId);
+      setApiTokens((current) => current.filter((token) => token.id !== tokenId));
+      if (createdApiToken?.id === tokenId) {
+        setCreatedApiToken(null);
+      }
+      setMessage('API token revoked.');
+    } catch (apiError) {
+      setError(apiError.message);
+    }
+  };
+
+  const onExportData = async () => {
+    setMessage('');
+    setError('');
+    setExporting(true);
+    try {
+      const { blob, filename } = await requestAccountExport(getLocalData ? getLocalData() : {});
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setMessage('Your data export has been downloaded.');
+    } catch (apiError) {
+      setError(apiError.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const onDeleteAccount = async (event) => {
+    event.preventDefault();
+    setMessage('');
+    setError('');
+    if (!deletePassword.trim()) {
+      setError('Enter your password to delete your account.');
+      return;
+    }
+
+    setDeleting(true);
+    try {
+      const result = await requestAccountDeletion(deletePassword.trim());
+      await logoutUser();
+      navigate('/login', { replace: true, state: { notice: result.message } });
+      onSignedOut();
+    } catch (apiError) {
+      setError(apiError.message);
+      setDeleting(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-black px-4 py-10 text-white">
       <div className="mx-auto mt-16 w-full max-w-3xl rounded-lg border border-neutral-800 bg-neutral-900 p-8 shadow-lg">
@@ -147,6 +421,30 @@ function Settings({
               placeholder="Email"
               className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
             />
+            {emailChanging && (
+              <input
+                type="password"
+                value={profileForm.currentPassword}
+                onChange={(event) => setProfileForm((current) => ({ ...current, currentPassword: event.target.value }))}
+                placeholder="Current password (required to change email)"
+                autoComplete="current-password"
+                className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+              />
+            )}
+            {user?.pendingEmail && (
+              <p className="text-xs text-yellow-300">
+                Waiting for confirmation of {user.pendingEmail}. Your sign-in email stays {user.email} until you
+                click the link we sent there.
+              </p>
+            )}
+            {user && !user.isEmailVerified && (
+              <p className="text-xs text-yellow-300">
+                Your email is not verified.{' '}
+                <button type="button" onClick={() => void onResendVerification()} className="underline hover:text-white">
+                  Send verification email
+                </button>
+              </p>
+            )}
             <input
               type="url"
               value={profileForm.avatar}
@@ -343,33 +641,121 @@ function Settings({
                 <option value="public">Public</option>
               </select>
             </label>
-            <label className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3">
-              <span className="text-sm">Two-factor authentication</span>
-              <input
-                type="checkbox"
-                checked={draft.twoFactor}
-                onChange={(event) => update('twoFactor', event.target.checked)}
-                className="h-4 w-4 accent-red-600"
-              />
-            </label>
+            <div className="rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3">
+              <div className="flex items-center justify-between">
+                <span className="text-sm">Two-factor authentication</span>
+                <span className={`text-xs font-semibold ${user?.twoFactorEnabled ? 'text-green-400' : 'text-neutral-400'}`}>
+                  {user?.twoFactorEnabled ? 'On' : 'Off'}
+                </span>
+              </div>
+              {!user?.twoFactorEnabled && !twoFactorSetup && (
+                <button
+                  type="button"
+                  disabled={twoFactorBusy}
+                  onClick={() => void onStartTwoFactor()}
+                  className="mt-3 rounded border border-neutral-600 px-3 py-1.5 text-xs hover:border-white disabled:opacity-60"
+                >
+                  Set up authenticator app
+                </button>
+              )}
+              {!user?.twoFactorEnabled && twoFactorSetup && (
+                <div className="mt-3 space-y-3 text-sm">
+                  <p className="text-neutral-300">
+                    Add this account to your authenticator app, then enter the 6-digit code it shows.
+                  </p>
+                  <a href={twoFactorSetup.otpauthUri} className="block break-all text-xs text-red-300 underline">
+                    {twoFactorSetup.otpauthUri}
+                  </a>
+                  <p className="text-xs text-neutral-400">
+                    Setup key: <span className="font-mono text-neutral-200">{twoFactorSetup.secret}</span>
+                  </p>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={twoFactorForm.code}
+                      onChange={(event) => setTwoFactorForm((current) => ({ ...current, code: event.target.value }))}
+                      placeholder="6-digit code"
+                      className="flex-1 rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+                    />
+                    <button
+                      type="button"
+                      disabled={twoFactorBusy}
+                      onClick={() => void onConfirmTwoFactor()}
+                      className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-60"
+                    >
+                      Enable
+                    </button>
+                  </div>
+                </div>
+              )}
+              {user?.twoFactorEnabled && (
+                <div className="mt-3 space-y-2 text-sm">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={twoFactorForm.code}
+                    onChange={(event) => setTwoFactorForm((current) => ({ ...current, code: event.target.value }))}
+                    placeholder="Current 6-digit code"
+                    className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+                  />
+                  <input
+                    type="password"
+                    value={twoFactorForm.password}
+                    onChange={(event) => setTwoFactorForm((current) => ({ ...current, password: event.target.value }))}
+                    placeholder="Password (required to turn off)"
+                    className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2"
+                  />
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      disabled={twoFactorBusy}
+                      onClick={() => void onRegenerateRecoveryCodes()}
+                      className="rounded border border-neutral-600 px-3 py-1.5 text-xs hover:border-white disabled:opacity-60"
+                    >
+                      New recovery codes
+                    </button>
+                    <button
+                      type="button"
+                      disabled={twoFactorBusy}
+                      onClick={() => void onDisableTwoFactor()}
+                      className="rounded border border-red-600 px-3 py-1.5 text-xs text-red-300 hover:bg-red-900/30 disabled:opacity-60"
+                    >
+                      Turn off
+                    </button>
+                  </div>
+                </div>
+              )}
+              {recoveryCodes.length > 0 && (
+                <div className="mt-3 rounded border border-yellow-700 bg-yellow-900/20 p-3 text-xs">
+                  <p className="text-yellow-100">Save these recovery codes. Each one works once and they will not be shown again.</p>
+                  <ul className="mt-2 grid grid-cols-2 gap-1 font-mono text-neutral-100">
+                    {recoveryCodes.map((code) => (
+                      <li key={code}>{code}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
             <label className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3">
               <span className="text-sm">Email login alerts</span>
               <input
                 type="checkbox"
-                checked={draft.loginAlerts}
-                onChange={(event) => update('loginAlerts', event.target.checked)}
-                className="h-4 w-4 accent-red-600"
-              />
-            </label>
-            <label className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3">
-              <span className="text-sm">Profile lock with PIN</span>
-              <input
-                type="checkbox"
-                checked={draft.profileLock}
-                onChange={(event) => update('profileLock', event.target.checked)}
+                checked={user?.loginAlerts !== false}
+                onChange={(event) => void onToggleLoginAlerts(event.target.checked)}
                 className="h-4 w-4 accent-red-600"
               />
             </label>
+            <div className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3">
+              <span className="text-sm">Profile PIN locks</span>
+              <button
+                type="button"
+                onClick={() => navigate('/profiles')}
+                className="rounded border border-neutral-600 px-3 py-1.5 text-xs hover:border-white"
+              >
+                Manage on profiles
+              </button>
+            </div>
             <label className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3">
               <span className="text-sm">Download only on Wi-Fi</span>
               <input
@@ -382,6 +768,228 @@ function Settings({
           </div>
         </section>
 
+        <section className="mt-8 border-t border-neutral-800 pt-6">
+          <div className="flex items-center justify-between">
+            <h3 className="text-xl font-semibold">Devices</h3>
+            <button
+              type="button"
+              disabled={sessionsLoading}
+              onClick={() => void loadSessions()}
+              className="rounded border border-neutral-600 px-3 py-1.5 text-xs hover:border-white disabled:opacity-60"
+            >
+              {sessionsLoading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
+          <div className="mt-4 space-y-3">
+            {sessions.length === 0 && !sessionsLoading && (
+              <p className="text-sm text-neutral-400">No signed-in devices found.</p>
+            )}
+            {sessions.map((session) => (
+              <div
+                key={session.id}
+                className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3"
+              >
+                <div className="text-sm">
+                  <p className="font-semibold">
+                    {session.label}
+                    {session.current && <span className="ml-2 text-xs font-normal text-green-400">This device</span>}
+                  </p>
+                  <p className="text-xs text-neutral-400">
+                    {session.ipAddress || 'Unknown IP'} · Last active{' '}
+                    {session.lastUsedAt ? new Date(session.lastUsedAt).toLocaleString() : 'unknown'}
+                  </p>
+                  <p className="text-xs text-neutral-500">
+                    Signed in {session.signedInAt ? new Date(session.signedInAt).toLocaleString() : 'unknown'}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    type="button"
+                    onClick={() => void onRevokeSession(session.id)}
+                    className="rounded border border-red-600 px-3 py-1.5 text-xs text-red-300 hover:bg-red-900/30"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </div>
+            ))}
+            {sessions.some((session) => !session.current) && (
+              <button
+                type="button"
+                onClick={() => void onRevokeOtherSessions()}
+                className="rounded border border-neutral-600 px-3 py-1.5 text-xs hover:border-white"
+              >
+                Sign out of all other devices
+              </button>
+            )}
+          </div>
+        </section>
+
+        <section className="mt-8 border-t border-neutral-800 pt-6">
+          <h3 className="text-xl font-semibold">API Tokens</h3>
+          <p className="mt-2 text-sm text-neutral-400">
+            Personal access tokens let scripts and integrations call the API as you. Send one as a Bearer
+            Authorization header. Tokens cannot change your password, 2FA, devices or payments.
+          </p>
+          {createdApiToken?.token && (
+            <div className="mt-4 rounded border border-green-700 bg-green-900/20 p-4 text-sm">
+              <p className="font-semibold text-green-300">Copy your new token now. It will not be shown again.</p>
+              <code className="mt-2 block break-all rounded bg-black/60 px-3 py-2 text-xs">{createdApiToken.token}</code>
+              <button
+                type="button"
+                onClick={() => setCreatedApiToken(null)}
+                className="mt-3 rounded border border-neutral-600 px-3 py-1.5 text-xs hover:border-white"
+              >
+                I have copied it
+              </button>
+            </div>
+          )}
+          <form onSubmit={onCreateApiToken} className="mt-4 space-y-3">
+            <input
+              value={apiTokenForm.name}
+              onChange={(event) => setApiTokenForm((current) => ({ ...current, name: event.target.value }))}
+              placeholder="Token name, e.g. Nightly analytics export"
+              maxLength={60}
+              className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+            />
+            <div className="grid gap-2 sm:grid-cols-2">
+              {apiTokenScopes.map((scope) => (
+                <label
+                  key={scope}
+                  className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-2"
+                >
+                  <span className="text-sm">{API_TOKEN_SCOPE_LABELS[scope] || scope}</span>
+                  <input
+                    type="checkbox"
+                    checked={apiTokenForm.scopes.includes(scope)}
+                    onChange={(event) => toggleApiTokenScope(scope, event.target.checked)}
+                    className="h-4 w-4 accent-red-600"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <select
+                value={apiTokenForm.expiresInDays}
+                onChange={(event) =>
+                  setApiTokenForm((current) => ({ ...current, expiresInDays: Number(event.target.value) }))
+                }
+                className="rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+              >
+                {API_TOKEN_EXPIRY_OPTIONS.filter((days) => days <= apiTokenMaxDays).map((days) => (
+                  <option key={days} value={days}>
+                    Expires in {days} days
+                  </option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={apiTokenBusy}
+                className="rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-60"
+              >
+                {apiTokenBusy ? 'Creating...' : 'Create token'}
+              </button>
+            </div>
+          </form>
+          <div className="mt-4 space-y-3">
+            {apiTokens.length === 0 && <p className="text-sm text-neutral-400">No active API tokens.</p>}
+            {apiTokens.map((token) => (
+              <div
+                key={token.id}
+                className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-800/60 px-4 py-3"
+              >
+                <div className="text-sm">
+                  <p className="font-semibold">
+                    {token.name}
+                    <span className="ml-2 font-mono text-xs font-normal text-neutral-400">{token.hint}…</span>
+                  </p>
+                  <p className="text-xs text-neutral-400">
+                    {token.scopes.map((scope) => API_TOKEN_SCOPE_LABELS[scope] || scope).join(', ')}
+                  </p>
+                  <p className="text-xs text-neutral-500">
+                    Expires {new Date(token.expiresAt).toLocaleDateString()} · Last used{' '}
+                    {token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never'}
+                    {token.lastUsedIp ? ` from ${token.lastUsedIp}` : ''}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => void onRevokeApiToken(token.id)}
+                  className="rounded border border-red-600 px-3 py-1.5 text-xs text-red-300 hover:bg-red-900/30"
+                >
+                  Revoke
+                </button>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        <section className="mt-8 border-t border-neutral-800 pt-6">
+          <h3 className="text-xl font-semibold">Your Data</h3>
+          <p className="mt-2 text-sm text-neutral-400">
+            Download a copy of everything stored about your account: viewer profiles and their My List,
+            subscription, watch and download history, payments, signed-in devices, plus the reviews saved in this
+            browser.
+            The archive contains a JSON file and one CSV per collection.
+          </p>
+          <button
+            type="button"
+            disabled={exporting}
+            onClick={() => void onExportData()}
+            className="mt-4 rounded border border-neutral-600 px-4 py-2 text-sm font-semibold hover:border-white disabled:opacity-60"
+          >
+            {exporting ? 'Preparing export...' : 'Download my data'}
+          </button>
+          <p className="mt-2 text-xs text-neutral-500">Limited to 3 exports per day.</p>
+        </section>
+
+        <section className="mt-8 border-t border-neutral-800 pt-6">
+          <h3 className="text-xl font-semibold text-red-400">Delete Account</h3>
+          <p className="mt-2 text-sm text-neutral-400">
+            Deleting your account signs you out everywhere and cancels your subscription. Your data is erased after a
+            grace period; signing in again before then cancels the deletion.
+          </p>
+          {!confirmingDelete ? (
+            <button
+              type="button"
+              onClick={() => setConfirmingDelete(true)}
+              className="mt-4 rounded border border-red-600 px-4 py-2 text-sm font-semibold text-red-300 hover:bg-red-900/30"
+            >
+              Delete my account
+            </button>
+          ) : (
+            <form onSubmit={onDeleteAccount} className="mt-4 space-y-3">
+              <input
+                type="password"
+                value={deletePassword}
+                onChange={(event) => setDeletePassword(event.target.value)}
+                placeholder="Confirm your password"
+                autoComplete="current-password"
+                className="w-full rounded border border-neutral-700 bg-neutral-800 px-3 py-2 text-sm"
+              />
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={deleting}
+                  className="rounded bg-red-700 px-4 py-2 text-sm font-semibold hover:bg-red-600 disabled:opacity-60"
+                >
+                  {deleting ? 'Scheduling...' : 'Schedule deletion'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setConfirmingDelete(false);
+                    setDeletePassword('');
+                  }}
+                  className="rounded border border-neutral-600 px-4 py-2 text-sm hover:border-white"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </section>
+
         <div className="mt-8 flex gap-3">
           <button
             type="button"
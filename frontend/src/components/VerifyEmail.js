@@ -0,0 +1,55 @@
+// File purpose: Application logic for this Netflix Clone module.
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { confirmEmailVerification } from '../api/authApi';
+
+function VerifyEmail({ user, onUserUpdate }) {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? 'Verifying your email...' : 'This verification link is missing its token.');
+  const submittedToken = useRef('');
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) {
+      return;
+    }
+    submittedToken.current = token;
+
+    confirmEmailVerification(token)
+      .then((updated) => {
+        setStatus('done');
+        setMessage('Your email is verified. Thanks!');
+        if (user && updated?.id === user.id) {
+          onUserUpdate(updated);
+        }
+      })
+      .catch((apiError) => {
+        setStatus('error');
+        setMessage(apiError.message);
+      });
+  }, [token, user, onUserUpdate]);
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-black px-4 text-white">
+      <div className="w-full max-w-md rounded-lg border border-neutral-800 bg-neutral-900 p-8 text-center shadow-lg">
+        <h2 className="text-2xl font-bold">Email verification</h2>
+        <p
+          className={`mt-4 text-sm ${
+            status === 'error' ? 'text-red-400' : status === 'done' ? 'text-green-400' : 'text-neutral-300'
+          }`}
+        >
+          {message}
+        </p>
+        <Link
+          to={user ? '/settings' : '/login'}
+          className="mt-6 inline-block rounded bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500"
+        >
+          {user ? 'Back to settings' : 'Go to sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;